@@ -4,6 +4,9 @@ const { getCollection } = require('../config/db');
 const { ApiError, asyncHandler } = require('../utils/errorHandler');
 const openaiService = require('../services/openaiService');
 const queueService = require('../services/queueService');
+const jobStoreService = require('../services/jobStoreService');
+const usageService = require('../services/usageService');
+const llmCacheService = require('../services/llmCacheService');
 const os = require('os');
 const healthCheckService = require('../services/healthCheckService');
 const backupService = require('../services/backupService');
@@ -150,7 +153,7 @@ const getSystemHealth = asyncHandler(async (req, res) => {
     let openai = { status: 'good', message: 'Operational' };
     try {
       // Verify OpenAI by checking cache status
-      openaiService.cache.get('test-key');
+      await llmCacheService.getStats();
     } catch (error) {
       openai = { status: 'warning', message: 'Degraded Performance' };
     }
@@ -332,7 +335,10 @@ const getJobQueueStatus = asyncHandler(async (req, res) => {
 
     // Return job queue
     res.status(200).json({
-      jobs
+      jobs,
+      paused: queueService.paused,
+      queueLength: queueService.queue.length,
+      activeJobs: queueService.activeJobs
     });
   } catch (error) {
     console.error('Error getting job queue status:', error);
@@ -340,6 +346,286 @@ const getJobQueueStatus = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * Pause the job queue; running jobs finish but no new jobs start
+ */
+const pauseJobQueue = asyncHandler(async (req, res) => {
+  try {
+    queueService.pause();
+    res.status(200).json({ paused: true, message: 'Job queue paused' });
+  } catch (error) {
+    console.error('Error pausing job queue:', error);
+    res.status(500).json({ error: 'Failed to pause job queue' });
+  }
+});
+
+/**
+ * Resume the job queue
+ */
+const resumeJobQueue = asyncHandler(async (req, res) => {
+  try {
+    queueService.resume();
+    res.status(200).json({ paused: false, message: 'Job queue resumed' });
+  } catch (error) {
+    console.error('Error resuming job queue:', error);
+    res.status(500).json({ error: 'Failed to resume job queue' });
+  }
+});
+
+/**
+ * Change the priority of a queued job
+ */
+const updateJobPriority = asyncHandler(async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const priority = Number(req.body.priority);
+
+    if (!Number.isInteger(priority) || priority < 0) {
+      return res.status(400).json({ error: 'Priority must be a non-negative integer' });
+    }
+
+    const result = await queueService.setJobPriority(jobId, priority);
+    if (!result) {
+      return res.status(404).json({ error: 'Job is not waiting in the queue' });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error updating job priority:', error);
+    res.status(500).json({ error: 'Failed to update job priority' });
+  }
+});
+
+/**
+ * Cancel any queued or running job
+ */
+const cancelJob = asyncHandler(async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const result = await queueService.cancelJob(jobId, 'Cancelled by administrator');
+    if (!result) {
+      return res.status(404).json({ error: 'Job not found or already finished' });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+/**
+ * List dead-lettered jobs
+ */
+const listDeadLetterJobs = asyncHandler(async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const entries = await jobStoreService.findDeadLetters({
+      statuses: status ? [status] : undefined,
+      type,
+      limit
+    });
+
+    // Summaries only; the full stack and input are available per job
+    const jobs = entries.map(entry => ({
+      id: entry.id,
+      type: entry.type,
+      status: entry.status,
+      error: entry.error ? entry.error.message : null,
+      attempts: entry.attempts,
+      ownerId: entry.ownerId,
+      failedAt: entry.createdAt,
+      replays: (entry.replays || []).length
+    }));
+
+    res.status(200).json({ jobs });
+  } catch (error) {
+    console.error('Error listing dead-letter jobs:', error);
+    res.status(500).json({ error: 'Failed to list dead-letter jobs' });
+  }
+});
+
+/**
+ * Get a dead-lettered job with its input, error stack and attempt history
+ */
+const getDeadLetterJob = asyncHandler(async (req, res) => {
+  try {
+    const job = await jobStoreService.getDeadLetter(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Dead-letter job not found' });
+    }
+
+    res.status(200).json({ job });
+  } catch (error) {
+    console.error('Error getting dead-letter job:', error);
+    res.status(500).json({ error: 'Failed to get dead-letter job' });
+  }
+});
+
+/**
+ * Replay a dead-lettered job, optionally with edited input data
+ */
+const replayDeadLetterJob = asyncHandler(async (req, res) => {
+  try {
+    const { data } = req.body;
+
+    if (data !== undefined && (data === null || typeof data !== 'object' || Array.isArray(data))) {
+      return res.status(400).json({ error: 'Replay data must be an object' });
+    }
+
+    const result = await queueService.replayDeadLetter(req.params.jobId, {
+      data,
+      replayedBy: req.user.userId
+    });
+
+    res.status(202).json({
+      ...result,
+      message: 'Job re-queued'
+    });
+  } catch (error) {
+    console.error('Error replaying dead-letter job:', error);
+    if (error.message === 'Dead-letter job not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('No handler registered')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to replay job' });
+  }
+});
+
+/**
+ * LLM tokens and cost for a month, grouped by user or organization
+ */
+const getUsageCosts = asyncHandler(async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'user';
+    if (!['user', 'organization'].includes(groupBy)) {
+      return res.status(400).json({ error: 'groupBy must be user or organization' });
+    }
+
+    const rollup = await usageService.getUsageRollup(groupBy, req.query.month);
+
+    res.status(200).json(rollup);
+  } catch (error) {
+    console.error('Error getting usage costs:', error);
+    if (error.message.startsWith('Invalid month')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to get usage costs' });
+  }
+});
+
+/**
+ * Get a user's or organization's monthly budget and this month's usage
+ */
+const getBudget = asyncHandler(async (req, res) => {
+  try {
+    const { scope, scopeId } = req.params;
+    if (!['user', 'organization'].includes(scope)) {
+      return res.status(400).json({ error: 'Scope must be user or organization' });
+    }
+
+    const budget = await usageService.getBudgetStatus(scope, scopeId);
+
+    res.status(200).json({ budget });
+  } catch (error) {
+    console.error('Error getting budget:', error);
+    res.status(500).json({ error: 'Failed to get budget' });
+  }
+});
+
+/**
+ * Set a user's or organization's monthly budget
+ */
+const updateBudget = asyncHandler(async (req, res) => {
+  try {
+    const { scope, scopeId } = req.params;
+    const { monthlyCostLimit, monthlyTokenLimit, action = 'block' } = req.body;
+
+    if (!['user', 'organization'].includes(scope)) {
+      return res.status(400).json({ error: 'Scope must be user or organization' });
+    }
+
+    const isLimit = value => value === undefined || value === null || (typeof value === 'number' && value >= 0);
+    if (!isLimit(monthlyCostLimit) || !isLimit(monthlyTokenLimit)) {
+      return res.status(400).json({ error: 'Budget limits must be non-negative numbers or null' });
+    }
+
+    if (!['block', 'downgrade'].includes(action)) {
+      return res.status(400).json({ error: 'Action must be block or downgrade' });
+    }
+
+    const budget = await usageService.setBudget(scope, scopeId, {
+      monthlyCostLimit: monthlyCostLimit ?? null,
+      monthlyTokenLimit: monthlyTokenLimit ?? null,
+      action
+    });
+
+    res.status(200).json({ budget });
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    res.status(500).json({ error: 'Failed to update budget' });
+  }
+});
+
+/**
+ * Remove a custom budget so the configured default applies
+ */
+const deleteBudget = asyncHandler(async (req, res) => {
+  try {
+    const { scope, scopeId } = req.params;
+    if (!['user', 'organization'].includes(scope)) {
+      return res.status(400).json({ error: 'Scope must be user or organization' });
+    }
+
+    const budget = await usageService.deleteBudget(scope, scopeId);
+
+    res.status(200).json({ budget });
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    res.status(500).json({ error: 'Failed to delete budget' });
+  }
+});
+
+/**
+ * Get LLM response cache statistics
+ */
+const getLlmCacheStats = asyncHandler(async (req, res) => {
+  try {
+    const stats = await llmCacheService.getStats();
+
+    res.status(200).json({ cache: stats });
+  } catch (error) {
+    console.error('Error getting LLM cache stats:', error);
+    res.status(500).json({ error: 'Failed to get LLM cache stats' });
+  }
+});
+
+/**
+ * Purge cached LLM responses for a report and/or a template version.
+ * Purging everything requires ?all=true.
+ */
+const purgeLlmCache = asyncHandler(async (req, res) => {
+  try {
+    const { reportId, sectionType, templateVersion, all } = req.query;
+
+    if (!reportId && !sectionType && !templateVersion && all !== 'true') {
+      return res.status(400).json({ error: 'Specify reportId, sectionType or templateVersion, or all=true' });
+    }
+
+    const deleted = await llmCacheService.purge({ reportId, sectionType, templateVersion });
+
+    res.status(200).json({ deleted });
+  } catch (error) {
+    console.error('Error purging LLM cache:', error);
+    res.status(500).json({ error: 'Failed to purge LLM cache' });
+  }
+});
+
 /**
  * Get API response time data
  */
@@ -456,7 +742,7 @@ const performMaintenance = asyncHandler(async (req, res) => {
     switch (action) {
       case 'refresh-cache':
         // Clear all cache entries
-        openaiService.cache.clear();
+        await llmCacheService.clear();
         result.message = 'Cache refreshed successfully';
         break;
 
@@ -465,7 +751,8 @@ const performMaintenance = asyncHandler(async (req, res) => {
         try {
           await openaiService.generateContent('Test connection', {
             maxTokens: 5,
-            skipCache: true
+            skipCache: true,
+            usageContext: { operation: 'connectionTest', userId: req.user.userId }
           });
           result.message = 'OpenAI connection test successful';
         } catch (error) {
@@ -520,6 +807,19 @@ module.exports = {
   getSystemHealth,
   getUsageData,
   getJobQueueStatus,
+  pauseJobQueue,
+  resumeJobQueue,
+  updateJobPriority,
+  cancelJob,
+  listDeadLetterJobs,
+  getDeadLetterJob,
+  replayDeadLetterJob,
+  getUsageCosts,
+  getBudget,
+  updateBudget,
+  deleteBudget,
+  getLlmCacheStats,
+  purgeLlmCache,
   getApiResponseTimes,
   getRecentActivity,
   performMaintenance
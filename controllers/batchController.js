@@ -0,0 +1,59 @@
+// controllers/batchController.js
+
+const batchService = require('../services/batchService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+/**
+ * Create reports for a list of companies and queue their generation.
+ * Accepts a text/csv body, a JSON { csv } string or a JSON { companies } array.
+ */
+const createBatch = asyncHandler(async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const templateType = (req.body && req.body.templateType) || req.query.templateType;
+
+    let rows;
+    try {
+      rows = batchService.parseInput(req.body);
+    } catch (parseError) {
+      return res.status(400).json({ error: parseError.message });
+    }
+
+    const batch = await batchService.createBatch(userId, rows, {
+      templateType,
+      organizationId: req.user.organizationId
+    });
+
+    res.status(202).json(batch);
+  } catch (error) {
+    console.error('Create batch error:', error);
+    if (error.message.startsWith('Batch ')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to create report batch' });
+  }
+});
+
+/**
+ * Get a batch with aggregate progress and per-row status
+ */
+const getBatch = asyncHandler(async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const batch = await batchService.getBatch(req.params.batchId, userId);
+
+    res.status(200).json(batch);
+  } catch (error) {
+    console.error('Get batch error:', error);
+    if (error.message === 'Batch not found') {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.status(500).json({ error: 'Failed to get report batch' });
+  }
+});
+
+module.exports = {
+  createBatch,
+  getBatch
+};
@@ -1,6 +1,7 @@
 // controllers/customizationController.js
 
 const enhancedReportService = require('../services/enhancedReportService');
+const promptTemplateService = require('../services/promptTemplateService');
 const { ApiError, asyncHandler } = require('../utils/errorHandler');
 
 /**
@@ -21,7 +22,10 @@ const getCustomization = asyncHandler(async (req, res) => {
         sectionOrder: [],
         theme: 'standard',
         includeTOC: true,
-        includeVisualizations: true
+        includeVisualizations: true,
+        structuredOutput: false,
+        qualityLoop: false,
+        analysisStyle: 'standard'
       }
     });
   } catch (error) {
@@ -47,6 +51,11 @@ const updateCustomization = asyncHandler(async (req, res) => {
       return res.status(400).json({ error: 'Customization options are required' });
     }
 
+    const styles = promptTemplateService.getAvailableStyles().map(style => style.id);
+    if (customization.analysisStyle !== undefined && !styles.includes(customization.analysisStyle)) {
+      return res.status(400).json({ error: `analysisStyle must be one of ${styles.join(', ')}` });
+    }
+
     // Update customization
     const report = await enhancedReportService.updateReportCustomization(
       reportId, 
@@ -208,10 +217,16 @@ const getAvailableSections = asyncHandler(async (req, res) => {
       }
     ];
 
+    // Writing styles for generated text
+    const styles = promptTemplateService.getAvailableStyles();
+
     res.status(200).json({
       sections,
       templates,
-      themes
+      themes,
+      styles,
+      // A section's industry or early-stage template wins over the chosen style
+      variantPrecedence: promptTemplateService.getVariantPrecedence()
     });
   } catch (error) {
     console.error('Get available sections error:', error);
@@ -0,0 +1,84 @@
+// controllers/experimentController.js
+
+const experimentService = require('../services/experimentService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+// Respond to validation, not-found and conflict errors from the experiment and template services
+const sendExperimentError = (res, error, fallbackMessage) => {
+  if (error.name === 'ExperimentError' || error.name === 'PromptTemplateError') {
+    return res.status(error.status).json({ error: error.message });
+  }
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * List prompt experiments
+ */
+const listExperiments = asyncHandler(async (req, res) => {
+  try {
+    const experiments = await experimentService.listExperiments({ status: req.query.status });
+
+    res.status(200).json({ experiments });
+  } catch (error) {
+    console.error('Error listing experiments:', error);
+    sendExperimentError(res, error, 'Failed to list experiments');
+  }
+});
+
+/**
+ * Start an experiment between template versions
+ */
+const createExperiment = asyncHandler(async (req, res) => {
+  try {
+    const { name, sectionType, variant, arms } = req.body;
+
+    const experiment = await experimentService.createExperiment(
+      { name, sectionType, variant, arms },
+      req.user.userId
+    );
+
+    res.status(201).json({ experiment });
+  } catch (error) {
+    console.error('Error creating experiment:', error);
+    sendExperimentError(res, error, 'Failed to create experiment');
+  }
+});
+
+/**
+ * Compare ratings, quality scores and cost between the arms of an experiment
+ */
+const getExperimentResults = asyncHandler(async (req, res) => {
+  try {
+    const results = await experimentService.getResults(req.params.id);
+
+    res.status(200).json(results);
+  } catch (error) {
+    console.error('Error getting experiment results:', error);
+    sendExperimentError(res, error, 'Failed to get experiment results');
+  }
+});
+
+/**
+ * Stop an experiment; promoteArm publishes that arm's template
+ */
+const stopExperiment = asyncHandler(async (req, res) => {
+  try {
+    const experiment = await experimentService.stopExperiment(
+      req.params.id,
+      req.user.userId,
+      req.body.promoteArm || null
+    );
+
+    res.status(200).json({ experiment });
+  } catch (error) {
+    console.error('Error stopping experiment:', error);
+    sendExperimentError(res, error, 'Failed to stop experiment');
+  }
+});
+
+module.exports = {
+  listExperiments,
+  createExperiment,
+  getExperimentResults,
+  stopExperiment
+};
@@ -0,0 +1,98 @@
+// controllers/financialStatementController.js
+
+const enhancedReportService = require('../services/enhancedReportService');
+const financialStatementService = require('../services/financialStatementService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+// Respond to parse and not-found errors
+const sendStatementError = (res, error, fallbackMessage) => {
+  if (error.name === 'FinancialStatementError') {
+    return res.status(error.status).json({
+      error: error.message,
+      ...(error.validation ? { validation: error.validation } : {})
+    });
+  }
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * Upload financial statements for a report.
+ * Accepts a CSV or XLSX request body, or JSON { csv } / { xlsx: base64 }. The
+ * file name, currency and unit (e.g. 1000 for figures in thousands) can be
+ * given as query parameters. Statements that fail validation are not stored.
+ */
+const uploadStatements = asyncHandler(async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const reportId = req.params.id;
+    const body = req.body && !Buffer.isBuffer(req.body) && typeof req.body === 'object' ? req.body : {};
+    const fileName = req.query.fileName || body.fileName;
+    const currency = req.query.currency || body.currency;
+    const unit = Number(req.query.unit || body.unit) || undefined;
+
+    // Make sure the report exists before parsing the upload
+    await enhancedReportService.getReportById(reportId, userId);
+
+    const statements = financialStatementService.parse(req.body, {
+      fileName,
+      currency: currency ? String(currency).toUpperCase() : undefined,
+      unit
+    });
+
+    if (!statements.validation.valid) {
+      throw financialStatementService.createStatementError(
+        'Financial statements failed validation',
+        422,
+        statements.validation
+      );
+    }
+
+    await enhancedReportService.setFinancialStatements(reportId, userId, statements);
+
+    res.status(201).json({ financialStatements: statements });
+  } catch (error) {
+    console.error('Upload financial statements error:', error);
+    sendStatementError(res, error, 'Failed to upload financial statements');
+  }
+});
+
+/**
+ * Get the financial statements uploaded for a report
+ */
+const getStatements = asyncHandler(async (req, res) => {
+  try {
+    const report = await enhancedReportService.getReportById(req.params.id, req.user.userId);
+
+    if (!report.financialStatements) {
+      return res.status(404).json({ error: 'No financial statements uploaded for this report' });
+    }
+
+    res.status(200).json({ financialStatements: report.financialStatements });
+  } catch (error) {
+    console.error('Get financial statements error:', error);
+    sendStatementError(res, error, 'Failed to get financial statements');
+  }
+});
+
+/**
+ * Remove the financial statements uploaded for a report
+ */
+const deleteStatements = asyncHandler(async (req, res) => {
+  try {
+    await enhancedReportService.setFinancialStatements(req.params.id, req.user.userId, null);
+
+    res.status(200).json({ message: 'Financial statements removed' });
+  } catch (error) {
+    console.error('Delete financial statements error:', error);
+    sendStatementError(res, error, 'Failed to remove financial statements');
+  }
+});
+
+module.exports = {
+  uploadStatements,
+  getStatements,
+  deleteStatements
+};
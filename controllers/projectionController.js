@@ -0,0 +1,82 @@
+// controllers/projectionController.js
+
+const enhancedReportService = require('../services/enhancedReportService');
+const projectionService = require('../services/projectionService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+// Respond to invalid assumptions, missing company data and unknown reports
+const sendProjectionError = (res, error, fallbackMessage) => {
+  if (error.name === 'ProjectionError') {
+    return res.status(error.status).json({
+      error: error.message,
+      ...(error.details ? { details: error.details } : {})
+    });
+  }
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * Get a report's projection: the stored assumptions and the model output for
+ * base, upside and downside scenarios
+ */
+const getProjection = asyncHandler(async (req, res) => {
+  try {
+    const result = await enhancedReportService.getProjection(req.params.id, req.user.userId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Get projection error:', error);
+    sendProjectionError(res, error, 'Failed to get projection');
+  }
+});
+
+/**
+ * Replace a report's projection assumptions. Fields left out use the defaults
+ * derived from the company data. Sections generated afterwards use the new
+ * projection; existing sections keep theirs until regenerated.
+ */
+const updateAssumptions = asyncHandler(async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const reportId = req.params.id;
+
+    const assumptions = projectionService.validateAssumptions(req.body);
+    await enhancedReportService.setProjectionAssumptions(reportId, userId, assumptions);
+
+    // Assumptions can be set before the report has company data to project
+    const result = await enhancedReportService.getProjection(reportId, userId).catch(error => {
+      if (error.name === 'ProjectionError') {
+        return { assumptions, projection: null };
+      }
+      throw error;
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Update projection assumptions error:', error);
+    sendProjectionError(res, error, 'Failed to update projection assumptions');
+  }
+});
+
+/**
+ * Go back to the default assumptions
+ */
+const resetAssumptions = asyncHandler(async (req, res) => {
+  try {
+    await enhancedReportService.setProjectionAssumptions(req.params.id, req.user.userId, null);
+
+    res.status(200).json({ message: 'Projection assumptions reset to defaults' });
+  } catch (error) {
+    console.error('Reset projection assumptions error:', error);
+    sendProjectionError(res, error, 'Failed to reset projection assumptions');
+  }
+});
+
+module.exports = {
+  getProjection,
+  updateAssumptions,
+  resetAssumptions
+};
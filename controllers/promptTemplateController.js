@@ -0,0 +1,177 @@
+// controllers/promptTemplateController.js
+
+const promptTemplateService = require('../services/promptTemplateService');
+const openaiService = require('../services/openaiService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+// Respond to validation, not-found and conflict errors from the template service
+const sendTemplateError = (res, error, fallbackMessage) => {
+  if (error.name === 'PromptTemplateError') {
+    return res.status(error.status).json({
+      error: error.message,
+      ...(error.validationErrors ? { validationErrors: error.validationErrors } : {})
+    });
+  }
+  return res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * List stored templates, the templates in use and the placeholders templates can use
+ */
+const listTemplates = asyncHandler(async (req, res) => {
+  try {
+    const { sectionType, variant, status } = req.query;
+
+    const templates = await promptTemplateService.listTemplates({ sectionType, variant, status });
+
+    res.status(200).json({
+      templates,
+      active: promptTemplateService.listActiveTemplates(),
+      variables: promptTemplateService.getTemplateVariables()
+    });
+  } catch (error) {
+    console.error('Error listing prompt templates:', error);
+    sendTemplateError(res, error, 'Failed to list prompt templates');
+  }
+});
+
+/**
+ * Get a stored template
+ */
+const getTemplate = asyncHandler(async (req, res) => {
+  try {
+    const template = await promptTemplateService.getTemplate(req.params.id);
+
+    res.status(200).json({ template });
+  } catch (error) {
+    console.error('Error getting prompt template:', error);
+    sendTemplateError(res, error, 'Failed to get prompt template');
+  }
+});
+
+/**
+ * Create a draft template
+ */
+const createTemplate = asyncHandler(async (req, res) => {
+  try {
+    const { sectionType, variant, version, systemPrompt, template, notes } = req.body;
+
+    const draft = await promptTemplateService.createDraft(
+      { sectionType, variant, version, systemPrompt, template, notes },
+      req.user.userId
+    );
+
+    res.status(201).json({ template: draft });
+  } catch (error) {
+    console.error('Error creating prompt template:', error);
+    sendTemplateError(res, error, 'Failed to create prompt template');
+  }
+});
+
+/**
+ * Update a draft template
+ */
+const updateTemplate = asyncHandler(async (req, res) => {
+  try {
+    const { version, systemPrompt, template, notes } = req.body;
+
+    const draft = await promptTemplateService.updateDraft(
+      req.params.id,
+      { version, systemPrompt, template, notes },
+      req.user.userId
+    );
+
+    res.status(200).json({ template: draft });
+  } catch (error) {
+    console.error('Error updating prompt template:', error);
+    sendTemplateError(res, error, 'Failed to update prompt template');
+  }
+});
+
+/**
+ * Delete a draft template
+ */
+const deleteTemplate = asyncHandler(async (req, res) => {
+  try {
+    await promptTemplateService.deleteDraft(req.params.id);
+
+    res.status(200).json({ message: 'Prompt template deleted' });
+  } catch (error) {
+    console.error('Error deleting prompt template:', error);
+    sendTemplateError(res, error, 'Failed to delete prompt template');
+  }
+});
+
+/**
+ * Render a stored template against company data (the sample company by default).
+ * systemPrompt and template in the body preview unsaved edits.
+ */
+const previewTemplate = asyncHandler(async (req, res) => {
+  try {
+    const stored = await promptTemplateService.getTemplate(req.params.id);
+    const candidate = {
+      ...stored,
+      systemPrompt: req.body.systemPrompt ?? stored.systemPrompt,
+      template: req.body.template ?? stored.template
+    };
+
+    const validationErrors = promptTemplateService.validateTemplate(candidate);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid prompt template', validationErrors });
+    }
+
+    const companyData = req.body.companyData || promptTemplateService.getSampleCompanyData();
+    const preview = openaiService.previewPromptTemplate(candidate.sectionType, candidate, companyData);
+
+    res.status(200).json({ preview });
+  } catch (error) {
+    console.error('Error previewing prompt template:', error);
+    sendTemplateError(res, error, 'Failed to preview prompt template');
+  }
+});
+
+/**
+ * Publish a draft, or republish a retired version
+ */
+const publishTemplate = asyncHandler(async (req, res) => {
+  try {
+    const template = await promptTemplateService.publishTemplate(req.params.id, req.user.userId);
+
+    res.status(200).json({ template });
+  } catch (error) {
+    console.error('Error publishing prompt template:', error);
+    sendTemplateError(res, error, 'Failed to publish prompt template');
+  }
+});
+
+/**
+ * Roll a section variant back to its previous (or a given) version
+ */
+const rollbackTemplate = asyncHandler(async (req, res) => {
+  try {
+    const { sectionType, variant } = req.params;
+
+    const result = await promptTemplateService.rollbackTemplate(
+      sectionType,
+      variant,
+      req.user.userId,
+      req.body.version || null
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error rolling back prompt template:', error);
+    sendTemplateError(res, error, 'Failed to roll back prompt template');
+  }
+});
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+  publishTemplate,
+  rollbackTemplate
+};
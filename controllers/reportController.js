@@ -1,6 +1,7 @@
 // controllers/reportController.js
 const enhancedReportService = require('../services/enhancedReportService');
 const dataService = require('../services/dataService');
+const usageService = require('../services/usageService');
 const { ApiError, asyncHandler } = require('../utils/errorHandler');
 const { validationSchemas, validateBody } = require('../utils/validation');
 
@@ -111,7 +112,7 @@ const generateSection = async (req, res) => {
   try {
     const userId = req.user.userId;
     const reportId = req.params.id;
-    const { sectionType, companyData } = req.body;
+    const { sectionType, companyData, structured, qualityLoop } = req.body;
 
     // Validate inputs
     if (!sectionType) {
@@ -122,15 +123,19 @@ const generateSection = async (req, res) => {
       return res.status(400).json({ error: 'Company data is required' });
     }
 
-    // Normalize company data
-    const normalizedData = await dataService.normalizeCompanyData(companyData);
+    // Normalize company data, with the financial statements and projection assumptions stored on the report
+    const report = await enhancedReportService.getReportById(reportId, userId);
+    const normalizedData = await dataService.normalizeCompanyData(
+      enhancedReportService.withReportInputs(companyData, report)
+    );
 
     // Generate the section
     const section = await enhancedReportService.generateReportSection(
       reportId,
       userId,
       sectionType,
-      normalizedData
+      normalizedData,
+      { structured, qualityLoop, organizationId: req.user.organizationId }
     );
 
     res.status(200).json({ section });
@@ -139,46 +144,131 @@ const generateSection = async (req, res) => {
     if (error.message.includes('not found')) {
       return res.status(404).json({ error: error.message });
     }
+    if (error.name === 'BudgetExceededError') {
+      return res.status(402).json({ error: error.message });
+    }
+    if (error.name === 'StructuredOutputError') {
+      return res.status(502).json({ error: error.message, validationErrors: error.validationErrors });
+    }
+    if (error.name === 'PromptBudgetError') {
+      return res.status(422).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to generate section' });
   }
 };
 
+// Generate a report section, streaming its text as it is written (Server-Sent Events)
+const streamSection = async (req, res) => {
+  const userId = req.user.userId;
+  const reportId = req.params.id;
+  const { sectionType, companyData, structured, qualityLoop } = req.body;
+
+  if (!sectionType) {
+    return res.status(400).json({ error: 'Section type is required' });
+  }
+
+  if (!companyData) {
+    return res.status(400).json({ error: 'Company data is required' });
+  }
+
+  let normalizedData;
+  try {
+    // Make sure the report exists before switching to an event stream
+    const report = await enhancedReportService.getReportById(reportId, userId);
+    normalizedData = await dataService.normalizeCompanyData(
+      enhancedReportService.withReportInputs(companyData, report)
+    );
+  } catch (error) {
+    console.error('Stream section error:', error);
+    if (error.message === 'Report not found') {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    return res.status(500).json({ error: 'Failed to generate section' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const sendEvent = (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  // Stop the model when the client goes away, e.g. the analyst aborts
+  const controller = new AbortController();
+  req.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const section = await enhancedReportService.generateReportSection(
+      reportId,
+      userId,
+      sectionType,
+      normalizedData,
+      {
+        stream: true,
+        structured,
+        qualityLoop,
+        organizationId: req.user.organizationId,
+        signal: controller.signal,
+        onToken: (text) => sendEvent('token', { text })
+      }
+    );
+
+    sendEvent('section', { section });
+  } catch (error) {
+    if (error.aborted) {
+      sendEvent('aborted', { sectionType });
+    } else if (['BudgetExceededError', 'StructuredOutputError', 'PromptBudgetError'].includes(error.name)) {
+      sendEvent('error', { error: error.message });
+    } else {
+      console.error('Stream section error:', error);
+      sendEvent('error', { error: 'Failed to generate section' });
+    }
+  }
+
+  res.end();
+};
+
 // Queue full report generation with auto-research
 const generateReport = async (req, res) => {
   try {
     const userId = req.user.userId;
     const reportId = req.params.id;
-    const { companyData, templateType } = req.body;
+    const { companyData, templateType, resume } = req.body;
 
     // Validate minimal inputs
     if (!companyData || !companyData.name) {
       return res.status(400).json({ error: 'Company name is required' });
     }
 
-    // Start report generation (non-blocking)
-    const jobId = `report-${reportId}-${Date.now()}`;
-
-    // Update report status to queued
-    await enhancedReportService.updateReport(reportId, userId, {
-      status: 'queued',
-      generationJobId: jobId
-    });
+    // Queue the job; it is persisted so it survives a server restart.
+    // With resume, sections completed by an earlier generation are kept.
+    const job = await enhancedReportService.generateFullReport(
+      reportId,
+      userId,
+      companyData,
+      templateType,
+      { resume: !!resume, organizationId: req.user.organizationId }
+    );
 
-    // Queue the job and return the job ID
     res.status(202).json({
-      jobId,
+      jobId: job.jobId,
       reportId,
-      status: 'queued',
+      status: job.status,
       message: 'Report generation started. Company data will be automatically researched.'
     });
-
-    // Start generation in the background
-    enhancedReportService.generateFullReport(reportId, userId, companyData, templateType)
-      .catch(error => {
-        console.error('Background report generation error:', error);
-      });
   } catch (error) {
     console.error('Generate report error:', error);
+    if (error.message === 'Report not found' || error.message === 'Report not found or not authorized') {
+      return res.status(404).json({ error: 'Report not found' });
+    }
     res.status(500).json({ error: 'Failed to start report generation' });
   }
 };
@@ -236,6 +326,155 @@ const getGenerationStatus = async (req, res) => {
   }
 };
 
+// LLM token and cost breakdown for a report
+const getReportCost = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const reportId = req.params.id;
+
+    // Make sure the report exists and belongs to the user
+    await enhancedReportService.getReportById(reportId, userId);
+
+    const cost = await usageService.getReportCost(reportId);
+
+    res.status(200).json(cost);
+  } catch (error) {
+    console.error('Get report cost error:', error);
+    if (error.message === 'Report not found') {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    res.status(500).json({ error: 'Failed to get report cost' });
+  }
+};
+
+// List stored versions of a report
+const getReportVersions = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const reportId = req.params.id;
+
+    const versions = await enhancedReportService.getReportVersions(reportId, userId);
+
+    res.status(200).json({ versions });
+  } catch (error) {
+    console.error('Get report versions error:', error);
+    if (error.message === 'Report not found') {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    res.status(500).json({ error: 'Failed to fetch report versions' });
+  }
+};
+
+// Get one stored version of a report
+const getReportVersion = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const reportId = req.params.id;
+
+    const version = await enhancedReportService.getReportVersion(reportId, userId, req.params.version);
+
+    res.status(200).json({ version });
+  } catch (error) {
+    console.error('Get report version error:', error);
+    if (error.message === 'Report not found' || error.message === 'Report version not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch report version' });
+  }
+};
+
+// Cancel a queued or running report generation
+const cancelGeneration = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const reportId = req.params.id;
+
+    const result = await enhancedReportService.cancelGeneration(reportId, userId);
+
+    res.status(200).json({
+      ...result,
+      message: result.status === 'cancelling'
+        ? 'Report generation will stop after the current section'
+        : 'Report generation cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel generation error:', error);
+    if (error.message === 'Report not found') {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (error.message === 'Report generation is not in progress') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to cancel report generation' });
+  }
+};
+
+// Stream report generation events (Server-Sent Events)
+const streamGenerationEvents = async (req, res) => {
+  const userId = req.user.userId;
+  const reportId = req.params.id;
+  let unsubscribe = null;
+  let heartbeat = null;
+  let closed = false;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    if (heartbeat) clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+
+  const sendEvent = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // The stream ends once the generation reaches a final state
+    if (['completed', 'failed', 'cancelled'].includes(event)) {
+      close();
+    }
+  };
+
+  try {
+    // Make sure the report exists before switching to an event stream
+    await enhancedReportService.getReportById(reportId, userId);
+  } catch (error) {
+    console.error('Stream generation events error:', error);
+    if (error.message === 'Report not found') {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    return res.status(500).json({ error: 'Failed to stream generation events' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  req.on('close', close);
+
+  try {
+    unsubscribe = await enhancedReportService.subscribeToGenerationEvents(reportId, userId, sendEvent);
+
+    // Nothing is running, or the generation finished (or the client left) while subscribing
+    if (!unsubscribe || closed) {
+      if (unsubscribe) unsubscribe();
+      return close();
+    }
+
+    // Keep the connection open through proxies
+    heartbeat = setInterval(() => {
+      if (!closed) res.write(': heartbeat\n\n');
+    }, 15000);
+  } catch (error) {
+    console.error('Stream generation events error:', error);
+    sendEvent('error', { error: 'Failed to stream generation events' });
+    close();
+  }
+};
+
 module.exports = {
   createReport,
   getReports,
@@ -243,7 +482,13 @@ module.exports = {
   updateReport,
   deleteReport,
   generateSection,
+  streamSection,
   generateReport,
   submitFeedback,
-  getGenerationStatus
+  getGenerationStatus,
+  cancelGeneration,
+  streamGenerationEvents,
+  getReportVersions,
+  getReportVersion,
+  getReportCost
 };
\ No newline at end of file
@@ -0,0 +1,78 @@
+// controllers/scheduleController.js
+
+const scheduleService = require('../services/scheduleService');
+const { asyncHandler } = require('../utils/errorHandler');
+
+/**
+ * Get a report's regeneration schedule and upcoming runs
+ */
+const getSchedule = asyncHandler(async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const reportId = req.params.id;
+    const count = Math.min(parseInt(req.query.count) || 5, 50);
+
+    const schedule = await scheduleService.getSchedule(reportId, userId, count);
+
+    res.status(200).json(schedule);
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    if (error.message === 'Report not found') {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    res.status(500).json({ error: 'Failed to get schedule' });
+  }
+});
+
+/**
+ * Create or update a report's regeneration schedule
+ */
+const updateSchedule = asyncHandler(async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const reportId = req.params.id;
+    const { cron, enabled } = req.body;
+
+    const schedule = await scheduleService.setSchedule(reportId, userId, {
+      cron,
+      enabled: enabled !== false
+    });
+
+    res.status(200).json(schedule);
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    if (error.message === 'Report not found') {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (error.message.startsWith('Invalid cron expression')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+/**
+ * Remove a report's regeneration schedule
+ */
+const deleteSchedule = asyncHandler(async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const reportId = req.params.id;
+
+    const result = await scheduleService.deleteSchedule(reportId, userId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+module.exports = {
+  getSchedule,
+  updateSchedule,
+  deleteSchedule
+};
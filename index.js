@@ -177,11 +177,16 @@ async function startServer() {
     }).catch(err => {
       console.error('Error initializing MongoDB connection:', err);
       console.log('Server will continue running with limited functionality');
-    });
+    }).then(() => loadPromptTemplates())
+      .then(() => recoverGenerationJobs())
+      .then(() => startReportScheduler());
 
     // Schedule regular cleanup tasks
     scheduleMaintenanceTasks();
 
+    // Write buffered state to disk before the process exits
+    registerShutdownHandlers(server);
+
     // Return the server instance for testing
     return server;
   } catch (error) {
@@ -190,6 +195,67 @@ async function startServer() {
   }
 }
 
+/**
+ * Use the prompt templates published and the experiments started through the
+ * admin API, and pick up changes made by other instances
+ */
+function loadPromptTemplates() {
+  try {
+    const promptTemplateService = require('./services/promptTemplateService');
+    const experimentService = require('./services/experimentService');
+    promptTemplateService.start();
+    experimentService.start();
+  } catch (error) {
+    console.error('Error loading prompt templates:', error);
+  }
+}
+
+/**
+ * Resume persisted jobs left behind by a previous process and
+ * reconcile the status of reports they were generating
+ */
+async function recoverGenerationJobs() {
+  try {
+    const enhancedReportService = require('./services/enhancedReportService');
+    await queueService.startRecovery();
+    await enhancedReportService.reconcileReportStatuses();
+  } catch (error) {
+    console.error('Error recovering generation jobs:', error);
+  }
+}
+
+/**
+ * Start regenerating reports on their cron schedules
+ */
+function startReportScheduler() {
+  try {
+    const scheduleService = require('./services/scheduleService');
+    scheduleService.start();
+  } catch (error) {
+    console.error('Error starting report scheduler:', error);
+  }
+}
+
+/**
+ * Flush the LLM cache file store on SIGTERM/SIGINT, then exit
+ */
+function registerShutdownHandlers(server) {
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, shutting down`);
+    server.close();
+    try {
+      const llmCacheService = require('./services/llmCacheService');
+      await llmCacheService.flush();
+    } catch (error) {
+      console.error('Error flushing LLM cache on shutdown:', error);
+    }
+    process.exit(0);
+  };
+
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+}
+
 /**
  * Schedule regular maintenance tasks
  */
@@ -11,10 +11,14 @@ const ReportCustomizer = ({ reportId, onSave, onCancel }) => {
     sectionOrder: [],
     theme: 'standard',
     includeTOC: true,
-    includeVisualizations: true
+    includeVisualizations: true,
+    structuredOutput: false,
+    qualityLoop: false,
+    analysisStyle: 'standard'
   });
   const [availableSections, setAvailableSections] = useState([]);
   const [availableThemes, setAvailableThemes] = useState([]);
+  const [availableStyles, setAvailableStyles] = useState([]);
   const [activeTab, setActiveTab] = useState('sections');
 
   // Fetch initial data
@@ -37,6 +41,7 @@ const ReportCustomizer = ({ reportId, onSave, onCancel }) => {
         const optionsData = await optionsResponse.json();
         setAvailableSections(optionsData.sections);
         setAvailableThemes(optionsData.themes);
+        setAvailableStyles(optionsData.styles || []);
 
         // Get current customization
         const customizationResponse = await fetch(`/api/reports/${reportId}/customization`, {
@@ -436,6 +441,22 @@ const ReportCustomizer = ({ reportId, onSave, onCancel }) => {
               </p>
 
               <div className="space-y-4">
+                <div className="flex items-center justify-between p-3 border rounded-lg">
+                  <div>
+                    <div className="font-medium">Analysis Style</div>
+                    <div className="text-sm text-gray-500">Tone of generated sections; applies the next time they are generated</div>
+                  </div>
+                  <select
+                    className="border rounded px-2 py-1"
+                    value={customization.analysisStyle || 'standard'}
+                    onChange={(e) => setCustomization(prev => ({ ...prev, analysisStyle: e.target.value }))}
+                  >
+                    {availableStyles.map(style => (
+                      <option key={style.id} value={style.id} title={style.description}>{style.name}</option>
+                    ))}
+                  </select>
+                </div>
+
                 <div className="flex items-center justify-between p-3 border rounded-lg">
                   <div>
                     <div className="font-medium">Table of Contents</div>
@@ -491,6 +512,62 @@ const ReportCustomizer = ({ reportId, onSave, onCancel }) => {
                     </label>
                   </div>
                 </div>
+
+                <div className="flex items-center justify-between p-3 border rounded-lg">
+                  <div>
+                    <div className="font-medium">Structured Output</div>
+                    <div className="text-sm text-gray-500">Extract key metrics, risks and recommendations from generated sections into charts</div>
+                  </div>
+                  <div className="relative inline-block w-12 h-6 mr-2">
+                    <input 
+                      type="checkbox" 
+                      className="opacity-0 w-0 h-0"
+                      checked={customization.structuredOutput}
+                      onChange={() => toggleSetting('structuredOutput')}
+                      id="structured-toggle"
+                    />
+                    <label 
+                      htmlFor="structured-toggle"
+                      className={`absolute cursor-pointer top-0 left-0 right-0 bottom-0 rounded-full transition-colors ${
+                        customization.structuredOutput ? 'bg-blue-500' : 'bg-gray-300'
+                      }`}
+                    >
+                      <span 
+                        className={`absolute h-4 w-4 left-1 bottom-1 bg-white rounded-full transition-transform ${
+                          customization.structuredOutput ? 'translate-x-6' : 'translate-x-0'
+                        }`} 
+                      />
+                    </label>
+                  </div>
+                </div>
+
+                <div className="flex items-center justify-between p-3 border rounded-lg">
+                  <div>
+                    <div className="font-medium">Quality Review</div>
+                    <div className="text-sm text-gray-500">Revise sections that fall short of their quality rubric before saving them (uses extra tokens)</div>
+                  </div>
+                  <div className="relative inline-block w-12 h-6 mr-2">
+                    <input 
+                      type="checkbox" 
+                      className="opacity-0 w-0 h-0"
+                      checked={customization.qualityLoop}
+                      onChange={() => toggleSetting('qualityLoop')}
+                      id="quality-toggle"
+                    />
+                    <label 
+                      htmlFor="quality-toggle"
+                      className={`absolute cursor-pointer top-0 left-0 right-0 bottom-0 rounded-full transition-colors ${
+                        customization.qualityLoop ? 'bg-blue-500' : 'bg-gray-300'
+                      }`}
+                    >
+                      <span 
+                        className={`absolute h-4 w-4 left-1 bottom-1 bg-white rounded-full transition-transform ${
+                          customization.qualityLoop ? 'translate-x-6' : 'translate-x-0'
+                        }`} 
+                      />
+                    </label>
+                  </div>
+                </div>
               </div>
             </div>
           </div>
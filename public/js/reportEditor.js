@@ -23,6 +23,8 @@ class ReportEditor {
     this.editingSection = null;
     this.unsavedChanges = false;
     this.editorInstances = {};
+    this.generationStream = null;
+    this.sectionStream = null;
 
     this.init();
   }
@@ -44,6 +46,11 @@ class ReportEditor {
       // Load report data
       if (this.options.reportId) {
         await this.loadReport(this.options.reportId);
+
+        // Pick up a generation whose job is still queued or running
+        if (this.report && this.report.generationJobId && await this.isGenerationActive()) {
+          this.followGenerationEvents();
+        }
       }
 
       // Setup event listeners
@@ -73,6 +80,9 @@ class ReportEditor {
               <button id="generate-btn" class="btn btn-sm btn-primary" title="Generate All Sections">
                 <i class="bi bi-magic"></i> Generate
               </button>
+              <button id="cancel-generation-btn" class="btn btn-sm btn-outline-danger" title="Cancel Generation" style="display: none;">
+                <i class="bi bi-x-circle"></i> Cancel
+              </button>
               <button id="save-btn" class="btn btn-sm btn-success" title="Save Changes" disabled>
                 <i class="bi bi-save"></i> Save
               </button>
@@ -191,6 +201,7 @@ class ReportEditor {
       .status-badge.in_progress { background-color: #17a2b8; }
       .status-badge.completed { background-color: #28a745; }
       .status-badge.failed { background-color: #dc3545; }
+      .status-badge.cancelled { background-color: #343a40; }
 
       .editor-actions {
         display: flex;
@@ -336,6 +347,22 @@ class ReportEditor {
         white-space: pre-wrap;
       }
 
+      .section-content.streaming {
+        max-height: 600px;
+        overflow-y: auto;
+        border-color: #0d6efd;
+      }
+
+      .section-content.streaming::after {
+        content: '▍';
+        color: #0d6efd;
+        animation: section-cursor 1s step-end infinite;
+      }
+
+      @keyframes section-cursor {
+        50% { opacity: 0; }
+      }
+
       .section-content-editor {
         min-height: 300px;
         border: 1px solid #dee2e6;
@@ -362,6 +389,86 @@ class ReportEditor {
         margin-right: 0.5rem;
       }
 
+      .section-quality {
+        margin-top: 1rem;
+        padding: 0.75rem;
+        border-left: 4px solid #198754;
+        background-color: #f8f9fa;
+        border-radius: 0.25rem;
+        font-size: 0.875rem;
+      }
+
+      .section-quality.quality-failed {
+        border-left-color: #fd7e14;
+      }
+
+      .section-quality-header {
+        display: flex;
+        justify-content: space-between;
+        font-weight: 500;
+      }
+
+      .section-quality-issues {
+        margin: 0.5rem 0 0;
+        padding-left: 1.25rem;
+        color: #6c757d;
+      }
+
+      .section-quality-note {
+        margin-top: 0.5rem;
+        color: #6c757d;
+        font-style: italic;
+      }
+
+      .lint-annotation {
+        padding: 0;
+        background-color: transparent;
+        border-bottom: 2px solid;
+        cursor: help;
+      }
+
+      .lint-annotation.lint-error {
+        border-bottom-color: #dc3545;
+        background-color: rgba(220, 53, 69, 0.08);
+      }
+
+      .lint-annotation.lint-warning {
+        border-bottom-color: #fd7e14;
+      }
+
+      .lint-annotation.lint-info {
+        border-bottom: 2px dotted #0d6efd;
+      }
+
+      .section-lint {
+        margin-top: 1rem;
+        padding: 0.75rem;
+        background-color: #f8f9fa;
+        border-radius: 0.25rem;
+        font-size: 0.875rem;
+      }
+
+      .section-lint.lint-clean {
+        color: #6c757d;
+      }
+
+      .section-lint-header {
+        font-weight: 500;
+      }
+
+      .section-lint-list {
+        margin: 0.5rem 0 0;
+        padding-left: 1.25rem;
+      }
+
+      .section-lint-list .lint-error {
+        color: #dc3545;
+      }
+
+      .section-lint-list .lint-warning {
+        color: #b35900;
+      }
+
       .section-visualizations {
         margin-top: 1.5rem;
         padding: 1rem;
@@ -539,6 +646,11 @@ class ReportEditor {
       generateBtn.addEventListener('click', () => this.generateAllSections());
     }
 
+    const cancelGenerationBtn = document.getElementById('cancel-generation-btn');
+    if (cancelGenerationBtn) {
+      cancelGenerationBtn.addEventListener('click', () => this.cancelGeneration());
+    }
+
     // Handle export buttons
     const exportPdfBtn = document.getElementById('export-pdf');
     if (exportPdfBtn) {
@@ -809,9 +921,11 @@ class ReportEditor {
       </div>
 
       <div class="section-content-container">
-        <div id="section-content" class="section-content">${section.content}</div>
+        <div id="section-content" class="section-content">${this.renderAnnotatedContent(section)}</div>
       </div>
 
+      ${section.lint ? this.renderSectionLint(section) : ''}
+
       ${section.metadata ? `
         <div class="section-metadata">
           <div class="section-metadata-item">
@@ -833,6 +947,8 @@ class ReportEditor {
         </div>
       ` : ''}
 
+      ${section.quality ? this.renderSectionQuality(section) : ''}
+
       ${section.data ? `
         <div class="section-visualizations">
           <h3 class="section-visualization-title">Visualizations</h3>
@@ -864,6 +980,126 @@ class ReportEditor {
     }
   }
 
+  /**
+   * Escape text for use in HTML content and attribute values
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Lint annotations that still point at their text. Sections edited after
+   * linting keep the annotations whose excerpt is unchanged. Offsets are into
+   * the raw content, so ranges that touch a tag or an entity are left to the
+   * list below the section rather than marked and breaking the markup.
+   */
+  getInlineAnnotations(section) {
+    const content = section.content || '';
+    const annotations = (section.lint && section.lint.annotations) || [];
+    const markup = [...content.matchAll(/<[^>]*>?|&[#\w]+;/g)]
+      .map(match => ({ start: match.index, end: match.index + match[0].length }));
+    const touchesMarkup = item => markup.some(range => item.start < range.end && item.end > range.start);
+    let lastEnd = 0;
+
+    return annotations
+      .filter(item => item.start !== null && content.slice(item.start, item.end) === item.excerpt)
+      .filter(item => !touchesMarkup(item))
+      .sort((a, b) => a.start - b.start)
+      .filter(item => {
+        // Overlapping ranges can't both be marked
+        if (item.start < lastEnd) return false;
+        lastEnd = item.end;
+        return true;
+      });
+  }
+
+  /**
+   * Section content with lint findings marked inline; the message shows on hover
+   */
+  renderAnnotatedContent(section) {
+    const content = section.content || '';
+    const inline = this.getInlineAnnotations(section);
+    if (inline.length === 0) return content;
+
+    let html = '';
+    let position = 0;
+    inline.forEach(item => {
+      html += content.slice(position, item.start);
+      html += `<mark class="lint-annotation lint-${item.severity}" title="${this.escapeHtml(item.message)}">` +
+        `${content.slice(item.start, item.end)}</mark>`;
+      position = item.end;
+    });
+
+    return html + content.slice(position);
+  }
+
+  /**
+   * Render lint counts and the findings that are not marked inline:
+   * section-wide ones and those whose text was edited away
+   */
+  renderSectionLint(section) {
+    const lint = section.lint;
+    const inline = this.getInlineAnnotations(section);
+    const listed = lint.annotations.filter(item => !inline.includes(item));
+    const total = lint.annotations.length;
+
+    if (total === 0) {
+      return '<div class="section-lint lint-clean">No lint findings</div>';
+    }
+
+    const counts = ['error', 'warning', 'info']
+      .filter(severity => lint.counts[severity])
+      .map(severity => `${lint.counts[severity]} ${severity}${lint.counts[severity] === 1 ? '' : 's'}`);
+
+    return `
+      <div class="section-lint">
+        <div class="section-lint-header">Lint: ${counts.join(', ')}</div>
+        ${listed.length ? `
+          <ul class="section-lint-list">
+            ${listed.map(item => `<li class="lint-${item.severity}">${this.escapeHtml(item.message)}</li>`).join('')}
+          </ul>
+        ` : ''}
+        ${section.edited ? '<div class="section-quality-note">Checked before manual edits</div>' : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the rubric score and open issues of a section
+   */
+  renderSectionQuality(section) {
+    const quality = section.quality;
+    const statusClass = quality.passed ? 'quality-passed' : 'quality-failed';
+    const notes = [];
+
+    if (quality.improved) {
+      notes.push(`Revised ${quality.iterations} time${quality.iterations === 1 ? '' : 's'} to address quality issues`);
+    }
+    if (section.edited) {
+      notes.push('Scored before manual edits');
+    }
+
+    return `
+      <div class="section-quality ${statusClass}">
+        <div class="section-quality-header">
+          <span class="section-quality-score">Quality ${quality.score}/10</span>
+          <span class="section-quality-status">${quality.passed ? 'Meets rubric' : 'Below rubric'}</span>
+        </div>
+        ${quality.issues && quality.issues.length ? `
+          <ul class="section-quality-issues">
+            ${quality.issues.map(issue => `<li>${this.escapeHtml(issue)}</li>`).join('')}
+          </ul>
+        ` : ''}
+        ${notes.length ? `<div class="section-quality-note">${notes.join(' · ')}</div>` : ''}
+      </div>
+    `;
+  }
+
   /**
    * Initialize visualizations for a section
    */
@@ -1141,15 +1377,34 @@ class ReportEditor {
     const confirm = window.confirm(`Are you sure you want to regenerate the "${section.title}" section? This will replace the current content.`);
     if (!confirm) return;
 
-    try {
-      this.showOverlay(`Regenerating ${section.title}...`);
+    // Only one section streams at a time
+    if (this.sectionStream) {
+      this.sectionStream.abort();
+    }
 
-      // Call the API to regenerate the section
-      const response = await fetch(`${this.options.apiBasePath}/${this.report._id}/section`, {
+    const controller = new AbortController();
+    this.sectionStream = controller;
+
+    // Show the text in the section editor as it is written
+    if (!this.currentSection || this.currentSection.id !== section.id) {
+      await this.selectSection(section.id);
+    }
+    const contentEl = document.getElementById('section-content');
+    this.setSectionStreaming(true);
+    if (contentEl) {
+      contentEl.textContent = '';
+      contentEl.classList.add('streaming');
+    }
+
+    let newSection = null;
+
+    try {
+      const response = await fetch(`${this.options.apiBasePath}/${this.report._id}/section/stream`, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${localStorage.getItem('token')}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'Accept': 'text/event-stream'
         },
         body: JSON.stringify({
           sectionType: section.type,
@@ -1157,19 +1412,50 @@ class ReportEditor {
           companyData: {
             name: this.report.companyName
           }
-        })
+        }),
+        signal: controller.signal
       });
 
-      if (!response.ok) {
+      if (!response.ok || !response.body) {
         throw new Error('Failed to regenerate section');
       }
 
-      const data = await response.json();
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        for (const rawEvent of events) {
+          const parsed = this.parseServerEvent(rawEvent);
+          if (!parsed) continue;
+
+          if (parsed.event === 'token' && contentEl) {
+            contentEl.textContent += parsed.data.text;
+            contentEl.scrollTop = contentEl.scrollHeight;
+          } else if (parsed.event === 'section') {
+            newSection = parsed.data.section;
+          } else if (parsed.event === 'error') {
+            throw new Error(parsed.data.error || 'Failed to regenerate section');
+          }
+        }
+      }
+
+      if (!newSection) {
+        throw new Error('Section generation ended early');
+      }
 
       // Update the report with the new section
       const sectionIndex = this.report.sections.findIndex(s => s.id === section.id);
       if (sectionIndex !== -1) {
-        this.report.sections[sectionIndex] = data.section;
+        this.report.sections[sectionIndex] = newSection;
       }
 
       // Update UI
@@ -1177,15 +1463,58 @@ class ReportEditor {
 
       // If this was the current section, update the editor
       if (this.currentSection && this.currentSection.id === section.id) {
-        this.currentSection = data.section;
-        this.renderSectionEditor(data.section);
+        this.currentSection = newSection;
+        this.renderSectionEditor(newSection);
       }
-
-      this.hideOverlay();
     } catch (error) {
-      console.error('Error regenerating section:', error);
-      this.hideOverlay();
-      this.showError('Failed to regenerate section. Please try again.');
+      if (error.name !== 'AbortError') {
+        console.error('Error regenerating section:', error);
+        this.showError('Failed to regenerate section. Please try again.');
+      }
+
+      // The saved section is unchanged; show it again
+      if (this.currentSection && this.currentSection.id === section.id) {
+        this.renderSectionEditor(this.currentSection);
+      }
+    } finally {
+      if (this.sectionStream === controller) {
+        this.sectionStream = null;
+        this.setSectionStreaming(false);
+      }
+    }
+  }
+
+  /**
+   * Stop the section that is being regenerated; the previous content is kept
+   */
+  stopSectionGeneration() {
+    if (this.sectionStream) {
+      this.sectionStream.abort();
+    }
+  }
+
+  /**
+   * Swap the section actions for a stop button while a section streams
+   */
+  setSectionStreaming(isStreaming) {
+    const actions = document.querySelector('.section-editor-actions');
+    if (!actions || this.options.readOnly) return;
+
+    const editBtn = document.getElementById('edit-section-btn');
+    const regenerateBtn = document.getElementById('regenerate-section-btn');
+    if (editBtn) editBtn.disabled = isStreaming;
+    if (regenerateBtn) regenerateBtn.disabled = isStreaming;
+
+    let stopBtn = document.getElementById('stop-section-btn');
+    if (isStreaming && !stopBtn) {
+      stopBtn = document.createElement('button');
+      stopBtn.id = 'stop-section-btn';
+      stopBtn.className = 'btn btn-sm btn-outline-danger';
+      stopBtn.innerHTML = '<i class="bi bi-stop-circle"></i> Stop';
+      stopBtn.addEventListener('click', () => this.stopSectionGeneration());
+      actions.appendChild(stopBtn);
+    } else if (!isStreaming && stopBtn) {
+      stopBtn.remove();
     }
   }
 
@@ -1226,15 +1555,12 @@ class ReportEditor {
         throw new Error('Failed to start report generation');
       }
 
-      const data = await response.json();
+      await response.json();
 
       this.hideOverlay();
 
-      // Show a message about background processing
-      alert('Report generation has started. This process runs in the background and may take a few minutes. You can check the status in the dashboard or refresh this page later.');
-
-      // Redirect to dashboard or status page
-      window.location.href = '/dashboard.html';
+      // Follow progress live; sections appear in the list as they are generated
+      this.followGenerationEvents();
     } catch (error) {
       console.error('Error generating report:', error);
       this.hideOverlay();
@@ -1242,6 +1568,246 @@ class ReportEditor {
     }
   }
 
+  /**
+   * Ask the server whether the current report's generation job is still queued or running.
+   * The report status alone can't tell: it changes as sections are written.
+   */
+  async isGenerationActive() {
+    try {
+      const response = await fetch(`${this.options.apiBasePath}/${this.report._id}/status`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        return false;
+      }
+
+      const status = await response.json();
+      return Boolean(status.active);
+    } catch (error) {
+      console.error('Error checking generation status:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Consume the generation event stream for the current report
+   */
+  async followGenerationEvents() {
+    // Only one stream per editor
+    if (this.generationStream) {
+      this.generationStream.abort();
+    }
+
+    const controller = new AbortController();
+    this.generationStream = controller;
+    this.setGenerating(true);
+
+    try {
+      const response = await fetch(`${this.options.apiBasePath}/${this.report._id}/events`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Accept': 'text/event-stream'
+        },
+        signal: controller.signal
+      });
+
+      if (!response.ok || !response.body) {
+        throw new Error('Failed to connect to generation events');
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Events are separated by a blank line
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        for (const rawEvent of events) {
+          const parsed = this.parseServerEvent(rawEvent);
+          if (parsed) {
+            await this.handleGenerationEvent(parsed.event, parsed.data);
+          }
+        }
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Error following report generation:', error);
+        this.showError('Lost connection to report generation. Refresh the page to check its status.');
+      }
+    } finally {
+      if (this.generationStream === controller) {
+        this.generationStream = null;
+        this.setGenerating(false);
+      }
+    }
+  }
+
+  /**
+   * Parse a single Server-Sent Event block
+   */
+  parseServerEvent(rawEvent) {
+    let event = 'message';
+    const dataLines = [];
+
+    rawEvent.split('\n').forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    });
+
+    // Comment-only blocks (heartbeats) carry no data
+    if (dataLines.length === 0) return null;
+
+    try {
+      return { event, data: JSON.parse(dataLines.join('\n')) };
+    } catch (error) {
+      console.error('Invalid generation event:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Apply a generation event to the editor
+   */
+  async handleGenerationEvent(event, data) {
+    switch (event) {
+      case 'status':
+        if (data.queue) {
+          const minutes = Math.ceil(data.queue.estimatedWaitSeconds / 60);
+          this.showGenerationProgress(`Queued: position ${data.queue.position}, starts in about ${minutes} min`);
+        } else {
+          this.showGenerationProgress(this.formatStatus(data.status), data.progress);
+        }
+        break;
+      case 'progress':
+        this.showGenerationProgress(data.message || 'Generating', data.progress);
+        break;
+      case 'section':
+        if (data.sectionStatus === 'failed') {
+          this.showError(`Failed to generate ${data.title}. It will be retried.`);
+        }
+        await this.refreshSections();
+        break;
+      case 'retry':
+        this.showGenerationProgress(`Retrying (attempt ${data.attempts + 1} of ${data.maxAttempts})`, data.progress);
+        break;
+      case 'completed':
+        await this.refreshSections();
+        if (!this.currentSection && this.report.sections.length > 0) {
+          this.selectSection(this.report.sections[0].id);
+        }
+        break;
+      case 'cancelled':
+        await this.refreshSections();
+        break;
+      case 'failed':
+      case 'error':
+        await this.refreshSections();
+        this.showError(`Report generation failed: ${data.error || 'Unknown error'}`);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Reload the report and re-render the section list without interrupting editing
+   */
+  async refreshSections() {
+    try {
+      const response = await fetch(`${this.options.apiBasePath}/${this.report._id}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to refresh report');
+      }
+
+      const data = await response.json();
+      this.report = data.report;
+
+      this.updateReportHeader();
+      this.renderSectionList();
+    } catch (error) {
+      console.error('Error refreshing sections:', error);
+    }
+  }
+
+  /**
+   * Show generation progress in the status badge
+   */
+  showGenerationProgress(message, progress) {
+    const statusEl = document.getElementById('report-status');
+    if (!statusEl) return;
+
+    statusEl.textContent = typeof progress === 'number' ? `${message} (${progress}%)` : message;
+    statusEl.className = 'status-badge generating';
+  }
+
+  /**
+   * Toggle the generate and cancel buttons while a generation is being followed
+   */
+  setGenerating(isGenerating) {
+    const generateBtn = document.getElementById('generate-btn');
+    if (generateBtn) {
+      generateBtn.disabled = isGenerating;
+    }
+
+    const cancelGenerationBtn = document.getElementById('cancel-generation-btn');
+    if (cancelGenerationBtn) {
+      cancelGenerationBtn.style.display = isGenerating ? '' : 'none';
+      cancelGenerationBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Cancel the running report generation
+   */
+  async cancelGeneration() {
+    const confirm = window.confirm('Stop generating this report? Sections generated so far will be kept.');
+    if (!confirm) return;
+
+    const cancelGenerationBtn = document.getElementById('cancel-generation-btn');
+    if (cancelGenerationBtn) cancelGenerationBtn.disabled = true;
+
+    try {
+      const response = await fetch(`${this.options.apiBasePath}/${this.report._id}/generate/cancel`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to cancel report generation');
+      }
+
+      const data = await response.json();
+      this.showGenerationProgress(data.status === 'cancelling' ? 'Cancelling after current section' : 'Cancelled');
+    } catch (error) {
+      console.error('Error cancelling report generation:', error);
+      if (cancelGenerationBtn) cancelGenerationBtn.disabled = false;
+      this.showError('Failed to cancel report generation. Please try again.');
+    }
+  }
+
   /**
    * Export the report as PDF or HTML
    */
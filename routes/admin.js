@@ -3,6 +3,8 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const promptTemplateController = require('../controllers/promptTemplateController');
+const experimentController = require('../controllers/experimentController');
 const { authenticate, authorize } = require('../middleware/auth');
 const { standardLimiter } = require('../middleware/rateLimiter');
 
@@ -22,6 +24,43 @@ router.get('/usage', standardLimiter, adminController.getUsageData);
 // Job queue status
 router.get('/jobs', standardLimiter, adminController.getJobQueueStatus);
 
+// Job queue controls
+router.post('/queue/pause', standardLimiter, adminController.pauseJobQueue);
+router.post('/queue/resume', standardLimiter, adminController.resumeJobQueue);
+router.put('/jobs/:jobId/priority', standardLimiter, adminController.updateJobPriority);
+router.post('/jobs/:jobId/cancel', standardLimiter, adminController.cancelJob);
+
+// Dead-letter queue
+router.get('/jobs/dead-letter', standardLimiter, adminController.listDeadLetterJobs);
+router.get('/jobs/dead-letter/:jobId', standardLimiter, adminController.getDeadLetterJob);
+router.post('/jobs/dead-letter/:jobId/replay', standardLimiter, adminController.replayDeadLetterJob);
+
+// LLM cost rollups and monthly budgets
+router.get('/usage/costs', standardLimiter, adminController.getUsageCosts);
+router.get('/budgets/:scope/:scopeId', standardLimiter, adminController.getBudget);
+router.put('/budgets/:scope/:scopeId', standardLimiter, adminController.updateBudget);
+router.delete('/budgets/:scope/:scopeId', standardLimiter, adminController.deleteBudget);
+
+// LLM response cache
+router.get('/llm-cache', standardLimiter, adminController.getLlmCacheStats);
+router.delete('/llm-cache', standardLimiter, adminController.purgeLlmCache);
+
+// Prompt templates: drafts, preview, publish and rollback
+router.get('/prompt-templates', standardLimiter, promptTemplateController.listTemplates);
+router.post('/prompt-templates', standardLimiter, promptTemplateController.createTemplate);
+router.post('/prompt-templates/:sectionType/:variant/rollback', standardLimiter, promptTemplateController.rollbackTemplate);
+router.get('/prompt-templates/:id', standardLimiter, promptTemplateController.getTemplate);
+router.put('/prompt-templates/:id', standardLimiter, promptTemplateController.updateTemplate);
+router.delete('/prompt-templates/:id', standardLimiter, promptTemplateController.deleteTemplate);
+router.post('/prompt-templates/:id/preview', standardLimiter, promptTemplateController.previewTemplate);
+router.post('/prompt-templates/:id/publish', standardLimiter, promptTemplateController.publishTemplate);
+
+// A/B tests of prompt template versions
+router.get('/experiments', standardLimiter, experimentController.listExperiments);
+router.post('/experiments', standardLimiter, experimentController.createExperiment);
+router.get('/experiments/:id/results', standardLimiter, experimentController.getExperimentResults);
+router.post('/experiments/:id/stop', standardLimiter, experimentController.stopExperiment);
+
 // API response times
 router.get('/response-times', standardLimiter, adminController.getApiResponseTimes);
 
@@ -5,6 +5,10 @@ const router = express.Router();
 const reportController = require('../controllers/reportController');
 const exportController = require('../controllers/exportController');
 const customizationController = require('../controllers/customizationController');
+const scheduleController = require('../controllers/scheduleController');
+const batchController = require('../controllers/batchController');
+const financialStatementController = require('../controllers/financialStatementController');
+const projectionController = require('../controllers/projectionController');
 const { authenticate } = require('../middleware/auth');
 const { standardLimiter, reportGenerationLimiter } = require('../middleware/rateLimiter');
 const { validateBody, validationSchemas } = require('../utils/validation');
@@ -22,6 +26,16 @@ router.post('/',
   reportController.createReport
 );
 
+// Create reports in bulk from a CSV upload or a JSON list of companies
+router.post('/batch', 
+  reportGenerationLimiter, 
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  batchController.createBatch
+);
+
+// Aggregate progress of a batch
+router.get('/batch/:batchId', standardLimiter, batchController.getBatch);
+
 // Get a specific report
 router.get('/:id', standardLimiter, reportController.getReport);
 
@@ -37,15 +51,64 @@ router.post('/:id/section',
   reportController.generateSection
 );
 
+// Generate a section, streaming its text as it is written
+router.post('/:id/section/stream', 
+  reportGenerationLimiter, 
+  reportController.streamSection
+);
+
 // Queue full report generation
 router.post('/:id/generate', 
   reportGenerationLimiter, 
   reportController.generateReport
 );
 
+// Cancel a queued or running generation
+router.post('/:id/generate/cancel', 
+  standardLimiter, 
+  reportController.cancelGeneration
+);
+
 // Check report generation status
 router.get('/:id/status', standardLimiter, reportController.getGenerationStatus);
 
+// Stream live generation progress (Server-Sent Events)
+router.get('/:id/events', standardLimiter, reportController.streamGenerationEvents);
+
+// Recurring regeneration schedule
+router.get('/:id/schedule', standardLimiter, scheduleController.getSchedule);
+router.put('/:id/schedule', 
+  standardLimiter, 
+  validateBody(validationSchemas.report.schedule()),
+  scheduleController.updateSchedule
+);
+router.delete('/:id/schedule', standardLimiter, scheduleController.deleteSchedule);
+
+// Financial statements (CSV or XLSX) used by the financial sections
+router.post('/:id/financials', 
+  standardLimiter, 
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  express.raw({
+    type: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/octet-stream'],
+    limit: '5mb'
+  }),
+  financialStatementController.uploadStatements
+);
+router.get('/:id/financials', standardLimiter, financialStatementController.getStatements);
+router.delete('/:id/financials', standardLimiter, financialStatementController.deleteStatements);
+
+// Projection model behind the Financial Projections section
+router.get('/:id/projections', standardLimiter, projectionController.getProjection);
+router.put('/:id/projections/assumptions', standardLimiter, projectionController.updateAssumptions);
+router.delete('/:id/projections/assumptions', standardLimiter, projectionController.resetAssumptions);
+
+// LLM token and cost breakdown
+router.get('/:id/cost', standardLimiter, reportController.getReportCost);
+
+// Previous versions of a report
+router.get('/:id/versions', standardLimiter, reportController.getReportVersions);
+router.get('/:id/versions/:version', standardLimiter, reportController.getReportVersion);
+
 // Export a full report
 router.get('/:id/export', 
   standardLimiter, 
@@ -64,6 +64,8 @@ class AuthService {
         createdAt: new Date(),
         lastLogin: null,
         usageCount: 0,
+        // Users in the same organization share queue capacity, budgets and provider routing
+        organizationId: userData.organizationId || null,
         preferences: {
           theme: 'light',
           defaultTemplate: 'standard'
@@ -127,6 +129,11 @@ class AuthService {
       role: 'user' // Simplified role for MVP
     };
 
+    // The organization decides queue fair share, budgets and provider routing
+    if (user.organizationId) {
+      payload.organizationId = String(user.organizationId);
+    }
+
     return jwt.sign(
       payload,
       process.env.JWT_SECRET || 'fallback_jwt_secret',
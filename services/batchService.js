@@ -0,0 +1,227 @@
+// services/batchService.js
+
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../config/db');
+const enhancedReportService = require('./enhancedReportService');
+const { validationSchemas } = require('../utils/validation');
+const { parseCsv } = require('../utils/csvParser');
+
+// Upper bound on companies per batch
+const MAX_BATCH_ROWS = 100;
+
+/**
+ * Batch report creation: validate a list of companies, create a report for
+ * each valid row, queue generation for all of them and track them as one batch.
+ */
+class BatchService {
+  constructor() {
+    this.maxRows = MAX_BATCH_ROWS;
+  }
+
+  /**
+   * Turn an upload into company rows
+   * @param {Object|String} input - CSV text, an array of companies, or { companies } / { csv }
+   * @returns {Array<Object>} Company rows
+   */
+  parseInput(input) {
+    if (typeof input === 'string') {
+      return parseCsv(input);
+    }
+
+    if (Array.isArray(input)) {
+      return input;
+    }
+
+    if (input && Array.isArray(input.companies)) {
+      return input.companies;
+    }
+
+    if (input && typeof input.csv === 'string') {
+      return parseCsv(input.csv);
+    }
+
+    throw new Error('Batch input must be CSV text or a list of companies');
+  }
+
+  /**
+   * Convert CSV strings to the types the create schema expects and drop empty cells
+   */
+  coerceRow(row, schema) {
+    const coerced = {};
+
+    Object.entries(row || {}).forEach(([field, value]) => {
+      if (value === '' || value === null || value === undefined) {
+        return;
+      }
+
+      const rules = schema.fields[field];
+      if (rules && rules.type === 'number' && typeof value === 'string' && !isNaN(Number(value))) {
+        coerced[field] = Number(value);
+      } else {
+        coerced[field] = value;
+      }
+    });
+
+    return coerced;
+  }
+
+  /**
+   * Create reports for every valid row and queue their generation
+   * @param {String} userId - Owner of the reports
+   * @param {Array<Object>} rows - Company rows
+   * @param {Object} options - Batch options
+   * @param {String} options.templateType - Template for rows that do not set one
+   * @param {String} options.organizationId - Organization to share queue capacity with
+   * @returns {Object} Batch summary with per-row results
+   */
+  async createBatch(userId, rows, options = {}) {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error('Batch must contain at least one company');
+    }
+
+    if (rows.length > this.maxRows) {
+      throw new Error(`Batch cannot contain more than ${this.maxRows} companies`);
+    }
+
+    const schema = validationSchemas.report.create();
+    const results = [];
+
+    for (let index = 0; index < rows.length; index++) {
+      const rowNumber = index + 1;
+      const company = this.coerceRow(rows[index], schema);
+
+      if (!company.templateType && options.templateType) {
+        company.templateType = options.templateType;
+      }
+
+      const { error, value } = schema.validate(company);
+      if (error) {
+        results.push({
+          row: rowNumber,
+          companyName: company.name || null,
+          status: 'invalid',
+          errors: error.details.map(detail => detail.message)
+        });
+        continue;
+      }
+
+      try {
+        const report = await enhancedReportService.createReport(userId, value);
+        const reportId = report._id.toString();
+
+        const job = await enhancedReportService.generateFullReport(
+          reportId,
+          userId,
+          value,
+          value.templateType || 'standard',
+          { organizationId: options.organizationId }
+        );
+
+        results.push({
+          row: rowNumber,
+          companyName: value.name,
+          status: 'queued',
+          reportId,
+          jobId: job.jobId,
+          errors: []
+        });
+      } catch (createError) {
+        console.error(`Batch row ${rowNumber} failed:`, createError);
+        results.push({
+          row: rowNumber,
+          companyName: value.name,
+          status: 'failed',
+          errors: [createError.message]
+        });
+      }
+    }
+
+    const batch = {
+      userId,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      totalRows: rows.length,
+      rows: results
+    };
+
+    const collection = await getCollection('reportBatches');
+    const result = await collection.insertOne(batch);
+    batch._id = result.insertedId;
+
+    return this.summarizeBatch(batch);
+  }
+
+  /**
+   * Get a batch with the live status of each of its reports
+   */
+  async getBatch(batchId, userId) {
+    const collection = await getCollection('reportBatches');
+    if (!ObjectId.isValid(batchId)) {
+      throw new Error('Batch not found');
+    }
+
+    const batch = await collection.findOne({ _id: new ObjectId(batchId), userId });
+    if (!batch) {
+      throw new Error('Batch not found');
+    }
+
+    // Look up the current state of every report in the batch
+    const reportIds = batch.rows.filter(row => row.reportId).map(row => new ObjectId(row.reportId));
+    const reportsCollection = await enhancedReportService.ensureInitialized();
+    const reports = reportIds.length > 0
+      ? await reportsCollection.find(
+        { _id: { $in: reportIds }, userId },
+        { projection: { status: 1, generationProgress: 1, generationError: 1 } }
+      ).toArray()
+      : [];
+
+    const reportsById = new Map(reports.map(report => [report._id.toString(), report]));
+
+    const rows = batch.rows.map(row => {
+      if (!row.reportId) return row;
+
+      const report = reportsById.get(row.reportId);
+      if (!report) {
+        return { ...row, status: 'deleted' };
+      }
+
+      return {
+        ...row,
+        status: report.status,
+        progress: report.status === 'completed' ? 100 : Math.round(report.generationProgress || 0),
+        errors: report.generationError ? [...row.errors, report.generationError] : row.errors
+      };
+    });
+
+    return this.summarizeBatch({ ...batch, rows });
+  }
+
+  /**
+   * Aggregate counts and overall progress for a batch
+   */
+  summarizeBatch(batch) {
+    const statusCounts = {};
+    batch.rows.forEach(row => {
+      statusCounts[row.status] = (statusCounts[row.status] || 0) + 1;
+    });
+
+    const reportRows = batch.rows.filter(row => row.reportId);
+    const progress = reportRows.length > 0
+      ? Math.round(reportRows.reduce((sum, row) => sum + (row.progress || 0), 0) / reportRows.length)
+      : 0;
+
+    return {
+      batchId: batch._id,
+      createdAt: batch.createdAt,
+      totalRows: batch.totalRows,
+      reportsCreated: reportRows.length,
+      invalidRows: batch.rows.filter(row => row.status === 'invalid').length,
+      statusCounts,
+      progress,
+      rows: batch.rows
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new BatchService();
@@ -1,15 +1,39 @@
 // services/contentQualityService.js
 
 const openaiService = require('./openaiService');
+const { RUBRIC_VERSION, PASSING_SCORE, getRubric } = require('./qualityRubrics');
+
+// Words that make a recommendation explicit when they appear next to "recommend"
+const RATING_PATTERN = /\b(strong buy|buy|hold|sell|strong sell|invest|pass|approve|decline|overweight|underweight|neutral)\b/i;
+
+// Four-digit numbers in this range without a currency are years, not figures
+const YEAR_PATTERN = /^(19|20)\d\d$/;
+
+/**
+ * Count the distinct figures cited in text: amounts, percentages and other
+ * numbers, ignoring years and list numbering
+ */
+const countFigures = (text) => {
+  const withoutListMarkers = String(text || '').replace(/^\s*\d+[.)]\s/gm, '');
+  const figures = (withoutListMarkers.match(/[$€£¥]?\d[\d,]*(?:\.\d+)?/g) || [])
+    .filter(figure => !YEAR_PATTERN.test(figure));
+  return new Set(figures).size;
+};
+
+const countWords = (text) => (String(text || '').match(/\S+/g) || []).length;
 
 class ContentQualityService {
   constructor() {
     this.qualityChecks = {
-      executiveSummary: this.checkExecutiveSummary,
-      financialAnalysis: this.checkFinancialAnalysis,
-      // Add more section-specific checks
+      executiveSummary: content => this.checkExecutiveSummary(content),
+      financialAnalysis: content => this.checkFinancialAnalysis(content)
+      // Other sections use evaluateWithRubric directly
     };
 
+    // Improvement rounds allowed per section in the evaluate-and-improve loop
+    const maxIterations = parseInt(process.env.QUALITY_MAX_ITERATIONS);
+    this.maxIterations = isNaN(maxIterations) ? 2 : maxIterations;
+
     // Quality evaluation prompt
     this.evaluationPrompt = `You are a senior financial analyst and editor reviewing content for an underwriting report. 
 Evaluate the following content for quality, accuracy, and professionalism.
@@ -29,7 +53,7 @@ Provide your evaluation as a JSON object with the following structure:
   }
 
   /**
-   * Evaluate content quality
+   * Evaluate content quality against the section's rubric
    */
   async evaluateContent(content, sectionType) {
     try {
@@ -38,8 +62,7 @@ Provide your evaluation as a JSON object with the following structure:
         return this.qualityChecks[sectionType](content);
       }
 
-      // Otherwise use generic evaluation
-      return this.genericQualityCheck(content);
+      return this.evaluateWithRubric(content, sectionType);
     } catch (error) {
       console.error('Error evaluating content quality:', error);
       return {
@@ -51,7 +74,157 @@ Provide your evaluation as a JSON object with the following structure:
   }
 
   /**
-   * Generic quality check for any content
+   * Score content against a section rubric
+   * @returns {Object} { passed, score (0-10), rubricVersion, checks, issues, strengths, weaknesses, suggestions, factualIssues, tonalIssues }
+   */
+  evaluateWithRubric(content, sectionType) {
+    const checks = getRubric(sectionType).map(criterion => ({
+      id: criterion.id,
+      label: criterion.label,
+      weight: criterion.weight,
+      ...this.checkCriterion(criterion, content)
+    }));
+
+    const totalWeight = checks.reduce((sum, check) => sum + check.weight, 0);
+    const earned = checks.reduce((sum, check) => sum + check.weight * check.score, 0);
+    const score = Math.round((earned / totalWeight) * 100) / 10;
+
+    const failed = checks.filter(check => !check.passed);
+
+    return {
+      passed: score >= PASSING_SCORE,
+      score,
+      rubricVersion: RUBRIC_VERSION,
+      checks: checks.map(({ suggestion, ...check }) => check),
+      issues: failed.map(check => check.issue),
+      strengths: checks.filter(check => check.passed).map(check => check.label),
+      weaknesses: failed.map(check => check.issue),
+      suggestions: failed.map(check => check.suggestion),
+      factualIssues: [],
+      tonalIssues: []
+    };
+  }
+
+  /**
+   * Check one rubric criterion
+   * @returns {Object} { passed, score (0-1), issue, suggestion }
+   */
+  checkCriterion(criterion, content) {
+    const text = String(content || '');
+
+    switch (criterion.type) {
+      case 'topics': {
+        const missing = criterion.topics
+          .filter(topic => !topic.patterns.some(pattern => pattern.test(text)))
+          .map(topic => topic.name);
+        return {
+          passed: missing.length === 0,
+          score: 1 - missing.length / criterion.topics.length,
+          issue: `Missing subsections: ${missing.join(', ')}`,
+          suggestion: `Add subsections covering ${missing.join(', ')}`
+        };
+      }
+
+      case 'figures': {
+        const count = countFigures(text);
+        return {
+          passed: count >= criterion.min,
+          score: Math.min(1, count / criterion.min),
+          issue: `Cites ${count} figures; at least ${criterion.min} expected`,
+          suggestion: 'Support the analysis with specific figures from the company data'
+        };
+      }
+
+      case 'recommendation': {
+        const explicit = text.split(/\n|(?<=[.!?])\s+/)
+          .some(sentence => /recommend/i.test(sentence) && RATING_PATTERN.test(sentence));
+        return {
+          passed: explicit,
+          score: explicit ? 1 : 0,
+          issue: 'No explicit recommendation',
+          suggestion: 'State the recommendation explicitly, e.g. "Recommendation: Buy"'
+        };
+      }
+
+      case 'pattern': {
+        const matched = criterion.patterns.filter(pattern => pattern.test(text)).length;
+        return {
+          passed: matched === criterion.patterns.length,
+          score: matched / criterion.patterns.length,
+          issue: `Does not meet: ${criterion.label}`,
+          suggestion: criterion.label
+        };
+      }
+
+      case 'length': {
+        const words = countWords(text);
+        return {
+          passed: words >= criterion.minWords,
+          score: Math.min(1, words / criterion.minWords),
+          issue: `${words} words; at least ${criterion.minWords} expected`,
+          suggestion: 'Expand the analysis to cover each subsection in depth'
+        };
+      }
+
+      default:
+        throw new Error(`Unknown rubric criterion type: ${criterion.type}`);
+    }
+  }
+
+  /**
+   * Evaluate content and, while it fails its rubric, ask the model to improve it,
+   * up to maxIterations rounds. The best-scoring version is kept, and the loop
+   * stops early when a round does not raise the score.
+   * options.beforeRound(iteration) runs before each model call: it returns false
+   * to stop the loop (e.g. over budget), or options for the call ({ downgrade }).
+   * @param {Object} options - { maxIterations, provider, usageContext, beforeRound }
+   * @returns {Object} { content, evaluation, iterations, improved, stoppedEarly,
+   * rounds: [{ tokensUsed, model, provider }] }
+   */
+  async evaluateAndImprove(content, sectionType, options = {}) {
+    const maxIterations = options.maxIterations ?? this.maxIterations;
+    let best = { content, evaluation: await this.evaluateContent(content, sectionType) };
+    let iterations = 0;
+    let stoppedEarly = false;
+    const rounds = [];
+
+    while (!best.evaluation.passed && iterations < maxIterations) {
+      const roundOptions = options.beforeRound ? await options.beforeRound(iterations + 1) : {};
+      if (roundOptions === false) {
+        stoppedEarly = true;
+        break;
+      }
+
+      iterations++;
+      const response = await this.requestImprovement(best.content, best.evaluation, sectionType, {
+        ...options,
+        ...roundOptions
+      });
+      rounds.push({
+        tokensUsed: response.usage?.total_tokens || 0,
+        model: response.model || null,
+        provider: response.provider || null
+      });
+
+      const evaluation = await this.evaluateContent(response.content, sectionType);
+      if (evaluation.score <= best.evaluation.score) {
+        break;
+      }
+      best = { content: response.content, evaluation };
+    }
+
+    return {
+      content: best.content,
+      evaluation: best.evaluation,
+      iterations,
+      improved: best.content !== content,
+      stoppedEarly,
+      rounds
+    };
+  }
+
+  /**
+   * Generic quality check for any content, by the model
    */
   async genericQualityCheck(content) {
     const prompt = this.evaluationPrompt.replace('{content}', content);
@@ -61,7 +234,8 @@ Provide your evaluation as a JSON object with the following structure:
       temperature: 0.3,
       maxTokens: 800,
       skipCache: true, // Always get fresh evaluation
-      systemPrompt: "You are a critical editor evaluating financial writing. Be thorough and honest in your assessment."
+      systemPrompt: "You are a critical editor evaluating financial writing. Be thorough and honest in your assessment.",
+      usageContext: { operation: 'qualityCheck' }
     });
 
     try {
@@ -92,13 +266,23 @@ Provide your evaluation as a JSON object with the following structure:
 
   /**
    * Improve content based on quality evaluation
+   * @param {Object} options - { provider, downgrade, usageContext } for the model call
    */
-  async improveContent(content, evaluation, sectionType) {
+  async improveContent(content, evaluation, sectionType, options = {}) {
     if (evaluation.passed && evaluation.score >= 8) {
       // Content is already high quality
       return content;
     }
 
+    const improved = await this.requestImprovement(content, evaluation, sectionType, options);
+    return improved.content;
+  }
+
+  /**
+   * Ask the model for an improved version of the content
+   * @returns {Object} The model response: { content, usage, model, provider }
+   */
+  async requestImprovement(content, evaluation, sectionType, options = {}) {
     const improvementPrompt = `You are a senior financial editor improving content for an underwriting report.
 
 Original content:
@@ -113,31 +297,34 @@ ${JSON.stringify(evaluation, null, 2)}
 
 Revise the content to address the identified weaknesses and issues while preserving the original structure and meaning.
 Focus particularly on addressing these specific issues:
-${evaluation.weaknesses.map(w => `- ${w}`).join('\n')}
-${evaluation.factualIssues.map(i => `- ${i}`).join('\n')}
-${evaluation.tonalIssues.map(t => `- ${t}`).join('\n')}
+${(evaluation.weaknesses || []).map(w => `- ${w}`).join('\n')}
+${(evaluation.factualIssues || []).map(i => `- ${i}`).join('\n')}
+${(evaluation.tonalIssues || []).map(t => `- ${t}`).join('\n')}
 
 Take the suggestions into account:
-${evaluation.suggestions.map(s => `- ${s}`).join('\n')}
+${(evaluation.suggestions || []).map(s => `- ${s}`).join('\n')}
+
+Do not invent figures; only use numbers already in the content.
 
 Maintain the original intent, but improve the quality, clarity, and professionalism.`;
 
-    const improved = await openaiService.generateContent(improvementPrompt, {
+    return openaiService.generateContent(improvementPrompt, {
       temperature: 0.3,
       maxTokens: 2000,
-      systemPrompt: "You are a skilled financial editor who improves content while maintaining its structure and intent."
+      systemPrompt: "You are a skilled financial editor who improves content while maintaining its structure and intent.",
+      provider: options.provider,
+      downgrade: !!options.downgrade,
+      usageContext: { ...options.usageContext, sectionType, operation: 'contentImprovement' }
     });
-
-    return improved.content;
   }
 
   // Section-specific quality checks
   async checkExecutiveSummary(content) {
-    // Implementation similar to genericQualityCheck but with executive summary specific criteria
+    return this.evaluateWithRubric(content, 'executiveSummary');
   }
 
   async checkFinancialAnalysis(content) {
-    // Implementation similar to genericQualityCheck but with financial analysis specific criteria
+    return this.evaluateWithRubric(content, 'financialAnalysis');
   }
 }
 
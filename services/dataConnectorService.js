@@ -0,0 +1,299 @@
+// services/dataConnectorService.js
+
+const HttpConnector = require('./dataConnectors/httpConnector');
+const FixtureConnector = require('./dataConnectors/fixtureConnector');
+
+const { getPath } = HttpConnector;
+
+// Connector implementations by type
+const CONNECTOR_TYPES = {
+  http: HttpConnector,
+  fixture: FixtureConnector
+};
+
+// Company data inputs a connector can supply, and the normalized field each feeds
+const INPUT_FIELDS = {
+  description: 'company.description',
+  foundingYear: 'company.foundingYear',
+  headquarters: 'company.headquarters',
+  employeeCount: 'company.employees',
+  industry: 'company.industry',
+  website: 'company.website',
+  status: 'company.status',
+  revenue: 'financials.revenue',
+  revenueHistory: 'financials.growth',
+  growthRate: 'financials.growth',
+  funding: 'financials.funding',
+  fundingRounds: 'financials.funding',
+  latestRound: 'financials.funding',
+  investors: 'financials.funding',
+  profitability: 'financials.profitability',
+  cashPosition: 'financials.cashPosition',
+  competitors: 'market.competitors'
+};
+
+// Name of the user's own data in precedence lists
+const USER_SOURCE = 'user';
+
+const DEFAULT_CONFIDENCE = 80;
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+// Parse a JSON map from an environment variable, ignoring malformed values
+const parseJsonEnv = (name) => {
+  try {
+    const value = JSON.parse(process.env[name] || '{}');
+    return value && typeof value === 'object' ? value : {};
+  } catch (error) {
+    console.error(`Invalid ${name}, expected a JSON object:`, error.message);
+    return {};
+  }
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '' &&
+  !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Looks up companies in external data sources and merges what they return
+ * into the user's company data before normalization.
+ *
+ * Connectors are configured in DATA_CONNECTORS, a JSON map of connector name to
+ * { type, label, fields, confidence, rateLimit, cacheTtlMs, ...type options },
+ * where fields maps company data inputs (INPUT_FIELDS) to paths in the
+ * connector's record. DATA_SOURCE_PRECEDENCE decides which source wins when
+ * several have a value: { "default": ["user", "registry"], "revenue": ["vendor", "user"] }.
+ * Connectors missing from a field's list are not used for that field. A list
+ * without "user" lets its connectors override the user's data, but the user's
+ * value is kept when none of them has one. Without a list the user's data wins,
+ * then connectors in configuration order.
+ */
+class DataConnectorService {
+  constructor() {
+    this.inputFields = INPUT_FIELDS;
+    this.userSource = USER_SOURCE;
+    this.connectors = new Map();
+    this.cache = new Map();
+    this.requestTimes = new Map();
+    this.loadConfig();
+  }
+
+  /**
+   * Read connector settings and source precedence from the environment
+   */
+  loadConfig() {
+    this.connectors.clear();
+    this.cache.clear();
+    this.requestTimes.clear();
+    this.precedence = parseJsonEnv('DATA_SOURCE_PRECEDENCE');
+
+    for (const [name, config] of Object.entries(parseJsonEnv('DATA_CONNECTORS'))) {
+      const Connector = CONNECTOR_TYPES[config?.type];
+      if (!Connector) {
+        console.error(`Unknown type for data connector ${name}: ${config?.type}`);
+        continue;
+      }
+
+      this.registerConnector(name, new Connector({ ...config, name }), config);
+    }
+  }
+
+  /**
+   * Register a connector instance, e.g. a custom implementation or a fixture stand-in
+   * @param {String} name - Connector name, as used in precedence lists
+   * @param {Object} connector - Object with label and fetch({ name, website, domain })
+   * @param {Object} options - { fields, confidence, rateLimit: { requests, intervalMs }, cacheTtlMs }
+   */
+  registerConnector(name, connector, options = {}) {
+    const fields = {};
+    for (const [field, sourcePath] of Object.entries(options.fields || {})) {
+      if (INPUT_FIELDS[field]) {
+        fields[field] = sourcePath;
+      } else {
+        console.error(`Data connector ${name} maps unknown field: ${field}`);
+      }
+    }
+
+    this.connectors.set(name, {
+      connector,
+      label: connector.label || name,
+      fields,
+      confidence: options.confidence ?? DEFAULT_CONFIDENCE,
+      rateLimit: options.rateLimit || null,
+      cacheTtlMs: options.cacheTtlMs ?? DEFAULT_CACHE_TTL_MS
+    });
+  }
+
+  hasConnectors() {
+    return this.connectors.size > 0;
+  }
+
+  /**
+   * Get a registered connector's label and confidence
+   * @param {String} name - Connector name
+   */
+  getConnectorInfo(name) {
+    const entry = this.connectors.get(name);
+    return entry ? { name, label: entry.label, confidence: entry.confidence } : null;
+  }
+
+  /**
+   * Sources in the order they are tried for an input field
+   * @param {String} field - Input field, e.g. 'revenue'
+   */
+  getPrecedence(field) {
+    const order = this.precedence[field] || this.precedence.default;
+    return Array.isArray(order) ? order : [USER_SOURCE, ...this.connectors.keys()];
+  }
+
+  buildQuery(rawData) {
+    const website = rawData.website || null;
+    let domain = null;
+
+    if (website) {
+      try {
+        domain = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`)
+          .hostname.replace(/^www\./, '');
+      } catch (error) {
+        domain = null;
+      }
+    }
+
+    return { name: rawData.name || null, website, domain };
+  }
+
+  // Sliding window of request times per connector; true when the window is full
+  isRateLimited(name, rateLimit) {
+    if (!rateLimit?.requests) {
+      return false;
+    }
+
+    const now = Date.now();
+    const windowStart = now - (rateLimit.intervalMs || 60000);
+    const times = (this.requestTimes.get(name) || []).filter(time => time > windowStart);
+
+    if (times.length >= rateLimit.requests) {
+      this.requestTimes.set(name, times);
+      return true;
+    }
+
+    times.push(now);
+    this.requestTimes.set(name, times);
+    return false;
+  }
+
+  getCached(key) {
+    const cached = this.cache.get(key);
+    if (!cached) return null;
+
+    if (cached.expiresAt <= Date.now()) {
+      this.cache.delete(key);
+      return null;
+    }
+
+    return cached.result;
+  }
+
+  setCached(key, result, ttlMs) {
+    if (ttlMs <= 0) return;
+
+    // Maps keep insertion order, so the first key is the oldest entry
+    if (this.cache.size >= MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    this.cache.set(key, { result, expiresAt: Date.now() + ttlMs });
+  }
+
+  /**
+   * Fetch a company from one connector and map its record to input fields
+   * @returns {Object} { status, fields, fetchedAt, cached, error }; status is
+   * 'ok', 'no_match', 'rate_limited' or 'error'
+   */
+  async fetchFromConnector(name, query) {
+    const entry = this.connectors.get(name);
+    const cacheKey = `${name}:${(query.domain || '').toLowerCase()}|${(query.name || '').toLowerCase()}`;
+
+    const cached = this.getCached(cacheKey);
+    if (cached) {
+      return { ...cached, cached: true };
+    }
+
+    if (this.isRateLimited(name, entry.rateLimit)) {
+      return { status: 'rate_limited', fields: {} };
+    }
+
+    try {
+      const record = await entry.connector.fetch(query);
+      const fields = {};
+
+      if (record) {
+        for (const [field, sourcePath] of Object.entries(entry.fields)) {
+          const value = getPath(record, sourcePath);
+          if (hasValue(value)) {
+            fields[field] = value;
+          }
+        }
+      }
+
+      const result = {
+        status: record ? 'ok' : 'no_match',
+        fields,
+        fetchedAt: new Date().toISOString()
+      };
+      this.setCached(cacheKey, result, entry.cacheTtlMs);
+
+      return { ...result, cached: false };
+    } catch (error) {
+      // Failures are not cached so the next report retries the source
+      console.error(`Data connector ${name} failed:`, error.message);
+      return { status: 'error', fields: {}, error: error.message };
+    }
+  }
+
+  /**
+   * Look the company up in every connector and merge the results into its data
+   * @param {Object} rawData - User-provided company data
+   * @returns {Object} { data, fieldSources, sources }: the merged input data, the
+   * connector each merged input field came from, and a status per connector
+   */
+  async enrich(rawData) {
+    if (!this.hasConnectors()) {
+      return { data: rawData, fieldSources: {}, sources: {} };
+    }
+
+    const query = this.buildQuery(rawData);
+    const names = [...this.connectors.keys()];
+    const results = await Promise.all(names.map(name => this.fetchFromConnector(name, query)));
+
+    const sources = {};
+    names.forEach((name, index) => {
+      const { fields, ...status } = results[index];
+      sources[name] = { ...status, label: this.connectors.get(name).label, fields: Object.keys(fields) };
+    });
+
+    const data = { ...rawData };
+    const fieldSources = {};
+    const candidateFields = new Set(results.flatMap(result => Object.keys(result.fields)));
+
+    for (const field of candidateFields) {
+      for (const source of this.getPrecedence(field)) {
+        if (source === USER_SOURCE) {
+          if (hasValue(rawData[field])) break;
+          continue;
+        }
+
+        const index = names.indexOf(source);
+        if (index !== -1 && hasValue(results[index].fields[field])) {
+          data[field] = results[index].fields[field];
+          fieldSources[field] = source;
+          break;
+        }
+      }
+    }
+
+    return { data, fieldSources, sources };
+  }
+}
+
+// Export a singleton instance
+module.exports = new DataConnectorService();
@@ -0,0 +1,54 @@
+// services/dataConnectors/fixtureConnector.js
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Connector backed by local fixture records, for tests, demos and offline
+ * development. Records are keyed by company name or website domain
+ * (case-insensitive) and no network calls are made.
+ */
+class FixtureConnector {
+  /**
+   * @param {Object} config - Connector configuration
+   * @param {Object} config.fixtures - Map of company name or domain to record
+   * @param {String} config.fixturesPath - JSON file with the same map, used when fixtures is not set
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'fixture';
+    this.label = config.label || 'Fixture data';
+
+    const fixtures = config.fixtures || (config.fixturesPath ? this.loadFixtures(config.fixturesPath) : {});
+    this.records = new Map(
+      Object.entries(fixtures).map(([key, record]) => [key.trim().toLowerCase(), record])
+    );
+  }
+
+  loadFixtures(fixturesPath) {
+    try {
+      return JSON.parse(fs.readFileSync(path.resolve(fixturesPath), 'utf8'));
+    } catch (error) {
+      console.error(`Could not load fixtures for data connector ${this.name}:`, error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Look up a company record
+   * @param {Object} query - { name, website, domain }
+   * @returns {Object|null} A copy of the matching record
+   */
+  async fetch(query = {}) {
+    const keys = [query.domain, query.name].filter(Boolean).map(key => String(key).trim().toLowerCase());
+
+    for (const key of keys) {
+      if (this.records.has(key)) {
+        return JSON.parse(JSON.stringify(this.records.get(key)));
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = FixtureConnector;
@@ -0,0 +1,108 @@
+// services/dataConnectors/httpConnector.js
+
+const { createHttpClient } = require('../llmProviders/httpClient');
+
+// Read a value at a dotted path such as 'data.0.company'
+const getPath = (object, dottedPath) => dottedPath.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  object
+);
+
+/**
+ * Connector for a JSON REST API: a company registry, financial data vendor,
+ * news service or CRM. The request path and query parameters are templates
+ * filled from the lookup, e.g. '/companies?domain={domain}'.
+ */
+class HttpConnector {
+  /**
+   * @param {Object} config - Connector configuration
+   * @param {String} config.baseURL - API base URL
+   * @param {String} config.path - Request path template with {name}, {domain} or {website}
+   * @param {Object} config.params - Query parameter templates
+   * @param {String} config.apiKey - API key; or config.apiKeyEnv, the environment variable holding it
+   * @param {String} config.apiKeyHeader - Header for the key; Authorization (as a bearer token) by default
+   * @param {Object} config.headers - Extra request headers
+   * @param {String} config.recordPath - Where the company record sits in the response body
+   * @param {Number} config.timeoutMs - Request timeout
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'http';
+    this.label = config.label || this.name;
+    this.baseURL = config.baseURL;
+    this.path = config.path || '/companies/{domain}';
+    this.params = config.params || {};
+    this.apiKey = config.apiKey || (config.apiKeyEnv ? process.env[config.apiKeyEnv] : undefined);
+    this.apiKeyHeader = config.apiKeyHeader || 'Authorization';
+    this.headers = config.headers || {};
+    this.recordPath = config.recordPath || null;
+    this.timeoutMs = config.timeoutMs || 5000;
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      const headers = { ...this.headers };
+      if (this.apiKey) {
+        headers[this.apiKeyHeader] = this.apiKeyHeader === 'Authorization' ? `Bearer ${this.apiKey}` : this.apiKey;
+      }
+
+      this.client = createHttpClient({ baseURL: this.baseURL, headers });
+    }
+
+    return this.client;
+  }
+
+  // Fill {placeholders} from the query; null when one has no value
+  fillTemplate(template, query) {
+    let missing = false;
+    const filled = String(template).replace(/\{(\w+)\}/g, (match, key) => {
+      if (!query[key]) {
+        missing = true;
+        return '';
+      }
+      return encodeURIComponent(query[key]);
+    });
+
+    return missing ? null : filled;
+  }
+
+  /**
+   * Look up a company record
+   * @param {Object} query - { name, website, domain }
+   * @returns {Object|null} The company record, or null when there is no match
+   */
+  async fetch(query = {}) {
+    const url = this.fillTemplate(this.path, query);
+    if (url === null) {
+      return null;
+    }
+
+    const params = {};
+    for (const [key, template] of Object.entries(this.params)) {
+      const value = this.fillTemplate(template, query);
+      if (value !== null) {
+        params[key] = decodeURIComponent(value);
+      }
+    }
+
+    try {
+      const response = await this.getClient().get(url, {
+        params,
+        timeout: this.timeoutMs,
+        retry: { count: 0 }
+      });
+
+      const record = this.recordPath ? getPath(response.data, this.recordPath) : response.data;
+      return record && typeof record === 'object' ? record : null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+HttpConnector.getPath = getPath;
+
+module.exports = HttpConnector;
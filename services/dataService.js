@@ -1,8 +1,69 @@
 // services/dataService.js
 const axios = require('axios');
+const dataConnectorService = require('./dataConnectorService');
+const financialStatementService = require('./financialStatementService');
+const projectionService = require('./projectionService');
+const { computeFinancialRatios } = require('../utils/financialRatios');
+
+// Where a normalized field came from. Stored per field in _metadata.provenance
+// so prompts and exports can tell sourced facts from estimates.
+const PROVENANCE = {
+  USER_PROVIDED: 'user_provided',
+  DERIVED: 'derived',
+  INDUSTRY_ESTIMATE: 'industry_estimate',
+  EXTERNAL_SOURCE: 'external_source',
+  UNAVAILABLE: 'unavailable'
+};
+
+const PROVENANCE_LABELS = {
+  [PROVENANCE.USER_PROVIDED]: 'Provided',
+  [PROVENANCE.EXTERNAL_SOURCE]: 'External source',
+  [PROVENANCE.DERIVED]: 'Derived',
+  [PROVENANCE.INDUSTRY_ESTIMATE]: 'Industry estimate',
+  [PROVENANCE.UNAVAILABLE]: 'Not available'
+};
+
+// Field confidence (0-100) by provenance; connectors can set their own
+const SOURCE_CONFIDENCE = {
+  [PROVENANCE.USER_PROVIDED]: 100,
+  [PROVENANCE.EXTERNAL_SOURCE]: 100,
+  [PROVENANCE.DERIVED]: 75,
+  [PROVENANCE.INDUSTRY_ESTIMATE]: 25,
+  [PROVENANCE.UNAVAILABLE]: 0
+};
+
+// Industry benchmarks behind the estimates: typical headcount, revenue per
+// employee (USD), annual growth (%) and operating margin (%)
+const INDUSTRY_BENCHMARKS = {
+  'Technology': { employees: 260, revenuePerEmployee: 400000, growthRate: 15, margin: 15 },
+  'Software': { employees: 260, revenuePerEmployee: 400000, growthRate: 18, margin: 20 },
+  'Healthcare': { employees: 525, revenuePerEmployee: 375000, growthRate: 8, margin: 12 },
+  'Financial Services': { employees: 525, revenuePerEmployee: 375000, growthRate: 5, margin: 25 },
+  'Retail': { employees: 1050, revenuePerEmployee: 250000, growthRate: 4, margin: 8 },
+  'Manufacturing': { employees: 1050, revenuePerEmployee: 225000, growthRate: 3, margin: 10 },
+  'Energy & Utilities': { employees: 155, revenuePerEmployee: 225000, growthRate: 2, margin: 15 },
+  'Telecommunications': { employees: 155, revenuePerEmployee: 225000, growthRate: 3, margin: 18 },
+  'Media & Entertainment': { employees: 155, revenuePerEmployee: 225000, growthRate: 6, margin: 12 }
+};
+
+// Used when the industry is unknown or has no benchmark of its own
+const DEFAULT_BENCHMARK = { employees: 155, revenuePerEmployee: 225000, growthRate: 8, margin: 10 };
+
+// Record where a field came from; research methods called for another
+// field's estimate are passed no provenance and record nothing
+const record = (provenance, path, source, basis) => {
+  if (provenance) {
+    provenance[path] = basis ? { source, basis } : { source };
+  }
+};
+
+const formatCurrency = (value) => (value >= 1000000000
+  ? `$${(value / 1000000000).toFixed(1)}B`
+  : `$${(value / 1000000).toFixed(1)}M`);
 
 class DataService {
   constructor() {
+    this.provenanceTypes = PROVENANCE;
     this.axiosInstance = axios.create({
       timeout: 10000,
       headers: {
@@ -12,58 +73,96 @@ class DataService {
   }
 
   /**
-   * Normalize and enrich company data from various sources
-   * @param {Object} rawData User-provided data
-   * @returns {Object} Normalized and enriched company data
+   * Normalize company data and fill gaps with labelled, deterministic estimates.
+   * Facts that cannot be estimated (founding year, funding, competitors...) are
+   * left as 'N/A' rather than invented.
+   * @param {Object} rawData User-provided data, merged with external connector data
+   * @returns {Object} Normalized company data; _metadata.provenance maps each field
+   * path (e.g. 'financials.revenue') to { source, basis }, _metadata.confidence.fields
+   * scores each field, and _metadata.externalSources has the status of each connector
    */
   async normalizeCompanyData(rawData) {
+    const provenance = {};
+
     try {
-      console.log('Normalizing and researching company data:', rawData.name);
+      console.log('Normalizing company data:', rawData.name);
+
+      // Merge data from external connectors; their values count as provided
+      const enriched = await this.enrichWithExternalData(rawData);
+      const { fieldSources, sources } = enriched;
+
+      // Uploaded financial statements replace the loose financial fields
+      const statements = this.applyFinancialStatements(enriched.data, fieldSources);
+      const input = statements.data;
 
       // Create standard structure for normalized data
       const normalizedData = {
         company: {
-          name: this.sanitizeCompanyName(rawData.name),
-          description: rawData.description || '',
-          foundingYear: await this.researchFoundingYear(rawData),
-          headquarters: await this.researchHeadquarters(rawData),
-          employees: await this.researchEmployeeCount(rawData),
-          industry: await this.researchIndustry(rawData),
-          website: await this.researchWebsite(rawData),
-          status: await this.researchCompanyStatus(rawData)
+          name: this.sanitizeCompanyName(input.name),
+          description: input.description || '',
+          foundingYear: await this.researchFoundingYear(input, provenance),
+          headquarters: await this.researchHeadquarters(input, provenance),
+          employees: await this.researchEmployeeCount(input, provenance),
+          industry: await this.researchIndustry(input, provenance),
+          website: await this.researchWebsite(input, provenance),
+          status: await this.researchCompanyStatus(input, provenance)
         },
         financials: {
-          revenue: await this.researchRevenue(rawData),
-          growth: await this.researchGrowthRate(rawData),
-          funding: await this.researchFunding(rawData),
-          profitability: await this.researchProfitability(rawData),
-          cashPosition: 'Estimated based on industry averages'
+          revenue: await this.researchRevenue(input, provenance),
+          growth: await this.researchGrowthRate(input, provenance),
+          funding: await this.researchFunding(input, provenance),
+          profitability: await this.researchProfitability(input, provenance),
+          cashPosition: await this.researchCashPosition(input, provenance)
         },
         market: {
-          size: await this.researchMarketSize(rawData),
-          growth: await this.researchMarketGrowth(rawData),
-          competitors: await this.researchCompetitors(rawData),
-          trends: await this.researchIndustryTrends(rawData)
+          size: await this.researchMarketSize(input, provenance),
+          growth: await this.researchMarketGrowth(input, provenance),
+          competitors: await this.researchCompetitors(input, provenance),
+          trends: await this.researchIndustryTrends(input, provenance)
         },
         risk: {
-          factors: await this.researchRiskFactors(rawData),
-          rating: await this.calculateRiskRating(rawData)
+          factors: await this.researchRiskFactors(input, provenance),
+          rating: await this.calculateRiskRating(input)
         }
       };
 
+      record(provenance, 'company.name', input.name ? PROVENANCE.USER_PROVIDED : PROVENANCE.UNAVAILABLE);
+      record(provenance, 'company.description', input.description ? PROVENANCE.USER_PROVIDED : PROVENANCE.UNAVAILABLE);
+      record(provenance, 'risk.rating', PROVENANCE.DERIVED, 'Scored from company age, size and industry');
+
+      this.applyExternalProvenance(provenance, fieldSources, rawData);
+      this.applyStatementProvenance(provenance, statements);
+
+      if (statements.fields.length > 0) {
+        normalizedData.financialStatements = input.financialStatements;
+        normalizedData.financialRatios = computeFinancialRatios(input.financialStatements);
+      }
+
+      // Projections start from the normalized revenue, under the report's assumptions
+      const projections = projectionService.project(normalizedData, input.projectionAssumptions);
+      if (projections) {
+        normalizedData.projections = projections;
+      }
+
       // Add confidence scores
-      return this.addConfidenceScores(normalizedData);
+      const scoredData = this.addConfidenceScores(normalizedData, provenance);
+      if (Object.keys(sources).length > 0) {
+        scoredData._metadata.externalSources = sources;
+      }
+
+      return scoredData;
     } catch (error) {
-      console.error('Error researching company data:', error);
+      console.error('Error normalizing company data:', error);
       // Return basic data structure with minimal information
-      return {
+      const industry = this.estimateIndustryFromDescription(rawData.description) || 'N/A';
+      const fallback = {
         company: {
           name: rawData.name || 'Unknown Company',
           description: rawData.description || '',
           foundingYear: 'N/A',
           headquarters: 'N/A',
           employees: 'N/A',
-          industry: this.estimateIndustryFromDescription(rawData.description) || 'N/A'
+          industry
         },
         financials: {
           revenue: 'N/A',
@@ -84,153 +183,89 @@ class DataService {
           }
         }
       };
+
+      const fallbackProvenance = {};
+      ['company', 'financials', 'market', 'risk'].forEach(group => {
+        Object.keys(fallback[group]).forEach(field => {
+          record(fallbackProvenance, `${group}.${field}`, PROVENANCE.UNAVAILABLE);
+        });
+      });
+      record(fallbackProvenance, 'company.name', PROVENANCE.USER_PROVIDED);
+      record(fallbackProvenance, 'company.description', rawData.description ? PROVENANCE.USER_PROVIDED : PROVENANCE.UNAVAILABLE);
+      if (industry !== 'N/A') {
+        record(fallbackProvenance, 'company.industry', PROVENANCE.DERIVED, 'Keywords in the company description');
+      }
+      record(fallbackProvenance, 'market.trends', PROVENANCE.INDUSTRY_ESTIMATE, 'Cross-industry trends');
+      record(fallbackProvenance, 'risk.factors', PROVENANCE.INDUSTRY_ESTIMATE, 'Generic risks for private companies');
+      record(fallbackProvenance, 'risk.rating', PROVENANCE.INDUSTRY_ESTIMATE, 'Neutral default rating');
+
+      return this.addConfidenceScores(fallback, fallbackProvenance);
     }
   }
 
   /**
-   * Research company founding year from various sources
+   * Industry benchmark used for estimates, and how to describe it
    */
-  async researchFoundingYear(rawData) {
-    // If provided, use it
-    if (rawData.foundingYear) {
-      const year = parseInt(rawData.foundingYear);
-      if (!isNaN(year) && year >= 1800 && year <= new Date().getFullYear()) {
-        return year;
-      }
-    }
-
-    try {
-      // In a real implementation, this would call external APIs or web scraping
-      // For MVP, we'll simulate API calls with a delay
-      await this.simulateApiDelay();
-
-      // For demonstration purposes, generate a plausible founding year
-      // In reality, this would use real data sources
-      const currentYear = new Date().getFullYear();
-      const randomAge = Math.floor(Math.random() * 30) + 3; // Companies between 3-33 years old
-      return currentYear - randomAge;
-    } catch (error) {
-      console.error('Error researching founding year:', error);
-      return 'N/A';
+  getIndustryBenchmark(industry) {
+    if (INDUSTRY_BENCHMARKS[industry]) {
+      return { ...INDUSTRY_BENCHMARKS[industry], label: `${industry} industry benchmark` };
     }
+    return { ...DEFAULT_BENCHMARK, label: 'Cross-industry benchmark' };
   }
 
   /**
-   * Research company headquarters location
+   * Founding year, if provided. There is no source to estimate it from.
    */
-  async researchHeadquarters(rawData) {
-    // If provided, use it
-    if (rawData.headquarters) {
-      return this.normalizeLocation(rawData.headquarters);
-    }
+  async researchFoundingYear(rawData, provenance) {
+    const year = this.extractFoundingYear(rawData);
+    record(provenance, 'company.foundingYear', year === 'N/A' ? PROVENANCE.UNAVAILABLE : PROVENANCE.USER_PROVIDED);
+    return year;
+  }
 
-    try {
-      // Simulate API call to research headquarters
-      await this.simulateApiDelay();
-
-      // For demonstration, return a plausible location
-      // In reality, this would use real data sources
-      const locations = [
-        'San Francisco, CA',
-        'New York, NY',
-        'Boston, MA',
-        'Austin, TX',
-        'Seattle, WA',
-        'Chicago, IL',
-        'Los Angeles, CA',
-        'Denver, CO',
-        'Atlanta, GA',
-        'Toronto, Canada',
-        'London, UK',
-        'Berlin, Germany'
-      ];
-
-      return locations[Math.floor(Math.random() * locations.length)];
-    } catch (error) {
-      console.error('Error researching headquarters:', error);
-      return 'N/A';
-    }
+  /**
+   * Headquarters location, if provided
+   */
+  async researchHeadquarters(rawData, provenance) {
+    const location = this.normalizeLocation(rawData.headquarters);
+    record(provenance, 'company.headquarters', location === 'N/A' ? PROVENANCE.UNAVAILABLE : PROVENANCE.USER_PROVIDED);
+    return location;
   }
 
   /**
-   * Research employee count
+   * Employee count, or the typical headcount for the industry
    */
-  async researchEmployeeCount(rawData) {
-    // If provided, use it
-    if (rawData.employeeCount) {
-      return this.normalizeEmployeeCount(rawData.employeeCount);
+  async researchEmployeeCount(rawData, provenance) {
+    const provided = this.normalizeEmployeeCount(rawData.employeeCount);
+    if (provided !== 'N/A') {
+      record(provenance, 'company.employees', PROVENANCE.USER_PROVIDED);
+      return provided;
     }
 
-    try {
-      // Simulate API call to research employee count
-      await this.simulateApiDelay();
-
-      // Generated based on industry
-      const industry = await this.researchIndustry(rawData);
-
-      // Different ranges based on estimated industry
-      let min, max;
-      if (industry.includes('Technology') || industry.includes('Software')) {
-        min = 20;
-        max = 500;
-      } else if (industry.includes('Healthcare') || industry.includes('Financial')) {
-        min = 50;
-        max = 1000;
-      } else if (industry.includes('Manufacturing') || industry.includes('Retail')) {
-        min = 100;
-        max = 2000;
-      } else {
-        min = 10;
-        max = 300;
-      }
-
-      return Math.floor(Math.random() * (max - min)) + min;
-    } catch (error) {
-      console.error('Error researching employee count:', error);
-      return 'N/A';
-    }
+    const benchmark = this.getIndustryBenchmark(await this.researchIndustry(rawData));
+    record(provenance, 'company.employees', PROVENANCE.INDUSTRY_ESTIMATE,
+      `Typical headcount (${benchmark.label})`);
+    return benchmark.employees;
   }
 
   /**
-   * Research company industry
+   * Industry as provided, or recognized from keywords in the description
    */
-  async researchIndustry(rawData) {
-    // If provided, use it
+  async researchIndustry(rawData, provenance) {
     if (rawData.industry) {
+      record(provenance, 'company.industry', PROVENANCE.USER_PROVIDED);
       return this.normalizeIndustry(rawData.industry);
     }
 
-    try {
-      // First try to estimate from description
-      const estimatedIndustry = this.estimateIndustryFromDescription(rawData.description);
-      if (estimatedIndustry !== 'N/A') {
-        return estimatedIndustry;
-      }
-
-      // Simulate API call to research industry
-      await this.simulateApiDelay();
-
-      // For demonstration, return a plausible industry
-      // In reality, this would use real data sources
-      const industries = [
-        'Technology',
-        'Software',
-        'Healthcare',
-        'Financial Services',
-        'Retail',
-        'Manufacturing',
-        'Energy & Utilities',
-        'Telecommunications',
-        'Media & Entertainment'
-      ];
-
-      return industries[Math.floor(Math.random() * industries.length)];
-    } catch (error) {
-      console.error('Error researching industry:', error);
-      return 'N/A';
+    const estimatedIndustry = this.estimateIndustryFromDescription(rawData.description);
+    if (estimatedIndustry !== 'N/A') {
+      record(provenance, 'company.industry', PROVENANCE.DERIVED, 'Keywords in the company description');
+    } else {
+      record(provenance, 'company.industry', PROVENANCE.UNAVAILABLE);
     }
+    return estimatedIndustry;
   }
 
+
   /**
    * Estimate industry from company description
    */
@@ -264,389 +299,137 @@ class DataService {
   }
 
   /**
-   * Research company website
+   * Company website, if provided. A domain guessed from the name could belong to anyone.
    */
-  async researchWebsite(rawData) {
-    // If provided, use it
-    if (rawData.website) {
-      return rawData.website;
-    }
-
-    try {
-      // Simulate API call
-      await this.simulateApiDelay();
-
-      // Generate plausible website based on company name
-      const name = rawData.name.toLowerCase()
-        .replace(/[^\w\s]/gi, '')  // Remove special characters
-        .replace(/\s+/g, '');      // Remove spaces
-
-      // Domain extensions weighted by popularity
-      const extensions = ['.com', '.com', '.com', '.io', '.co', '.ai', '.net', '.org'];
-      const extension = extensions[Math.floor(Math.random() * extensions.length)];
-
-      return `https://www.${name}${extension}`;
-    } catch (error) {
-      console.error('Error researching website:', error);
-      return 'N/A';
-    }
+  async researchWebsite(rawData, provenance) {
+    record(provenance, 'company.website', rawData.website ? PROVENANCE.USER_PROVIDED : PROVENANCE.UNAVAILABLE);
+    return rawData.website || 'N/A';
   }
 
   /**
-   * Research company status (public, private, etc)
+   * Company status (private, public, subsidiary...), if provided
    */
-  async researchCompanyStatus(rawData) {
-    try {
-      // Simulate API call
-      await this.simulateApiDelay();
-
-      // For demonstration purposes
-      // In reality, this would use real data sources
-      const statuses = ['private', 'private', 'private', 'public', 'subsidiary'];
-      const weights = [0.7, 0.7, 0.7, 0.2, 0.1]; // 70% chance private, 20% public, 10% subsidiary
-
-      const randomValue = Math.random();
-      let cumulativeWeight = 0;
-
-      for (let i = 0; i < statuses.length; i++) {
-        cumulativeWeight += weights[i];
-        if (randomValue <= cumulativeWeight) {
-          return statuses[i];
-        }
-      }
-
-      return 'private';
-    } catch (error) {
-      console.error('Error researching company status:', error);
-      return 'private';
-    }
-  }
-
-  /**
-   * Research revenue
-   */
-  async researchRevenue(rawData) {
-    if (rawData.revenue) {
-      return this.extractRevenue(rawData);
-    }
-
-    try {
-      // Simulate API call
-      await this.simulateApiDelay();
-
-      // Generate plausible revenue based on industry and size
-      const industry = await this.researchIndustry(rawData);
-      const employeeCount = await this.researchEmployeeCount(rawData);
-
-      // Revenue per employee varies by industry
-      let revenuePerEmployee;
-      if (industry.includes('Technology') || industry.includes('Software')) {
-        revenuePerEmployee = 300000 + Math.random() * 200000;
-      } else if (industry.includes('Healthcare') || industry.includes('Financial')) {
-        revenuePerEmployee = 250000 + Math.random() * 250000;
-      } else if (industry.includes('Retail')) {
-        revenuePerEmployee = 200000 + Math.random() * 100000;
-      } else {
-        revenuePerEmployee = 150000 + Math.random() * 150000;
-      }
-
-      const estimatedRevenue = employeeCount * revenuePerEmployee;
-
-      // Format to millions or billions
-      let display;
-      if (estimatedRevenue >= 1000000000) {
-        display = `$${(estimatedRevenue / 1000000000).toFixed(1)}B`;
-      } else {
-        display = `$${(estimatedRevenue / 1000000).toFixed(1)}M`;
-      }
-
-      return {
-        value: estimatedRevenue,
-        currency: 'USD',
-        display: display
-      };
-    } catch (error) {
-      console.error('Error researching revenue:', error);
-      return 'N/A';
-    }
+  async researchCompanyStatus(rawData, provenance) {
+    const status = typeof rawData.status === 'string' && rawData.status.trim()
+      ? rawData.status.trim().toLowerCase()
+      : 'N/A';
+    record(provenance, 'company.status', status === 'N/A' ? PROVENANCE.UNAVAILABLE : PROVENANCE.USER_PROVIDED);
+    return status;
   }
 
   /**
-   * Research growth rate
+   * Revenue as provided, or headcount times the industry's revenue per employee
    */
-  async researchGrowthRate(rawData) {
-    if (rawData.growthRate) {
-      return {
-        rate: parseFloat(rawData.growthRate),
-        period: rawData.growthPeriod || 'annual'
-      };
+  async researchRevenue(rawData, provenance) {
+    const provided = this.extractRevenue(rawData);
+    if (provided !== 'N/A') {
+      record(provenance, 'financials.revenue', PROVENANCE.USER_PROVIDED);
+      return provided;
     }
 
-    try {
-      // Simulate API call
-      await this.simulateApiDelay();
-
-      // Estimate based on industry
-      const industry = await this.researchIndustry(rawData);
-
-      // Industry growth rates - baseline estimates
-      const growthRates = {
-        'Technology': 15 + (Math.random() * 10 - 5),
-        'Software': 20 + (Math.random() * 15 - 7.5),
-        'Healthcare': 8 + (Math.random() * 6 - 3),
-        'Financial Services': 5 + (Math.random() * 4 - 2),
-        'Retail': 4 + (Math.random() * 4 - 2),
-        'Manufacturing': 3 + (Math.random() * 4 - 2),
-        'Energy & Utilities': 2 + (Math.random() * 4 - 2),
-        'Telecommunications': 3 + (Math.random() * 4 - 2),
-        'Media & Entertainment': 6 + (Math.random() * 6 - 3)
-      };
+    const employeeCount = await this.researchEmployeeCount(rawData);
+    const benchmark = this.getIndustryBenchmark(await this.researchIndustry(rawData));
+    const estimatedRevenue = employeeCount * benchmark.revenuePerEmployee;
+    const employeeBasis = this.normalizeEmployeeCount(rawData.employeeCount) === 'N/A'
+      ? 'typical headcount'
+      : 'employees';
 
-      // Get growth rate for the industry, or use average
-      let rate;
-      if (growthRates[industry]) {
-        rate = growthRates[industry];
-      } else {
-        // Default to average across industries
-        rate = 8 + (Math.random() * 8 - 4);
-      }
+    record(provenance, 'financials.revenue', PROVENANCE.INDUSTRY_ESTIMATE,
+      `${employeeCount.toLocaleString('en-US')} ${employeeBasis} × $${benchmark.revenuePerEmployee / 1000}K ` +
+      `revenue per employee (${benchmark.label})`);
 
-      return {
-        rate: parseFloat(rate.toFixed(1)),
-        period: 'annual',
-        estimated: true
-      };
-    } catch (error) {
-      console.error('Error researching growth rate:', error);
-      return 'N/A';
-    }
+    return {
+      value: estimatedRevenue,
+      currency: 'USD',
+      display: `${formatCurrency(estimatedRevenue)} (estimate)`,
+      estimated: true
+    };
   }
 
   /**
-   * Research company funding
+   * Growth rate as provided, as the CAGR of the revenue history, or the industry's typical growth
    */
-  async researchFunding(rawData) {
-    if (rawData.funding) {
-      return this.normalizeFunding(rawData);
+  async researchGrowthRate(rawData, provenance) {
+    const calculated = this.calculateGrowthRate(rawData);
+    if (calculated !== 'N/A' && !calculated.estimated) {
+      const derived = calculated.period === 'CAGR';
+      record(provenance, 'financials.growth', derived ? PROVENANCE.DERIVED : PROVENANCE.USER_PROVIDED,
+        derived ? `CAGR of revenue history over ${calculated.years} years` : undefined);
+      return calculated;
     }
 
-    try {
-      // Simulate API call
-      await this.simulateApiDelay();
-
-      // Generate plausible funding based on industry and employee count
-      const industry = await this.researchIndustry(rawData);
-      const employeeCount = await this.researchEmployeeCount(rawData);
-
-      // Base funding by industry (in millions)
-      let baseFundingMillions;
-      if (industry.includes('Technology') || industry.includes('Software')) {
-        baseFundingMillions = 10 + Math.random() * 40;
-      } else if (industry.includes('Healthcare') || industry.includes('Biotech')) {
-        baseFundingMillions = 15 + Math.random() * 60;
-      } else if (industry.includes('Financial')) {
-        baseFundingMillions = 8 + Math.random() * 30;
-      } else {
-        baseFundingMillions = 5 + Math.random() * 20;
-      }
-
-      // Adjust by company size (employee count)
-      const sizeFactor = Math.min(Math.max(employeeCount / 100, 0.5), 5);
-      const fundingMillions = baseFundingMillions * sizeFactor;
-
-      // Generate number of rounds
-      const rounds = Math.min(Math.floor(fundingMillions / 5) + 1, 8);
-
-      // Latest round letter
-      const roundLetters = ['Seed', 'A', 'B', 'C', 'D', 'E', 'F', 'Growth'];
-      const latestRound = roundLetters[Math.min(rounds - 1, roundLetters.length - 1)];
-
-      // Convert to dollars
-      const fundingDollars = fundingMillions * 1000000;
+    const benchmark = this.getIndustryBenchmark(await this.researchIndustry(rawData));
+    record(provenance, 'financials.growth', PROVENANCE.INDUSTRY_ESTIMATE, `Typical annual growth (${benchmark.label})`);
 
-      return {
-        total: fundingDollars,
-        currency: 'USD',
-        display: `$${fundingMillions.toFixed(1)}M`,
-        rounds: rounds,
-        latestRound: `Series ${latestRound}`,
-        investors: this.generateRandomInvestors(rounds)
-      };
-    } catch (error) {
-      console.error('Error researching funding:', error);
-      return 'N/A';
-    }
+    return {
+      rate: benchmark.growthRate,
+      period: 'annual',
+      estimated: true
+    };
   }
 
   /**
-   * Generate random investors for funding
+   * Funding as provided. Funding rounds and investors are facts, so they are never estimated.
    */
-  generateRandomInvestors(numRounds) {
-    const investors = [
-      'Sequoia Capital', 'Andreessen Horowitz', 'Accel', 'Benchmark', 
-      'Greylock Partners', 'Index Ventures', 'Lightspeed Venture Partners',
-      'GV', 'General Catalyst', 'Khosla Ventures', 'New Enterprise Associates',
-      'Battery Ventures', 'FirstMark Capital', 'Founders Fund', 'Tiger Global',
-      'SoftBank Vision Fund', 'Insight Partners', 'Kleiner Perkins',
-      'Bessemer Venture Partners', 'CRV', 'Spark Capital'
-    ];
-
-    // Shuffle array
-    const shuffled = [...investors].sort(() => 0.5 - Math.random());
-
-    // Get random investors based on number of rounds
-    return shuffled.slice(0, Math.min(numRounds + 2, investors.length));
+  async researchFunding(rawData, provenance) {
+    const funding = this.normalizeFunding(rawData);
+    record(provenance, 'financials.funding', funding === 'N/A' ? PROVENANCE.UNAVAILABLE : PROVENANCE.USER_PROVIDED);
+    return funding;
   }
 
   /**
-   * Research company profitability
+   * Profitability as provided; otherwise companies under five years old (by their
+   * provided founding year) are taken as pre-profit, and others get the industry's typical margin
    */
-  async researchProfitability(rawData) {
+  async researchProfitability(rawData, provenance) {
     if (rawData.profitability) {
+      record(provenance, 'financials.profitability', PROVENANCE.USER_PROVIDED);
       return rawData.profitability;
     }
 
-    try {
-      // Simulate API call
-      await this.simulateApiDelay();
-
-      // Industry average profitability
-      const industry = await this.researchIndustry(rawData);
-      const employeeCount = await this.researchEmployeeCount(rawData);
-      const foundingYear = await this.researchFoundingYear(rawData);
-
-      // Younger companies and certain industries are less likely to be profitable
-      const currentYear = new Date().getFullYear();
-      const age = currentYear - foundingYear;
-
-      if (age < 5) {
-        // Young companies typically not profitable
-        return 'Pre-profit';
-      }
-
-      let profitabilityChance = 0.5; // Base 50% chance
+    const foundingYear = this.extractFoundingYear(rawData);
+    if (foundingYear !== 'N/A' && new Date().getFullYear() - foundingYear < 5) {
+      record(provenance, 'financials.profitability', PROVENANCE.DERIVED,
+        'Companies under five years old are typically pre-profit');
+      return 'Pre-profit';
+    }
 
-      // Industry adjustments
-      if (industry.includes('Technology') || industry.includes('Software')) {
-        profitabilityChance -= 0.2; // Less likely to be profitable (growth focus)
-      } else if (industry.includes('Healthcare') || industry.includes('Biotech')) {
-        profitabilityChance -= 0.3; // Even less likely (R&D heavy)
-      } else if (industry.includes('Manufacturing') || industry.includes('Retail')) {
-        profitabilityChance += 0.2; // More likely to be profitable
-      }
+    const benchmark = this.getIndustryBenchmark(await this.researchIndustry(rawData));
+    record(provenance, 'financials.profitability', PROVENANCE.INDUSTRY_ESTIMATE,
+      `Typical operating margin (${benchmark.label})`);
+    return `${benchmark.margin}% margin (industry estimate)`;
+  }
 
-      // Age adjustment - older companies more likely profitable
-      profitabilityChance += Math.min((age - 5) * 0.05, 0.3);
-
-      // Size adjustment - larger companies more likely profitable
-      profitabilityChance += Math.min((employeeCount / 200) * 0.1, 0.2);
-
-      // Determine profitability
-      if (Math.random() < profitabilityChance) {
-        // Profitable - generate a margin
-        const baseMargin = {
-          'Technology': 15,
-          'Software': 20,
-          'Healthcare': 12,
-          'Financial Services': 25,
-          'Retail': 8,
-          'Manufacturing': 10,
-          'Energy & Utilities': 15,
-          'Telecommunications': 18,
-          'Media & Entertainment': 12
-        }[industry] || 10;
-
-        // Add some variation
-        const margin = baseMargin + (Math.random() * 10 - 5);
-        return `${margin.toFixed(1)}% margin`;
-      } else {
-        return 'Not yet profitable';
-      }
-    } catch (error) {
-      console.error('Error researching profitability:', error);
-      return 'N/A';
-    }
+  /**
+   * Cash position, if provided
+   */
+  async researchCashPosition(rawData, provenance) {
+    record(provenance, 'financials.cashPosition', rawData.cashPosition ? PROVENANCE.USER_PROVIDED : PROVENANCE.UNAVAILABLE);
+    return rawData.cashPosition || 'N/A';
   }
 
   /**
-   * Research company competitors
+   * Competitors, if provided. Named competitors and their market shares are never invented.
    */
-  async researchCompetitors(rawData) {
+  async researchCompetitors(rawData, provenance) {
     if (rawData.competitors && Array.isArray(rawData.competitors) && rawData.competitors.length > 0) {
+      record(provenance, 'market.competitors', PROVENANCE.USER_PROVIDED);
       return rawData.competitors;
     }
 
-    try {
-      // Simulate API call
-      await this.simulateApiDelay();
-
-      // Generate competitors based on industry
-      const industry = await this.researchIndustry(rawData);
-
-      // Industry-specific competitors
-      const competitorsByIndustry = {
-        'Technology': [
-          { name: 'Tech Innovations Inc.', marketShare: 15 },
-          { name: 'Digital Solutions Group', marketShare: 22 },
-          { name: 'NextGen Systems', marketShare: 18 },
-          { name: 'FutureTech Ltd.', marketShare: 12 }
-        ],
-        'Software': [
-          { name: 'CodeMasters Software', marketShare: 25 },
-          { name: 'Cloud Solutions Inc.', marketShare: 20 },
-          { name: 'AppDev Enterprises', marketShare: 15 },
-          { name: 'DataSoft Systems', marketShare: 10 }
-        ],
-        'Healthcare': [
-          { name: 'HealthTech Innovations', marketShare: 18 },
-          { name: 'MedCare Solutions', marketShare: 22 },
-          { name: 'Wellness Systems Inc.', marketShare: 15 },
-          { name: 'BioAdvance Corp', marketShare: 12 }
-        ],
-        'Financial Services': [
-          { name: 'Capital Finance Group', marketShare: 28 },
-          { name: 'Wealth Management Inc.', marketShare: 22 },
-          { name: 'Investment Partners Ltd.', marketShare: 17 },
-          { name: 'FinTech Solutions', marketShare: 8 }
-        ],
-        'Retail': [
-          { name: 'Consumer Goods Inc.', marketShare: 30 },
-          { name: 'Retail Innovations', marketShare: 25 },
-          { name: 'ShopSmart Enterprises', marketShare: 15 },
-          { name: 'MarketPlace Group', marketShare: 10 }
-        ]
-      };
-
-      // Get competitors for the specific industry or use generic ones
-      let competitors = competitorsByIndustry[industry] || [
-        { name: 'Competitor A', marketShare: 20 },
-        { name: 'Competitor B', marketShare: 15 },
-        { name: 'Competitor C', marketShare: 25 },
-        { name: 'Competitor D', marketShare: 10 }
-      ];
-
-      // Add some randomness to market shares
-      competitors = competitors.map(comp => ({
-        ...comp,
-        marketShare: comp.marketShare + (Math.random() * 6 - 3)
-      }));
-
-      return competitors;
-    } catch (error) {
-      console.error('Error researching competitors:', error);
-      return [];
-    }
+    record(provenance, 'market.competitors', PROVENANCE.UNAVAILABLE);
+    return [];
   }
 
   /**
-   * Research risk factors
+   * Risk factors from the company's provided age and size and its industry
    */
-  async researchRiskFactors(rawData) {
+  async researchRiskFactors(rawData, provenance) {
     try {
-      // Generate risk factors based on industry and company information
       const industry = await this.researchIndustry(rawData);
-      const age = new Date().getFullYear() - (await this.researchFoundingYear(rawData));
-      const employees = await this.researchEmployeeCount(rawData);
+      const foundingYear = this.extractFoundingYear(rawData);
+      const age = foundingYear === 'N/A' ? null : new Date().getFullYear() - foundingYear;
+      const employees = this.normalizeEmployeeCount(rawData.employeeCount);
 
       const risks = [];
 
@@ -680,13 +463,13 @@ class DataService {
       }
 
       // Company age risk
-      if (age < 3) {
+      if (age !== null && age < 3) {
         risks.push({
           factor: 'Early-stage company risk',
           description: 'The company has been operating for less than 3 years, increasing uncertainty about long-term viability.',
           severity: 'High'
         });
-      } else if (age < 5) {
+      } else if (age !== null && age < 5) {
         risks.push({
           factor: 'Growth-stage company risk',
           description: 'The company is still in its growth phase with 3-5 years of operation.',
@@ -695,7 +478,7 @@ class DataService {
       }
 
       // Company size risk
-      if (employees < 20) {
+      if (typeof employees === 'number' && employees < 20) {
         risks.push({
           factor: 'Small team risk',
           description: 'Limited human resources may impact ability to execute business plan.',
@@ -736,9 +519,11 @@ class DataService {
         }
       }
 
+      record(provenance, 'risk.factors', PROVENANCE.DERIVED, 'Rules applied to the company age, size and industry');
       return risks;
     } catch (error) {
       console.error('Error researching risk factors:', error);
+      record(provenance, 'risk.factors', PROVENANCE.INDUSTRY_ESTIMATE, 'Generic risks for private companies');
       return this.getGenericRiskFactors();
     }
   }
@@ -780,161 +565,84 @@ class DataService {
   }
 
   /**
-   * Add a delay to simulate API calls
-   */
-  async simulateApiDelay() {
-    const delay = Math.floor(Math.random() * 100) + 50; // 50-150ms
-    return new Promise(resolve => setTimeout(resolve, delay));
-  }
-
-  /**
-   * Research market size based on industry
+   * Market size for the industry (industry benchmark)
    */
-  async researchMarketSize(rawData) {
-    try {
-      // Simulate API call
-      await this.simulateApiDelay();
-
-      // Industry market sizes - baseline estimates
-      const marketSizes = {
-        'Technology': { size: 5.2, unit: 'trillion', currency: 'USD' },
-        'Software': { size: 593, unit: 'billion', currency: 'USD' },
-        'Healthcare': { size: 8.3, unit: 'trillion', currency: 'USD' },
-        'Financial Services': { size: 22.5, unit: 'trillion', currency: 'USD' },
-        'Retail': { size: 26, unit: 'trillion', currency: 'USD' },
-        'Manufacturing': { size: 15, unit: 'trillion', currency: 'USD' },
-        'Energy & Utilities': { size: 7, unit: 'trillion', currency: 'USD' },
-        'Telecommunications': { size: 1.7, unit: 'trillion', currency: 'USD' },
-        'Media & Entertainment': { size: 2.3, unit: 'trillion', currency: 'USD' }
-      };
-
-      const industry = await this.researchIndustry(rawData);
+  async researchMarketSize(rawData, provenance) {
+    // Industry market sizes - baseline estimates
+    const marketSizes = {
+      'Technology': { size: 5.2, unit: 'trillion', currency: 'USD' },
+      'Software': { size: 593, unit: 'billion', currency: 'USD' },
+      'Healthcare': { size: 8.3, unit: 'trillion', currency: 'USD' },
+      'Financial Services': { size: 22.5, unit: 'trillion', currency: 'USD' },
+      'Retail': { size: 26, unit: 'trillion', currency: 'USD' },
+      'Manufacturing': { size: 15, unit: 'trillion', currency: 'USD' },
+      'Energy & Utilities': { size: 7, unit: 'trillion', currency: 'USD' },
+      'Telecommunications': { size: 1.7, unit: 'trillion', currency: 'USD' },
+      'Media & Entertainment': { size: 2.3, unit: 'trillion', currency: 'USD' }
+    };
 
-      if (marketSizes[industry]) {
-        return {
-          ...marketSizes[industry],
-          estimated: true,
-          year: new Date().getFullYear()
-        };
-      }
+    const industry = await this.researchIndustry(rawData);
 
-      // Default generic market size if industry not found
+    if (marketSizes[industry]) {
+      record(provenance, 'market.size', PROVENANCE.INDUSTRY_ESTIMATE, `${industry} industry benchmark`);
       return {
-        size: 1.5,
-        unit: 'trillion',
-        currency: 'USD',
+        ...marketSizes[industry],
         estimated: true,
         year: new Date().getFullYear()
       };
-    } catch (error) {
-      console.error('Error researching market size:', error);
-      return 'N/A';
     }
+
+    // Default generic market size if industry not found
+    record(provenance, 'market.size', PROVENANCE.INDUSTRY_ESTIMATE, 'Cross-industry benchmark');
+    return {
+      size: 1.5,
+      unit: 'trillion',
+      currency: 'USD',
+      estimated: true,
+      year: new Date().getFullYear()
+    };
   }
 
   /**
-   * Research market growth rates
+   * Market growth rate for the industry (industry benchmark)
    */
-  async researchMarketGrowth(rawData) {
-    try {
-      // Simulate API call
-      await this.simulateApiDelay();
-
-      // Industry growth rates - baseline estimates
-      const marketGrowthRates = {
-        'Technology': 12.5,
-        'Software': 11.3,
-        'Healthcare': 8.6,
-        'Financial Services': 6.0,
-        'Retail': 4.8,
-        'Manufacturing': 3.5,
-        'Energy & Utilities': 2.7,
-        'Telecommunications': 5.4,
-        'Media & Entertainment': 7.2
-      };
-
-      const industry = await this.researchIndustry(rawData);
+  async researchMarketGrowth(rawData, provenance) {
+    // Industry growth rates - baseline estimates
+    const marketGrowthRates = {
+      'Technology': 12.5,
+      'Software': 11.3,
+      'Healthcare': 8.6,
+      'Financial Services': 6.0,
+      'Retail': 4.8,
+      'Manufacturing': 3.5,
+      'Energy & Utilities': 2.7,
+      'Telecommunications': 5.4,
+      'Media & Entertainment': 7.2
+    };
 
-      if (marketGrowthRates[industry]) {
-        return {
-          rate: marketGrowthRates[industry],
-          period: 'annual',
-          estimated: true,
-          years: `${new Date().getFullYear()}-${new Date().getFullYear() + 5}`
-        };
-      }
+    const industry = await this.researchIndustry(rawData);
+    const known = marketGrowthRates[industry] !== undefined;
+    record(provenance, 'market.growth', PROVENANCE.INDUSTRY_ESTIMATE,
+      known ? `${industry} industry benchmark` : 'Cross-industry benchmark');
 
-      // Default generic growth rate if industry not found
-      return {
-        rate: 5.0,
-        period: 'annual',
-        estimated: true,
-        years: `${new Date().getFullYear()}-${new Date().getFullYear() + 5}`
-      };
-    } catch (error) {
-      console.error('Error researching market growth:', error);
-      return 'N/A';
-    }
+    return {
+      rate: known ? marketGrowthRates[industry] : 5.0,
+      period: 'annual',
+      estimated: true,
+      years: `${new Date().getFullYear()}-${new Date().getFullYear() + 5}`
+    };
   }
 
   /**
-   * Research industry trends
+   * Trends in the company's industry
    */
-  async researchIndustryTrends(rawData) {
-    try {
-      // Simulate API call
-      await this.simulateApiDelay();
-
-      // Industry-specific trends
-      const industryTrends = {
-        'Technology': [
-          'Digital transformation acceleration',
-          'AI and machine learning integration',
-          'Edge computing growth',
-          'Cybersecurity importance increasing',
-          'Cloud computing expansion'
-        ],
-        'Software': [
-          'Low-code/no-code development',
-          'DevOps & CI/CD adoption',
-          'Microservices architecture',
-          'SaaS business model dominance',
-          'API-first approach'
-        ],
-        'Healthcare': [
-          'Telehealth expansion',
-          'Digital health records standardization',
-          'AI in diagnostics',
-          'Precision medicine advancement',
-          'Value-based care models'
-        ],
-        'Financial Services': [
-          'Open banking initiatives',
-          'Blockchain and cryptocurrency integration',
-          'Digital-only banking growth',
-          'Embedded finance across industries',
-          'Regulatory technology expansion'
-        ]
-      };
-
-      const industry = await this.researchIndustry(rawData);
-
-      if (industryTrends[industry]) {
-        return industryTrends[industry];
-      }
+  async researchIndustryTrends(rawData, provenance) {
+    const industry = await this.researchIndustry(rawData);
+    const known = industry !== 'N/A';
+    record(provenance, 'market.trends', PROVENANCE.INDUSTRY_ESTIMATE,
+      known ? `${industry} industry trends` : 'Cross-industry trends');
 
-      // Return generic trends for industries not specifically defined
-      return [
-        'Digital transformation',
-        'Sustainability focus',
-        'Supply chain resilience',
-        'Data-driven decision making',
-        'Customer experience prioritization'
-      ];
-    } catch (error) {
-      console.error('Error researching industry trends:', error);
-      return this.getGenericTrends();
-    }
+    return known ? this.getIndustryTrends(industry) : this.getGenericTrends();
   }
 
   /**
@@ -1474,36 +1182,159 @@ class DataService {
   }
 
   /**
-   * Attempt to enrich data with external sources
+   * Merge data from the configured external connectors into the user's data.
+   * Connector failures never block normalization.
+   * @param {Object} rawData User-provided data
+   * @returns {Object} { data, fieldSources, sources } - see DataConnectorService.enrich
    */
-  async enrichWithExternalData(normalizedData, rawData) {
+  async enrichWithExternalData(rawData) {
     try {
-      // For MVP, we'll skip actual API calls to external data sources
-      // In the future, this would integrate with financial data APIs
-      return normalizedData;
+      return await dataConnectorService.enrich(rawData);
     } catch (error) {
       console.error('Error enriching data with external sources:', error);
-      return normalizedData;
+      return { data: rawData, fieldSources: {}, sources: {} };
+    }
+  }
+
+  /**
+   * Attribute fields built from connector data to their connector. A field the
+   * user gave no input for becomes an external source; a field that mixes user
+   * and connector inputs, or was derived from connector inputs, notes them in its basis.
+   * @param {Object} provenance - Provenance recorded during normalization
+   * @param {Object} fieldSources - Input field to connector name
+   * @param {Object} rawData - User-provided data, before merging
+   */
+  applyExternalProvenance(provenance, fieldSources, rawData) {
+    const inputsByPath = {};
+    for (const [field, connectorName] of Object.entries(fieldSources)) {
+      const path = dataConnectorService.inputFields[field];
+      const connector = dataConnectorService.getConnectorInfo(connectorName);
+      if (path && connector) {
+        (inputsByPath[path] = inputsByPath[path] || []).push({ field, connector });
+      }
+    }
+
+    for (const [path, inputs] of Object.entries(inputsByPath)) {
+      const entry = provenance[path];
+      if (!entry) continue;
+
+      const userInputs = Object.keys(dataConnectorService.inputFields)
+        .filter(field => dataConnectorService.inputFields[field] === path && !fieldSources[field])
+        .filter(field => rawData[field] !== undefined && rawData[field] !== null && rawData[field] !== '');
+
+      if (entry.source === PROVENANCE.USER_PROVIDED && userInputs.length === 0) {
+        const [{ connector }] = inputs;
+        provenance[path] = {
+          source: PROVENANCE.EXTERNAL_SOURCE,
+          basis: connector.label,
+          connector: connector.name,
+          confidence: Math.min(...inputs.map(input => input.connector.confidence))
+        };
+      } else if (entry.source !== PROVENANCE.UNAVAILABLE) {
+        const note = inputs.map(({ field, connector }) => `${field} from ${connector.label}`).join(', ');
+        entry.basis = entry.basis ? `${entry.basis}; ${note}` : note;
+      }
+    }
+  }
+
+  /**
+   * Take revenue, revenue history, profitability and cash position from uploaded
+   * financial statements. They replace the same fields given loosely or by connectors.
+   * @param {Object} data - Company data, with financialStatements from financialStatementService.parse
+   * @param {Object} fieldSources - Input field to connector name; statement fields are removed
+   * @returns {Object} { data, period, fields } - the merged data, the latest statement
+   * period and the input fields taken from the statements
+   */
+  applyFinancialStatements(data, fieldSources) {
+    const inputs = financialStatementService.toCompanyInputs(data.financialStatements);
+    if (!inputs) {
+      return { data, period: null, fields: [] };
+    }
+
+    const merged = { ...data, ...inputs.fields };
+    const replaced = Object.keys(inputs.fields);
+
+    // A growth rate given alongside would hide the growth shown in the statements
+    if (inputs.fields.revenueHistory) {
+      delete merged.growthRate;
+      replaced.push('growthRate');
     }
+    replaced.forEach(field => delete fieldSources[field]);
+
+    return { data: merged, period: inputs.period, fields: Object.keys(inputs.fields) };
+  }
+
+  /**
+   * Record fields taken from uploaded financial statements as provided, with the statements as basis
+   */
+  applyStatementProvenance(provenance, statements) {
+    statements.fields.forEach(field => {
+      if (field === 'revenue' || field === 'cashPosition') {
+        record(provenance, `financials.${field}`, PROVENANCE.USER_PROVIDED, 'Uploaded financial statements');
+      } else if (field === 'profitability') {
+        record(provenance, 'financials.profitability', PROVENANCE.DERIVED,
+          `Net income / revenue in the uploaded financial statements (${statements.period})`);
+      } else if (field === 'revenueHistory' && provenance['financials.growth']?.source === PROVENANCE.DERIVED) {
+        provenance['financials.growth'].basis += ' in the uploaded financial statements';
+      }
+    });
+  }
+
+  /**
+   * Group fields by provenance, for prompts and exports
+   * @param {Object} provenance - _metadata.provenance of normalized data
+   * @returns {Object} { sourced, derived, estimated, unavailable }, each a list of
+   * { field, source, label, basis }; null without provenance
+   */
+  summarizeProvenance(provenance) {
+    if (!provenance) return null;
+
+    const groups = { sourced: [], derived: [], estimated: [], unavailable: [] };
+    const groupOf = {
+      [PROVENANCE.USER_PROVIDED]: 'sourced',
+      [PROVENANCE.EXTERNAL_SOURCE]: 'sourced',
+      [PROVENANCE.DERIVED]: 'derived',
+      [PROVENANCE.INDUSTRY_ESTIMATE]: 'estimated',
+      [PROVENANCE.UNAVAILABLE]: 'unavailable'
+    };
+
+    Object.entries(provenance).sort(([a], [b]) => a.localeCompare(b)).forEach(([field, entry]) => {
+      const group = groupOf[entry.source];
+      if (group) {
+        groups[group].push({ field, source: entry.source, label: PROVENANCE_LABELS[entry.source], basis: entry.basis || null });
+      }
+    });
+
+    return groups;
   }
 
   /**
-   * Add confidence scores to normalized data
+   * Add confidence scores and field provenance to normalized data.
+   * confidence.fields scores each field 0-100 by where it came from.
    */
-  addConfidenceScores(data) {
+  addConfidenceScores(data, provenance = {}) {
     // Clone data to avoid modifying original
     const scoredData = JSON.parse(JSON.stringify(data));
 
+    const fields = {};
+    ['company', 'financials', 'market', 'risk'].forEach(group => {
+      Object.entries(data[group] || {}).forEach(([key, value]) => {
+        fields[`${group}.${key}`] = this.calculateFieldConfidence(value, provenance[`${group}.${key}`]);
+      });
+    });
+
     // Add metadata with confidence scores
     scoredData._metadata = {
       confidence: {
-        company: this.calculateSectionConfidence(data.company),
-        financials: this.calculateSectionConfidence(data.financials),
-        market: this.calculateSectionConfidence(data.market),
-        overall: 0 // Will be calculated below
+        company: this.calculateSectionConfidence(data.company, provenance, 'company'),
+        financials: this.calculateSectionConfidence(data.financials, provenance, 'financials'),
+        market: this.calculateSectionConfidence(data.market, provenance, 'market'),
+        overall: 0, // Will be calculated below
+        fields
       },
+      provenance,
       processedAt: new Date().toISOString(),
-      dataVersion: '1.0'
+      dataVersion: '1.2'
     };
 
     // Calculate overall confidence
@@ -1517,23 +1348,38 @@ class DataService {
   }
 
   /**
-   * Calculate confidence score for a data section
+   * Confidence in a single field, 0-100. Sourced fields count in full (or at
+   * their connector's configured confidence), derived mostly, estimates a little.
+   * @param {*} value - Field value
+   * @param {Object} entry - The field's provenance entry
    */
-  calculateSectionConfidence(section) {
-    if (!section) return 0;
+  calculateFieldConfidence(value, entry) {
+    if (value === 'N/A' || value === null || value === undefined || value === '') {
+      return 0;
+    }
+    if (!entry) {
+      return 100;
+    }
+    if (typeof entry.confidence === 'number') {
+      return entry.confidence;
+    }
 
-    let validFields = 0;
-    let totalFields = 0;
+    return SOURCE_CONFIDENCE[entry.source] ?? 100;
+  }
 
-    for (const [key, value] of Object.entries(section)) {
-      totalFields++;
-      if (value !== 'N/A' && value !== null && value !== undefined && value !== '') {
-        validFields++;
-      }
-    }
+  /**
+   * Calculate confidence score for a data section: the mean of its field scores
+   */
+  calculateSectionConfidence(section, provenance = {}, group = null) {
+    if (!section) return 0;
+
+    const scores = Object.entries(section).map(([key, value]) =>
+      this.calculateFieldConfidence(value, group ? provenance[`${group}.${key}`] : undefined));
 
-    return totalFields > 0 ? parseFloat(((validFields / totalFields) * 100).toFixed(2)) : 0;
+    return scores.length > 0
+      ? parseFloat((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(2))
+      : 0;
   }
 }
 
-module.exports = new DataService();
\ No newline at end of file
+module.exports = new DataService();
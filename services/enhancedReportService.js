@@ -5,6 +5,15 @@ const { getCollection } = require('../config/db');
 const openaiService = require('./openaiService');
 const dataService = require('./dataService');
 const queueService = require('./queueService');
+const jobStoreService = require('./jobStoreService');
+const usageService = require('./usageService');
+const contentQualityService = require('./contentQualityService');
+const projectionService = require('./projectionService');
+const { lintContent } = require('../utils/contentLinter');
+const { formatRatioValue } = require('../utils/financialRatios');
+
+// Queue job statuses that mean a report is still being generated
+const ACTIVE_JOB_STATUSES = ['queued', 'retrying', 'processing'];
 
 // Simple in-memory cache for report data
 const reportCache = {
@@ -41,6 +50,28 @@ class EnhancedReportService {
     this.reportsCollection = null;
     this.initialized = false;
     this.initPromise = this.init();
+
+    // Register the persistent job handler so queued generations survive restarts
+    queueService.registerHandler(
+      'generateFullReport',
+      (data, progressCallback, job) => this.processReportGeneration(data, progressCallback, job),
+      {
+        onRecovered: (data, job) => this.markGenerationQueued(data, job),
+        onReplayed: (data, job) => this.markGenerationQueued(data, job),
+        onCancelled: (data, job) => this.markGenerationCancelled(data, job),
+        onRetrying: (data, job, retry) => this.markGenerationRetrying(data, job, retry),
+        onFailed: (data, error) => this.updateReport(data.reportId, data.userId, {
+          status: 'failed',
+          generationError: error.message
+        })
+      },
+      {
+        // Give rate limits and provider outages time to clear between attempts
+        maxAttempts: 3,
+        baseDelay: 10 * 1000,
+        maxDelay: 5 * 60 * 1000
+      }
+    );
   }
 
   /**
@@ -67,7 +98,10 @@ class EnhancedReportService {
           sectionOrder: [],
           theme: 'standard',
           includeTOC: true,
-          includeVisualizations: true
+          includeVisualizations: true,
+          structuredOutput: false,
+          qualityLoop: false,
+          analysisStyle: 'standard'
         }
       };
 
@@ -112,28 +146,47 @@ class EnhancedReportService {
 
   /**
    * Generate a complete report with all selected sections using the queue system
+   * @param {Object} options - Generation options
+   * @param {Boolean} options.resume - Keep sections completed by an earlier generation
+   * @param {String} options.organizationId - Organization to share queue capacity with
+   * @param {String} options.trigger - What started the generation ('manual' or 'schedule')
    */
-  async generateFullReport(reportId, userId, companyData, templateType = 'standard') {
+  async generateFullReport(reportId, userId, companyData, templateType = 'standard', options = {}) {
     // Create a job ID for tracking
     const jobId = `report-${reportId}-${Date.now()}`;
 
-    // Update report status to queued
+    // Keep the current content as a version before it is regenerated
+    if (!options.resume) {
+      const report = await this.getReportById(reportId, userId);
+      await this.snapshotReportVersion(report, options.trigger || 'manual');
+    }
+
+    // Update report status to queued; the input is kept for scheduled regeneration
     await this.updateReport(reportId, userId, {
       status: 'queued',
-      generationJobId: jobId
+      generationJobId: jobId,
+      generationError: null,
+      generationInput: {
+        companyData,
+        templateType,
+        organizationId: options.organizationId || null
+      }
     });
 
-    // Queue the report generation task
-    queueService.enqueue(
+    // Queue the report generation task as a persistent job
+    await queueService.enqueue(
       jobId,
-      async (data, progressCallback) => {
-        return this.processReportGeneration(data, progressCallback);
-      },
+      'generateFullReport',
       {
         reportId,
         userId,
         companyData,
-        templateType
+        templateType,
+        resume: !!options.resume
+      },
+      {
+        ownerId: userId,
+        tenantId: options.organizationId || null
       }
     );
 
@@ -145,56 +198,382 @@ class EnhancedReportService {
   }
 
   /**
-   * Process the report generation (executed by queue worker)
+   * Save the report's current sections as a numbered version
+   * @param {String} trigger - What caused the snapshot ('manual' or 'schedule')
+   * @returns {Object|null} The stored version, or null if there was nothing to keep
+   */
+  async snapshotReportVersion(report, trigger = 'manual') {
+    if (!report.sections || report.sections.length === 0) {
+      return null;
+    }
+
+    const versionsCollection = await getCollection('reportVersions');
+    const version = {
+      reportId: report._id.toString(),
+      userId: report.userId,
+      version: (report.versionCount || 0) + 1,
+      companyName: report.companyName,
+      templateType: report.templateType,
+      sections: report.sections,
+      customization: report.customization || null,
+      trigger,
+      contentUpdatedAt: report.updatedAt,
+      createdAt: new Date()
+    };
+
+    await versionsCollection.insertOne(version);
+    await this.updateReport(report._id.toString(), report.userId, {
+      versionCount: version.version
+    });
+
+    return version;
+  }
+
+  /**
+   * List stored versions of a report, newest first (without section content)
+   */
+  async getReportVersions(reportId, userId) {
+    // Ensure the report exists and belongs to the user
+    const report = await this.getReportById(reportId, userId);
+
+    const versionsCollection = await getCollection('reportVersions');
+    const versions = await versionsCollection.find(
+      { reportId: report._id.toString(), userId },
+      { projection: { sections: 0 } }
+    ).sort({ version: -1 }).toArray();
+
+    return versions;
+  }
+
+  /**
+   * Get one stored version of a report, including its sections
+   */
+  async getReportVersion(reportId, userId, version) {
+    const report = await this.getReportById(reportId, userId);
+
+    const versionsCollection = await getCollection('reportVersions');
+    const stored = await versionsCollection.findOne({
+      reportId: report._id.toString(),
+      userId,
+      version: Number(version)
+    });
+
+    if (!stored) {
+      throw new Error('Report version not found');
+    }
+
+    return stored;
+  }
+
+  /**
+   * Point a report at a re-queued generation job (after recovery or replay)
+   */
+  async markGenerationQueued(data, job) {
+    return this.updateReport(data.reportId, data.userId, {
+      status: 'queued',
+      generationJobId: job.id,
+      generationError: null
+    });
+  }
+
+  /**
+   * Put a report back in the queue while its generation job waits to be retried
+   */
+  async markGenerationRetrying(data, job, retry) {
+    return this.updateReport(data.reportId, data.userId, {
+      status: 'queued',
+      generationJobId: job.id,
+      nextAttemptAt: retry.availableAt
+    });
+  }
+
+  /**
+   * Mark a report cancelled when its queued generation job is cancelled,
+   * e.g. by an administrator. Reports already moved on to a newer job are left alone.
+   */
+  async markGenerationCancelled(data, job) {
+    const report = await this.getReportById(data.reportId, data.userId);
+    if (report.generationJobId !== job.id) {
+      return null;
+    }
+
+    return this.updateReport(data.reportId, data.userId, {
+      status: 'cancelled',
+      generationError: null
+    });
+  }
+
+  /**
+   * Get the report's generation job if it is still queued, retrying or running.
+   * The live queue status wins; jobs held by another worker or a previous
+   * process are looked up in the job store.
+   * @returns {Object|null} { jobId, status }, or null if no generation job is active
+   */
+  async getActiveGenerationJob(report) {
+    const jobId = report && report.generationJobId;
+    if (!jobId) {
+      return null;
+    }
+
+    const liveStatus = queueService.getJobStatus(jobId);
+    if (liveStatus) {
+      return ACTIVE_JOB_STATUSES.includes(liveStatus.status)
+        ? { jobId, status: liveStatus.status }
+        : null;
+    }
+
+    let storedJob = null;
+    try {
+      storedJob = await jobStoreService.getJob(jobId);
+    } catch (error) {
+      console.error(`Error loading generation job ${jobId}:`, error);
+    }
+
+    return storedJob && ACTIVE_JOB_STATUSES.includes(storedJob.status)
+      ? { jobId, status: storedJob.status }
+      : null;
+  }
+
+  /**
+   * Cancel a queued or running report generation.
+   * A queued job is cancelled immediately; a running job stops before its next section.
+   * Whether generation is in progress is decided by the report's job, not its
+   * status, which sections update as they are written.
+   */
+  async cancelGeneration(reportId, userId) {
+    const report = await this.getReportById(reportId, userId);
+
+    const activeJob = await this.getActiveGenerationJob(report);
+    const pendingWithoutJob = !report.generationJobId && ['queued', 'generating'].includes(report.status);
+    if (!activeJob && !pendingWithoutJob) {
+      throw new Error('Report generation is not in progress');
+    }
+
+    const result = report.generationJobId
+      ? await queueService.cancelJob(report.generationJobId, 'Cancelled by user')
+      : null;
+
+    // Running jobs mark the report cancelled themselves once they stop
+    if (result && result.status === 'cancelling') {
+      return { reportId, jobId: result.jobId, status: 'cancelling' };
+    }
+
+    await this.updateReport(reportId, userId, {
+      status: 'cancelled',
+      generationError: null
+    });
+
+    return { reportId, jobId: report.generationJobId || null, status: 'cancelled' };
+  }
+
+  /**
+   * Reconcile reports left mid-generation by a previous process: reports in
+   * 'queued' or 'generating', and reports with any other non-final status
+   * that still point at a generation job (sections move them to 'in_progress').
+   * Reports whose job is still pending are left alone (the queue will resume them);
+   * reports whose job finished or no longer exists get their final status.
    */
-  async processReportGeneration(data, progressCallback) {
-    const { reportId, userId, companyData, templateType } = data;
+  async reconcileReportStatuses() {
+    const summary = { checked: 0, updated: 0 };
+
+    try {
+      const collection = await this.ensureInitialized();
+      const stuckReports = await collection.find({
+        $or: [
+          { status: { $in: ['queued', 'generating'] } },
+          {
+            generationJobId: { $ne: null },
+            status: { $nin: ['completed', 'failed', 'cancelled'] }
+          }
+        ]
+      }).toArray();
+
+      for (const report of stuckReports) {
+        summary.checked++;
+
+        const liveStatus = report.generationJobId
+          ? queueService.getJobStatus(report.generationJobId)
+          : null;
+        if (liveStatus && ACTIVE_JOB_STATUSES.includes(liveStatus.status)) {
+          continue;
+        }
+
+        const storedJob = report.generationJobId
+          ? await jobStoreService.getJob(report.generationJobId)
+          : null;
+        if (storedJob && ACTIVE_JOB_STATUSES.includes(storedJob.status)) {
+          continue;
+        }
+
+        let updates;
+        if (storedJob && storedJob.status === 'completed') {
+          updates = { status: 'completed', generationProgress: 100 };
+        } else if (storedJob && storedJob.status === 'cancelled') {
+          updates = { status: 'cancelled' };
+        } else {
+          updates = {
+            status: 'failed',
+            generationError: storedJob
+              ? storedJob.lastError
+              : 'Report generation was interrupted. Please start generation again.'
+          };
+        }
+
+        await collection.updateOne(
+          { _id: report._id },
+          { $set: { ...updates, updatedAt: new Date() } }
+        );
+        reportCache.invalidate(`${report._id}-${report.userId}`);
+        summary.updated++;
+      }
+    } catch (error) {
+      console.error('Reconcile report statuses error:', error);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Process the report generation (executed by queue worker).
+   * Each generated section is checkpointed on the report, so a retried or
+   * resumed job only generates the sections that are missing or failed.
+   */
+  async processReportGeneration(data, progressCallback, job = {}) {
+    const { reportId, userId, companyData, templateType, resume } = data;
 
     try {
       // Update report status to generating
       await this.updateReport(reportId, userId, {
-        status: 'generating'
+        status: 'generating',
+        nextAttemptAt: null
       });
 
       progressCallback(5, { message: 'Starting report generation' });
 
-      // Normalize and enrich company data
-      const normalizedData = await dataService.normalizeCompanyData(companyData);
-
-      progressCallback(10, { message: 'Company data normalized' });
-
-      // Get the report to check customization settings
+      // Get the report to check customization settings and prior checkpoints
       const report = await this.getReportById(reportId, userId);
+      const jobId = job.id || report.generationJobId;
 
       // Determine which sections to generate based on customization
       let sectionsToGenerate = report.customization?.enabledSections || 
                               this.getSectionsForTemplate(templateType);
 
+      const state = this.prepareGenerationState(report, jobId, sectionsToGenerate, resume);
+
+      // Reuse the normalized data from the checkpoint so resumed sections stay consistent
+      let normalizedData = state.normalizedData;
+      if (!normalizedData) {
+        normalizedData = await dataService.normalizeCompanyData(this.withReportInputs(companyData, report));
+        state.normalizedData = normalizedData;
+      }
+
+      await this.updateReport(reportId, userId, { generationState: state });
+
+      progressCallback(10, { message: 'Company data normalized' });
+
       // Track progress
       let completedSections = 0;
       const totalSections = sectionsToGenerate.length;
+      const failedSections = [];
 
       // Process each section
       for (const sectionType of sectionsToGenerate) {
+        // Stop between sections if the job was cancelled
+        if (job.id) {
+          await queueService.throwIfCancelled(job.id);
+        }
+
+        const checkpoint = state.sections[sectionType];
+        const sectionExists = report.sections.some(s => s.type === sectionType);
+
+        // Skip sections already generated by an earlier attempt
+        if (checkpoint.status === 'completed' && sectionExists) {
+          completedSections++;
+          progressCallback(
+            10 + ((completedSections / totalSections) * 80),
+            {
+              message: `${this.getSectionTitle(sectionType)} already generated`,
+              sectionType,
+              sectionStatus: 'completed'
+            }
+          );
+          continue;
+        }
+
         try {
           progressCallback(
             10 + ((completedSections / totalSections) * 80), 
-            { message: `Generating ${this.getSectionTitle(sectionType)}` }
+            {
+              message: `Generating ${this.getSectionTitle(sectionType)}`,
+              sectionType,
+              sectionStatus: 'generating'
+            }
           );
 
-          await this.generateReportSection(reportId, userId, sectionType, normalizedData);
+          const section = await this.generateReportSection(reportId, userId, sectionType, normalizedData);
           completedSections++;
 
+          await this.checkpointSection(reportId, userId, sectionType, {
+            status: 'completed',
+            sectionId: section.id,
+            completedAt: new Date(),
+            attempts: (checkpoint.attempts || 0) + 1,
+            error: null
+          });
+
           // Update progress
           await this.updateReport(reportId, userId, {
             generationProgress: (completedSections / totalSections) * 100
           });
+
+          progressCallback(
+            10 + ((completedSections / totalSections) * 80),
+            {
+              message: `${this.getSectionTitle(sectionType)} generated`,
+              sectionType,
+              sectionStatus: 'completed'
+            }
+          );
         } catch (error) {
           console.error(`Error generating ${sectionType}:`, error);
-          // Continue with other sections despite error
+          failedSections.push({ sectionType, error });
+
+          // Record the failure and continue with other sections
+          await this.checkpointSection(reportId, userId, sectionType, {
+            status: 'failed',
+            failedAt: new Date(),
+            attempts: (checkpoint.attempts || 0) + 1,
+            error: error.message
+          });
+
+          progressCallback(
+            10 + ((completedSections / totalSections) * 80),
+            {
+              message: `Failed to generate ${this.getSectionTitle(sectionType)}`,
+              sectionType,
+              sectionStatus: 'failed',
+              error: error.message
+            }
+          );
+
+          // The remaining sections would hit the same budget
+          if (error.name === 'BudgetExceededError') {
+            throw error;
+          }
         }
       }
 
+      // Fail the job so the queue retries only the failed sections
+      if (failedSections.length > 0) {
+        const sectionError = new Error(
+          `Failed to generate ${failedSections.length} section(s): ${failedSections.map(f => f.sectionType).join(', ')}`
+        );
+
+        // Only worth retrying if at least one section failed for a transient reason
+        sectionError.retryable = failedSections.some(f => queueService.isRetryableError(f.error));
+        throw sectionError;
+      }
+
       // Update report status to completed
       await this.updateReport(reportId, userId, {
         status: 'completed',
@@ -208,12 +587,39 @@ class EnhancedReportService {
 
       return { reportId, status: 'completed' };
     } catch (error) {
+      if (error.cancelled) {
+        // Completed sections are kept; the report can be resumed later
+        await this.updateReport(reportId, userId, {
+          status: 'cancelled',
+          generationError: null
+        });
+
+        progressCallback(100, { message: 'Report generation cancelled' });
+
+        throw error;
+      }
+
       console.error('Generate full report error:', error);
 
+      // A deleted report will not come back on retry
+      if (error.message === 'Report not found' || error.message === 'Report not found or not authorized') {
+        error.retryable = false;
+      }
+
+      // The queue tries again after a backoff, and puts the report back in the queue itself
+      if (job.id && queueService.willRetry(job, error)) {
+        throw error;
+      }
+
       // Update report status to failed
-      await this.updateReport(reportId, userId, {
-        status: 'failed'
-      });
+      try {
+        await this.updateReport(reportId, userId, {
+          status: 'failed',
+          generationError: error.message
+        });
+      } catch (updateError) {
+        console.error('Error recording report generation failure:', updateError);
+      }
 
       progressCallback(100, { 
         message: 'Report generation failed', 
@@ -224,10 +630,91 @@ class EnhancedReportService {
     }
   }
 
+  /**
+   * Build the checkpoint state for a generation run.
+   * The state is kept when retrying the same job, or carried over from an
+   * earlier job when resuming; otherwise every section starts as pending.
+   */
+  prepareGenerationState(report, jobId, sectionTypes, resume = false) {
+    const previous = report.generationState;
+    const sameJob = previous && previous.jobId === jobId;
+    const carryOver = previous && (sameJob || resume);
+
+    const sections = {};
+    sectionTypes.forEach(sectionType => {
+      const prior = carryOver ? previous.sections?.[sectionType] : null;
+      sections[sectionType] = prior && prior.status === 'completed'
+        ? prior
+        : { status: 'pending', attempts: prior ? prior.attempts || 0 : 0, error: prior ? prior.error || null : null };
+    });
+
+    return {
+      jobId,
+      sectionTypes,
+      sections,
+      normalizedData: sameJob ? previous.normalizedData || null : null,
+      startedAt: sameJob && previous.startedAt ? previous.startedAt : new Date()
+    };
+  }
+
+  /**
+   * Record the checkpoint for a single section
+   */
+  async checkpointSection(reportId, userId, sectionType, checkpoint) {
+    return this.updateReport(reportId, userId, {
+      [`generationState.sections.${sectionType}`]: checkpoint
+    });
+  }
+
+  /**
+   * Summarize which sections are done, pending, or failed in the current generation
+   */
+  summarizeSectionProgress(report) {
+    const state = report.generationState;
+    if (!state || !state.sectionTypes) {
+      return null;
+    }
+
+    const summary = {
+      total: state.sectionTypes.length,
+      completed: [],
+      pending: [],
+      failed: []
+    };
+
+    state.sectionTypes.forEach(sectionType => {
+      const checkpoint = state.sections?.[sectionType] || { status: 'pending' };
+
+      if (checkpoint.status === 'completed') {
+        summary.completed.push({
+          type: sectionType,
+          sectionId: checkpoint.sectionId,
+          completedAt: checkpoint.completedAt
+        });
+      } else if (checkpoint.status === 'failed') {
+        summary.failed.push({
+          type: sectionType,
+          error: checkpoint.error,
+          attempts: checkpoint.attempts,
+          failedAt: checkpoint.failedAt
+        });
+      } else {
+        summary.pending.push({ type: sectionType });
+      }
+    });
+
+    return summary;
+  }
+
   /**
    * Generate a specific report section
+   * @param {Object} options - { stream, onToken(text), signal } to stream the text as it is written.
+   * An aborted generation throws and leaves the existing section unchanged.
+   * options.structured overrides the report's structuredOutput setting, and
+   * options.qualityLoop its qualityLoop setting. options.organizationId is the caller's
+   * organization; without it, the one the report was last generated for is used.
    */
-  async generateReportSection(reportId, userId, sectionType, companyData) {
+  async generateReportSection(reportId, userId, sectionType, companyData, options = {}) {
     try {
       // Get the report to ensure it exists and user has access
       const report = await this.getReportById(reportId, userId);
@@ -235,24 +722,111 @@ class EnhancedReportService {
       // Check if this section already exists
       const existingSectionIndex = report.sections.findIndex(s => s.type === sectionType);
 
-      // Generate section content using OpenAI service
+      // Monthly budgets either block generation or move it to a cheaper model
+      const organizationId = options.organizationId || report.generationInput?.organizationId || null;
+      const budget = await usageService.checkBudget(userId, organizationId);
+      if (budget.action === 'block') {
+        throw usageService.createBudgetExceededError(budget.exceeded);
+      }
+
+      // Generate section content; the owner and organization decide which LLM provider is used
       const generatedSection = await openaiService.generateReportSection(
         sectionType,
-        companyData
+        companyData,
+        {},
+        {
+          reportId,
+          userId,
+          organizationId,
+          downgrade: budget.action === 'downgrade',
+          provider: budget.downgradeProvider || undefined,
+          structured: this.isStructuredOutputEnabled(report, options),
+          style: report.customization?.analysisStyle,
+          stream: options.stream,
+          onToken: options.onToken,
+          signal: options.signal
+        }
       );
 
+      // Score the section against its rubric and, if the report opts in, have it improved.
+      // Structured sections are only scored, since rewriting would leave their fields stale.
+      const improveQuality = !generatedSection.structured && this.isQualityLoopEnabled(report, options);
+      const quality = await contentQualityService.evaluateAndImprove(generatedSection.content, sectionType, {
+        maxIterations: improveQuality ? undefined : 0,
+        provider: generatedSection.metadata?.provider,
+        usageContext: { reportId, userId, organizationId },
+        // Each improvement is another LLM call, so the budget is checked again before it
+        beforeRound: async () => {
+          const roundBudget = await usageService.checkBudget(userId, organizationId);
+          if (roundBudget.action === 'block') {
+            return false;
+          }
+          return {
+            downgrade: roundBudget.action === 'downgrade',
+            ...(roundBudget.downgradeProvider ? { provider: roundBudget.downgradeProvider } : {})
+          };
+        }
+      });
+
+      // The section metadata describes the generation call; improvement rounds add their own tokens and models
+      const metadata = quality.rounds.length > 0
+        ? {
+          ...generatedSection.metadata,
+          qualityImprovement: {
+            rounds: quality.rounds.length,
+            applied: quality.improved,
+            tokensUsed: quality.rounds.reduce((sum, round) => sum + round.tokensUsed, 0),
+            models: [...new Set(quality.rounds.map(round => round.model).filter(Boolean))],
+            providers: [...new Set(quality.rounds.map(round => round.provider).filter(Boolean))]
+          },
+          totalTokensUsed: (generatedSection.metadata?.tokensUsed || 0) +
+            quality.rounds.reduce((sum, round) => sum + round.tokensUsed, 0)
+        }
+        : generatedSection.metadata;
+
       // Create the section object
       const newSection = {
         id: existingSectionIndex >= 0 ? report.sections[existingSectionIndex].id : new ObjectId().toString(),
         type: sectionType,
         title: this.getSectionTitle(sectionType),
-        content: generatedSection.content,
+        content: quality.content,
         generatedAt: new Date(),
         edited: false,
-        metadata: generatedSection.metadata,
-        data: this.extractVisualizationData(sectionType, companyData)
+        metadata,
+        data: this.mergeStructuredVisualizationData(
+          this.extractVisualizationData(sectionType, companyData),
+          generatedSection.structured
+        )
+      };
+
+      newSection.quality = {
+        score: quality.evaluation.score,
+        passed: quality.evaluation.passed,
+        rubricVersion: quality.evaluation.rubricVersion,
+        checks: quality.evaluation.checks || [],
+        issues: quality.evaluation.issues || [],
+        iterations: quality.iterations,
+        improved: quality.improved,
+        ...(quality.stoppedEarly ? { stoppedReason: 'budget' } : {}),
+        evaluatedAt: new Date()
       };
 
+      // Rule-based findings (placeholders, figures that contradict the company data,
+      // missing template headings...) shown as annotations in the editor
+      newSection.lint = {
+        ...lintContent(newSection.content, {
+          sectionType,
+          companyData,
+          template: generatedSection.promptTemplate
+        }),
+        lintedAt: new Date()
+      };
+
+      // Fields the model extracted in structured mode, next to the prose
+      if (generatedSection.structured) {
+        newSection.structured = generatedSection.structured;
+      }
+
       // Update the report with the new section
       if (existingSectionIndex >= 0) {
         // Replace existing section
@@ -262,15 +836,17 @@ class EnhancedReportService {
         report.sections.push(newSection);
       }
 
-      // Update the report status if needed
-      if (report.status === 'draft' || report.status === 'generating') {
+      // Update the report status if needed; a report stays 'generating' while its job runs
+      if (report.status === 'draft' ||
+          (report.status === 'generating' && !(await this.getActiveGenerationJob(report)))) {
         report.status = 'in_progress';
       }
 
-      // Save the updated report
+      // Save the updated report, with where its company data came from for exports
       await this.updateReport(reportId, userId, {
         sections: report.sections,
-        status: report.status
+        status: report.status,
+        ...(companyData?._metadata?.provenance ? { dataProvenance: companyData._metadata.provenance } : {})
       });
 
       // Invalidate cache
@@ -278,11 +854,114 @@ class EnhancedReportService {
 
       return newSection;
     } catch (error) {
-      console.error('Generate report section error:', error);
+      if (!error.aborted) {
+        console.error('Generate report section error:', error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Whether sections of a report are generated in structured (JSON) mode:
+   * an explicit option, else the report's setting, else LLM_STRUCTURED_OUTPUT
+   */
+  isStructuredOutputEnabled(report, options = {}) {
+    if (typeof options.structured === 'boolean') {
+      return options.structured;
+    }
+    if (typeof report.customization?.structuredOutput === 'boolean') {
+      return report.customization.structuredOutput;
+    }
+    return process.env.LLM_STRUCTURED_OUTPUT === 'true';
+  }
+
+  /**
+   * Whether failing sections of a report go through the evaluate-and-improve loop:
+   * an explicit option, else the report's setting, else QUALITY_LOOP_ENABLED
+   */
+  isQualityLoopEnabled(report, options = {}) {
+    if (typeof options.qualityLoop === 'boolean') {
+      return options.qualityLoop;
+    }
+    if (typeof report.customization?.qualityLoop === 'boolean') {
+      return report.customization.qualityLoop;
+    }
+    return process.env.QUALITY_LOOP_ENABLED === 'true';
+  }
+
+  /**
+   * Add what the model wrote in structured mode to the visualization data:
+   * key metrics become metric cards, risks replace the input risk chart and
+   * the recommendation is shown as metrics
+   */
+  mergeStructuredVisualizationData(data, structured) {
+    if (!structured) {
+      return data;
+    }
+
+    const merged = {
+      ...data,
+      metrics: [...(data?.metrics || [])],
+      charts: { ...(data?.charts || {}) }
+    };
+
+    (structured.keyMetrics || []).forEach(metric => {
+      const existing = merged.metrics.findIndex(m => m.name.toLowerCase() === metric.name.toLowerCase());
+      const card = {
+        name: metric.name,
+        value: metric.unit === '%' ? `${metric.value}%` : (metric.unit ? `${metric.value} ${metric.unit}` : metric.value),
+        type: metric.unit === '%' ? 'percentage' : 'text',
+        description: metric.period || 'Reported in section'
+      };
+
+      // The model's figure is what the text says, so it wins over the input-derived one;
+      // ratios computed from the statements are never replaced by the model's
+      if (existing >= 0 && merged.metrics[existing].computed) {
+        return;
+      }
+      if (existing >= 0) {
+        merged.metrics[existing] = card;
+      } else {
+        merged.metrics.push(card);
+      }
+    });
+
+    if (structured.risks && structured.risks.length > 0) {
+      const severityValues = { low: 25, medium: 50, high: 75, critical: 90 };
+      merged.charts.riskFactors = {
+        type: 'horizontal-bar',
+        title: 'Risk Factors',
+        data: structured.risks.map(risk => ({
+          name: risk.title,
+          value: severityValues[risk.severity] || 50,
+          description: risk.description || risk.mitigation || '',
+          severity: risk.severity
+        }))
+      };
+    }
+
+    if (structured.recommendation) {
+      const { rating, targetValuation, currency, horizonMonths } = structured.recommendation;
+      merged.metrics.push({
+        name: 'Recommendation',
+        value: rating.replace(/_/g, ' ').toUpperCase(),
+        type: 'text',
+        description: horizonMonths ? `${horizonMonths}-month horizon` : 'Analyst rating'
+      });
+
+      if (targetValuation !== null && targetValuation !== undefined) {
+        merged.metrics.push({
+          name: 'Target Valuation',
+          value: `${targetValuation.toLocaleString('en-US')} ${currency || 'USD'}`,
+          type: 'currency',
+          description: 'Target enterprise value'
+        });
+      }
+    }
+
+    return merged;
+  }
+
   /**
    * Extract relevant data for visualizations in each section
    */
@@ -305,13 +984,17 @@ class EnhancedReportService {
   }
 
   /**
-   * Extract data for competitive analysis visualizations
+   * Extract data for competitive analysis visualizations.
+   * Only reported figures are charted: competitors without a market share or
+   * pricing and quality scores are left out of those charts rather than given
+   * made-up values.
    */
   extractCompetitiveVisualizationData(companyData) {
     const competitiveData = {
       metrics: [],
       charts: {}
     };
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
 
     // Competitive positioning chart
     if (companyData.market && companyData.market.competitors && Array.isArray(companyData.market.competitors)) {
@@ -319,55 +1002,43 @@ class EnhancedReportService {
 
       if (competitors.length > 0) {
         // Market share comparison
-        competitiveData.charts.marketShare = {
-          type: 'pie',
-          title: 'Market Share Distribution',
-          data: [
-            ...competitors.map(comp => ({
-              name: comp.name,
-              value: comp.marketShare || Math.floor(Math.random() * 15) + 5 // Fallback to random values for visualization
-            })),
-            {
-              name: companyData.company?.name || 'Company',
-              value: companyData.market.marketShare || Math.floor(Math.random() * 20) + 10
-            }
-          ]
-        };
+        const shares = competitors
+          .filter(comp => isNumber(comp.marketShare))
+          .map(comp => ({ name: comp.name, value: comp.marketShare }));
+        if (isNumber(companyData.market.marketShare)) {
+          shares.push({ name: companyData.company?.name || 'Company', value: companyData.market.marketShare });
+        }
 
-        // Competitive positioning matrix
-        competitiveData.charts.positioningMatrix = {
-          type: 'scatter',
-          title: 'Competitive Positioning Matrix',
-          data: [
-            ...competitors.map(comp => ({
-              name: comp.name,
-              x: comp.pricingScore || Math.floor(Math.random() * 80) + 20, // Price point (higher = more expensive)
-              y: comp.qualityScore || Math.floor(Math.random() * 80) + 20  // Quality/feature set (higher = better)
-            })),
-            {
-              name: companyData.company?.name || 'Company',
-              x: 65, // Position the company
-              y: 70
-            }
-          ]
-        };
-      }
-    }
+        if (shares.length > 0) {
+          competitiveData.charts.marketShare = {
+            type: 'pie',
+            title: 'Market Share Distribution',
+            data: shares
+          };
+        }
 
-    // Competitive strength metrics
-    competitiveData.metrics.push({
-      name: 'Market Position',
-      value: 'Challenger',  // This would be dynamically determined in a real implementation
-      type: 'text',
-      description: 'Relative competitive position'
-    });
+        // Competitive positioning matrix: price point (x, higher = more expensive)
+        // against quality/feature set (y, higher = better)
+        const positions = competitors
+          .filter(comp => isNumber(comp.pricingScore) && isNumber(comp.qualityScore))
+          .map(comp => ({ name: comp.name, x: comp.pricingScore, y: comp.qualityScore }));
+
+        if (positions.length > 0) {
+          competitiveData.charts.positioningMatrix = {
+            type: 'scatter',
+            title: 'Competitive Positioning Matrix',
+            data: positions
+          };
+        }
 
-    competitiveData.metrics.push({
-      name: 'Competitive Advantage',
-      value: 'Medium',  // This would be dynamically determined
-      type: 'text',
-      description: 'Strength of competitive moat'
-    });
+        competitiveData.metrics.push({
+          name: 'Named Competitors',
+          value: competitors.length,
+          type: 'number',
+          description: 'Competitors named in the company data'
+        });
+      }
+    }
 
     return competitiveData;
   }
@@ -381,76 +1052,83 @@ class EnhancedReportService {
       charts: {}
     };
 
-    // Generate projection metrics
-    const currentYear = new Date().getFullYear();
-
-    // Base values - would come from real data
-    const baseRevenue = companyData.financials?.revenue?.value || 1000000;
-    const growthRate = (companyData.financials?.growth?.rate || 20) / 100;
+    // Everything shown comes from the projection model, as in the section text
+    const projection = companyData.projections;
+    if (!projection) {
+      return projectionsData;
+    }
 
-    // Generate revenue projection data
-    const revenueProjection = [];
-    let projectedRevenue = baseRevenue;
+    const { baseline, scenarios, currency } = projection;
+    const { base, upside, downside } = scenarios;
+    const years = base.years.length;
+    const amount = (value) => formatRatioValue(value, 'currency', currency);
+    const basis = `Base case${baseline.estimated ? ', from estimated revenue' : ''}`;
 
-    for (let year = 0; year < 5; year++) {
-      projectedRevenue = year === 0 ? projectedRevenue : projectedRevenue * (1 + growthRate);
+    projectionsData.projection = projection;
 
-      revenueProjection.push({
-        year: currentYear + year,
-        value: Math.round(projectedRevenue),
-        label: `${currentYear + year}`
-      });
-    }
-
-    // Add revenue projection chart
     projectionsData.charts.revenueProjection = {
       type: 'line',
-      title: 'Revenue Projection (5 Year)',
-      data: revenueProjection
+      title: `Revenue Projection (${years} Year, Base Case)`,
+      data: [
+        { year: baseline.year, value: baseline.revenue },
+        ...base.years.map(row => ({ year: row.year, value: row.revenue }))
+      ]
     };
 
-    // Add margin projection assuming margin improvement
-    const marginProjection = [];
-    let currentMargin = 0.15; // Start with 15% margin
-    const marginImprovement = 0.02; // 2% improvement per year
-
-    for (let year = 0; year < 5; year++) {
-      currentMargin = Math.min(0.35, currentMargin + marginImprovement);
-
-      marginProjection.push({
-        year: currentYear + year,
-        value: Math.round(currentMargin * 100),
-        label: `${currentYear + year}`
-      });
-    }
+    projectionsData.charts.revenueScenarios = {
+      type: 'bar',
+      title: `${base.summary.finalYear} Revenue by Scenario`,
+      data: [
+        { name: 'Downside', value: downside.summary.finalRevenue },
+        { name: 'Base', value: base.summary.finalRevenue },
+        { name: 'Upside', value: upside.summary.finalRevenue }
+      ]
+    };
 
-    // Add margin projection chart
     projectionsData.charts.marginProjection = {
       type: 'line',
-      title: 'Margin Projection (5 Year)',
-      data: marginProjection
+      title: 'EBITDA Margin Projection (%)',
+      data: base.years.map(row => ({ year: row.year, value: row.ebitdaMargin }))
+    };
+
+    projectionsData.charts.freeCashFlowProjection = {
+      type: 'bar',
+      title: 'Free Cash Flow Projection',
+      data: base.years.map(row => ({ name: String(row.year), value: row.freeCashFlow }))
     };
 
-    // Add key metrics
+    // Computed cards are kept over figures the model reports in structured mode
     projectionsData.metrics.push({
-      name: '5-Year CAGR',
-      value: `${(growthRate * 100).toFixed(1)}%`,
+      name: `${years}-Year CAGR`,
+      value: `${base.summary.revenueCagr}%`,
       type: 'percentage',
-      description: 'Compound Annual Growth Rate'
+      description: `${basis}; upside ${upside.summary.revenueCagr}%, downside ${downside.summary.revenueCagr}%`,
+      computed: true
     });
 
     projectionsData.metrics.push({
-      name: 'Year 5 Revenue',
-      value: `$${(revenueProjection[4].value / 1000000).toFixed(1)}M`,
+      name: `Year ${years} Revenue`,
+      value: amount(base.summary.finalRevenue),
       type: 'currency',
-      description: `Projected revenue for ${currentYear + 4}`
+      description: `Projected revenue for ${base.summary.finalYear}; ` +
+        `${amount(downside.summary.finalRevenue)} to ${amount(upside.summary.finalRevenue)} across scenarios`,
+      computed: true
     });
 
     projectionsData.metrics.push({
-      name: 'Year 5 Margin',
-      value: `${marginProjection[4].value}%`,
+      name: `Year ${years} EBITDA Margin`,
+      value: `${base.summary.finalEbitdaMargin}%`,
       type: 'percentage',
-      description: `Projected margin for ${currentYear + 4}`
+      description: `Projected EBITDA margin for ${base.summary.finalYear}`,
+      computed: true
+    });
+
+    projectionsData.metrics.push({
+      name: 'Cumulative Free Cash Flow',
+      value: amount(base.summary.cumulativeFreeCashFlow),
+      type: 'currency',
+      description: `${basis}, ${base.years[0].year}-${base.summary.finalYear}`,
+      computed: true
     });
 
     return projectionsData;
@@ -475,7 +1153,7 @@ class EnhancedReportService {
           name: 'Revenue Growth',
           value: `${growthData.rate}%`,
           type: 'percentage',
-          description: `${growthData.period || 'Annual'} growth rate`
+          description: `${growthData.period || 'Annual'} growth rate${growthData.estimated ? ' (industry estimate)' : ''}`
         });
       }
     }
@@ -520,6 +1198,45 @@ class EnhancedReportService {
       });
     }
 
+    // Ratios computed from uploaded statements; these replace same-name input-derived cards
+    if (companyData.financialRatios) {
+      const { latest, periods } = companyData.financialRatios;
+      const cardTypes = { percent: 'percentage', currency: 'currency' };
+
+      latest.ratios
+        .filter(ratio => ratio.value !== null || ratio.note)
+        .forEach(ratio => {
+          const description = [
+            latest.period,
+            ratio.deltaDisplay ? `${ratio.deltaDisplay} vs ${latest.previousPeriod}` : null,
+            ratio.value !== null ? ratio.note : null
+          ].filter(Boolean).join('; ');
+          const card = {
+            name: ratio.label,
+            value: ratio.display,
+            type: cardTypes[ratio.unit] || 'text',
+            description,
+            computed: true
+          };
+
+          const existing = financialData.metrics.findIndex(m => m.name.toLowerCase() === ratio.label.toLowerCase());
+          if (existing >= 0) {
+            financialData.metrics[existing] = card;
+          } else {
+            financialData.metrics.push(card);
+          }
+        });
+
+      const margins = periods.filter(period => period.ratios.ebitdaMargin.value !== null);
+      if (margins.length > 1) {
+        financialData.charts.ebitdaMargin = {
+          type: 'line',
+          title: 'EBITDA Margin (%)',
+          data: margins.map(period => ({ label: period.label, value: period.ratios.ebitdaMargin.value }))
+        };
+      }
+    }
+
     return financialData;
   }
 
@@ -560,15 +1277,16 @@ class EnhancedReportService {
     if (companyData.market && companyData.market.competitors && Array.isArray(companyData.market.competitors)) {
       const competitors = companyData.market.competitors;
 
-      // Create competitor chart data
-      if (competitors.length > 0) {
+      // Create competitor chart data from the figures reported for each competitor
+      const chartData = competitors
+        .map(comp => ({ name: comp.name, value: comp.marketShare || comp.revenue || comp.employees }))
+        .filter(item => typeof item.value === 'number');
+
+      if (chartData.length > 0) {
         marketData.charts.competitors = {
           type: 'bar',
           title: 'Competitive Landscape',
-          data: competitors.map(comp => ({
-            name: comp.name,
-            value: comp.marketShare || comp.revenue || comp.employees || 50 // Fallback value
-          }))
+          data: chartData
         };
       }
     }
@@ -714,6 +1432,76 @@ class EnhancedReportService {
     }
   }
 
+  /**
+   * Company data for generation, with the financial statements and projection
+   * assumptions stored on the report. Only stored ones are used: both are
+   * validated when they are uploaded or set, so any the request brings in its
+   * company data are dropped.
+   */
+  withReportInputs(companyData, report) {
+    const { financialStatements, projectionAssumptions, ...data } = companyData || {};
+
+    ['financialStatements', 'projectionAssumptions'].forEach(field => {
+      if (report?.[field]) {
+        data[field] = report[field];
+      }
+    });
+
+    return data;
+  }
+
+  /**
+   * Store parsed financial statements on a report, replacing earlier ones
+   * @param {Object} statements - Result of financialStatementService.parse, or null to remove them
+   */
+  async setFinancialStatements(reportId, userId, statements) {
+    return this.updateReportInputs(reportId, userId, { financialStatements: statements });
+  }
+
+  /**
+   * Store edited projection assumptions on a report, replacing earlier ones
+   * @param {Object} assumptions - Result of projectionService.validateAssumptions, or null for the defaults
+   */
+  async setProjectionAssumptions(reportId, userId, assumptions) {
+    return this.updateReportInputs(reportId, userId, { projectionAssumptions: assumptions });
+  }
+
+  /**
+   * Update inputs of a report's company data. Normalized data checkpointed by an
+   * earlier generation is discarded so a resumed generation uses the new inputs.
+   */
+  async updateReportInputs(reportId, userId, updates) {
+    const report = await this.getReportById(reportId, userId);
+
+    if (report.generationState?.normalizedData) {
+      updates = { ...updates, generationState: { ...report.generationState, normalizedData: null } };
+    }
+
+    return this.updateReport(reportId, userId, updates);
+  }
+
+  /**
+   * The projection for a report under its stored assumptions, from the company
+   * data of its last generation
+   * @returns {Object} { assumptions, projection }
+   */
+  async getProjection(reportId, userId) {
+    const report = await this.getReportById(reportId, userId);
+    const companyData = report.generationInput?.companyData;
+
+    if (!companyData) {
+      throw projectionService.createProjectionError('Report has no company data to project; generate it first', 409);
+    }
+
+    const normalizedData = report.generationState?.normalizedData ||
+      await dataService.normalizeCompanyData(this.withReportInputs(companyData, report));
+
+    return {
+      assumptions: report.projectionAssumptions || {},
+      projection: normalizedData.projections || null
+    };
+  }
+
   /**
    * Update report customization settings
    */
@@ -848,6 +1636,20 @@ class EnhancedReportService {
         reportId: reportId.toString()
       };
 
+      // Remember which prompt the rated section was generated with, so ratings
+      // can be compared per template version even after the section is regenerated
+      const section = feedback.sectionId && report.sections.find(s => s.id === feedback.sectionId);
+      if (section && section.metadata) {
+        feedbackWithId.prompt = {
+          sectionType: section.type,
+          promptVersionId: section.metadata.promptVersionId || null,
+          promptVariant: section.metadata.promptVariant || null,
+          promptTemplateId: section.metadata.promptTemplateId || null,
+          experimentId: section.metadata.experiment?.experimentId || null,
+          arm: section.metadata.experiment?.arm || null
+        };
+      }
+
       // Add feedback to the report
       const result = await collection.updateOne(
         { _id: objectId, userId: userId },
@@ -887,11 +1689,25 @@ class EnhancedReportService {
         jobStatus = queueService.getJobStatus(report.generationJobId);
       }
 
+      // Whether the report's job is still queued or running, whatever the report status says
+      const activeJob = await this.getActiveGenerationJob(report);
+
+      // Jobs waiting to start, including retries backing off, report where they stand in line
+      const queuePosition = activeJob && ['queued', 'retrying'].includes(activeJob.status)
+        ? queueService.getQueuePosition(activeJob.jobId)
+        : null;
+
       return {
         reportId: report._id,
+        jobId: report.generationJobId || null,
         status: report.status,
+        active: Boolean(activeJob),
         progress: jobStatus ? jobStatus.progress : report.generationProgress || 0,
         completedSections: report.sections.length,
+        sections: this.summarizeSectionProgress(report),
+        error: report.generationError || null,
+        nextAttemptAt: report.nextAttemptAt || null,
+        queue: queuePosition,
         updatedAt: report.updatedAt,
         jobStatus: jobStatus ? {
           status: jobStatus.status,
@@ -906,6 +1722,71 @@ class EnhancedReportService {
     }
   }
 
+  /**
+   * Subscribe to live generation events for a report.
+   * Job updates are translated into progress, section, retry, failed and completed events.
+   * @param {Function} onEvent - Called with (eventName, payload)
+   * @returns {Function|null} unsubscribe function, or null if the report's job is not queued or running
+   */
+  async subscribeToGenerationEvents(reportId, userId, onEvent) {
+    const status = await this.checkGenerationStatus(reportId, userId);
+    onEvent('status', status);
+
+    if (!status.jobId || !status.active) {
+      return null;
+    }
+
+    const jobId = status.jobId;
+
+    return queueService.subscribeToJobUpdates(jobId, (jobStatus, update = {}) => {
+      const payload = {
+        reportId,
+        jobId,
+        status: jobStatus.status,
+        progress: Math.round(jobStatus.progress || 0)
+      };
+
+      switch (jobStatus.status) {
+        case 'retrying':
+          onEvent('retry', {
+            ...payload,
+            error: update.error,
+            attempts: update.attempts,
+            maxAttempts: update.maxAttempts,
+            retryAt: update.retryAt || null
+          });
+          break;
+        case 'failed':
+          onEvent('failed', {
+            ...payload,
+            error: update.error || jobStatus.metadata?.error
+          });
+          break;
+        case 'completed':
+          onEvent('completed', payload);
+          break;
+        case 'cancelled':
+          onEvent('cancelled', payload);
+          break;
+        default:
+          if (update.sectionStatus === 'completed' || update.sectionStatus === 'failed') {
+            onEvent('section', {
+              ...payload,
+              sectionType: update.sectionType,
+              title: this.getSectionTitle(update.sectionType),
+              sectionStatus: update.sectionStatus,
+              error: update.error || null
+            });
+          }
+
+          onEvent('progress', {
+            ...payload,
+            message: update.message || jobStatus.metadata?.message || null
+          });
+      }
+    });
+  }
+
   /**
    * Export report to a specific format
    */
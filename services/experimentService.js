@@ -0,0 +1,362 @@
+// services/experimentService.js
+
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../config/db');
+const promptTemplateService = require('./promptTemplateService');
+const usageService = require('./usageService');
+const { summarize, welchTTest } = require('../utils/statistics');
+
+const MIN_ARMS = 2;
+const MAX_ARMS = 4;
+const ARM_IDS = ['A', 'B', 'C', 'D'];
+
+// Differences with a p-value below this are reported as significant
+const SIGNIFICANCE_LEVEL = 0.05;
+
+const toObjectId = (id) => (ObjectId.isValid(id) ? new ObjectId(id) : null);
+
+// Sections generated from openaiService's built-in prompts report the 'builtin'
+// variant; experiments address them as the standard variant
+const matchesVariant = (experimentVariant, variant) =>
+  experimentVariant === variant || (variant === 'builtin' && experimentVariant === 'standard');
+
+/**
+ * A/B tests of prompt template versions.
+ *
+ * An experiment splits the generation of one section type and template variant
+ * between arms: stored template versions, or the template currently in use
+ * (an arm without a templateId). Each report stays in the same arm when its
+ * sections are regenerated. Results compare feedback ratings, quality scores
+ * and cost per arm against the first arm.
+ */
+class ExperimentService {
+  constructor() {
+    // Running experiments with their arm templates, so assignment needs no database call
+    this.running = [];
+    this.refreshInterval = 60 * 1000; // 1 minute
+    this.timer = null;
+  }
+
+  createExperimentError(message, status) {
+    const error = new Error(message);
+    error.name = 'ExperimentError';
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Load running experiments and their templates. Generation keeps the
+   * experiments it has if the database cannot be read.
+   */
+  async loadRunningExperiments() {
+    try {
+      const collection = await getCollection('promptExperiments');
+      const experiments = await collection.find({ status: 'running' }).toArray();
+
+      const running = [];
+      for (const experiment of experiments) {
+        try {
+          running.push({
+            id: experiment._id.toString(),
+            sectionType: experiment.sectionType,
+            variant: experiment.variant,
+            arms: await Promise.all(experiment.arms.map(arm => this.loadArmTemplate(arm)))
+          });
+        } catch (error) {
+          // e.g. a draft used by the experiment was deleted
+          console.error(`Skipping prompt experiment ${experiment._id}:`, error.message);
+        }
+      }
+
+      this.running = running;
+
+      return this.running.length;
+    } catch (error) {
+      console.error('Error loading prompt experiments:', error);
+      return null;
+    }
+  }
+
+  async loadArmTemplate(arm) {
+    if (!arm.templateId) {
+      return { ...arm, template: null };
+    }
+
+    const stored = await promptTemplateService.getTemplate(arm.templateId);
+    return {
+      ...arm,
+      template: {
+        version: stored.version,
+        systemPrompt: stored.systemPrompt,
+        template: stored.template,
+        templateId: stored._id.toString()
+      }
+    };
+  }
+
+  /**
+   * Reload running experiments periodically so every instance splits traffic the same way
+   */
+  start(intervalMs = this.refreshInterval) {
+    if (this.timer) return;
+
+    this.loadRunningExperiments();
+    this.timer = setInterval(() => this.loadRunningExperiments(), intervalMs);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop reloading running experiments
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Pick an arm by weight. A report always hashes to the same arm; calls
+   * without a report are assigned at random.
+   */
+  pickArm(experiment, reportId) {
+    const totalWeight = experiment.arms.reduce((sum, arm) => sum + arm.weight, 0);
+
+    let position;
+    if (reportId) {
+      const hash = crypto.createHash('sha256').update(`${experiment.id}:${reportId}`).digest();
+      position = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+    } else {
+      position = Math.random() * totalWeight;
+    }
+
+    for (const arm of experiment.arms) {
+      if (position < arm.weight) return arm;
+      position -= arm.weight;
+    }
+    return experiment.arms[experiment.arms.length - 1];
+  }
+
+  /**
+   * Assign a section generation to an arm of the running experiment for its section and variant
+   * @returns {Object} { experimentId, arm, template } (template null for the template in use), or null
+   */
+  assign(sectionType, variant, reportId) {
+    const experiment = this.running.find(candidate =>
+      candidate.sectionType === sectionType && matchesVariant(candidate.variant, variant));
+
+    if (!experiment) {
+      return null;
+    }
+
+    const arm = this.pickArm(experiment, reportId && String(reportId));
+    return { experimentId: experiment.id, arm: arm.id, template: arm.template };
+  }
+
+  /**
+   * List experiments, newest first
+   */
+  async listExperiments({ status } = {}) {
+    const collection = await getCollection('promptExperiments');
+    const experiments = await collection.find(status ? { status } : {}).toArray();
+    return experiments.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Get an experiment by id
+   */
+  async getExperiment(experimentId) {
+    const id = toObjectId(experimentId);
+    const collection = await getCollection('promptExperiments');
+    const experiment = id ? await collection.findOne({ _id: id }) : null;
+
+    if (!experiment) {
+      throw this.createExperimentError('Experiment not found', 404);
+    }
+
+    return experiment;
+  }
+
+  /**
+   * Start an experiment
+   * @param {Object} data - { name, sectionType, variant, arms: [{ templateId, weight }] }.
+   * An arm without a templateId uses the template in use; put the control arm first.
+   */
+  async createExperiment({ name, sectionType, variant = 'standard', arms = [] }, userId) {
+    if (!name || typeof name !== 'string') {
+      throw this.createExperimentError('Experiment name is required', 400);
+    }
+    if (!Array.isArray(arms) || arms.length < MIN_ARMS || arms.length > MAX_ARMS) {
+      throw this.createExperimentError(`An experiment needs ${MIN_ARMS} to ${MAX_ARMS} arms`, 400);
+    }
+    if (arms.some(arm => !arm || typeof arm !== 'object')) {
+      throw this.createExperimentError('Arms must be objects with an optional templateId and weight', 400);
+    }
+    if (arms.some(arm => arm.weight !== undefined && !(typeof arm.weight === 'number' && arm.weight > 0))) {
+      throw this.createExperimentError('Arm weights must be positive numbers', 400);
+    }
+
+    const templateIds = arms.map(arm => arm.templateId || null);
+    if (new Set(templateIds).size !== templateIds.length) {
+      throw this.createExperimentError('Each arm must use a different template', 400);
+    }
+
+    const armsWithVersions = [];
+    for (const [index, arm] of arms.entries()) {
+      let version = null;
+      if (arm.templateId) {
+        const template = await promptTemplateService.getTemplate(arm.templateId).catch(() => null);
+        if (!template || template.sectionType !== sectionType || template.variant !== variant) {
+          throw this.createExperimentError(
+            `Arm ${ARM_IDS[index]} must use a stored ${sectionType}/${variant} template`, 400);
+        }
+        version = template.version;
+      }
+
+      armsWithVersions.push({
+        id: ARM_IDS[index],
+        templateId: arm.templateId ? String(arm.templateId) : null,
+        version,
+        weight: arm.weight || 1
+      });
+    }
+
+    const collection = await getCollection('promptExperiments');
+    const conflicting = await collection.findOne({ sectionType, variant, status: 'running' });
+    if (conflicting) {
+      throw this.createExperimentError(
+        `Experiment "${conflicting.name}" is already running for ${sectionType}/${variant}`, 409);
+    }
+
+    const now = new Date();
+    const experiment = {
+      name,
+      sectionType,
+      variant,
+      arms: armsWithVersions,
+      status: 'running',
+      createdBy: userId,
+      createdAt: now,
+      startedAt: now,
+      stoppedAt: null,
+      promotedArm: null
+    };
+
+    const result = await collection.insertOne(experiment);
+    await this.loadRunningExperiments();
+
+    return { ...experiment, _id: result.insertedId };
+  }
+
+  /**
+   * Stop an experiment, optionally publishing the template of the winning arm
+   */
+  async stopExperiment(experimentId, userId, promoteArm = null) {
+    const experiment = await this.getExperiment(experimentId);
+    if (experiment.status !== 'running') {
+      throw this.createExperimentError('Experiment is not running', 409);
+    }
+
+    const arm = promoteArm ? experiment.arms.find(candidate => candidate.id === promoteArm) : null;
+    if (promoteArm && !arm) {
+      throw this.createExperimentError(`Unknown arm: ${promoteArm}`, 400);
+    }
+
+    // The arm without a template already uses the template in use
+    if (arm && arm.templateId) {
+      const template = await promptTemplateService.getTemplate(arm.templateId);
+      if (template.status !== 'published') {
+        await promptTemplateService.publishTemplate(arm.templateId, userId);
+      }
+    }
+
+    const update = { status: 'stopped', stoppedAt: new Date(), stoppedBy: userId, promotedArm: arm ? arm.id : null };
+    const collection = await getCollection('promptExperiments');
+    await collection.updateOne({ _id: experiment._id }, { $set: update });
+    await this.loadRunningExperiments();
+
+    return { ...experiment, ...update };
+  }
+
+  /**
+   * Compare the arms of an experiment.
+   *
+   * Sections count while they are in a report; ratings come from feedback on
+   * sections, which records the arm the section was generated with, so they
+   * still count after the section is regenerated. Quality scores are read
+   * from section.quality.score where sections have been evaluated.
+   * Every arm is compared with the first arm using Welch's t-test.
+   */
+  async getResults(experimentId) {
+    const experiment = await this.getExperiment(experimentId);
+    const id = experiment._id.toString();
+
+    const reports = await (await getCollection('reports')).find({
+      $or: [
+        { 'sections.metadata.experiment.experimentId': id },
+        { 'feedback.prompt.experimentId': id }
+      ]
+    }).toArray();
+
+    const samples = {};
+    experiment.arms.forEach(arm => {
+      samples[arm.id] = { sections: 0, ratings: [], quality: [], cost: [], tokens: [] };
+    });
+
+    reports.forEach(report => {
+      (report.sections || []).forEach(section => {
+        const assignment = section.metadata?.experiment;
+        const sample = assignment && assignment.experimentId === id && samples[assignment.arm];
+        if (!sample) return;
+
+        const metadata = section.metadata;
+        sample.sections++;
+        if (typeof metadata.tokensUsed === 'number') {
+          sample.tokens.push(metadata.tokensUsed);
+          sample.cost.push(usageService.calculateCost(
+            metadata.provider, metadata.model, metadata.promptTokens || 0, metadata.completionTokens || 0));
+        }
+        if (typeof section.quality?.score === 'number') {
+          sample.quality.push(section.quality.score);
+        }
+      });
+
+      (report.feedback || []).forEach(feedback => {
+        const sample = feedback.prompt?.experimentId === id && samples[feedback.prompt.arm];
+        if (sample && typeof feedback.rating === 'number') {
+          sample.ratings.push(feedback.rating);
+        }
+      });
+    });
+
+    const metrics = ['ratings', 'quality', 'cost', 'tokens'];
+    const arms = experiment.arms.map(arm => ({
+      ...arm,
+      sections: samples[arm.id].sections,
+      ...Object.fromEntries(metrics.map(metric => [metric, summarize(samples[arm.id][metric])]))
+    }));
+
+    const control = experiment.arms[0].id;
+    const comparisons = experiment.arms.slice(1).map(arm => ({
+      arm: arm.id,
+      against: control,
+      ...Object.fromEntries(metrics.map(metric => {
+        const test = welchTTest(samples[control][metric], samples[arm.id][metric]);
+        return [metric, test && { ...test, significant: test.pValue < SIGNIFICANCE_LEVEL }];
+      }))
+    }));
+
+    return {
+      experiment,
+      significanceLevel: SIGNIFICANCE_LEVEL,
+      arms,
+      comparisons
+    };
+  }
+}
+
+// Export a singleton instance
+module.exports = new ExperimentService();
@@ -0,0 +1,490 @@
+// services/financialStatementService.js
+
+const { parseCsvRows } = require('../utils/csvParser');
+const { isXlsx, parseXlsx } = require('../utils/xlsxParser');
+
+const SCHEMA_VERSION = '1.0';
+
+// Canonical line items per statement, with the labels they go by in exports.
+// Labels are matched after normalizeLabel (lower case, punctuation removed).
+const LINE_ITEMS = {
+  incomeStatement: {
+    revenue: ['revenue', 'revenues', 'total revenue', 'total revenues', 'net revenue', 'net revenues', 'sales', 'net sales', 'total sales', 'turnover'],
+    costOfRevenue: ['cost of revenue', 'cost of revenues', 'cost of sales', 'cost of goods sold', 'cogs'],
+    grossProfit: ['gross profit'],
+    operatingExpenses: ['operating expenses', 'total operating expenses', 'opex'],
+    ebitda: ['ebitda', 'adjusted ebitda'],
+    depreciationAmortization: ['depreciation and amortization', 'depreciation amortization', 'd and a', 'depreciation'],
+    operatingIncome: ['operating income', 'operating profit', 'income from operations', 'operating income loss', 'ebit'],
+    interestExpense: ['interest expense', 'interest expense net', 'net interest expense'],
+    incomeTax: ['income tax', 'income taxes', 'income tax expense', 'provision for income taxes', 'tax expense'],
+    netIncome: ['net income', 'net income loss', 'net loss', 'net profit', 'net profit loss', 'net earnings']
+  },
+  balanceSheet: {
+    cash: ['cash', 'cash and cash equivalents', 'cash and equivalents'],
+    accountsReceivable: ['accounts receivable', 'accounts receivable net', 'receivables', 'trade receivables'],
+    inventory: ['inventory', 'inventories'],
+    currentAssets: ['current assets', 'total current assets'],
+    totalAssets: ['total assets', 'assets'],
+    accountsPayable: ['accounts payable', 'payables', 'trade payables'],
+    currentLiabilities: ['current liabilities', 'total current liabilities'],
+    totalDebt: ['total debt', 'debt', 'borrowings', 'long term debt'],
+    totalLiabilities: ['total liabilities', 'liabilities'],
+    totalEquity: ['total equity', 'equity', 'shareholders equity', 'stockholders equity',
+      'total shareholders equity', 'total stockholders equity', 'owners equity'],
+    totalLiabilitiesAndEquity: ['total liabilities and equity', 'total liabilities and shareholders equity',
+      'total liabilities and stockholders equity', 'liabilities and equity']
+  },
+  cashFlow: {
+    operatingCashFlow: ['operating cash flow', 'cash from operations', 'cash flow from operations',
+      'cash from operating activities', 'net cash from operating activities',
+      'net cash provided by operating activities', 'net cash provided by used in operating activities'],
+    capitalExpenditures: ['capital expenditures', 'capital expenditure', 'capex', 'purchases of property and equipment',
+      'purchase of property and equipment'],
+    investingCashFlow: ['investing cash flow', 'cash from investing activities', 'net cash from investing activities',
+      'net cash used in investing activities', 'net cash provided by used in investing activities'],
+    financingCashFlow: ['financing cash flow', 'cash from financing activities', 'net cash from financing activities',
+      'net cash provided by financing activities', 'net cash provided by used in financing activities'],
+    debtRepayments: ['repayment of debt', 'repayments of debt', 'repayment of borrowings', 'repayments of borrowings',
+      'repayment of long term debt', 'repayments of long term debt', 'principal repayments', 'debt repayments'],
+    freeCashFlow: ['free cash flow', 'fcf'],
+    netChangeInCash: ['net change in cash', 'change in cash', 'net increase in cash', 'net increase decrease in cash']
+  }
+};
+
+// Rows and sheet names that start a statement
+const STATEMENT_HEADINGS = [
+  { statement: 'incomeStatement', pattern: /^(income statement|statement of income|statement of operations|profit and loss|p and l|p l)/ },
+  { statement: 'balanceSheet', pattern: /^(balance sheet|statement of financial position)/ },
+  { statement: 'cashFlow', pattern: /^(cash flow statement|cash flows?|statement of cash flows?)/ }
+];
+
+const STATEMENT_LABELS = {
+  incomeStatement: 'Income statement',
+  balanceSheet: 'Balance sheet',
+  cashFlow: 'Cash flow'
+};
+
+// "(in thousands)", "USD 000s", "$m" and similar scale notes
+const UNIT_PATTERNS = [
+  { multiplier: 1000000000, pattern: /\b(in )?billions?\b|\$\s?bn?\b/i },
+  { multiplier: 1000000, pattern: /\b(in )?millions?\b|\$\s?mm?\b|\bmm\b|\(m\)/i },
+  { multiplier: 1000, pattern: /\b(in )?thousands?\b|\b000s?\b|'000|\$\s?k\b|\(k\)/i }
+];
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'INR', 'CNY', 'SEK', 'NOK', 'DKK', 'SGD'];
+
+// Assets may differ from liabilities + equity by rounding in the export
+const BALANCE_TOLERANCE = 0.005;
+
+const MAX_PERIODS = 40;
+
+const normalizeLabel = (label) => String(label || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/['’]/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Alias to line item, per statement
+const ALIAS_INDEX = Object.fromEntries(Object.entries(LINE_ITEMS).map(([statement, items]) => [
+  statement,
+  new Map(Object.entries(items).flatMap(([key, aliases]) => aliases.map(alias => [alias, key])))
+]));
+
+// Excel stores dates as days since 1899-12-30
+const fromExcelSerial = (serial) => new Date(Date.UTC(1899, 11, 30) + serial * 86400000).toISOString().slice(0, 10);
+
+/**
+ * Read a period column header: "FY2023", "2023", "Q4 2023", "Dec-23", "2023-12-31" or,
+ * in XLSX files, an Excel date
+ * @returns {Object|null} { label, year, endDate }
+ */
+const parsePeriod = (header, { serialDates = false } = {}) => {
+  let label = String(header || '').trim();
+  if (!label) return null;
+
+  if (serialDates && /^\d{5}(\.0+)?$/.test(label) && Number(label) > 20000 && Number(label) < 80000) {
+    label = fromExcelSerial(Number(label));
+  }
+
+  const endDate = /^\d{4}-\d{2}-\d{2}$/.test(label) ? label : null;
+  const fullYear = /(?:^|[^0-9])((?:19|20)\d{2})(?![0-9])/.exec(label);
+  const shortYear = /^(?:fy|[qh][1-4]\s*|[a-z]{3}[\s-])\s*'?(\d{2})$/i.exec(label);
+
+  if (fullYear) return { label, year: parseInt(fullYear[1], 10), endDate };
+  if (shortYear) return { label, year: 2000 + parseInt(shortYear[1], 10), endDate };
+  if (/^(ltm|ttm)$/i.test(label)) return { label: label.toUpperCase(), year: null, endDate };
+
+  return null;
+};
+
+/**
+ * Parse a statement amount: "1,234", "(1,234)", "-1234.5", "$1,234"; blanks and dashes are missing
+ * @returns {Number|null}
+ */
+const parseAmount = (text) => {
+  const value = String(text ?? '').trim();
+  if (value === '' || /^[-–—]+$/.test(value) || /^n\/?a$/i.test(value)) return null;
+
+  const negative = /^\(.*\)$/.test(value) || /^-/.test(value.replace(/^[^0-9(-]+/, ''));
+  const digits = value.replace(/[()$€£¥,\s]/g, '').replace(/^-/, '').replace(/^[A-Z]{3}/i, '');
+  if (!/^\d+(\.\d+)?$/.test(digits)) return null;
+
+  return negative ? -parseFloat(digits) : parseFloat(digits);
+};
+
+const formatAmount = (value, currency = 'USD') => {
+  if (value === null || value === undefined) return '–';
+
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(key => CURRENCY_SYMBOLS[key] === currency);
+  const prefix = symbol || `${currency} `;
+  const abs = Math.abs(value);
+  const sign = value < 0 ? '-' : '';
+
+  if (abs >= 1000000000) return `${sign}${prefix}${(abs / 1000000000).toFixed(1)}B`;
+  if (abs >= 1000000) return `${sign}${prefix}${(abs / 1000000).toFixed(1)}M`;
+  if (abs >= 1000) return `${sign}${prefix}${(abs / 1000).toFixed(1)}K`;
+  return `${sign}${prefix}${abs.toLocaleString('en-US')}`;
+};
+
+/**
+ * Uploaded financial statements: parses CSV or XLSX exports of an income
+ * statement, balance sheet and cash flow statement into one canonical,
+ * multi-period schema, and checks the accounting identities.
+ *
+ * Expected layout: line items down the first column, one column per period.
+ * Statements are told apart by a heading row ("Balance Sheet"), the worksheet
+ * name, or, failing both, by their line items.
+ */
+class FinancialStatementService {
+  constructor() {
+    this.schemaVersion = SCHEMA_VERSION;
+    this.lineItems = LINE_ITEMS;
+  }
+
+  createStatementError(message, status, validation) {
+    const error = new Error(message);
+    error.name = 'FinancialStatementError';
+    error.status = status;
+    if (validation) {
+      error.validation = validation;
+    }
+    return error;
+  }
+
+  /**
+   * Turn an upload into worksheets of rows
+   * @param {Buffer|String|Object} input - XLSX bytes, CSV text, or { csv } / { xlsx: base64 }
+   * @returns {Object} { format, sheets: [{ name, rows }] }
+   */
+  readUpload(input) {
+    try {
+      if (Buffer.isBuffer(input)) {
+        return isXlsx(input)
+          ? { format: 'xlsx', sheets: parseXlsx(input) }
+          : { format: 'csv', sheets: [{ name: null, rows: parseCsvRows(input.toString('utf8')) }] };
+      }
+
+      if (typeof input === 'string') {
+        return { format: 'csv', sheets: [{ name: null, rows: parseCsvRows(input) }] };
+      }
+
+      if (input && typeof input.csv === 'string') {
+        return { format: 'csv', sheets: [{ name: null, rows: parseCsvRows(input.csv) }] };
+      }
+
+      if (input && typeof input.xlsx === 'string') {
+        return { format: 'xlsx', sheets: parseXlsx(Buffer.from(input.xlsx, 'base64')) };
+      }
+    } catch (error) {
+      throw this.createStatementError(error.message, 400);
+    }
+
+    throw this.createStatementError('Financial statements must be a CSV or XLSX file', 400);
+  }
+
+  /**
+   * Parse and validate uploaded financial statements
+   * @param {Buffer|String|Object} input - See readUpload
+   * @param {Object} options - { fileName, currency, unit (multiplier, e.g. 1000) }
+   * @returns {Object} Canonical statements with their validation result
+   */
+  parse(input, options = {}) {
+    const { format, sheets } = this.readUpload(input);
+    const statements = this.parseSheets(sheets, { ...options, format });
+
+    statements.source = {
+      fileName: options.fileName || null,
+      format,
+      sheets: sheets.map(sheet => sheet.name).filter(Boolean),
+      uploadedAt: new Date().toISOString()
+    };
+    statements.validation = this.validate(statements);
+
+    return statements;
+  }
+
+  /**
+   * Map worksheet rows to the canonical schema
+   * @param {Array<Object>} sheets - { name, rows }
+   * @param {Object} options - { format, currency, unit }
+   * @returns {Object} { schemaVersion, currency, periods: [{ label, year, endDate,
+   * incomeStatement, balanceSheet, cashFlow }], unmapped: [{ statement, label }] }
+   */
+  parseSheets(sheets, options = {}) {
+    const { format } = options;
+    const periods = new Map();
+    const unmapped = [];
+    let currency = options.currency || null;
+
+    for (const sheet of sheets) {
+      let statement = this.detectStatement(sheet.name);
+      let columns = null;
+      let multiplier = options.unit || this.detectUnit(sheet.name) || 1;
+
+      for (const row of sheet.rows) {
+        const label = String(row[0] || '').trim();
+        const rest = row.slice(1).filter(value => String(value).trim() !== '');
+
+        const headerColumns = row.slice(1)
+          .map((value, index) => ({ index: index + 1, period: parsePeriod(value, { serialDates: format === 'xlsx' }) }))
+          .filter(column => column.period);
+        const isHeader = headerColumns.length > 0 && headerColumns.length === rest.length &&
+          !this.matchLineItem(label, statement);
+
+        // Scale notes sit in title and header rows, not among the line items
+        if (!options.unit && (!columns || rest.length === 0 || isHeader)) {
+          multiplier = this.detectUnit(row.join(' ')) || multiplier;
+        }
+        currency = currency || this.detectCurrency(row.join(' '));
+
+        // A heading row such as "Balance Sheet" starts the next statement
+        const heading = this.detectStatement(label);
+        if (heading && rest.length === 0) {
+          statement = heading;
+          continue;
+        }
+
+        // Period headers may repeat for each statement; a heading can share their row
+        if (isHeader) {
+          statement = heading || statement;
+          columns = headerColumns.slice(0, MAX_PERIODS);
+          continue;
+        }
+
+        if (!columns || !label || rest.length === 0) continue;
+
+        const match = this.matchLineItem(label, statement);
+        if (!match) {
+          unmapped.push({ statement: statement || null, label });
+          continue;
+        }
+
+        for (const { index, period } of columns) {
+          const amount = parseAmount(row[index]);
+          if (amount === null) continue;
+
+          if (!periods.has(period.label)) {
+            periods.set(period.label, { ...period, incomeStatement: {}, balanceSheet: {}, cashFlow: {} });
+          }
+
+          // Subtotals ("Total revenue") replace the line they total
+          const target = periods.get(period.label)[match.statement];
+          if (target[match.key] === undefined || /^total\b/i.test(label)) {
+            target[match.key] = amount * multiplier;
+          }
+        }
+      }
+    }
+
+    const sorted = [...periods.values()].sort((a, b) => {
+      if (a.year === null || b.year === null) return a.year === null ? 1 : -1;
+      return a.year - b.year || String(a.endDate || a.label).localeCompare(String(b.endDate || b.label));
+    });
+
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      currency: currency || 'USD',
+      periods: sorted,
+      unmapped
+    };
+  }
+
+  detectStatement(text) {
+    const label = normalizeLabel(text);
+    const heading = STATEMENT_HEADINGS.find(item => item.pattern.test(label));
+    return heading ? heading.statement : null;
+  }
+
+  detectUnit(text) {
+    if (!text) return null;
+    const unit = UNIT_PATTERNS.find(item => item.pattern.test(text));
+    return unit ? unit.multiplier : null;
+  }
+
+  detectCurrency(text) {
+    const code = CURRENCY_CODES.find(item => new RegExp(`\\b${item}\\b`).test(text || ''));
+    if (code) return code;
+
+    const symbol = Object.keys(CURRENCY_SYMBOLS).find(item => (text || '').includes(item));
+    return symbol ? CURRENCY_SYMBOLS[symbol] : null;
+  }
+
+  /**
+   * Find the canonical line item for a row label, in the current statement first
+   * @returns {Object|null} { statement, key }
+   */
+  matchLineItem(label, statement) {
+    const normalized = normalizeLabel(label);
+    const order = statement
+      ? [statement]
+      : Object.keys(LINE_ITEMS);
+
+    for (const name of order) {
+      const key = ALIAS_INDEX[name].get(normalized);
+      if (key) return { statement: name, key };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the statements: periods and line items were found, the balance sheet
+   * balances (assets = liabilities + equity), and subtotals agree with their parts
+   * @returns {Object} { valid, errors, warnings }
+   */
+  validate(statements) {
+    const errors = [];
+    const warnings = [];
+    const periods = statements.periods || [];
+
+    if (periods.length === 0) {
+      errors.push('No reporting periods found. Put line items in the first column and one period per column, e.g. FY2023');
+      return { valid: false, errors, warnings };
+    }
+
+    const within = (actual, expected) =>
+      Math.abs(actual - expected) <= Math.max(1, Math.abs(expected) * BALANCE_TOLERANCE);
+    const format = value => formatAmount(value, statements.currency);
+
+    for (const period of periods) {
+      const { incomeStatement: income, balanceSheet: balance, cashFlow } = period;
+
+      if (Object.keys(balance).length > 0) {
+        const assets = balance.totalAssets;
+        const liabilitiesAndEquity = balance.totalLiabilities !== undefined && balance.totalEquity !== undefined
+          ? balance.totalLiabilities + balance.totalEquity
+          : balance.totalLiabilitiesAndEquity;
+
+        if (assets === undefined || liabilitiesAndEquity === undefined) {
+          warnings.push(`${period.label}: cannot check that the balance sheet balances without total assets, total liabilities and total equity`);
+        } else if (!within(assets, liabilitiesAndEquity)) {
+          errors.push(`${period.label}: balance sheet does not balance; total assets ${format(assets)} ` +
+            `but liabilities + equity ${format(liabilitiesAndEquity)}`);
+        }
+      }
+
+      if (income.revenue !== undefined && income.costOfRevenue !== undefined && income.grossProfit !== undefined &&
+        !within(income.grossProfit, income.revenue - Math.abs(income.costOfRevenue))) {
+        warnings.push(`${period.label}: gross profit ${format(income.grossProfit)} is not revenue less cost of revenue`);
+      }
+
+      if (cashFlow.operatingCashFlow !== undefined && cashFlow.capitalExpenditures !== undefined &&
+        cashFlow.freeCashFlow !== undefined &&
+        !within(cashFlow.freeCashFlow, cashFlow.operatingCashFlow - Math.abs(cashFlow.capitalExpenditures))) {
+        warnings.push(`${period.label}: free cash flow ${format(cashFlow.freeCashFlow)} is not operating cash flow less capital expenditures`);
+      }
+    }
+
+    if (!periods.some(period => period.incomeStatement.revenue !== undefined)) {
+      warnings.push('No revenue line found');
+    }
+
+    if (statements.unmapped?.length > 0) {
+      const labels = [...new Set(statements.unmapped.map(item => item.label))];
+      warnings.push(`Unrecognized line items were ignored: ${labels.slice(0, 10).join(', ')}` +
+        (labels.length > 10 ? ` and ${labels.length - 10} more` : ''));
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+  }
+
+  /**
+   * The latest period with an income statement, or else the latest period
+   */
+  getLatestPeriod(statements) {
+    const periods = statements?.periods || [];
+    return [...periods].reverse().find(period => Object.keys(period.incomeStatement || {}).length > 0) ||
+      periods[periods.length - 1] || null;
+  }
+
+  /**
+   * Company data inputs taken from the statements, for normalizeCompanyData
+   * @returns {Object|null} { period, fields: { revenue, revenueHistory, profitability, cashPosition } }
+   */
+  toCompanyInputs(statements) {
+    if (!Array.isArray(statements?.periods) || statements.periods.length === 0) {
+      return null;
+    }
+
+    const latest = this.getLatestPeriod(statements);
+    const currency = statements.currency || 'USD';
+    const fields = {};
+    const { revenue, netIncome } = latest.incomeStatement || {};
+
+    if (revenue !== undefined) {
+      fields.revenue = { value: revenue, currency, display: `${formatAmount(revenue, currency)} (${latest.label})` };
+
+      if (netIncome !== undefined && revenue !== 0) {
+        const margin = (netIncome / revenue) * 100;
+        fields.profitability = `${margin.toFixed(1)}% net margin (${latest.label})`;
+      }
+    }
+
+    // Annual periods only, one per year
+    const byYear = new Map();
+    statements.periods.forEach(period => {
+      if (period.year && period.incomeStatement?.revenue !== undefined && !/^[qh][1-4]/i.test(period.label)) {
+        byYear.set(period.year, period.incomeStatement.revenue);
+      }
+    });
+    if (byYear.size >= 2) {
+      fields.revenueHistory = [...byYear.entries()].map(([year, value]) => ({ year, value }));
+    }
+
+    const cashPeriod = [...statements.periods].reverse().find(period => period.balanceSheet?.cash !== undefined);
+    if (cashPeriod) {
+      fields.cashPosition = `${formatAmount(cashPeriod.balanceSheet.cash, currency)} (${cashPeriod.label})`;
+    }
+
+    return Object.keys(fields).length > 0 ? { period: latest.label, fields } : null;
+  }
+
+  /**
+   * The statements as a compact table for section prompts
+   */
+  formatForPrompt(statements) {
+    const periods = (statements?.periods || []).slice(-5);
+    if (periods.length === 0) return '';
+
+    const currency = statements.currency || 'USD';
+    const lines = [`Financial statements (uploaded, ${currency}). Use these figures as reported:`,
+      `Line item | ${periods.map(period => period.label).join(' | ')}`];
+
+    for (const [statement, items] of Object.entries(LINE_ITEMS)) {
+      const rows = Object.keys(items)
+        .filter(key => periods.some(period => period[statement]?.[key] !== undefined))
+        .map(key => `${key} | ${periods.map(period => formatAmount(period[statement]?.[key], currency)).join(' | ')}`);
+
+      if (rows.length > 0) {
+        lines.push(STATEMENT_LABELS[statement], ...rows);
+      }
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = new FinancialStatementService();
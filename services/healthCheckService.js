@@ -5,6 +5,7 @@ const fs = require('fs').promises;
 const { getCollection } = require('../config/db');
 const openaiService = require('./openaiService');
 const queueService = require('./queueService');
+const llmCacheService = require('./llmCacheService');
 
 class HealthCheckService {
   constructor() {
@@ -38,6 +39,9 @@ class HealthCheckService {
     // Service metrics
     this.metrics.gauges.queue_length = 0;
     this.metrics.gauges.active_jobs = 0;
+    this.metrics.counters.llm_cache_hits = 0;
+    this.metrics.counters.llm_cache_misses = 0;
+    this.metrics.gauges.llm_cache_entries = 0;
     this.metrics.timers.api_response_time = [];
     this.metrics.timers.report_generation_time = [];
   }
@@ -206,9 +210,13 @@ class HealthCheckService {
       // Check queue service
       const queueHealth = this.checkQueueServiceHealth();
 
+      // Check the LLM response cache
+      const llmCacheHealth = await this.checkLlmCacheHealth();
+
       return {
-        status: queueHealth.status,
+        status: this.calculateOverallStatus([queueHealth.status, llmCacheHealth.status]),
         queue: queueHealth,
+        llmCache: llmCacheHealth,
         nodeVersion: process.version,
         environment: process.env.NODE_ENV || 'development'
       };
@@ -263,6 +271,37 @@ class HealthCheckService {
     }
   }
 
+  /**
+   * Check the LLM response cache and record its hit/miss metrics
+   */
+  async checkLlmCacheHealth() {
+    try {
+      const stats = await llmCacheService.getStats();
+
+      // Update metrics
+      this.metrics.counters.llm_cache_hits = stats.hits;
+      this.metrics.counters.llm_cache_misses = stats.misses;
+      this.metrics.gauges.llm_cache_entries = stats.entries || 0;
+
+      const issues = [];
+      if (stats.errors > 0) {
+        issues.push(`${stats.errors} cache read/write errors`);
+      }
+
+      return {
+        status: issues.length > 0 ? 'warning' : 'healthy',
+        ...stats,
+        issues
+      };
+    } catch (error) {
+      console.error('LLM cache health check error:', error);
+      return {
+        status: 'warning',
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Check external services health (OpenAI, etc.)
    */
@@ -297,7 +336,8 @@ class HealthCheckService {
         {
           maxTokens: 5,
           temperature: 0,
-          skipCache: true
+          skipCache: true,
+          usageContext: { operation: 'healthCheck' }
         }
       );
 
@@ -0,0 +1,431 @@
+// services/jobStoreService.js
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getCollection } = require('../config/db');
+
+// Job statuses that still need a worker to pick them up
+const ACTIVE_STATUSES = ['queued', 'retrying', 'processing'];
+
+/**
+ * MongoDB-backed job storage
+ */
+class MongoJobBackend {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  async save(job) {
+    await this.collection.updateOne(
+      { _id: job.id },
+      { $set: { ...job, _id: job.id } },
+      { upsert: true }
+    );
+    return job;
+  }
+
+  async update(jobId, updates) {
+    const result = await this.collection.updateOne(
+      { _id: jobId },
+      { $set: updates }
+    );
+    return result.matchedCount > 0;
+  }
+
+  async get(jobId) {
+    return this.collection.findOne({ _id: jobId });
+  }
+
+  async find({ statuses, type, limit, newestFirst } = {}) {
+    const query = {};
+    if (statuses) query.status = { $in: statuses };
+    if (type) query.type = type;
+
+    const cursor = this.collection.find(query).sort({ createdAt: newestFirst ? -1 : 1 });
+    if (limit) cursor.limit(limit);
+    return cursor.toArray();
+  }
+
+  async acquireLease(jobId, ownerId, leaseExpiresAt, now, updates) {
+    const result = await this.collection.updateOne(
+      {
+        _id: jobId,
+        status: { $in: ACTIVE_STATUSES },
+        $or: [
+          { leaseOwner: null },
+          { leaseOwner: ownerId },
+          { leaseExpiresAt: { $lt: now } }
+        ]
+      },
+      { $set: { ...updates, leaseOwner: ownerId, leaseExpiresAt } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  async updateLeased(jobId, ownerId, updates) {
+    const result = await this.collection.updateOne(
+      { _id: jobId, leaseOwner: ownerId },
+      { $set: updates }
+    );
+    return result.matchedCount > 0;
+  }
+
+  async remove(jobId) {
+    const result = await this.collection.deleteOne({ _id: jobId });
+    return result.deletedCount > 0;
+  }
+
+  async deleteMany({ statuses, updatedBefore }) {
+    const result = await this.collection.deleteMany({
+      status: { $in: statuses },
+      updatedAt: { $lt: updatedBefore }
+    });
+    return result.deletedCount;
+  }
+}
+
+/**
+ * Local file-backed job storage, used when MongoDB is not available
+ */
+class FileJobBackend {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.jobs = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  async load() {
+    if (this.jobs) return this.jobs;
+
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const parsed = JSON.parse(content);
+      this.jobs = new Map(Object.entries(parsed).map(([id, job]) => [id, this.revive(job)]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading job store file, starting empty:', error);
+      }
+      this.jobs = new Map();
+    }
+
+    return this.jobs;
+  }
+
+  // Convert ISO date strings back into Date objects
+  revive(job) {
+    const dateFields = [
+      'createdAt', 'updatedAt', 'startedAt', 'completedAt', 'failedAt',
+      'cancelledAt', 'leaseExpiresAt', 'availableAt', 'jobCreatedAt'
+    ];
+    const revived = { ...job };
+    dateFields.forEach(field => {
+      if (revived[field]) revived[field] = new Date(revived[field]);
+    });
+    return revived;
+  }
+
+  // Serialize writes so concurrent updates never interleave
+  async persist() {
+    this.writeChain = this.writeChain.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempFile = `${this.filePath}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(Object.fromEntries(this.jobs), null, 2), 'utf8');
+      await fs.rename(tempFile, this.filePath);
+    }).catch(error => {
+      console.error('Error writing job store file:', error);
+    });
+
+    return this.writeChain;
+  }
+
+  async save(job) {
+    const jobs = await this.load();
+    jobs.set(job.id, { ...job });
+    await this.persist();
+    return job;
+  }
+
+  async update(jobId, updates) {
+    const jobs = await this.load();
+    const job = jobs.get(jobId);
+    if (!job) return false;
+
+    jobs.set(jobId, { ...job, ...updates });
+    await this.persist();
+    return true;
+  }
+
+  async get(jobId) {
+    const jobs = await this.load();
+    const job = jobs.get(jobId);
+    return job ? { ...job } : null;
+  }
+
+  async find({ statuses, type, limit, newestFirst } = {}) {
+    const jobs = await this.load();
+    const matches = [...jobs.values()]
+      .filter(job => !statuses || statuses.includes(job.status))
+      .filter(job => !type || job.type === type)
+      .sort((a, b) => newestFirst ? b.createdAt - a.createdAt : a.createdAt - b.createdAt)
+      .map(job => ({ ...job }));
+
+    return limit ? matches.slice(0, limit) : matches;
+  }
+
+  async acquireLease(jobId, ownerId, leaseExpiresAt, now, updates) {
+    const jobs = await this.load();
+    const job = jobs.get(jobId);
+
+    if (!job || !ACTIVE_STATUSES.includes(job.status)) return false;
+
+    const leaseAvailable = !job.leaseOwner ||
+      job.leaseOwner === ownerId ||
+      !job.leaseExpiresAt ||
+      job.leaseExpiresAt < now;
+
+    if (!leaseAvailable) return false;
+
+    jobs.set(jobId, { ...job, ...updates, leaseOwner: ownerId, leaseExpiresAt });
+    await this.persist();
+    return true;
+  }
+
+  async updateLeased(jobId, ownerId, updates) {
+    const jobs = await this.load();
+    const job = jobs.get(jobId);
+    if (!job || job.leaseOwner !== ownerId) return false;
+
+    jobs.set(jobId, { ...job, ...updates });
+    await this.persist();
+    return true;
+  }
+
+  async remove(jobId) {
+    const jobs = await this.load();
+    const deleted = jobs.delete(jobId);
+    if (deleted) {
+      await this.persist();
+    }
+    return deleted;
+  }
+
+  async deleteMany({ statuses, updatedBefore }) {
+    const jobs = await this.load();
+    let deleted = 0;
+
+    for (const [jobId, job] of jobs.entries()) {
+      if (statuses.includes(job.status) && job.updatedAt < updatedBefore) {
+        jobs.delete(jobId);
+        deleted++;
+      }
+    }
+
+    if (deleted > 0) {
+      await this.persist();
+    }
+
+    return deleted;
+  }
+}
+
+class JobStoreService {
+  constructor() {
+    this.backend = null;
+    this.backendType = null;
+    this.deadLetterBackend = null;
+
+    const storeDir = process.env.JOB_STORE_DIR || path.join(process.cwd(), 'data');
+    this.filePath = path.join(storeDir, 'jobs.json');
+    this.deadLetterFilePath = path.join(storeDir, 'dead-letter-jobs.json');
+  }
+
+  /**
+   * Resolve the storage backend, preferring MongoDB and falling back to the local file store
+   */
+  async getBackend() {
+    if (this.backend) return this.backend;
+
+    const { backend, type } = await this.createBackend('jobs', this.filePath);
+    this.backend = backend;
+    this.backendType = type;
+    return this.backend;
+  }
+
+  /**
+   * Resolve the dead-letter backend; it uses the same kind of storage as the job store
+   */
+  async getDeadLetterBackend() {
+    if (this.deadLetterBackend) return this.deadLetterBackend;
+
+    const { backend } = await this.createBackend('deadLetterJobs', this.deadLetterFilePath);
+    this.deadLetterBackend = backend;
+    return this.deadLetterBackend;
+  }
+
+  /**
+   * Create a backend for a MongoDB collection, or for a local file if MongoDB is unavailable
+   */
+  async createBackend(collectionName, filePath) {
+    const preferred = process.env.JOB_STORE_BACKEND || (process.env.MONGODB_URI ? 'mongodb' : 'file');
+
+    if (preferred === 'mongodb') {
+      try {
+        const collection = await getCollection(collectionName);
+        return { backend: new MongoJobBackend(collection), type: 'mongodb' };
+      } catch (error) {
+        console.error('Job store could not use MongoDB, falling back to file store:', error.message);
+      }
+    }
+
+    return { backend: new FileJobBackend(filePath), type: 'file' };
+  }
+
+  /**
+   * Insert or replace a job record
+   * @param {Object} job - Serializable job record (must include id)
+   */
+  async saveJob(job) {
+    const backend = await this.getBackend();
+    return backend.save({ ...job, updatedAt: new Date() });
+  }
+
+  /**
+   * Apply a partial update to a job record
+   * @returns {Boolean} true if the job exists
+   */
+  async updateJob(jobId, updates) {
+    const backend = await this.getBackend();
+    return backend.update(jobId, { ...updates, updatedAt: new Date() });
+  }
+
+  /**
+   * Get a job record by ID
+   */
+  async getJob(jobId) {
+    const backend = await this.getBackend();
+    return backend.get(jobId);
+  }
+
+  /**
+   * Find job records by status and/or type
+   */
+  async findJobs(filter = {}) {
+    const backend = await this.getBackend();
+    return backend.find(filter);
+  }
+
+  /**
+   * Take (or extend) the processing lease on a job.
+   * Succeeds only when the job is unleased, already leased by this owner, or its lease expired.
+   * @param {String} jobId - Job identifier
+   * @param {String} ownerId - Identifier of the worker process
+   * @param {Number} durationMs - Lease length
+   * @param {Object} updates - Additional fields to set when the lease is taken
+   * @returns {Boolean} true if the lease was acquired
+   */
+  async acquireLease(jobId, ownerId, durationMs, updates = {}) {
+    const backend = await this.getBackend();
+    const now = new Date();
+    return backend.acquireLease(
+      jobId,
+      ownerId,
+      new Date(now.getTime() + durationMs),
+      now,
+      { ...updates, updatedAt: now }
+    );
+  }
+
+  /**
+   * Extend a lease held by this owner
+   * @returns {Boolean} false if the lease was lost to another worker
+   */
+  async renewLease(jobId, ownerId, durationMs) {
+    const backend = await this.getBackend();
+    return backend.updateLeased(jobId, ownerId, {
+      leaseExpiresAt: new Date(Date.now() + durationMs),
+      updatedAt: new Date()
+    });
+  }
+
+  /**
+   * Release a lease held by this owner, applying final updates
+   */
+  async releaseLease(jobId, ownerId, updates = {}) {
+    const backend = await this.getBackend();
+    return backend.updateLeased(jobId, ownerId, {
+      ...updates,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      updatedAt: new Date()
+    });
+  }
+
+  /**
+   * Find jobs a worker should pick up: queued jobs, and processing jobs whose lease has expired
+   */
+  async findRecoverableJobs() {
+    const now = new Date();
+    const jobs = await this.findJobs({ statuses: ACTIVE_STATUSES });
+
+    return jobs.filter(job =>
+      job.status !== 'processing' ||
+      !job.leaseExpiresAt ||
+      new Date(job.leaseExpiresAt) < now
+    );
+  }
+
+  /**
+   * Remove completed, failed and cancelled jobs older than maxAge
+   * @returns {Number} number of deleted jobs
+   */
+  async deleteFinishedJobs(maxAge) {
+    const backend = await this.getBackend();
+    return backend.deleteMany({
+      statuses: ['completed', 'failed', 'cancelled'],
+      updatedBefore: new Date(Date.now() - maxAge)
+    });
+  }
+
+  /**
+   * Store a job that exhausted its attempts, keyed by job ID
+   * @param {Object} entry - Job snapshot with error details and attempt history
+   */
+  async saveDeadLetter(entry) {
+    const backend = await this.getDeadLetterBackend();
+    return backend.save({ ...entry, updatedAt: new Date() });
+  }
+
+  /**
+   * Get a dead-lettered job by its original job ID
+   */
+  async getDeadLetter(jobId) {
+    const backend = await this.getDeadLetterBackend();
+    return backend.get(jobId);
+  }
+
+  /**
+   * Apply a partial update to a dead-lettered job
+   */
+  async updateDeadLetter(jobId, updates) {
+    const backend = await this.getDeadLetterBackend();
+    return backend.update(jobId, { ...updates, updatedAt: new Date() });
+  }
+
+  /**
+   * Find dead-lettered jobs by status ('dead' or 'replayed') and/or type, newest first
+   */
+  async findDeadLetters(filter = {}) {
+    const backend = await this.getDeadLetterBackend();
+    return backend.find({ ...filter, newestFirst: true });
+  }
+
+  /**
+   * Permanently remove a dead-lettered job
+   */
+  async deleteDeadLetter(jobId) {
+    const backend = await this.getDeadLetterBackend();
+    return backend.remove(jobId);
+  }
+}
+
+module.exports = new JobStoreService();
@@ -0,0 +1,495 @@
+// services/llmCacheService.js
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { getCollection } = require('../config/db');
+
+// Request fields that change what a model returns; everything in here is part of the key
+const KEY_FIELDS = [
+  'systemPrompt', 'prompt', 'model', 'temperature', 'maxTokens',
+  'topP', 'frequencyPenalty', 'presencePenalty', 'responseFormat', 'jsonSchema'
+];
+
+// Whether an entry matches a purge filter (in-process backends)
+const matchesFilter = (entry, { reportId, sectionType, templateVersion }) => {
+  if (reportId && !(entry.reportIds || []).includes(String(reportId))) return false;
+  if (sectionType && entry.sectionType !== sectionType) return false;
+  if (templateVersion && entry.templateVersion !== templateVersion) return false;
+  return true;
+};
+
+/**
+ * MongoDB-backed cache storage. Expired entries are also removed by a TTL index.
+ */
+class MongoCacheBackend {
+  constructor(collection) {
+    this.collection = collection;
+    this.indexesReady = null;
+  }
+
+  async ensureIndexes() {
+    if (!this.indexesReady) {
+      this.indexesReady = Promise.all([
+        this.collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+        this.collection.createIndex({ lastAccessedAt: 1 }),
+        this.collection.createIndex({ reportIds: 1 })
+      ]).catch(error => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    return this.indexesReady;
+  }
+
+  async get(key) {
+    return this.collection.findOne({ _id: key });
+  }
+
+  async set(entry) {
+    await this.ensureIndexes();
+    const { reportIds, ...fields } = entry;
+    await this.collection.updateOne(
+      { _id: entry.key },
+      {
+        $set: { ...fields, _id: entry.key },
+        $addToSet: { reportIds: { $each: reportIds } }
+      },
+      { upsert: true }
+    );
+  }
+
+  async touch(key, reportId, now) {
+    await this.collection.updateOne(
+      { _id: key },
+      {
+        $set: { lastAccessedAt: now },
+        $inc: { hits: 1 },
+        ...(reportId ? { $addToSet: { reportIds: String(reportId) } } : {})
+      }
+    );
+  }
+
+  async deleteMany(filter) {
+    const query = {};
+    if (filter.reportId) query.reportIds = String(filter.reportId);
+    if (filter.sectionType) query.sectionType = filter.sectionType;
+    if (filter.templateVersion) query.templateVersion = filter.templateVersion;
+    if (filter.expiredBefore) query.expiresAt = { $lt: filter.expiredBefore };
+
+    const result = await this.collection.deleteMany(query);
+    return result.deletedCount;
+  }
+
+  async stats() {
+    const [totals] = await this.collection.aggregate([
+      { $group: { _id: null, entries: { $sum: 1 }, sizeBytes: { $sum: '$size' } } }
+    ]).toArray();
+
+    return { entries: totals?.entries || 0, sizeBytes: totals?.sizeBytes || 0 };
+  }
+
+  // Remove least recently used entries until both limits are met
+  async evict(maxEntries, maxBytes) {
+    let { entries, sizeBytes } = await this.stats();
+    let evicted = 0;
+
+    while (entries > maxEntries || sizeBytes > maxBytes) {
+      const oldest = await this.collection.find({}, { projection: { _id: 1, size: 1 } })
+        .sort({ lastAccessedAt: 1 })
+        .limit(100)
+        .toArray();
+      if (oldest.length === 0) break;
+
+      // Only take what is needed to get under both limits
+      const victims = [];
+      for (const entry of oldest) {
+        if (entries <= maxEntries && sizeBytes <= maxBytes) break;
+        victims.push(entry._id);
+        entries--;
+        sizeBytes -= entry.size || 0;
+      }
+
+      await this.collection.deleteMany({ _id: { $in: victims } });
+      evicted += victims.length;
+    }
+
+    return evicted;
+  }
+}
+
+/**
+ * In-process cache storage, for tests and single-instance development
+ */
+class MemoryCacheBackend {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async load() {
+    return this.entries;
+  }
+
+  async persist() {}
+
+  async get(key) {
+    const entries = await this.load();
+    return entries.get(key) || null;
+  }
+
+  async set(entry) {
+    const entries = await this.load();
+    const existing = entries.get(entry.key);
+    const reportIds = [...new Set([...(existing?.reportIds || []), ...entry.reportIds])];
+    entries.set(entry.key, { ...entry, reportIds });
+    await this.persist();
+  }
+
+  async touch(key, reportId, now) {
+    const entries = await this.load();
+    const entry = entries.get(key);
+    if (!entry) return;
+
+    entry.lastAccessedAt = now;
+    entry.hits = (entry.hits || 0) + 1;
+    if (reportId && !entry.reportIds.includes(String(reportId))) {
+      entry.reportIds.push(String(reportId));
+    }
+    await this.persist();
+  }
+
+  async deleteMany(filter) {
+    const entries = await this.load();
+    let deleted = 0;
+
+    for (const [key, entry] of entries.entries()) {
+      const expired = !filter.expiredBefore || new Date(entry.expiresAt) < filter.expiredBefore;
+      if (expired && matchesFilter(entry, filter)) {
+        entries.delete(key);
+        deleted++;
+      }
+    }
+
+    if (deleted > 0) {
+      await this.persist();
+    }
+    return deleted;
+  }
+
+  async stats() {
+    const entries = await this.load();
+    let sizeBytes = 0;
+    entries.forEach(entry => {
+      sizeBytes += entry.size || 0;
+    });
+    return { entries: entries.size, sizeBytes };
+  }
+
+  async evict(maxEntries, maxBytes) {
+    const entries = await this.load();
+    let { sizeBytes } = await this.stats();
+    const byAge = [...entries.values()].sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+    let evicted = 0;
+
+    for (const entry of byAge) {
+      if (entries.size <= maxEntries && sizeBytes <= maxBytes) break;
+      entries.delete(entry.key);
+      sizeBytes -= entry.size || 0;
+      evicted++;
+    }
+
+    if (evicted > 0) {
+      await this.persist();
+    }
+    return evicted;
+  }
+}
+
+/**
+ * Local file-backed cache storage, used when MongoDB is not available.
+ * Changes are kept in memory and marked dirty; the file is rewritten at most
+ * once per flush interval, and on shutdown, through a temp file and a rename
+ * so a crash mid-write never leaves a truncated cache behind.
+ */
+class FileCacheBackend extends MemoryCacheBackend {
+  constructor(filePath, flushInterval = 5000) {
+    super();
+    this.filePath = filePath;
+    this.flushInterval = flushInterval;
+    this.entries = null;
+    this.dirty = false;
+    this.flushTimer = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  async load() {
+    if (this.entries) return this.entries;
+
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      const parsed = JSON.parse(content);
+      this.entries = new Map(Object.entries(parsed).map(([key, entry]) => [key, {
+        ...entry,
+        createdAt: new Date(entry.createdAt),
+        expiresAt: new Date(entry.expiresAt),
+        lastAccessedAt: new Date(entry.lastAccessedAt)
+      }]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading LLM cache file, starting empty:', error);
+      }
+      this.entries = new Map();
+    }
+
+    return this.entries;
+  }
+
+  // Mark the entries changed and schedule a write, instead of rewriting the file on every call
+  async persist() {
+    this.dirty = true;
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush();
+      }, this.flushInterval);
+      if (this.flushTimer.unref) {
+        this.flushTimer.unref();
+      }
+    }
+  }
+
+  // Write the entries if they changed since the last write. Writes are serialized
+  // so they never interleave.
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    this.writeChain = this.writeChain.then(async () => {
+      if (!this.dirty || !this.entries) return;
+      this.dirty = false;
+
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempFile = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(Object.fromEntries(this.entries)), 'utf8');
+        await fs.rename(tempFile, this.filePath);
+      } catch (error) {
+        // Keep the changes so the next flush tries again
+        this.dirty = true;
+        console.error('Error writing LLM cache file:', error);
+      }
+    });
+
+    return this.writeChain;
+  }
+}
+
+/**
+ * Durable cache of LLM responses. Entries are keyed by a hash of everything
+ * that determines the answer (provider, model, messages and parameters), expire
+ * after a TTL, and are evicted least-recently-used beyond the size limits.
+ * Entries are tagged with the reports, section type and template version they
+ * were generated for so they can be purged selectively.
+ */
+class LLMCacheService {
+  constructor() {
+    this.backend = null;
+    this.backendType = null;
+    this.loadConfig();
+    this.resetMetrics();
+  }
+
+  /**
+   * Read cache settings from the environment
+   */
+  loadConfig() {
+    this.enabled = process.env.LLM_CACHE_ENABLED !== 'false';
+    this.ttl = (parseFloat(process.env.LLM_CACHE_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+    this.maxEntries = parseInt(process.env.LLM_CACHE_MAX_ENTRIES) || 10000;
+    this.maxBytes = (parseFloat(process.env.LLM_CACHE_MAX_MB) || 100) * 1024 * 1024;
+
+    const storeDir = process.env.LLM_CACHE_DIR || process.env.JOB_STORE_DIR || path.join(process.cwd(), 'data');
+    this.filePath = path.join(storeDir, 'llm-cache.json');
+    this.flushInterval = (parseFloat(process.env.LLM_CACHE_FLUSH_SECONDS) || 5) * 1000;
+  }
+
+  resetMetrics() {
+    this.metrics = { hits: 0, misses: 0, writes: 0, evictions: 0, errors: 0 };
+  }
+
+  /**
+   * Resolve the storage backend: LLM_CACHE_BACKEND (mongodb, file or memory),
+   * else MongoDB when configured, falling back to the local file store
+   */
+  async getBackend() {
+    if (this.backend) return this.backend;
+
+    const preferred = process.env.LLM_CACHE_BACKEND || (process.env.MONGODB_URI ? 'mongodb' : 'file');
+
+    if (preferred === 'memory') {
+      this.backend = new MemoryCacheBackend();
+      this.backendType = 'memory';
+      return this.backend;
+    }
+
+    if (preferred === 'mongodb') {
+      try {
+        this.backend = new MongoCacheBackend(await getCollection('llmCache'));
+        this.backendType = 'mongodb';
+        return this.backend;
+      } catch (error) {
+        console.error('LLM cache could not use MongoDB, falling back to file store:', error.message);
+      }
+    }
+
+    this.backend = new FileCacheBackend(this.filePath, this.flushInterval);
+    this.backendType = 'file';
+    return this.backend;
+  }
+
+  /**
+   * Write pending changes of the file store now, e.g. before the process exits
+   */
+  async flush() {
+    if (this.backend && this.backend.flush) {
+      await this.backend.flush();
+    }
+  }
+
+  /**
+   * Cache key for a completion request on a provider
+   * @param {String} provider - Provider name
+   * @param {Object} request - Request as passed to the provider
+   */
+  buildKey(provider, request) {
+    const keyData = { provider };
+    KEY_FIELDS.forEach(field => {
+      keyData[field] = request[field] === undefined ? null : request[field];
+    });
+
+    return crypto.createHash('sha256').update(JSON.stringify(keyData)).digest('hex');
+  }
+
+  /**
+   * Look up a cached response. Never throws: a cache failure counts as a miss.
+   * @param {String} key - Key from buildKey
+   * @param {Object} tags - { reportId } to associate the hit with another report
+   * @returns {Object|null} The cached response
+   */
+  async get(key, tags = {}) {
+    if (!this.enabled) return null;
+
+    try {
+      const backend = await this.getBackend();
+      const entry = await backend.get(key);
+      const now = new Date();
+
+      if (!entry || new Date(entry.expiresAt) <= now) {
+        this.metrics.misses++;
+        return null;
+      }
+
+      this.metrics.hits++;
+      await backend.touch(key, tags.reportId, now);
+      return entry.response;
+    } catch (error) {
+      this.metrics.errors++;
+      console.error('Error reading LLM cache:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a response. Never throws: a cache failure must not fail generation.
+   * @param {String} key - Key from buildKey
+   * @param {Object} response - { content, usage, model, provider }
+   * @param {Object} tags - { reportId, sectionType, templateVersion }
+   */
+  async set(key, response, tags = {}) {
+    if (!this.enabled) return;
+
+    try {
+      const backend = await this.getBackend();
+      const now = new Date();
+      const serialized = JSON.stringify(response);
+
+      await backend.set({
+        key,
+        response: JSON.parse(serialized),
+        provider: response.provider || null,
+        model: response.model || null,
+        reportIds: tags.reportId ? [String(tags.reportId)] : [],
+        sectionType: tags.sectionType || null,
+        templateVersion: tags.templateVersion || null,
+        size: Buffer.byteLength(serialized),
+        hits: 0,
+        createdAt: now,
+        lastAccessedAt: now,
+        expiresAt: new Date(now.getTime() + this.ttl)
+      });
+      this.metrics.writes++;
+
+      this.metrics.evictions += await backend.evict(this.maxEntries, this.maxBytes);
+    } catch (error) {
+      this.metrics.errors++;
+      console.error('Error writing LLM cache:', error);
+    }
+  }
+
+  /**
+   * Remove cached responses for a report, a section type and/or a template version
+   * @param {Object} filter - { reportId, sectionType, templateVersion }; an empty filter removes everything
+   * @returns {Number} Number of removed entries
+   */
+  async purge(filter = {}) {
+    const backend = await this.getBackend();
+    return backend.deleteMany({
+      reportId: filter.reportId,
+      sectionType: filter.sectionType,
+      templateVersion: filter.templateVersion
+    });
+  }
+
+  /**
+   * Remove every cached response
+   */
+  async clear() {
+    return this.purge();
+  }
+
+  /**
+   * Remove expired entries (MongoDB also does this with its TTL index)
+   */
+  async purgeExpired() {
+    const backend = await this.getBackend();
+    return backend.deleteMany({ expiredBefore: new Date() });
+  }
+
+  /**
+   * Hit/miss counters since start-up plus the size of the store
+   */
+  async getStats() {
+    const lookups = this.metrics.hits + this.metrics.misses;
+    const stats = {
+      enabled: this.enabled,
+      backend: this.backendType,
+      ...this.metrics,
+      hitRate: lookups > 0 ? Math.round((this.metrics.hits / lookups) * 1000) / 1000 : null,
+      ttlHours: this.ttl / (60 * 60 * 1000),
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes
+    };
+
+    if (!this.enabled) {
+      return stats;
+    }
+
+    const backend = await this.getBackend();
+    return { ...stats, backend: this.backendType, ...(await backend.stats()) };
+  }
+}
+
+module.exports = new LLMCacheService();
@@ -0,0 +1,152 @@
+// services/llmProviderService.js
+
+const OpenAIProvider = require('./llmProviders/openaiProvider');
+const AzureOpenAIProvider = require('./llmProviders/azureOpenAIProvider');
+const AnthropicProvider = require('./llmProviders/anthropicProvider');
+const MockProvider = require('./llmProviders/mockProvider');
+
+// Provider implementations by type
+const PROVIDER_TYPES = {
+  openai: OpenAIProvider,
+  azure: AzureOpenAIProvider,
+  anthropic: AnthropicProvider,
+  local: OpenAIProvider,
+  mock: MockProvider
+};
+
+// Parse a JSON map from an environment variable, ignoring malformed values
+const parseJsonEnv = (name) => {
+  try {
+    const value = JSON.parse(process.env[name] || '{}');
+    return value && typeof value === 'object' ? value : {};
+  } catch (error) {
+    console.error(`Invalid ${name}, expected a JSON object:`, error.message);
+    return {};
+  }
+};
+
+/**
+ * Chooses which LLM provider handles a request.
+ *
+ * Routing, most specific first:
+ * 1. An explicit provider name passed by the caller
+ * 2. LLM_CLIENT_PROVIDERS - organization or user ID to provider, so a client's
+ *    data can be kept on a self-hosted model regardless of section
+ * 3. LLM_SECTION_PROVIDERS - section type to provider
+ * 4. LLM_PROVIDER - the default (openai)
+ */
+class LLMProviderService {
+  constructor() {
+    this.providers = new Map();
+    this.loadConfig();
+  }
+
+  /**
+   * Read provider settings and routing rules from the environment
+   */
+  loadConfig() {
+    const env = process.env;
+
+    this.providerConfigs = {
+      openai: {
+        apiKey: env.OPENAI_API_KEY,
+        baseURL: env.OPENAI_BASE_URL,
+        models: {
+          primary: env.OPENAI_MODEL || 'gpt-4-turbo',
+          fallback: env.OPENAI_FALLBACK_MODEL || 'gpt-3.5-turbo'
+        }
+      },
+      azure: {
+        endpoint: env.AZURE_OPENAI_ENDPOINT,
+        apiKey: env.AZURE_OPENAI_API_KEY,
+        apiVersion: env.AZURE_OPENAI_API_VERSION,
+        models: {
+          primary: env.AZURE_OPENAI_DEPLOYMENT,
+          fallback: env.AZURE_OPENAI_FALLBACK_DEPLOYMENT
+        }
+      },
+      anthropic: {
+        apiKey: env.ANTHROPIC_API_KEY,
+        models: {
+          primary: env.ANTHROPIC_MODEL,
+          fallback: env.ANTHROPIC_FALLBACK_MODEL
+        }
+      },
+      local: {
+        name: 'local',
+        label: 'Local LLM',
+        baseURL: env.LOCAL_LLM_BASE_URL || 'http://localhost:8000/v1',
+        apiKey: env.LOCAL_LLM_API_KEY,
+        models: {
+          primary: env.LOCAL_LLM_MODEL || 'local-model',
+          fallback: env.LOCAL_LLM_FALLBACK_MODEL
+        },
+        // Self-hosted models are unknown to the tokenizer, so their window is configured
+        contextWindow: parseInt(env.LOCAL_LLM_CONTEXT_WINDOW) || null
+      },
+      mock: {}
+    };
+
+    this.defaultProvider = env.LLM_PROVIDER || 'openai';
+    this.sectionProviders = parseJsonEnv('LLM_SECTION_PROVIDERS');
+    this.clientProviders = parseJsonEnv('LLM_CLIENT_PROVIDERS');
+    this.providers.clear();
+  }
+
+  /**
+   * Get a provider instance by name
+   * @param {String} name - Provider name; defaults to LLM_PROVIDER
+   */
+  getProvider(name = this.defaultProvider) {
+    const providerName = name || this.defaultProvider;
+
+    if (!this.providers.has(providerName)) {
+      const Provider = PROVIDER_TYPES[providerName];
+      if (!Provider) {
+        throw new Error(`Unknown LLM provider: ${providerName}`);
+      }
+
+      this.providers.set(providerName, new Provider(this.providerConfigs[providerName] || {}));
+    }
+
+    return this.providers.get(providerName);
+  }
+
+  /**
+   * Register a provider instance, e.g. a custom implementation or a test double
+   * @param {String} name - Provider name
+   * @param {Object} provider - Object with name, label, models and complete(request)
+   */
+  registerProvider(name, provider) {
+    this.providers.set(name, provider);
+  }
+
+  /**
+   * Work out which provider should handle a request
+   * @param {String} sectionType - Report section being generated (optional)
+   * @param {Object} context - { provider, organizationId, userId }
+   * @returns {String} Provider name
+   */
+  resolveProviderName(sectionType, context = {}) {
+    if (context.provider) {
+      return context.provider;
+    }
+
+    // Client routing takes precedence so data residency rules always apply
+    const clientKeys = [context.organizationId, context.userId].filter(Boolean).map(String);
+    for (const key of clientKeys) {
+      if (this.clientProviders[key]) {
+        return this.clientProviders[key];
+      }
+    }
+
+    if (sectionType && this.sectionProviders[sectionType]) {
+      return this.sectionProviders[sectionType];
+    }
+
+    return this.defaultProvider;
+  }
+}
+
+// Export a singleton instance
+module.exports = new LLMProviderService();
@@ -0,0 +1,147 @@
+// services/llmProviders/anthropicProvider.js
+
+const { createHttpClient, DEFAULT_RETRY_STATUS_CODES } = require('./httpClient');
+const { readEventStream } = require('./streaming');
+
+/**
+ * Provider for the Anthropic Messages API
+ */
+class AnthropicProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {String} config.apiKey - Anthropic API key
+   * @param {String} config.baseURL - API base URL
+   * @param {String} config.apiVersion - Value of the anthropic-version header
+   * @param {Object} config.models - { primary, fallback }
+   * @param {Number} config.contextWindow - Context window in tokens, when the model's is not known
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'anthropic';
+    this.label = config.label || 'Anthropic';
+    this.baseURL = config.baseURL || 'https://api.anthropic.com/v1';
+    this.apiKey = config.apiKey;
+    this.apiVersion = config.apiVersion || '2023-06-01';
+    this.models = {
+      primary: config.models?.primary || 'claude-3-5-sonnet-latest',
+      fallback: config.models?.fallback || null
+    };
+    this.retryStrategy = config.retryStrategy;
+    this.contextWindow = config.contextWindow || null;
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = createHttpClient({
+        baseURL: this.baseURL,
+        headers: {
+          'x-api-key': this.apiKey,
+          'anthropic-version': this.apiVersion
+        },
+        retryStrategy: this.retryStrategy,
+        // 529 means the API is overloaded
+        retryStatusCodes: [...DEFAULT_RETRY_STATUS_CODES, 529]
+      });
+    }
+    return this.client;
+  }
+
+  // The Messages API has no JSON mode; structured requests rely on the prompt's instructions
+  buildPayload(request) {
+    return {
+      model: request.model,
+      system: request.systemPrompt,
+      messages: [{ role: 'user', content: request.prompt }],
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      top_p: request.topP
+    };
+  }
+
+  // Report usage in the same shape as the OpenAI-style providers
+  formatUsage(inputTokens = 0, outputTokens = 0) {
+    return {
+      prompt_tokens: inputTokens,
+      completion_tokens: outputTokens,
+      total_tokens: inputTokens + outputTokens
+    };
+  }
+
+  async complete(request) {
+    const response = await this.getClient().post('/messages', this.buildPayload(request), {
+      retry: { count: 0 }
+    });
+
+    const content = (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    const usage = response.data.usage || {};
+
+    return {
+      content,
+      usage: this.formatUsage(usage.input_tokens, usage.output_tokens),
+      model: response.data.model || request.model
+    };
+  }
+
+  /**
+   * Run a completion, passing text to onToken as it is generated
+   * @param {Object} handlers - { onToken(text), signal } where signal is an AbortSignal
+   */
+  async stream(request, { onToken, signal } = {}) {
+    const response = await this.getClient().post('/messages', {
+      ...this.buildPayload(request),
+      stream: true
+    }, {
+      responseType: 'stream',
+      signal,
+      retry: { count: 0 }
+    });
+
+    let content = '';
+    let model = request.model;
+    let inputTokens = 0;
+    let outputTokens = 0;
+
+    await readEventStream(response.data, ({ data }) => {
+      const event = JSON.parse(data);
+
+      switch (event.type) {
+        case 'message_start':
+          model = event.message?.model || model;
+          inputTokens = event.message?.usage?.input_tokens || 0;
+          break;
+
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta' && event.delta.text) {
+            content += event.delta.text;
+            if (onToken) onToken(event.delta.text);
+          }
+          break;
+
+        case 'message_delta':
+          outputTokens = event.usage?.output_tokens || outputTokens;
+          break;
+
+        case 'error': {
+          const error = new Error(event.error?.message || 'Stream error');
+          error.response = { status: event.error?.type === 'overloaded_error' ? 529 : 500, data: event };
+          throw error;
+        }
+
+        default:
+          break;
+      }
+    });
+
+    return {
+      content,
+      usage: this.formatUsage(inputTokens, outputTokens),
+      model
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
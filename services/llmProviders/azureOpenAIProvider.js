@@ -0,0 +1,46 @@
+// services/llmProviders/azureOpenAIProvider.js
+
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * Provider for Azure OpenAI. Models are addressed by deployment name,
+ * so `models.primary` and `models.fallback` are deployment names.
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+  /**
+   * @param {Object} config - OpenAIProvider configuration plus:
+   * @param {String} config.endpoint - Resource endpoint, e.g. https://my-resource.openai.azure.com
+   * @param {String} config.apiVersion - Azure OpenAI API version
+   */
+  constructor(config = {}) {
+    super({
+      name: 'azure',
+      label: 'Azure OpenAI',
+      // stream_options is only accepted by recent API versions
+      streamUsage: false,
+      ...config,
+      baseURL: `${(config.endpoint || '').replace(/\/+$/, '')}/openai/deployments`
+    });
+    this.apiVersion = config.apiVersion || '2024-02-01';
+  }
+
+  getHeaders() {
+    return { 'api-key': this.apiKey };
+  }
+
+  // The deployment is part of the URL, so the payload has no model field
+  buildPayload(request) {
+    const { model, ...payload } = super.buildPayload(request);
+    return payload;
+  }
+
+  getRequestPath(request) {
+    return `/${encodeURIComponent(request.model)}${this.endpoint}`;
+  }
+
+  getRequestParams() {
+    return { 'api-version': this.apiVersion };
+  }
+}
+
+module.exports = AzureOpenAIProvider;
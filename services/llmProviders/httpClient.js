@@ -0,0 +1,73 @@
+// services/llmProviders/httpClient.js
+
+const axios = require('axios');
+
+// Status codes worth retrying within a single request
+const DEFAULT_RETRY_STATUS_CODES = [429, 500, 502, 503, 504];
+
+const DEFAULT_RETRY_STRATEGY = {
+  maxRetries: 3,
+  initialDelay: 1000,
+  maxDelay: 10000
+};
+
+/**
+ * Create an axios instance for an LLM API with exponential-backoff retries.
+ * Retries apply to requests sent with a `retry` config ({ retry: { count: 0 } }).
+ * @param {Object} options - Client options
+ * @param {String} options.baseURL - API base URL
+ * @param {Object} options.headers - Request headers (auth, content type)
+ * @param {Object} options.retryStrategy - { maxRetries, initialDelay, maxDelay }
+ * @param {Array<Number>} options.retryStatusCodes - Status codes to retry
+ */
+const createHttpClient = ({ baseURL, headers = {}, params, retryStrategy = {}, retryStatusCodes = DEFAULT_RETRY_STATUS_CODES }) => {
+  const strategy = { ...DEFAULT_RETRY_STRATEGY, ...retryStrategy };
+
+  const client = axios.create({
+    baseURL,
+    params,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    }
+  });
+
+  client.interceptors.response.use(undefined, async (error) => {
+    const { config, response } = error;
+
+    // Only retry requests that opted in
+    if (!config || !config.retry) {
+      return Promise.reject(error);
+    }
+
+    config.retry.count = config.retry.count || 0;
+
+    // If reached max retries or not a retryable status code, reject
+    if (
+      config.retry.count >= strategy.maxRetries ||
+      !response ||
+      !retryStatusCodes.includes(response.status)
+    ) {
+      return Promise.reject(error);
+    }
+
+    config.retry.count += 1;
+
+    // Exponential backoff delay
+    const delay = Math.min(
+      strategy.initialDelay * Math.pow(2, config.retry.count - 1),
+      strategy.maxDelay
+    );
+
+    await new Promise(resolve => setTimeout(resolve, delay));
+
+    return client(config);
+  });
+
+  return client;
+};
+
+module.exports = {
+  createHttpClient,
+  DEFAULT_RETRY_STATUS_CODES
+};
@@ -0,0 +1,70 @@
+// services/llmProviders/mockProvider.js
+
+const crypto = require('crypto');
+const { estimateUsage } = require('./streaming');
+const { exampleFromSchema } = require('../../utils/jsonSchema');
+
+/**
+ * Deterministic provider for tests, demos and offline development.
+ * The same prompt always produces the same content, and no network calls are made.
+ */
+class MockProvider {
+  constructor(config = {}) {
+    this.name = config.name || 'mock';
+    this.label = config.label || 'Mock';
+    this.models = {
+      primary: config.models?.primary || 'mock-model',
+      fallback: config.models?.fallback || null
+    };
+    this.contextWindow = config.contextWindow || null;
+  }
+
+  async complete(request) {
+    const digest = crypto.createHash('sha256')
+      .update(`${request.systemPrompt || ''}\n${request.prompt}`)
+      .digest('hex')
+      .substring(0, 12);
+
+    // Echo the start of the instruction so output is recognisable per section
+    const instruction = request.prompt.split('\n')[0].trim().substring(0, 200);
+
+    const text = [
+      `## Generated content (${digest})`,
+      '',
+      `This is deterministic placeholder content produced without a language model in response to: "${instruction}"`
+    ].join('\n');
+
+    // Structured requests get the smallest object matching their schema
+    const content = request.responseFormat === 'json' && request.jsonSchema
+      ? JSON.stringify({ ...exampleFromSchema(request.jsonSchema), content: text })
+      : text;
+
+    const model = request.model || this.models.primary;
+
+    return {
+      content,
+      usage: estimateUsage(request, content, model),
+      model
+    };
+  }
+
+  // Emit the same content word by word
+  async stream(request, { onToken, signal } = {}) {
+    const result = await this.complete(request);
+
+    for (const piece of result.content.match(/\S+\s*|\s+/g) || []) {
+      if (signal && signal.aborted) {
+        const error = new Error('canceled');
+        error.name = 'CanceledError';
+        throw error;
+      }
+      if (onToken) onToken(piece);
+      // Yield so aborts and client writes can interleave
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return result;
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,144 @@
+// services/llmProviders/openaiProvider.js
+
+const { createHttpClient } = require('./httpClient');
+const { readEventStream, estimateUsage } = require('./streaming');
+
+/**
+ * Provider for the OpenAI chat completions API.
+ * Also used for self-hosted servers that expose an OpenAI-compatible API
+ * (vLLM, Ollama, LM Studio, llama.cpp), configured with their own base URL.
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {String} config.name - Name used in routing and section metadata
+   * @param {String} config.label - Human-readable name used in error messages
+   * @param {String} config.baseURL - API base URL
+   * @param {String} config.apiKey - API key (optional for local servers)
+   * @param {Object} config.models - { primary, fallback }
+   * @param {Object} config.retryStrategy - Per-request retry settings
+   * @param {Boolean} config.streamUsage - Ask for token usage at the end of a stream
+   * @param {Number} config.contextWindow - Context window in tokens, when the model's is not known
+   */
+  constructor(config = {}) {
+    this.name = config.name || 'openai';
+    this.label = config.label || 'OpenAI';
+    this.baseURL = config.baseURL || 'https://api.openai.com/v1';
+    this.apiKey = config.apiKey;
+    this.models = {
+      primary: config.models?.primary || 'gpt-4-turbo',
+      fallback: config.models?.fallback || null
+    };
+    this.retryStrategy = config.retryStrategy;
+    this.streamUsage = config.streamUsage !== false;
+    this.contextWindow = config.contextWindow || null;
+    this.endpoint = '/chat/completions';
+    this.client = null;
+  }
+
+  // Create the HTTP client on first use so configuration can change before any request
+  getClient() {
+    if (!this.client) {
+      this.client = createHttpClient({
+        baseURL: this.baseURL,
+        headers: this.getHeaders(),
+        retryStrategy: this.retryStrategy
+      });
+    }
+    return this.client;
+  }
+
+  getHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+  }
+
+  buildPayload(request) {
+    return {
+      model: request.model,
+      messages: [
+        { role: 'system', content: request.systemPrompt },
+        { role: 'user', content: request.prompt }
+      ],
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      top_p: request.topP,
+      frequency_penalty: request.frequencyPenalty,
+      presence_penalty: request.presencePenalty,
+      ...(request.responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+    };
+  }
+
+  // Path and query parameters for a completion request
+  getRequestPath(request) {
+    return this.endpoint;
+  }
+
+  getRequestParams() {
+    return undefined;
+  }
+
+  /**
+   * Run a completion
+   * @param {Object} request - { prompt, systemPrompt, model, temperature, maxTokens, topP, frequencyPenalty, presencePenalty }
+   * @returns {Object} { content, usage: { prompt_tokens, completion_tokens, total_tokens }, model }
+   */
+  async complete(request) {
+    const response = await this.getClient().post(this.getRequestPath(request), this.buildPayload(request), {
+      params: this.getRequestParams(),
+      retry: { count: 0 }
+    });
+
+    return {
+      content: response.data.choices[0].message.content,
+      usage: response.data.usage,
+      model: response.data.model || request.model
+    };
+  }
+
+  /**
+   * Run a completion, passing text to onToken as it is generated
+   * @param {Object} request - Same as complete()
+   * @param {Object} handlers - { onToken(text), signal } where signal is an AbortSignal
+   * @returns {Object} The full result, as returned by complete()
+   */
+  async stream(request, { onToken, signal } = {}) {
+    const payload = { ...this.buildPayload(request), stream: true };
+    if (this.streamUsage) {
+      payload.stream_options = { include_usage: true };
+    }
+
+    const response = await this.getClient().post(this.getRequestPath(request), payload, {
+      params: this.getRequestParams(),
+      responseType: 'stream',
+      signal,
+      retry: { count: 0 }
+    });
+
+    let content = '';
+    let usage = null;
+    let model = request.model;
+
+    await readEventStream(response.data, ({ data }) => {
+      if (data === '[DONE]') return;
+
+      const chunk = JSON.parse(data);
+      if (chunk.model) model = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) {
+        content += text;
+        if (onToken) onToken(text);
+      }
+    });
+
+    // Some OpenAI-compatible servers do not report usage when streaming
+    return {
+      content,
+      usage: usage || estimateUsage(request, content, model),
+      model
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,89 @@
+// services/llmProviders/streaming.js
+
+const { StringDecoder } = require('string_decoder');
+const { countTokens, countChatTokens } = require('../../utils/tokenizer');
+
+/**
+ * Read a Server-Sent Events response body and call onEvent for every event.
+ * Resolves when the stream ends; rejects if the stream errors or onEvent throws.
+ * @param {Stream} stream - Response body (axios responseType: 'stream')
+ * @param {Function} onEvent - Called with { event, data } where data is the raw string
+ */
+const readEventStream = (stream, onEvent) => new Promise((resolve, reject) => {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let failed = false;
+
+  const dispatch = (rawEvent) => {
+    let event = 'message';
+    const dataLines = [];
+
+    rawEvent.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    });
+
+    if (dataLines.length > 0) {
+      onEvent({ event, data: dataLines.join('\n') });
+    }
+  };
+
+  const fail = (error) => {
+    if (failed) return;
+    failed = true;
+    stream.destroy();
+    reject(error);
+  };
+
+  stream.on('data', chunk => {
+    if (failed) return;
+    buffer += decoder.write(chunk);
+
+    // Events are separated by a blank line
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+
+    try {
+      events.forEach(dispatch);
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+  stream.on('end', () => {
+    if (failed) return;
+    try {
+      buffer += decoder.end();
+      if (buffer.trim()) dispatch(buffer);
+      resolve();
+    } catch (error) {
+      fail(error);
+    }
+  });
+
+  stream.on('error', fail);
+});
+
+/**
+ * Estimate token usage for providers that do not report it, counted with the
+ * same tokenizer used to budget prompts so streamed calls are costed like the rest
+ * @param {String} model - Model that produced the content (defaults to the requested one)
+ */
+const estimateUsage = (request, content, model = request.model) => {
+  const promptTokens = countChatTokens(request.systemPrompt || '', request.prompt, model);
+  const completionTokens = countTokens(content, model);
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+};
+
+module.exports = {
+  readEventStream,
+  estimateUsage
+};
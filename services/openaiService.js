@@ -1,136 +1,39 @@
 // services/openaiService.js
 
-const axios = require('axios');
-
 const promptTemplateService = require('./promptTemplateService');
-
+const llmProviderService = require('./llmProviderService');
+const usageService = require('./usageService');
+const llmCacheService = require('./llmCacheService');
+const experimentService = require('./experimentService');
+const dataService = require('./dataService');
+const financialStatementService = require('./financialStatementService');
+const projectionService = require('./projectionService');
+const { countTokens, countChatTokens, truncateToTokens, getContextWindow } = require('../utils/tokenizer');
+const { packCompanyData } = require('../utils/contextPacker');
+const { validateSchema, parseJsonResponse } = require('../utils/jsonSchema');
+const { formatRatiosForPrompt } = require('../utils/financialRatios');
+const sectionSchemas = require('./sectionSchemas');
+
+// Sections given the uploaded financial statements in full
+const STATEMENT_SECTIONS = ['financialAnalysis', 'financialProjections'];
+
+// Sections given the ratios computed from the statements
+const RATIO_SECTIONS = [...STATEMENT_SECTIONS, 'valuationAnalysis', 'riskAssessment', 'investmentRecommendation'];
+
+const DEFAULT_SYSTEM_PROMPT = "You are a professional financial analyst creating underwriting reports for institutional investors.";
 
 class OpenAIService {
   constructor() {
-    this.config = {
-      baseURL: 'https://api.openai.com/v1',
-      models: {
-        primary: 'gpt-4-turbo',
-        fallback: 'gpt-3.5-turbo'
-      },
-      endpoints: {
-        completions: '/chat/completions',
-        embeddings: '/embeddings'
-      },
-      retryStrategy: {
-        maxRetries: 3,
-        initialDelay: 1000,
-        maxDelay: 10000
-      }
-    };
-
-    this.axiosInstance = axios.create({
-      baseURL: this.config.baseURL,
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    this.setupRetryInterceptor();
-    this.setupCache();
-  }
-
-  // Set up a simple in-memory cache for API responses
-  setupCache() {
-    // Store the config reference for cache to use
-    const serviceConfig = this.config;
-
-    this.cache = {
-      responses: new Map(),
-      maxSize: 100, // Maximum number of cached responses
-      ttl: 30 * 60 * 1000, // 30 minutes TTL
-
-      // Add an item to the cache with TTL
-      set(key, value) {
-        // Remove oldest entry if we're at capacity
-        if (this.responses.size >= this.maxSize) {
-          const oldestKey = this.responses.keys().next().value;
-          this.responses.delete(oldestKey);
-        }
-
-        this.responses.set(key, {
-          value,
-          expires: Date.now() + this.ttl
-        });
-      },
-
-      // Get an item from the cache if it exists and hasn't expired
-      get(key) {
-        const item = this.responses.get(key);
-        if (!item) return null;
-
-        if (item.expires < Date.now()) {
-          this.responses.delete(key);
-          return null;
-        }
-
-        return item.value;
-      },
-
-      // Generate a cache key from a prompt and options
-      generateKey(prompt, options) {
-        const optionsString = JSON.stringify({
-          model: options.model || serviceConfig.models.primary,
-          temperature: options.temperature || 0.3,
-          maxTokens: options.maxTokens || 2000
-        });
-
-        return `${prompt.substring(0, 100)}_${optionsString}`;
-      },
-
-      // Clear all cache entries
-      clear() {
-        this.responses.clear();
-      }
-    };
-  }
-
-  // Set up retry logic for API calls
-  setupRetryInterceptor() {
-    this.axiosInstance.interceptors.response.use(undefined, async (error) => {
-      const { config, response } = error;
-
-      // If config is undefined or already retried more than max, reject
-      if (!config || !config.retry) {
-        return Promise.reject(error);
-      }
-
-      // Retry only these status codes
-      const retryStatusCodes = [429, 500, 502, 503, 504];
+    // Cost guard: prompts never exceed this, even when the context window allows more
+    this.maxPromptTokens = parseInt(process.env.LLM_MAX_PROMPT_TOKENS) || 4000;
 
-      // Initialize retry count
-      config.retry.count = config.retry.count || 0;
+    // Cap on the notes appended to a section prompt (statements, ratios, projection, provenance),
+    // so they cannot crowd out the company data
+    this.maxNoteTokens = parseInt(process.env.LLM_MAX_NOTE_TOKENS) || 1500;
 
-      // If reached max retries or not a retryable status code, reject
-      if (
-        config.retry.count >= this.config.retryStrategy.maxRetries ||
-        !response ||
-        !retryStatusCodes.includes(response.status)
-      ) {
-        return Promise.reject(error);
-      }
-
-      // Increment retry count
-      config.retry.count += 1;
-
-      // Calculate exponential backoff delay
-      const delay = Math.min(
-        this.config.retryStrategy.initialDelay * Math.pow(2, config.retry.count - 1),
-        this.config.retryStrategy.maxDelay
-      );
-
-      // Wait for the delay then retry
-      await new Promise(resolve => setTimeout(resolve, delay));
-
-      // Return the retry request
-      return this.axiosInstance(config);
-    });
+    // Extra calls allowed to fix structured output that does not match its schema
+    const repairAttempts = parseInt(process.env.LLM_STRUCTURED_REPAIR_ATTEMPTS);
+    this.structuredRepairAttempts = isNaN(repairAttempts) ? 2 : repairAttempts;
   }
 
   // Check if we should use fallback model
@@ -148,113 +51,407 @@ class OpenAIService {
   }
 
   // Enhanced error handling
-  enhanceError(error) {
+  enhanceError(error, provider) {
     if (error.response && error.response.data) {
-      return new Error(`OpenAI API Error: ${error.response.data.error?.message || error.message}`);
+      const label = provider ? provider.label : 'OpenAI';
+      const enhanced = new Error(`${label} API Error: ${error.response.data.error?.message || error.message}`);
+
+      // Keep the status and Retry-After hint so callers can decide whether to retry
+      enhanced.status = error.response.status;
+      const retryAfter = error.response.headers?.['retry-after'];
+      if (retryAfter && !isNaN(Number(retryAfter))) {
+        enhanced.retryAfter = Number(retryAfter) * 1000;
+      }
+
+      return enhanced;
     }
     return error;
   }
 
-  // Generate content using OpenAI API with caching
+  // Generate content with the configured LLM provider, with caching
   async generateContent(prompt, options = {}) {
+    const provider = llmProviderService.getProvider(options.provider);
+    const model = options.model || this.resolveModel(provider, options);
+
     try {
-      // Check cache first
-      const cacheKey = this.cache.generateKey(prompt, options);
-      const cachedResponse = this.cache.get(cacheKey);
+      const request = {
+        prompt,
+        systemPrompt: options.systemPrompt || DEFAULT_SYSTEM_PROMPT,
+        model,
+        temperature: options.temperature || 0.3,
+        maxTokens: options.maxTokens || 2000,
+        topP: options.topP || 1,
+        frequencyPenalty: options.frequencyPenalty || 0,
+        presencePenalty: options.presencePenalty || 0,
+        responseFormat: options.responseFormat,
+        jsonSchema: options.jsonSchema
+      };
+
+      // Check cache first; options.cacheTags ({ reportId, sectionType, templateVersion }) label the entry
+      const cacheKey = llmCacheService.buildKey(provider.name, request);
+      const cachedResponse = options.skipCache ? null : await llmCacheService.get(cacheKey, options.cacheTags);
 
-      if (cachedResponse && !options.skipCache) {
+      if (cachedResponse) {
         console.log('Using cached response for prompt');
-        return cachedResponse;
+        if (options.stream && options.onToken) {
+          options.onToken(cachedResponse.content);
+        }
+        return { ...cachedResponse, cached: true };
       }
 
-      const model = options.model || this.config.models.primary;
-      const endpoint = this.config.endpoints.completions;
+      const result = options.stream
+        ? await this.streamCompletion(provider, request, options)
+        : await provider.complete(request);
 
-      const requestConfig = {
-        retry: {
-          count: 0
-        }
-      };
+      result.provider = provider.name;
 
-      const response = await this.axiosInstance.post(endpoint, {
-        model: model,
-        messages: [
-          { 
-            role: "system", 
-            content: options.systemPrompt || "You are a professional financial analyst creating underwriting reports for institutional investors." 
-          },
-          { role: "user", content: prompt }
-        ],
-        temperature: options.temperature || 0.3,
-        max_tokens: options.maxTokens || 2000,
-        top_p: options.topP || 1,
-        frequency_penalty: options.frequencyPenalty || 0,
-        presence_penalty: options.presencePenalty || 0
-      }, requestConfig);
-
-      const result = {
-        content: response.data.choices[0].message.content,
-        usage: response.data.usage,
-        model: response.data.model
-      };
+      // Record tokens and cost; options.usageContext says who the call was for
+      usageService.recordUsage(result, options.usageContext);
 
-      // Cache the result
-      this.cache.set(cacheKey, result);
+      // Cache the result, unless the caller rejects it (e.g. output that fails validation)
+      if (!options.skipCache && (!options.shouldCache || options.shouldCache(result))) {
+        await llmCacheService.set(cacheKey, result, options.cacheTags);
+      }
 
       return result;
     } catch (error) {
-      // Try fallback model if primary model fails
-      if (this.shouldUseFallbackModel(error) && options.model !== this.config.models.fallback) {
+      if (options.signal && options.signal.aborted) {
+        throw this.createAbortError();
+      }
+
+      // Try fallback model if primary model fails, unless part of the answer was already streamed
+      const fallbackModel = provider.models.fallback;
+      if (fallbackModel && !error.partialContent && this.shouldUseFallbackModel(error) && model !== fallbackModel) {
         console.warn('Falling back to alternate model due to API error');
         return this.generateContent(prompt, {
           ...options,
-          model: this.config.models.fallback
+          provider: provider.name,
+          model: fallbackModel
         });
       }
 
-      throw this.enhanceError(error);
+      throw this.enhanceError(error, provider);
+    }
+  }
+
+  // Stream a completion, passing text to options.onToken as it arrives
+  async streamCompletion(provider, request, options) {
+    // Providers without streaming support deliver the whole answer at once
+    if (typeof provider.stream !== 'function') {
+      const result = await provider.complete(request);
+      if (options.onToken) options.onToken(result.content);
+      return result;
+    }
+
+    let received = false;
+    try {
+      return await provider.stream(request, {
+        signal: options.signal,
+        onToken: (text) => {
+          received = true;
+          if (options.onToken) options.onToken(text);
+        }
+      });
+    } catch (error) {
+      error.partialContent = received;
+      throw error;
+    }
+  }
+
+  // Error thrown when a caller aborts a streaming generation
+  createAbortError() {
+    const error = new Error('Generation aborted');
+    error.name = 'AbortError';
+    error.aborted = true;
+    error.retryable = false;
+    return error;
+  }
+
+  // The prompt cannot be made to fit the model, e.g. a template longer than the prompt budget.
+  // Another attempt would not fit either, so it is not retried.
+  createPromptBudgetError(message) {
+    const error = new Error(message);
+    error.name = 'PromptBudgetError';
+    error.retryable = false;
+    return error;
+  }
+
+  // Model a provider will use; a downgraded call (e.g. over budget) uses the cheaper fallback model
+  resolveModel(provider, options = {}) {
+    return (options.downgrade && provider.models.fallback) || provider.models.primary;
+  }
+
+  // Tokens available for the user prompt once the system prompt, chat framing
+  // and the section's completion tokens are reserved in the model's context window
+  getPromptBudget(provider, model, systemPrompt, maxTokens) {
+    const contextWindow = provider.contextWindow || getContextWindow(model);
+    const reserved = countChatTokens(systemPrompt, '', model) + maxTokens;
+    const available = contextWindow - reserved;
+
+    if (available <= 0) {
+      throw new Error(`Context window of ${contextWindow} tokens for ${model} cannot fit ${maxTokens} completion tokens`);
+    }
+
+    return Math.min(available, this.maxPromptTokens);
+  }
+
+  // Fit the company data into what is left of the prompt budget after the template text
+  packCompanyData(promptTemplate, companyData, additionalContext, sectionType, model, promptBudget) {
+    if (!promptTemplate.template.includes('{companyData}')) {
+      return { json: JSON.stringify(companyData, null, 2) || '{}', summarized: [], dropped: [] };
+    }
+
+    const templateOnly = this.fillPromptTemplate(promptTemplate, companyData, { ...additionalContext, companyData: '' });
+    const budget = promptBudget - countTokens(templateOnly, model);
+
+    return packCompanyData(companyData, {
+      budget,
+      sectionType,
+      countTokens: text => countTokens(text, model)
+    });
+  }
+
+  // Parse and validate a structured response against its schema
+  validateStructuredResponse(content, schema) {
+    const { value, error } = parseJsonResponse(content);
+    if (error) {
+      return { value: null, errors: [error] };
     }
+    return { value, errors: validateSchema(schema, value) };
+  }
+
+  // Prompt asking the model to fix its previous structured response
+  buildRepairPrompt(prompt, previousContent, errors) {
+    // The instruction comes first so the repair is not mistaken for the original prompt
+    return [
+      'Your previous response did not match the required JSON schema. Return the corrected JSON object only.',
+      '',
+      'Problems:',
+      ...errors.slice(0, 20).map(error => `- ${error}`),
+      '',
+      'Previous response:',
+      previousContent,
+      '',
+      'Original request:',
+      prompt
+    ].join('\n');
+  }
+
+  // Generate JSON matching a schema, asking the model to repair invalid output.
+  // Throws a StructuredOutputError when the output is still invalid after the repair attempts.
+  async generateStructuredContent(prompt, schema, options = {}) {
+    const requestOptions = {
+      ...options,
+      responseFormat: 'json',
+      jsonSchema: schema,
+      // Invalid output is never cached, so a retry asks the model again
+      shouldCache: result => this.validateStructuredResponse(result.content, schema).errors.length === 0
+    };
+
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    let currentPrompt = prompt;
+    let errors = [];
+
+    for (let attempt = 1; attempt <= this.structuredRepairAttempts + 1; attempt++) {
+      const response = await this.generateContent(currentPrompt, requestOptions);
+      Object.keys(usage).forEach(key => {
+        usage[key] += response.usage?.[key] || 0;
+      });
+
+      const validation = this.validateStructuredResponse(response.content, schema);
+      if (validation.errors.length === 0) {
+        return { ...response, usage, value: validation.value, attempts: attempt };
+      }
+
+      errors = validation.errors;
+      console.warn(`Structured output failed validation (attempt ${attempt}): ${errors.slice(0, 3).join('; ')}`);
+      currentPrompt = this.buildRepairPrompt(prompt, response.content, errors);
+    }
+
+    const error = new Error(`Structured output did not match its schema: ${errors.slice(0, 3).join('; ')}`);
+    error.name = 'StructuredOutputError';
+    error.validationErrors = errors;
+    // Model output varies between calls, so the job may succeed on a later attempt
+    error.retryable = true;
+    throw error;
   }
 
   // Generate report section with optimized prompts
-  async generateReportSection(sectionType, companyData, additionalContext = {}) {
+  // options.provider, options.organizationId and options.userId select the LLM provider;
+  // options.stream with options.onToken(text) and options.signal stream the section as it is written;
+  // options.reportId attributes usage to a report and options.downgrade uses the cheaper fallback model;
+  // options.structured returns JSON matching the section schema (prose in content, fields in structured);
+  // options.style picks a writing style variant of the prompt template (e.g. conservative)
+  async generateReportSection(sectionType, companyData, additionalContext = {}, options = {}) {
     try {
-      // Get the appropriate prompt template for this section
-      const promptTemplate = this.getPromptTemplateForSection(sectionType);
+      // Get the appropriate prompt template for this section, company and style
+      const templateOptions = this.getTemplateOptions(companyData, options);
+      const selectedTemplate = this.getPromptTemplateForSection(sectionType, templateOptions);
+
+      // A running experiment may swap in another version of the template
+      const experiment = experimentService.assign(sectionType, selectedTemplate.variant, options.reportId);
+      const promptTemplate = experiment && experiment.template
+        ? { ...selectedTemplate, ...experiment.template }
+        : selectedTemplate;
+
+      const providerName = llmProviderService.resolveProviderName(sectionType, options);
+      const provider = llmProviderService.getProvider(providerName);
+      const model = this.resolveModel(provider, options);
+      const maxTokens = this.getMaxTokensForSection(sectionType);
+
+      // Structured mode asks for JSON; the schema instructions are kept out of truncation
+      const schema = options.structured ? sectionSchemas.getSectionSchema(sectionType) : null;
+      const instructions = schema ? `\n\n${sectionSchemas.buildStructuredInstructions(schema)}` : '';
+      // Which values are estimates or missing, so the model does not state them as facts
+      const provenanceNote = this.buildProvenanceNote(companyData);
+      // Uploaded statements, their computed ratios and the projection model go to the
+      // financial sections as tables rather than as JSON
+      const financialNote = this.buildStatementsNote(companyData, sectionType) +
+        this.buildRatiosNote(companyData, sectionType) +
+        this.buildProjectionNote(companyData, sectionType);
+      const { financialStatements, financialRatios, projections, ...promptData } = companyData;
+
+      // The template text and structured instructions cannot be shortened; the notes get
+      // their own cap, at most half of what is left, and are cut short beyond it
+      const budget = this.getPromptBudget(provider, model, promptTemplate.systemPrompt, maxTokens);
+      const fixedTokens = countTokens(instructions, model) + countTokens(
+        this.fillPromptTemplate(promptTemplate, promptData, { ...additionalContext, companyData: '' }),
+        model
+      );
+      if (fixedTokens >= budget) {
+        throw this.createPromptBudgetError(
+          `The ${sectionType} prompt template and instructions need ${fixedTokens} tokens, ` +
+          `but only ${budget} prompt tokens are available for ${model}`
+        );
+      }
+      const notes = this.fitNotes(
+        [provenanceNote, financialNote],
+        Math.min(this.maxNoteTokens, Math.floor((budget - fixedTokens) / 2)),
+        model
+      );
+      const promptBudget = budget - countTokens(notes + instructions, model);
+
+      // Drop or summarize the least important company data so the prompt fits
+      const packed = this.packCompanyData(promptTemplate, promptData, additionalContext, sectionType, model, promptBudget);
 
       // Fill the template with company data
-      const prompt = this.fillPromptTemplate(promptTemplate, companyData, additionalContext);
+      const prompt = this.fillPromptTemplate(promptTemplate, promptData, { ...additionalContext, companyData: packed.json });
 
-      // Optimize token usage if needed
-      const optimizedPrompt = this.optimizeTokenUsage(prompt);
+      // Last resort if even the essential fields do not fit
+      const optimizedPrompt = this.optimizeTokenUsage(prompt, promptBudget, model) + notes + instructions;
 
-      // Generate content with section-specific parameters
-      const response = await this.generateContent(optimizedPrompt, {
+      const generationOptions = {
         temperature: this.getSectionTemperature(sectionType),
-        maxTokens: this.getMaxTokensForSection(sectionType),
-        systemPrompt: promptTemplate.systemPrompt
-      });
+        maxTokens,
+        systemPrompt: promptTemplate.systemPrompt,
+        provider: providerName,
+        downgrade: !!options.downgrade,
+        usageContext: {
+          reportId: options.reportId,
+          userId: options.userId,
+          organizationId: options.organizationId,
+          sectionType,
+          operation: 'section'
+        },
+        cacheTags: {
+          reportId: options.reportId,
+          sectionType,
+          templateVersion: promptTemplate.version
+        },
+        // JSON is not readable while it is written, so structured sections are not streamed
+        stream: !!options.stream && !schema,
+        onToken: options.onToken,
+        signal: options.signal
+      };
+
+      // Generate content with section-specific parameters
+      const response = schema
+        ? await this.generateStructuredContent(optimizedPrompt, schema, generationOptions)
+        : await this.generateContent(optimizedPrompt, generationOptions);
 
       // Process and format the response
-      const processedContent = this.processOpenAIResponse(response.content, sectionType);
+      const { content, structured } = schema
+        ? this.splitStructuredSection(response.value)
+        : { content: response.content, structured: null };
+      const processedContent = this.processOpenAIResponse(content, sectionType);
 
       return {
         content: processedContent,
+        ...(structured ? { structured } : {}),
+        // The template text, for checks against what the prompt asked for
+        promptTemplate: promptTemplate.template,
         metadata: {
           tokensUsed: response.usage.total_tokens,
           generatedAt: new Date(),
           model: response.model,
-          promptVersionId: promptTemplate.version
+          provider: response.provider,
+          promptTokens: response.usage.prompt_tokens,
+          completionTokens: response.usage.completion_tokens,
+          downgraded: !!options.downgrade,
+          ...(packed.summarized.length || packed.dropped.length ? {
+            contextPacking: { summarizedFields: packed.summarized, droppedFields: packed.dropped }
+          } : {}),
+          ...(schema ? {
+            structuredOutput: { schemaVersion: sectionSchemas.SCHEMA_VERSION, attempts: response.attempts }
+          } : {}),
+          promptVersionId: promptTemplate.version,
+          promptVariant: promptTemplate.variant,
+          promptTemplateId: promptTemplate.templateId || null,
+          // The style of the template used; an industry or early-stage variant takes
+          // precedence over the requested style, which is then recorded next to it
+          promptStyle: selectedTemplate.variantSource === 'style' ? selectedTemplate.variant : 'standard',
+          ...(templateOptions.style && selectedTemplate.variantSource !== 'style'
+            ? { requestedPromptStyle: templateOptions.style }
+            : {}),
+          companyStage: templateOptions.stage,
+          ...(experiment ? {
+            experiment: { experimentId: experiment.experimentId, arm: experiment.arm }
+          } : {})
         }
       };
     } catch (error) {
-      console.error(`Error generating ${sectionType} section:`, error);
+      if (!error.aborted) {
+        console.error(`Error generating ${sectionType} section:`, error);
+      }
       throw error;
     }
   }
 
-  // Get prompt template for specific report section
-  getPromptTemplateForSection(sectionType) {
+  // Separate the prose of a structured section from its fields
+  splitStructuredSection(value) {
+    const { content, ...structured } = value;
+    return { content, structured };
+  }
+
+  // Inputs for choosing a template variant: normalized industry, company stage and writing style
+  getTemplateOptions(companyData, options = {}) {
+    const stage = promptTemplateService.determineCompanyStage(companyData);
+    const industry = companyData.company?.industry;
+
+    return {
+      industry: industry && industry !== 'N/A' ? industry : undefined,
+      stage,
+      specialization: stage === 'earlyStage' ? 'earlyStage' : undefined,
+      style: options.style && options.style !== 'standard' ? options.style : undefined
+    };
+  }
+
+  // Get prompt template for specific report section.
+  // Sections in the template library use their industry, stage or style variant;
+  // the others use the built-in template below.
+  getPromptTemplateForSection(sectionType, templateOptions = {}) {
+    if (promptTemplateService.hasTemplatesForSection(sectionType)) {
+      const template = promptTemplateService.getTemplateForSection(sectionType, templateOptions);
+      if (template) {
+        return template;
+      }
+    }
+
+    return { variant: 'builtin', ...this.getBuiltinPromptTemplate(sectionType) };
+  }
+
+  // Built-in prompt template for specific report section
+  getBuiltinPromptTemplate(sectionType) {
     const promptTemplates = {
       executiveSummary: {
         version: "1.0.0",
@@ -554,20 +751,7 @@ Use a formal, analytical tone and provide a balanced assessment based on the fol
   fillPromptTemplate(promptTemplate, companyData, additionalContext) {
     let filledPrompt = promptTemplate.template;
 
-    // Replace template variables with actual data
-    const templateVariables = {
-      companyName: companyData.company?.name || 'the company',
-      companyDescription: companyData.company?.description || 'private company',
-      foundingYear: companyData.company?.foundingYear || 'N/A',
-      headquarters: companyData.company?.headquarters || 'N/A',
-      employeeCount: companyData.company?.employees || 'N/A',
-      industry: companyData.company?.industry || 'N/A',
-      fundingStatus: companyData.financials?.funding !== 'N/A' ? 
-                     `with ${companyData.financials?.funding?.display || 'undisclosed'} funding` : 'privately funded',
-      investmentHighlights: companyData.investmentHighlights || 'market position, growth potential, and competitive advantages',
-      financialMetrics: companyData.financialMetrics || 'revenue, profitability, and cash flow',
-      companyData: JSON.stringify(companyData, null, 2) || '{}'
-    };
+    const templateVariables = this.getTemplateVariables(companyData);
 
     // Add any additional context
     Object.keys(additionalContext).forEach(key => {
@@ -583,52 +767,136 @@ Use a formal, analytical tone and provide a balanced assessment based on the fol
     return filledPrompt;
   }
 
-  // Optimize token usage for long prompts
-  optimizeTokenUsage(prompt, maxTokens = 4000) {
-    // Simple token estimation (1 token ≈ 4 characters)
-    const estimatedTokens = Math.ceil(prompt.length / 4);
+  // Render a prompt template against company data without calling the model,
+  // so a template can be reviewed before it is published
+  previewPromptTemplate(sectionType, promptTemplate, companyData) {
+    const provider = llmProviderService.getProvider(llmProviderService.resolveProviderName(sectionType));
+    const model = this.resolveModel(provider);
+    const prompt = this.fillPromptTemplate(promptTemplate, companyData, {});
+
+    return {
+      provider: provider.name,
+      model,
+      systemPrompt: promptTemplate.systemPrompt,
+      prompt,
+      systemPromptTokens: countTokens(promptTemplate.systemPrompt, model),
+      promptTokens: countTokens(prompt, model),
+      maxPromptTokens: this.maxPromptTokens
+    };
+  }
 
-    // If within limit, return unchanged
-    if (estimatedTokens <= maxTokens) {
-      return prompt;
+  // Values for the template placeholders. Keep promptTemplateService.TEMPLATE_VARIABLES
+  // in step, since stored templates are validated against it.
+  getTemplateVariables(companyData) {
+    const provenance = companyData._metadata?.provenance || {};
+    const estimated = path => provenance[path]?.source === dataService.provenanceTypes.INDUSTRY_ESTIMATE;
+    const employees = companyData.company?.employees || 'N/A';
+    const funding = companyData.financials?.funding;
+
+    return {
+      companyName: companyData.company?.name || 'the company',
+      companyDescription: companyData.company?.description || 'private company',
+      foundingYear: companyData.company?.foundingYear || 'N/A',
+      headquarters: companyData.company?.headquarters || 'N/A',
+      employeeCount: estimated('company.employees') ? `${employees} (industry estimate)` : employees,
+      industry: companyData.company?.industry || 'N/A',
+      fundingStatus: funding && funding !== 'N/A'
+        ? `with ${funding.display || 'undisclosed'} funding`
+        : 'funding not disclosed',
+      investmentHighlights: companyData.investmentHighlights || 'market position, growth potential, and competitive advantages',
+      financialMetrics: companyData.financialMetrics || 'revenue, profitability, and cash flow',
+      companyData: JSON.stringify(companyData, null, 2) || '{}'
+    };
+  }
+
+  // Lists the company data fields that are estimates, derived or missing. Empty for
+  // data without provenance (e.g. previews against hand-written sample data).
+  buildProvenanceNote(companyData) {
+    const summary = dataService.summarizeProvenance(companyData._metadata?.provenance);
+    if (!summary || summary.estimated.length + summary.derived.length + summary.unavailable.length === 0) {
+      return '';
     }
 
-    // Otherwise, try to trim the prompt intelligently
-    // For this MVP, we'll just truncate the company data section
-    const companyDataIndex = prompt.indexOf('{companyData}');
-    if (companyDataIndex > 0) {
-      const jsonDataStart = prompt.indexOf('{', companyDataIndex + 13);
-      const jsonDataEnd = prompt.lastIndexOf('}');
-
-      if (jsonDataStart > 0 && jsonDataEnd > jsonDataStart) {
-        try {
-          // Parse the JSON data
-          const jsonString = prompt.substring(jsonDataStart, jsonDataEnd + 1);
-          const companyData = JSON.parse(jsonString);
-
-          // Keep only essential fields
-          const essentialFields = ['name', 'description', 'foundingYear', 'headquarters', 'industry'];
-          const reducedData = {};
-          essentialFields.forEach(field => {
-            if (companyData[field] !== undefined) {
-              reducedData[field] = companyData[field];
-            }
-          });
-
-          // Replace the original JSON with the reduced version
-          const reducedJson = JSON.stringify(reducedData, null, 2);
-          const newPrompt = prompt.substring(0, jsonDataStart) + reducedJson + prompt.substring(jsonDataEnd + 1);
-
-          return newPrompt;
-        } catch (error) {
-          console.error('Error optimizing token usage:', error);
-        }
+    const lines = ['', '', 'Data provenance (fields not listed were provided for this company):'];
+    if (summary.estimated.length > 0) {
+      lines.push('Industry estimates, not company facts. Refer to them as estimates:');
+      summary.estimated.forEach(item => lines.push(`- ${item.field}: ${item.basis}`));
+    }
+    if (summary.derived.length > 0) {
+      lines.push('Derived from the provided data:');
+      summary.derived.forEach(item => lines.push(`- ${item.field}: ${item.basis}`));
+    }
+    if (summary.unavailable.length > 0) {
+      lines.push(`Not available, do not state or invent values for: ${summary.unavailable.map(item => item.field).join(', ')}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  // The uploaded financial statements as a table, for the sections that analyse them
+  buildStatementsNote(companyData, sectionType) {
+    if (!STATEMENT_SECTIONS.includes(sectionType) || !companyData.financialStatements) {
+      return '';
+    }
+
+    const table = financialStatementService.formatForPrompt(companyData.financialStatements);
+    return table ? `\n\n${table}` : '';
+  }
+
+  // Ratios computed from the statements, so the model quotes them instead of working them out
+  buildRatiosNote(companyData, sectionType) {
+    if (!RATIO_SECTIONS.includes(sectionType) || !companyData.financialRatios) {
+      return '';
+    }
+
+    const table = formatRatiosForPrompt(companyData.financialRatios);
+    return table ? `\n\n${table}` : '';
+  }
+
+  // The projection model's assumptions and scenarios, which the projections section presents
+  buildProjectionNote(companyData, sectionType) {
+    if (sectionType !== 'financialProjections' || !companyData.projections) {
+      return '';
+    }
+
+    return `\n\n${projectionService.formatForPrompt(companyData.projections)}`;
+  }
+
+  // Join the notes for a prompt within maxTokens. Notes are kept whole in order; the
+  // first that does not fit is cut short and marked, and any after it are left out.
+  fitNotes(notes, maxTokens, model) {
+    let remaining = maxTokens;
+    let fitted = '';
+
+    for (const note of notes) {
+      if (!note) continue;
+
+      const tokens = countTokens(note, model);
+      if (tokens <= remaining) {
+        fitted += note;
+        remaining -= tokens;
+        continue;
+      }
+
+      const marker = '\n[Note truncated to fit the prompt]';
+      const room = remaining - countTokens(marker, model);
+      if (room > 0) {
+        fitted += truncateToTokens(note, room, model) + marker;
       }
+      break;
+    }
+
+    return fitted;
+  }
+
+  // Make sure a prompt fits its token budget, truncating it as a last resort
+  optimizeTokenUsage(prompt, maxTokens = 4000, model) {
+    if (countTokens(prompt, model) <= maxTokens) {
+      return prompt;
     }
 
-    // Fallback: just truncate the prompt
-    const maxChars = maxTokens * 4;
-    return prompt.substring(0, maxChars) + '\n[Content truncated due to length constraints]';
+    const notice = '\n[Content truncated due to length constraints]';
+    return truncateToTokens(prompt, maxTokens - countTokens(notice, model), model) + notice;
   }
 
   // Get appropriate temperature setting for different report sections
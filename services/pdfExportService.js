@@ -3,6 +3,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const dataService = require('./dataService');
+const { formatRatioValue } = require('../utils/financialRatios');
 
 class PDFExportService {
   constructor() {
@@ -359,6 +361,8 @@ class PDFExportService {
 
         ${this.renderSections(orderedSections, includeVisualizations)}
 
+        ${this.renderDataSources(report)}
+
         <div class="footer">
           <p>This report was generated using AI technology. The information presented is for informational purposes only and should not be considered as financial advice.</p>
           <p>Generated on ${new Date().toLocaleString()}</p>
@@ -393,6 +397,51 @@ class PDFExportService {
     }).join('\n');
   }
 
+  /**
+   * Render an appendix of where each company data field came from, so readers
+   * can tell provided figures from estimates
+   */
+  renderDataSources(report) {
+    const summary = dataService.summarizeProvenance(report.dataProvenance);
+    if (!summary) return '';
+
+    const rows = [...summary.sourced, ...summary.derived, ...summary.estimated, ...summary.unavailable];
+
+    return `
+      <div class="section data-sources" id="data-sources">
+        <h2 class="section-title">Data Sources</h2>
+        <p>Industry estimates are benchmarks for companies like this one, not figures reported by the company.</p>
+        <table>
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Source</th>
+              <th>Basis</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => `
+              <tr class="provenance-${row.source}">
+                <td>${this.formatFieldName(row.field)}</td>
+                <td>${row.label}</td>
+                <td>${row.basis || ''}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Readable name of a normalized data field ('financials.cashPosition' -> 'Financials: Cash position')
+   */
+  formatFieldName(field) {
+    const [group, name = ''] = field.split('.');
+    const words = name.replace(/([A-Z])/g, ' $1').toLowerCase();
+    return `${this.capitalizeFirst(group)}: ${this.capitalizeFirst(words)}`;
+  }
+
   /**
    * Format section content with proper HTML
    */
@@ -479,9 +528,71 @@ class PDFExportService {
       }
     }
 
+    // Projection model behind the section: its assumptions and every scenario
+    if (section.data.projection) {
+      visualizationHTML += this.renderProjection(section.data.projection);
+    }
+
     return visualizationHTML;
   }
 
+  /**
+   * Render the assumptions and scenario results of a projection
+   */
+  renderProjection(projection) {
+    const { assumptions, scenarios, currency } = projection;
+    const amount = (value) => formatRatioValue(value, 'currency', currency);
+    const years = scenarios.base.years.map(row => row.year);
+    const shift = (value) => `${value > 0 ? '+' : ''}${value} pts`;
+
+    const assumptionRows = [
+      ['Revenue growth', years.map((year, index) => `${year}: ${assumptions.revenueGrowth[index]}%`).join(', ')],
+      ['EBITDA margin', years.map((year, index) => `${year}: ${assumptions.ebitdaMargin[index]}%`).join(', ')],
+      ['Capex', `${assumptions.capexPercent}% of revenue`],
+      ['Net working capital', `${assumptions.workingCapitalPercent}% of revenue`],
+      ['Depreciation', `${assumptions.depreciationPercent}% of revenue`],
+      ['Tax rate', `${assumptions.taxRate}%`],
+      ['Upside', `Growth ${shift(assumptions.scenarios.upside.revenueGrowth)}, margin ${shift(assumptions.scenarios.upside.ebitdaMargin)} by ${years[years.length - 1]}`],
+      ['Downside', `Growth ${shift(assumptions.scenarios.downside.revenueGrowth)}, margin ${shift(assumptions.scenarios.downside.ebitdaMargin)} by ${years[years.length - 1]}`]
+    ];
+
+    const scenarioRows = Object.entries(scenarios).map(([name, scenario]) => [
+      [`${this.capitalizeFirst(name)}: Revenue`, ...scenario.years.map(row => amount(row.revenue))],
+      [`${this.capitalizeFirst(name)}: EBITDA margin`, ...scenario.years.map(row => `${row.ebitdaMargin}%`)],
+      [`${this.capitalizeFirst(name)}: Free cash flow`, ...scenario.years.map(row => amount(row.freeCashFlow))]
+    ]).flat();
+
+    return `
+      <table class="projection-assumptions">
+        <caption>Projection Assumptions</caption>
+        <tbody>
+          ${assumptionRows.map(([name, value]) => `
+            <tr>
+              <td>${name}</td>
+              <td>${value}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <table class="projection-scenarios">
+        <caption>Projection Scenarios</caption>
+        <thead>
+          <tr>
+            <th></th>
+            ${years.map(year => `<th>${year}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${scenarioRows.map(cells => `
+            <tr>
+              ${cells.map(cell => `<td>${cell}</td>`).join('')}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
   /**
    * Get a CSS class for a metric based on its type
    */
@@ -0,0 +1,440 @@
+// services/projectionService.js
+// Deterministic multi-year projections behind the Financial Projections section.
+// Assumptions default from the company's statements and data, can be edited per
+// report, and are run for base, upside and downside scenarios. The same output
+// feeds the prompt, the charts and the exports.
+
+const financialStatementService = require('./financialStatementService');
+const { formatRatioValue } = require('../utils/financialRatios');
+
+const MODEL_VERSION = '1.0';
+
+// Editable assumptions; percentages are 0-100
+const ASSUMPTION_FIELDS = {
+  years: { min: 1, max: 10 },
+  revenueGrowth: { min: -50, max: 200, curve: true },
+  ebitdaMargin: { min: -100, max: 80, curve: true },
+  capexPercent: { min: 0, max: 100 },
+  workingCapitalPercent: { min: -50, max: 100 },
+  depreciationPercent: { min: 0, max: 50 },
+  taxRate: { min: 0, max: 60 }
+};
+
+const DEFAULTS = {
+  years: 5,
+  revenueGrowth: 15,
+  terminalGrowth: 5,
+  ebitdaMargin: 15,
+  targetMargin: 20,
+  maxMarginImprovement: 15,
+  capexPercent: 5,
+  workingCapitalPercent: 10,
+  depreciationPercent: 3,
+  taxRate: 25
+};
+
+// Scenarios shift the base growth curve every year and phase in the margin shift
+// over the projection, in percentage points
+const DEFAULT_SCENARIOS = {
+  base: { revenueGrowth: 0, ebitdaMargin: 0 },
+  upside: { revenueGrowth: 5, ebitdaMargin: 3 },
+  downside: { revenueGrowth: -5, ebitdaMargin: -3 }
+};
+
+// Where a resolved assumption came from
+const ASSUMPTION_SOURCES = {
+  USER: 'user',
+  STATEMENTS: 'financial_statements',
+  COMPANY_DATA: 'company_data',
+  DEFAULT: 'default'
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const round = (value, digits = 1) => parseFloat(value.toFixed(digits));
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// A straight line from start (first year) to end (last year)
+const linearCurve = (start, end, years) => Array.from({ length: years }, (_, index) =>
+  round(years === 1 ? end : start + ((end - start) * index) / (years - 1)));
+
+// A single number applies to every year; a shorter list repeats its last value
+const toCurve = (value, years) => {
+  if (!Array.isArray(value)) return Array(years).fill(value);
+  return Array.from({ length: years }, (_, index) => value[Math.min(index, value.length - 1)]);
+};
+
+class ProjectionService {
+  constructor() {
+    this.MODEL_VERSION = MODEL_VERSION;
+    this.ASSUMPTION_FIELDS = ASSUMPTION_FIELDS;
+    this.DEFAULT_SCENARIOS = DEFAULT_SCENARIOS;
+    this.ASSUMPTION_SOURCES = ASSUMPTION_SOURCES;
+  }
+
+  /**
+   * Create an error for assumptions that cannot be used
+   * @param {Number} status - HTTP status for the controller
+   * @param {Array} details - Problems with individual assumptions
+   */
+  createProjectionError(message, status = 400, details) {
+    const error = new Error(message);
+    error.name = 'ProjectionError';
+    error.status = status;
+    if (details) {
+      error.details = details;
+    }
+    return error;
+  }
+
+  /**
+   * Check and clean edited assumptions. Unknown fields are rejected so typos do
+   * not silently fall back to defaults.
+   * @param {Object} input - { years, revenueGrowth, ebitdaMargin, capexPercent,
+   * workingCapitalPercent, depreciationPercent, taxRate, scenarios: { upside: { revenueGrowth, ebitdaMargin } } }
+   * @returns {Object} The assumptions to store
+   */
+  validateAssumptions(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw this.createProjectionError('Assumptions must be an object');
+    }
+
+    const details = [];
+    const assumptions = {};
+
+    Object.entries(input).forEach(([field, value]) => {
+      if (field === 'scenarios') return;
+
+      const rules = ASSUMPTION_FIELDS[field];
+      if (!rules) {
+        details.push(`${field} is not a projection assumption`);
+        return;
+      }
+      if (value === null || value === undefined) return;
+
+      const values = rules.curve && Array.isArray(value) ? value : [value];
+      if (values.length === 0 || !values.every(isNumber)) {
+        details.push(`${field} must be a number${rules.curve ? ' or a list of numbers, one per year' : ''}`);
+      } else if (values.some(item => item < rules.min || item > rules.max)) {
+        details.push(`${field} must be between ${rules.min} and ${rules.max}`);
+      } else if (field === 'years' && !Number.isInteger(value)) {
+        details.push('years must be a whole number');
+      } else {
+        assumptions[field] = value;
+      }
+    });
+
+    if (input.scenarios !== undefined && input.scenarios !== null) {
+      const scenarios = this.validateScenarios(input.scenarios, details);
+      if (scenarios) {
+        assumptions.scenarios = scenarios;
+      }
+    }
+
+    if (details.length > 0) {
+      throw this.createProjectionError('Invalid projection assumptions', 400, details);
+    }
+
+    return assumptions;
+  }
+
+  // Scenario shifts: { upside: { revenueGrowth, ebitdaMargin }, downside: {...} }
+  validateScenarios(input, details) {
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      details.push('scenarios must be an object');
+      return null;
+    }
+
+    const scenarios = {};
+    Object.entries(input).forEach(([name, shifts]) => {
+      if (!['upside', 'downside'].includes(name)) {
+        details.push(`scenarios.${name} is not a scenario; use upside or downside`);
+        return;
+      }
+      if (!shifts || typeof shifts !== 'object') {
+        details.push(`scenarios.${name} must be an object`);
+        return;
+      }
+
+      scenarios[name] = {};
+      Object.entries(shifts).forEach(([field, value]) => {
+        if (!['revenueGrowth', 'ebitdaMargin'].includes(field)) {
+          details.push(`scenarios.${name}.${field} is not a scenario shift; use revenueGrowth or ebitdaMargin`);
+        } else if (!isNumber(value) || Math.abs(value) > 50) {
+          details.push(`scenarios.${name}.${field} must be a number between -50 and 50`);
+        } else {
+          scenarios[name][field] = value;
+        }
+      });
+    });
+
+    return scenarios;
+  }
+
+  /**
+   * Starting point of the projection: the latest revenue and the year it is for
+   * @param {Object} companyData - Normalized company data
+   * @returns {Object|null} { revenue, year, currency, source, estimated }; null without revenue
+   */
+  getBaseline(companyData) {
+    const latest = financialStatementService.getLatestPeriod(companyData.financialStatements);
+    const statementRevenue = latest?.incomeStatement?.revenue;
+
+    if (isNumber(statementRevenue) && statementRevenue > 0) {
+      return {
+        revenue: statementRevenue,
+        year: latest.year || new Date().getFullYear(),
+        period: latest.label,
+        currency: companyData.financialStatements.currency || 'USD',
+        source: ASSUMPTION_SOURCES.STATEMENTS,
+        estimated: false
+      };
+    }
+
+    const revenue = companyData.financials?.revenue;
+    if (!isNumber(revenue?.value) || revenue.value <= 0) {
+      return null;
+    }
+
+    return {
+      revenue: revenue.value,
+      year: new Date().getFullYear(),
+      period: null,
+      currency: revenue.currency || 'USD',
+      source: ASSUMPTION_SOURCES.COMPANY_DATA,
+      estimated: !!revenue.estimated
+    };
+  }
+
+  /**
+   * Default assumptions from the company's statements, ratios and data
+   * @param {Number} years - Length of the projection
+   * @returns {Object} { assumptions, sources } with a source per field
+   */
+  getDefaultAssumptions(companyData, years = DEFAULTS.years) {
+    const sources = { years: ASSUMPTION_SOURCES.DEFAULT, taxRate: ASSUMPTION_SOURCES.DEFAULT };
+    const latestRatios = Object.fromEntries(
+      (companyData.financialRatios?.latest?.ratios || []).map(ratio => [ratio.key, ratio.value])
+    );
+    const latest = financialStatementService.getLatestPeriod(companyData.financialStatements);
+    const { incomeStatement: income = {}, balanceSheet: balance = {}, cashFlow = {} } = latest || {};
+    const revenue = isNumber(income.revenue) && income.revenue > 0 ? income.revenue : null;
+
+    // Growth fades from the current rate to a terminal rate
+    let startGrowth = DEFAULTS.revenueGrowth;
+    sources.revenueGrowth = ASSUMPTION_SOURCES.DEFAULT;
+    if (isNumber(latestRatios.revenueGrowth)) {
+      startGrowth = latestRatios.revenueGrowth;
+      sources.revenueGrowth = ASSUMPTION_SOURCES.STATEMENTS;
+    } else if (isNumber(companyData.financials?.growth?.rate)) {
+      startGrowth = companyData.financials.growth.rate;
+      sources.revenueGrowth = ASSUMPTION_SOURCES.COMPANY_DATA;
+    }
+    startGrowth = clamp(startGrowth, -20, 60);
+
+    // Margins move towards a target, by a limited amount over the projection
+    let startMargin = DEFAULTS.ebitdaMargin;
+    sources.ebitdaMargin = ASSUMPTION_SOURCES.DEFAULT;
+    if (isNumber(latestRatios.ebitdaMargin)) {
+      startMargin = latestRatios.ebitdaMargin;
+      sources.ebitdaMargin = ASSUMPTION_SOURCES.STATEMENTS;
+    }
+    const targetMargin = startMargin >= DEFAULTS.targetMargin
+      ? startMargin
+      : Math.min(DEFAULTS.targetMargin, startMargin + DEFAULTS.maxMarginImprovement);
+
+    // Capex, working capital and depreciation as a share of the latest revenue
+    const shareOfRevenue = (field, value) => {
+      if (revenue !== null && isNumber(value)) {
+        sources[field] = ASSUMPTION_SOURCES.STATEMENTS;
+        return round((value / revenue) * 100);
+      }
+      sources[field] = ASSUMPTION_SOURCES.DEFAULT;
+      return DEFAULTS[field];
+    };
+    const workingCapital = isNumber(balance.accountsReceivable)
+      ? balance.accountsReceivable + (balance.inventory || 0) - Math.abs(balance.accountsPayable || 0)
+      : undefined;
+    const capex = isNumber(cashFlow.capitalExpenditures) ? Math.abs(cashFlow.capitalExpenditures) : undefined;
+    const depreciation = isNumber(income.depreciationAmortization) ? Math.abs(income.depreciationAmortization) : undefined;
+
+    return {
+      assumptions: {
+        years,
+        revenueGrowth: linearCurve(startGrowth, Math.min(startGrowth, DEFAULTS.terminalGrowth), years),
+        ebitdaMargin: linearCurve(startMargin + (targetMargin - startMargin) / years, targetMargin, years),
+        capexPercent: shareOfRevenue('capexPercent', capex),
+        workingCapitalPercent: shareOfRevenue('workingCapitalPercent', workingCapital),
+        depreciationPercent: shareOfRevenue('depreciationPercent', depreciation),
+        taxRate: DEFAULTS.taxRate,
+        scenarios: DEFAULT_SCENARIOS
+      },
+      sources
+    };
+  }
+
+  /**
+   * Combine edited assumptions with the defaults. Growth and margin given as a
+   * single number apply to every year; shorter lists repeat their last value.
+   * @param {Object} overrides - Stored assumptions from validateAssumptions
+   */
+  resolveAssumptions(companyData, overrides = {}) {
+    const defaults = this.getDefaultAssumptions(companyData, overrides.years || DEFAULTS.years);
+    const sources = { ...defaults.sources };
+    const assumptions = { ...defaults.assumptions };
+
+    Object.keys(ASSUMPTION_FIELDS).forEach(field => {
+      if (overrides[field] !== undefined) {
+        assumptions[field] = overrides[field];
+        sources[field] = ASSUMPTION_SOURCES.USER;
+      }
+    });
+
+    assumptions.revenueGrowth = toCurve(assumptions.revenueGrowth, assumptions.years);
+    assumptions.ebitdaMargin = toCurve(assumptions.ebitdaMargin, assumptions.years);
+    assumptions.scenarios = {
+      base: DEFAULT_SCENARIOS.base,
+      upside: { ...DEFAULT_SCENARIOS.upside, ...overrides.scenarios?.upside },
+      downside: { ...DEFAULT_SCENARIOS.downside, ...overrides.scenarios?.downside }
+    };
+    sources.scenarios = overrides.scenarios ? ASSUMPTION_SOURCES.USER : ASSUMPTION_SOURCES.DEFAULT;
+
+    return { assumptions, sources };
+  }
+
+  /**
+   * Run one scenario year by year: revenue from the growth curve, EBITDA from the
+   * margin path, then depreciation, tax on positive operating profit, capex and the
+   * change in working capital down to free cash flow
+   * @returns {Object} { years: [...], summary }
+   */
+  runScenario(baseline, assumptions, shifts) {
+    const rows = [];
+    let revenue = baseline.revenue;
+    let workingCapital = baseline.revenue * (assumptions.workingCapitalPercent / 100);
+
+    for (let index = 0; index < assumptions.years; index++) {
+      const growth = round(assumptions.revenueGrowth[index] + shifts.revenueGrowth);
+      const margin = round(assumptions.ebitdaMargin[index] + (shifts.ebitdaMargin * (index + 1)) / assumptions.years);
+
+      revenue = revenue * (1 + growth / 100);
+      const ebitda = revenue * (margin / 100);
+      const depreciation = revenue * (assumptions.depreciationPercent / 100);
+      const operatingIncome = ebitda - depreciation;
+      const tax = Math.max(operatingIncome, 0) * (assumptions.taxRate / 100);
+      const capex = revenue * (assumptions.capexPercent / 100);
+      const nextWorkingCapital = revenue * (assumptions.workingCapitalPercent / 100);
+      const workingCapitalChange = nextWorkingCapital - workingCapital;
+      workingCapital = nextWorkingCapital;
+
+      rows.push({
+        year: baseline.year + index + 1,
+        revenue: Math.round(revenue),
+        revenueGrowth: growth,
+        ebitda: Math.round(ebitda),
+        ebitdaMargin: margin,
+        depreciation: Math.round(depreciation),
+        operatingIncome: Math.round(operatingIncome),
+        tax: Math.round(tax),
+        capex: Math.round(capex),
+        workingCapitalChange: Math.round(workingCapitalChange),
+        freeCashFlow: Math.round(ebitda - tax - capex - workingCapitalChange)
+      });
+    }
+
+    const final = rows[rows.length - 1];
+    return {
+      years: rows,
+      summary: {
+        finalYear: final.year,
+        finalRevenue: final.revenue,
+        finalEbitdaMargin: final.ebitdaMargin,
+        revenueCagr: round((Math.pow(final.revenue / baseline.revenue, 1 / rows.length) - 1) * 100),
+        cumulativeFreeCashFlow: rows.reduce((sum, row) => sum + row.freeCashFlow, 0)
+      }
+    };
+  }
+
+  /**
+   * Project the company's financials under its assumptions
+   * @param {Object} companyData - Normalized company data
+   * @param {Object} overrides - Edited assumptions stored on the report
+   * @returns {Object|null} { version, currency, baseline, assumptions, assumptionSources,
+   * scenarios: { base, upside, downside } }; null when there is no revenue to start from
+   */
+  project(companyData, overrides = {}) {
+    const baseline = this.getBaseline(companyData);
+    if (!baseline) {
+      return null;
+    }
+
+    const { assumptions, sources } = this.resolveAssumptions(companyData, overrides || {});
+    const scenarios = {};
+    Object.entries(assumptions.scenarios).forEach(([name, shifts]) => {
+      scenarios[name] = this.runScenario(baseline, assumptions, shifts);
+    });
+
+    return {
+      version: MODEL_VERSION,
+      currency: baseline.currency,
+      baseline,
+      assumptions,
+      assumptionSources: sources,
+      scenarios
+    };
+  }
+
+  /**
+   * The projection as text for the Financial Projections prompt
+   */
+  formatForPrompt(projection) {
+    if (!projection) return '';
+
+    const { baseline, assumptions, assumptionSources, scenarios, currency } = projection;
+    const amount = (value) => formatRatioValue(value, 'currency', currency);
+    const percentList = (values) => values.map(value => `${value}%`).join(', ');
+    const sourceLabel = (field) => ({
+      [ASSUMPTION_SOURCES.USER]: 'set by the analyst',
+      [ASSUMPTION_SOURCES.STATEMENTS]: 'from the financial statements',
+      [ASSUMPTION_SOURCES.COMPANY_DATA]: 'from the company data',
+      [ASSUMPTION_SOURCES.DEFAULT]: 'model default'
+    })[assumptionSources[field]];
+    const baseLabel = baseline.period || baseline.year;
+
+    const lines = [
+      'Projection model output. Present these figures and assumptions; do not produce other projections or change the numbers:',
+      `Baseline revenue: ${amount(baseline.revenue)} (${baseLabel}${baseline.estimated ? ', industry estimate' : ''})`,
+      'Assumptions:',
+      `- Revenue growth by year: ${percentList(assumptions.revenueGrowth)} (${sourceLabel('revenueGrowth')})`,
+      `- EBITDA margin by year: ${percentList(assumptions.ebitdaMargin)} (${sourceLabel('ebitdaMargin')})`,
+      `- Capex: ${assumptions.capexPercent}% of revenue (${sourceLabel('capexPercent')})`,
+      `- Net working capital: ${assumptions.workingCapitalPercent}% of revenue (${sourceLabel('workingCapitalPercent')})`,
+      `- Depreciation: ${assumptions.depreciationPercent}% of revenue (${sourceLabel('depreciationPercent')})`,
+      `- Tax rate: ${assumptions.taxRate}% (${sourceLabel('taxRate')})`,
+      `- Upside: growth ${this.formatShift(assumptions.scenarios.upside.revenueGrowth)}, margin ${this.formatShift(assumptions.scenarios.upside.ebitdaMargin)} by the final year`,
+      `- Downside: growth ${this.formatShift(assumptions.scenarios.downside.revenueGrowth)}, margin ${this.formatShift(assumptions.scenarios.downside.ebitdaMargin)} by the final year`
+    ];
+
+    Object.entries(scenarios).forEach(([name, scenario]) => {
+      lines.push('', `${this.capitalize(name)} case | ${scenario.years.map(row => row.year).join(' | ')}`);
+      lines.push(`Revenue | ${scenario.years.map(row => amount(row.revenue)).join(' | ')}`);
+      lines.push(`EBITDA | ${scenario.years.map(row => amount(row.ebitda)).join(' | ')}`);
+      lines.push(`EBITDA margin | ${scenario.years.map(row => `${row.ebitdaMargin}%`).join(' | ')}`);
+      lines.push(`Free cash flow | ${scenario.years.map(row => amount(row.freeCashFlow)).join(' | ')}`);
+      lines.push(`Revenue CAGR ${scenario.summary.revenueCagr}%; cumulative free cash flow ${amount(scenario.summary.cumulativeFreeCashFlow)}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  formatShift(value) {
+    return `${value > 0 ? '+' : ''}${value} pts`;
+  }
+
+  capitalize(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+  }
+}
+
+module.exports = new ProjectionService();
@@ -1,8 +1,136 @@
 // services/promptTemplateService.js
 
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../config/db');
+const { getSectionSchema } = require('./sectionSchemas');
+
+// Normalized industries (see dataService.normalizeIndustry) that have their own template variant
+const INDUSTRY_VARIANTS = {
+  'Technology': 'technology',
+  'Software': 'technology',
+  'Healthcare': 'healthcare',
+  'Biotech': 'healthcare'
+};
+
+// Writing styles a report can choose in its customization
+const STYLES = [
+  {
+    id: 'standard',
+    name: 'Standard',
+    description: 'Balanced analysis of opportunities and risks'
+  },
+  {
+    id: 'conservative',
+    name: 'Conservative',
+    description: 'Risk-aware analysis emphasizing downside protection'
+  }
+];
+
+// Order in which a section's template variants are tried. The first one the section
+// has is used, so an industry or early-stage variant wins over the report's writing style.
+const VARIANT_PRECEDENCE = ['industry', 'specialization', 'style', 'standard'];
+
+// Companies this young, this small or at these rounds use early-stage templates
+const EARLY_STAGE_MAX_AGE = 3;
+const EARLY_STAGE_MAX_EMPLOYEES = 25;
+const EARLY_STAGE_ROUNDS = ['pre-seed', 'seed', 'series a'];
+
+// Placeholders openaiService.getTemplateVariables fills in. Stored templates
+// may only use these; other {placeholders} would reach the model unfilled.
+const TEMPLATE_VARIABLES = {
+  companyName: 'Company name',
+  companyDescription: 'Company description',
+  foundingYear: 'Year the company was founded',
+  headquarters: 'Headquarters location',
+  employeeCount: 'Number of employees',
+  industry: 'Normalized industry',
+  fundingStatus: 'Funding phrase, e.g. "with $5 million funding"',
+  investmentHighlights: 'Investment highlights to focus on',
+  financialMetrics: 'Financial metrics to cover',
+  companyData: 'Normalized company data as JSON, packed to the prompt budget'
+};
+
+const PLACEHOLDER_PATTERN = /\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+const VARIANT_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,39}$/;
+const VERSION_PATTERN = /^(\d+)\.(\d+)\.(\d+)$/;
+
+// Lifecycle of a stored template: drafts are editable, one version per
+// section and variant is published, and replaced versions are retired
+const TEMPLATE_STATUSES = ['draft', 'published', 'retired'];
+
+// Normalized company used to preview templates when none is given
+const SAMPLE_COMPANY_DATA = {
+  company: {
+    name: 'Northwind Analytics',
+    description: 'B2B software company providing supply chain forecasting to mid-market retailers',
+    foundingYear: 2016,
+    headquarters: 'Chicago, IL, USA',
+    employees: 180,
+    industry: 'Software',
+    website: 'https://northwind.example.com',
+    status: 'Private'
+  },
+  financials: {
+    revenue: { value: 24000000, currency: 'USD', display: '$24 million' },
+    growth: '35% year over year',
+    funding: {
+      total: 42000000,
+      currency: 'USD',
+      display: '$42 million',
+      rounds: 3,
+      latestRound: 'Series B',
+      investors: ['Example Ventures', 'Sample Capital']
+    },
+    profitability: 'EBITDA negative, approaching break-even',
+    cashPosition: '$18 million'
+  },
+  market: {
+    size: '$12 billion',
+    growth: '11% CAGR',
+    competitors: ['Blue Yonder', 'o9 Solutions', 'Kinaxis'],
+    trends: ['AI-driven demand forecasting', 'Supply chain resilience investment']
+  },
+  risk: {
+    factors: ['Customer concentration in retail', 'Competition from larger suites'],
+    rating: 'Medium'
+  }
+};
+
+const parseVersion = (version) => {
+  const match = VERSION_PATTERN.exec(String(version || ''));
+  return match ? match.slice(1).map(Number) : null;
+};
+
+const compareVersions = (a, b) => {
+  const left = parseVersion(a) || [0, 0, 0];
+  const right = parseVersion(b) || [0, 0, 0];
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+};
+
+// The first version of a new variant is 1.0.0
+const nextPatchVersion = (version) => {
+  if (!version) return '1.0.0';
+  const [major, minor, patch] = parseVersion(version);
+  return `${major}.${minor}.${patch + 1}`;
+};
+
+// Version of openaiService's built-in prompts, which sections without
+// templates here use until a stored template is published
+const BUILTIN_PROMPT_VERSION = '1.0.0';
+
+const toObjectId = (id) => (ObjectId.isValid(id) ? new ObjectId(id) : null);
+
 class PromptTemplateService {
   constructor() {
     this.templateVersions = {};
+    // Published templates from the database, by section and variant; they
+    // take precedence over the built-in templates below
+    this.publishedTemplates = {};
+    this.refreshInterval = 60 * 1000; // 1 minute
+    this.timer = null;
     this.initializeTemplates();
   }
 
@@ -121,44 +249,463 @@ Use a forward-looking yet grounded analytical tone. Support assertions where pos
 
   /**
    * Get the appropriate template based on section type, industry, and other parameters
+   * @returns {Object} { variant, version, systemPrompt, template }, or null without templates for the section
    */
   getTemplateForSection(sectionType, options = {}) {
     const { industry, specialization, style } = options;
 
     // Check if we have templates for this section type
-    if (!this.templateVersions[sectionType]) {
+    if (!this.hasTemplatesForSection(sectionType)) {
       console.warn(`No templates found for section type: ${sectionType}`);
       return null;
     }
 
-    // Try to get industry-specific template
-    if (industry && this.templateVersions[sectionType][industry.toLowerCase()]) {
-      return this.templateVersions[sectionType][industry.toLowerCase()];
-    }
+    const templates = this.getActiveTemplates(sectionType);
+    const candidates = {
+      industry: industry && (INDUSTRY_VARIANTS[industry] || industry.toLowerCase()),
+      specialization,
+      style,
+      standard: 'standard'
+    };
 
-    // Try to get specialization-specific template
-    if (specialization && this.templateVersions[sectionType][specialization]) {
-      return this.templateVersions[sectionType][specialization];
+    // Industry-specific, then specialization-specific, then style-specific, then standard
+    const variantSource = VARIANT_PRECEDENCE
+      .find(source => candidates[source] && templates[candidates[source]]);
+    if (!variantSource) {
+      return null;
     }
 
-    // Try to get style-specific template
-    if (style && this.templateVersions[sectionType][style]) {
-      return this.templateVersions[sectionType][style];
-    }
+    const variant = candidates[variantSource];
+    return { variant, variantSource, ...templates[variant] };
+  }
 
-    // Fall back to standard template
-    return this.templateVersions[sectionType].standard;
+  /**
+   * Order in which template variants are chosen: industry, specialization
+   * (company stage), writing style, standard
+   */
+  getVariantPrecedence() {
+    return VARIANT_PRECEDENCE;
+  }
+
+  /**
+   * Whether any templates exist for a section type
+   */
+  hasTemplatesForSection(sectionType) {
+    return !!(this.templateVersions[sectionType] || this.publishedTemplates[sectionType]);
+  }
+
+  /**
+   * Templates in use for a section by variant: published versions over built-in ones
+   */
+  getActiveTemplates(sectionType) {
+    return {
+      ...this.templateVersions[sectionType],
+      ...this.publishedTemplates[sectionType]
+    };
+  }
+
+  /**
+   * Determine a company's stage from normalized company data
+   * @returns {String} 'earlyStage' or 'established'
+   */
+  determineCompanyStage(companyData = {}) {
+    const company = companyData.company || {};
+    const funding = companyData.financials?.funding;
+
+    const age = typeof company.foundingYear === 'number'
+      ? new Date().getFullYear() - company.foundingYear
+      : null;
+    const employees = typeof company.employees === 'number' ? company.employees : null;
+    const latestRound = typeof funding?.latestRound === 'string'
+      ? funding.latestRound.toLowerCase()
+      : null;
+
+    const earlyStage =
+      (age !== null && age <= EARLY_STAGE_MAX_AGE) ||
+      (employees !== null && employees < EARLY_STAGE_MAX_EMPLOYEES) ||
+      (latestRound !== null && EARLY_STAGE_ROUNDS.some(round => latestRound.endsWith(round)));
+
+    return earlyStage ? 'earlyStage' : 'established';
+  }
+
+  /**
+   * Writing styles a report can choose
+   */
+  getAvailableStyles() {
+    return STYLES;
   }
 
   /**
    * Get all available template variants for a section
    */
   getTemplateVariantsForSection(sectionType) {
-    if (!this.templateVersions[sectionType]) {
-      return [];
+    return Object.keys(this.getActiveTemplates(sectionType));
+  }
+
+  /**
+   * Placeholders a template may use, with descriptions
+   */
+  getTemplateVariables() {
+    return TEMPLATE_VARIABLES;
+  }
+
+  /**
+   * Company data used for previews when the caller does not supply any
+   */
+  getSampleCompanyData() {
+    return JSON.parse(JSON.stringify(SAMPLE_COMPANY_DATA));
+  }
+
+  /**
+   * Placeholders referenced by a template string
+   */
+  findPlaceholders(text) {
+    return [...new Set([...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+  }
+
+  /**
+   * Validate a stored template
+   * @param {Object} template - { sectionType, variant, version, systemPrompt, template }
+   * @returns {Array} Error messages, empty when the template is valid
+   */
+  validateTemplate({ sectionType, variant, version, systemPrompt, template }) {
+    const errors = [];
+
+    if (!getSectionSchema(sectionType)) {
+      errors.push(`Unknown section type: ${sectionType}`);
+    }
+    if (!VARIANT_PATTERN.test(String(variant || ''))) {
+      errors.push('Variant must start with a letter and contain only letters, numbers, - and _ (max 40 characters)');
+    }
+    if (!parseVersion(version)) {
+      errors.push('Version must be a semantic version such as 1.2.0');
+    }
+    if (typeof systemPrompt !== 'string' || !systemPrompt.trim()) {
+      errors.push('System prompt is required');
+    }
+    if (typeof template !== 'string' || !template.trim()) {
+      errors.push('Template is required');
+    }
+
+    const unknown = this.findPlaceholders(template).filter(name => !TEMPLATE_VARIABLES[name]);
+    if (unknown.length > 0) {
+      errors.push(`Template uses unknown placeholders: ${unknown.map(name => `{${name}}`).join(', ')}. ` +
+        `Available: ${Object.keys(TEMPLATE_VARIABLES).map(name => `{${name}}`).join(', ')}`);
+    }
+
+    // The system prompt is sent as written
+    const systemPlaceholders = this.findPlaceholders(systemPrompt);
+    if (systemPlaceholders.length > 0) {
+      errors.push(`System prompt cannot use placeholders: ${systemPlaceholders.map(name => `{${name}}`).join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  createTemplateError(message, status, validationErrors) {
+    const error = new Error(message);
+    error.name = 'PromptTemplateError';
+    error.status = status;
+    if (validationErrors) {
+      error.validationErrors = validationErrors;
+    }
+    return error;
+  }
+
+  /**
+   * Load published templates from the database. Generation keeps using the
+   * templates it has if the database cannot be read.
+   */
+  async loadPublishedTemplates() {
+    try {
+      const collection = await getCollection('promptTemplates');
+      const published = await collection.find({ status: 'published' }).toArray();
+
+      const templates = {};
+      published.forEach(doc => {
+        templates[doc.sectionType] = templates[doc.sectionType] || {};
+        templates[doc.sectionType][doc.variant] = {
+          version: doc.version,
+          systemPrompt: doc.systemPrompt,
+          template: doc.template,
+          templateId: doc._id.toString()
+        };
+      });
+
+      this.publishedTemplates = templates;
+      return published.length;
+    } catch (error) {
+      console.error('Error loading prompt templates:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Reload published templates periodically so every instance picks up
+   * templates published elsewhere
+   */
+  start(intervalMs = this.refreshInterval) {
+    if (this.timer) return;
+
+    this.loadPublishedTemplates();
+    this.timer = setInterval(() => this.loadPublishedTemplates(), intervalMs);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop reloading published templates
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * List stored templates, newest version first
+   * @param {Object} filter - Optional sectionType, variant and status
+   */
+  async listTemplates({ sectionType, variant, status } = {}) {
+    if (status && !TEMPLATE_STATUSES.includes(status)) {
+      throw this.createTemplateError(`Status must be one of ${TEMPLATE_STATUSES.join(', ')}`, 400);
+    }
+
+    const query = {};
+    if (sectionType) query.sectionType = sectionType;
+    if (variant) query.variant = variant;
+    if (status) query.status = status;
+
+    const collection = await getCollection('promptTemplates');
+    const templates = await collection.find(query).toArray();
+
+    return templates.sort((a, b) =>
+      a.sectionType.localeCompare(b.sectionType) ||
+      a.variant.localeCompare(b.variant) ||
+      compareVersions(b.version, a.version));
+  }
+
+  /**
+   * Templates in use for every section and variant, and where each comes from
+   */
+  listActiveTemplates() {
+    const sectionTypes = new Set([...Object.keys(this.templateVersions), ...Object.keys(this.publishedTemplates)]);
+
+    return [...sectionTypes].flatMap(sectionType =>
+      Object.entries(this.getActiveTemplates(sectionType)).map(([variant, template]) => ({
+        sectionType,
+        variant,
+        version: template.version,
+        source: template.templateId ? 'database' : 'builtin',
+        templateId: template.templateId || null
+      })));
+  }
+
+  /**
+   * Get a stored template by id
+   */
+  async getTemplate(templateId) {
+    const id = toObjectId(templateId);
+    const collection = await getCollection('promptTemplates');
+    const template = id ? await collection.findOne({ _id: id }) : null;
+
+    if (!template) {
+      throw this.createTemplateError('Prompt template not found', 404);
+    }
+
+    return template;
+  }
+
+  /**
+   * Highest version of a section variant, stored or built-in
+   */
+  async getLatestVersion(sectionType, variant, excludeId = null) {
+    const collection = await getCollection('promptTemplates');
+    const stored = await collection.find({ sectionType, variant }).toArray();
+
+    const builtin = this.templateVersions[sectionType]
+      ? this.templateVersions[sectionType][variant]?.version
+      : BUILTIN_PROMPT_VERSION;
+
+    return [
+      builtin,
+      ...stored.filter(doc => !excludeId || !doc._id.equals(excludeId)).map(doc => doc.version)
+    ].filter(Boolean).sort(compareVersions).pop() || null;
+  }
+
+  /**
+   * Check a draft and make sure its version is newer than every existing version
+   */
+  async validateDraft(draft, excludeId = null) {
+    const errors = this.validateTemplate(draft);
+    if (errors.length > 0) {
+      throw this.createTemplateError('Invalid prompt template', 400, errors);
+    }
+
+    const latest = await this.getLatestVersion(draft.sectionType, draft.variant, excludeId);
+    if (latest && compareVersions(draft.version, latest) <= 0) {
+      throw this.createTemplateError(
+        `Version ${draft.version} must be greater than ${latest}, the latest version of ${draft.sectionType}/${draft.variant}`,
+        409
+      );
+    }
+  }
+
+  /**
+   * Create a draft template. Without a version the patch version after the
+   * latest one is used.
+   * @param {Object} data - { sectionType, variant, version, systemPrompt, template, notes }
+   */
+  async createDraft({ sectionType, variant = 'standard', version, systemPrompt, template, notes = '' }, userId) {
+    const latest = await this.getLatestVersion(sectionType, variant);
+    const draft = {
+      sectionType,
+      variant,
+      version: version || nextPatchVersion(latest),
+      systemPrompt,
+      template,
+      notes
+    };
+
+    await this.validateDraft(draft);
+
+    const now = new Date();
+    const doc = {
+      ...draft,
+      status: 'draft',
+      createdBy: userId,
+      createdAt: now,
+      updatedAt: now,
+      publishedAt: null,
+      publishedBy: null,
+      retiredAt: null
+    };
+
+    const collection = await getCollection('promptTemplates');
+    const result = await collection.insertOne(doc);
+
+    return { ...doc, _id: result.insertedId };
+  }
+
+  /**
+   * Update a draft. Published and retired templates cannot be changed.
+   */
+  async updateDraft(templateId, changes, userId) {
+    const existing = await this.getTemplate(templateId);
+    if (existing.status !== 'draft') {
+      throw this.createTemplateError(`Only drafts can be edited; this template is ${existing.status}`, 409);
+    }
+
+    const draft = {
+      sectionType: existing.sectionType,
+      variant: existing.variant,
+      version: changes.version ?? existing.version,
+      systemPrompt: changes.systemPrompt ?? existing.systemPrompt,
+      template: changes.template ?? existing.template,
+      notes: changes.notes ?? existing.notes
+    };
+
+    await this.validateDraft(draft, existing._id);
+
+    const update = { ...draft, updatedAt: new Date(), updatedBy: userId };
+    const collection = await getCollection('promptTemplates');
+    await collection.updateOne({ _id: existing._id }, { $set: update });
+
+    return { ...existing, ...update };
+  }
+
+  /**
+   * Delete a draft
+   */
+  async deleteDraft(templateId) {
+    const existing = await this.getTemplate(templateId);
+    if (existing.status !== 'draft') {
+      throw this.createTemplateError(`Only drafts can be deleted; this template is ${existing.status}`, 409);
+    }
+
+    const collection = await getCollection('promptTemplates');
+    await collection.deleteOne({ _id: existing._id });
+
+    return existing;
+  }
+
+  /**
+   * Publish a draft, or republish a retired version. The version published
+   * before it for the same section and variant is retired.
+   */
+  async publishTemplate(templateId, userId) {
+    const existing = await this.getTemplate(templateId);
+    if (existing.status === 'published') {
+      throw this.createTemplateError('Template is already published', 409);
+    }
+
+    // Templates are validated again in case the allowed placeholders changed since the draft was saved
+    const errors = this.validateTemplate(existing);
+    if (errors.length > 0) {
+      throw this.createTemplateError('Invalid prompt template', 400, errors);
+    }
+
+    const now = new Date();
+    const collection = await getCollection('promptTemplates');
+    await collection.updateMany(
+      { sectionType: existing.sectionType, variant: existing.variant, status: 'published' },
+      { $set: { status: 'retired', retiredAt: now } }
+    );
+
+    const update = { status: 'published', publishedAt: now, publishedBy: userId, retiredAt: null };
+    await collection.updateOne({ _id: existing._id }, { $set: update });
+
+    await this.loadPublishedTemplates();
+
+    return { ...existing, ...update };
+  }
+
+  /**
+   * Roll a section variant back to an earlier version: the given retired
+   * version, else the highest retired version below the published one.
+   * Without an earlier stored version the built-in template applies again.
+   * @returns {Object} { sectionType, variant, retired, published, source }
+   */
+  async rollbackTemplate(sectionType, variant, userId, version = null) {
+    const collection = await getCollection('promptTemplates');
+    const current = await collection.findOne({ sectionType, variant, status: 'published' });
+
+    if (!current) {
+      throw this.createTemplateError(`No published template for ${sectionType}/${variant} to roll back`, 404);
     }
 
-    return Object.keys(this.templateVersions[sectionType]);
+    const retired = await collection.find({ sectionType, variant, status: 'retired' }).toArray();
+    const target = version
+      ? retired.find(doc => doc.version === version)
+      : retired
+        .filter(doc => compareVersions(doc.version, current.version) < 0)
+        .sort((a, b) => compareVersions(b.version, a.version))[0];
+
+    if (version && !target) {
+      throw this.createTemplateError(`No retired version ${version} of ${sectionType}/${variant}`, 404);
+    }
+
+    if (target) {
+      const published = await this.publishTemplate(target._id, userId);
+      return { sectionType, variant, retired: current.version, published, source: 'database' };
+    }
+
+    await collection.updateOne(
+      { _id: current._id },
+      { $set: { status: 'retired', retiredAt: new Date() } }
+    );
+    await this.loadPublishedTemplates();
+
+    const builtin = this.templateVersions[sectionType]?.[variant] || null;
+    return {
+      sectionType,
+      variant,
+      retired: current.version,
+      published: builtin && { sectionType, variant, version: builtin.version },
+      source: 'builtin'
+    };
   }
 }
 
@@ -0,0 +1,179 @@
+// services/qualityRubrics.js
+// Rubrics for scoring generated sections without a model call. Each criterion
+// has a weight; the section score is the weighted share of criteria met, out of 10.
+
+// Bump when a rubric changes so stored scores can be told apart
+const RUBRIC_VERSION = '1.0.0';
+
+// Sections scoring below this fail the check
+const PASSING_SCORE = 7;
+
+// A topic counts as covered when any of its patterns appears in the text
+const topic = (name, ...patterns) => ({ name, patterns });
+
+const lengthCriterion = (minWords) => ({
+  id: 'length',
+  label: `At least ${minWords} words`,
+  type: 'length',
+  minWords,
+  weight: 1
+});
+
+const figuresCriterion = (min) => ({
+  id: 'figures',
+  label: `Cites at least ${min} figures`,
+  type: 'figures',
+  min,
+  weight: 2
+});
+
+const topicsCriterion = (topics, weight = 3) => ({
+  id: 'subsections',
+  label: 'Covers the required subsections',
+  type: 'topics',
+  topics,
+  weight
+});
+
+const recommendationCriterion = {
+  id: 'recommendation',
+  label: 'States an explicit recommendation',
+  type: 'recommendation',
+  weight: 2
+};
+
+const RUBRICS = {
+  executiveSummary: [
+    topicsCriterion([
+      topic('Company snapshot', /snapshot/i, /founded/i, /headquarter/i),
+      topic('Investment thesis', /thesis/i, /investment case/i, /rationale/i),
+      topic('Financial overview', /financial/i, /revenue/i),
+      topic('Risks', /risk/i),
+      topic('Outlook', /outlook/i, /12-month/i, /forward/i)
+    ]),
+    figuresCriterion(3),
+    recommendationCriterion,
+    lengthCriterion(200)
+  ],
+  companyOverview: [
+    topicsCriterion([
+      topic('Business model', /business model/i, /revenue stream/i),
+      topic('Products and services', /product/i, /service/i),
+      topic('Target markets', /target market/i, /customer/i, /segment/i),
+      topic('History and milestones', /history/i, /milestone/i, /founded/i),
+      topic('Leadership', /leadership/i, /management/i, /founder/i, /ceo/i),
+      topic('Competitive positioning', /competitive/i, /competitor/i)
+    ]),
+    figuresCriterion(2),
+    lengthCriterion(300)
+  ],
+  marketAnalysis: [
+    topicsCriterion([
+      topic('Market size and growth', /market size/i, /\btam\b/i, /cagr/i),
+      topic('Industry trends', /trend/i),
+      topic('Segmentation', /segment/i),
+      topic('Market positioning', /position/i, /market share/i),
+      topic('Opportunity', /opportunit/i)
+    ]),
+    figuresCriterion(4),
+    lengthCriterion(300)
+  ],
+  financialAnalysis: [
+    topicsCriterion([
+      topic('Revenue', /revenue/i, /sales/i),
+      topic('Growth', /growth/i, /year[- ]over[- ]year/i, /\byoy\b/i),
+      topic('Profitability', /profit/i, /margin/i, /ebitda/i),
+      topic('Cash and liquidity', /cash/i, /liquidity/i, /burn/i),
+      topic('Funding and capital', /funding/i, /capital/i, /debt/i, /balance sheet/i)
+    ]),
+    figuresCriterion(5),
+    lengthCriterion(300)
+  ],
+  financialProjections: [
+    topicsCriterion([
+      topic('Assumptions', /assumption/i),
+      topic('Projected statements', /income statement/i, /projected revenue/i, /forecast/i, /projection/i),
+      topic('Key metrics', /margin/i, /ebitda/i, /metric/i),
+      topic('Scenarios', /scenario/i, /base case/i, /upside/i, /downside/i),
+      topic('Funding requirements', /funding/i, /capital/i)
+    ]),
+    figuresCriterion(6),
+    lengthCriterion(300)
+  ],
+  riskAssessment: [
+    topicsCriterion([
+      topic('Market and competitive risks', /market risk/i, /competitive/i, /competition/i),
+      topic('Operational risks', /operational/i),
+      topic('Financial risks', /financial risk/i, /liquidity/i, /cash/i),
+      topic('Legal and regulatory risks', /regulat/i, /legal/i, /compliance/i),
+      topic('Mitigation', /mitigat/i)
+    ]),
+    {
+      id: 'severity',
+      label: 'Rates risk severity or likelihood',
+      type: 'pattern',
+      patterns: [/\b(high|medium|moderate|low|critical|severe)\b/i, /likelihood|probability|severity|impact/i],
+      weight: 2
+    },
+    figuresCriterion(1),
+    lengthCriterion(300)
+  ],
+  investmentRecommendation: [
+    topicsCriterion([
+      topic('Investment thesis', /thesis/i),
+      topic('Valuation', /valuation/i, /multiple/i),
+      topic('Return potential', /return/i, /\birr\b/i, /upside/i),
+      topic('Metrics to monitor', /monitor/i, /kpi/i, /key metric/i)
+    ]),
+    figuresCriterion(3),
+    recommendationCriterion,
+    lengthCriterion(250)
+  ],
+  competitiveAnalysis: [
+    topicsCriterion([
+      topic('Market landscape', /landscape/i, /key players/i, /market share/i),
+      topic('Competitors', /competitor/i),
+      topic('Competitive advantages', /advantage/i, /moat/i, /differentiat/i),
+      topic('Threats', /threat/i, /new entrant/i, /substitut/i),
+      topic('Strategic recommendations', /recommend/i, /strateg/i)
+    ]),
+    figuresCriterion(2),
+    lengthCriterion(300)
+  ],
+  managementAnalysis: [
+    topicsCriterion([
+      topic('Leadership team', /leadership/i, /ceo/i, /founder/i, /executive/i),
+      topic('Governance', /governance/i, /board/i),
+      topic('Execution', /execution/i, /track record/i),
+      topic('Compensation and incentives', /compensation/i, /incentive/i, /equity/i),
+      topic('Succession', /succession/i, /key person/i, /depth/i)
+    ]),
+    figuresCriterion(1),
+    lengthCriterion(250)
+  ],
+  valuationAnalysis: [
+    topicsCriterion([
+      topic('Valuation summary', /valuation/i),
+      topic('Comparable companies', /comparable/i, /\bcomps\b/i, /peer/i),
+      topic('Discounted cash flow', /discounted cash flow/i, /\bdcf\b/i),
+      topic('Transactions', /transaction/i, /precedent/i, /acquisition/i)
+    ]),
+    figuresCriterion(5),
+    recommendationCriterion,
+    lengthCriterion(250)
+  ]
+};
+
+// Used for section types without a rubric of their own
+const DEFAULT_RUBRIC = [figuresCriterion(2), lengthCriterion(200)];
+
+/**
+ * Rubric for a section type
+ */
+const getRubric = (sectionType) => RUBRICS[sectionType] || DEFAULT_RUBRIC;
+
+module.exports = {
+  RUBRIC_VERSION,
+  PASSING_SCORE,
+  getRubric
+};
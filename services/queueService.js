@@ -1,5 +1,20 @@
 // services/queueService.js
 
+const os = require('os');
+const jobStoreService = require('./jobStoreService');
+
+// HTTP statuses worth retrying: timeouts, rate limits and server errors
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Network error codes that indicate a transient failure
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN'];
+
+// Socket, timeout and connection errors from undici, the HTTP client behind fetch
+const RETRYABLE_CODE_PREFIXES = ['UND_ERR_'];
+
+// Error names that will fail the same way on every attempt
+const PERMANENT_ERROR_NAMES = ['ValidationError', 'BSONError', 'TypeError', 'SyntaxError'];
+
 class RequestQueueService {
   constructor() {
     this.queue = [];
@@ -8,6 +23,38 @@ class RequestQueueService {
     this.listeners = {};
     this.jobStatus = new Map();
 
+    // Persistent job handlers, keyed by job type
+    this.handlers = {};
+    this.runningJobs = new Set();
+
+    // Lease settings for persisted jobs
+    this.workerId = `${os.hostname()}-${process.pid}-${Date.now()}`;
+    this.leaseDuration = 2 * 60 * 1000; // 2 minutes
+    this.recoveryInterval = null;
+
+    // Queue controls
+    this.paused = false;
+    this.cancelRequests = new Set();
+
+    // Fair scheduling: per-user concurrency cap, tenant weights and stride counters
+    this.maxJobsPerUser = parseInt(process.env.QUEUE_MAX_JOBS_PER_USER) || 1;
+    this.tenantWeights = this.parseTenantWeights(process.env.QUEUE_TENANT_WEIGHTS);
+    this.fairShare = new Map();
+    this.runningOwners = new Map();
+
+    // Retry policy used when a job type does not define its own
+    this.defaultRetryPolicy = {
+      maxAttempts: 2,
+      baseDelay: 2000, // 2 seconds
+      maxDelay: 5 * 60 * 1000, // 5 minutes
+      multiplier: 2,
+      jitter: 0.5 // Up to half of each delay is randomized
+    };
+
+    // Rolling average job duration by type, used for ETAs
+    this.durationStats = {};
+    this.defaultJobDuration = 2 * 60 * 1000; // 2 minutes
+
     // Start processing the queue
     this.processQueue();
 
@@ -17,32 +64,148 @@ class RequestQueueService {
     }, 30 * 60 * 1000); // Cleanup every 30 minutes
   }
 
+  /**
+   * Register a handler for a persistent job type.
+   * Jobs enqueued with a type (instead of a function) are stored durably and
+   * can be resumed by any process that has registered the same handler.
+   * @param {String} type - Job type name
+   * @param {Function} handler - Async function (data, progressCallback, job) to execute
+   * @param {Object} hooks - Optional lifecycle hooks
+   * @param {Function} hooks.onRecovered - Called with (data, job) when an orphaned job is re-queued
+   * @param {Function} hooks.onFailed - Called with (data, error) when a recovered job cannot be resumed
+   * @param {Function} hooks.onReplayed - Called with (data, job) when a dead-lettered job is replayed
+   * @param {Function} hooks.onCancelled - Called with (data, job) when a job is cancelled before it runs
+   * @param {Function} hooks.onRetrying - Called with (data, job, { error, availableAt }) when a failed job is re-queued
+   * @param {Object} retryPolicy - Overrides for the default retry policy
+   * @param {Number} retryPolicy.maxAttempts - Attempts before the job is dead-lettered
+   * @param {Number} retryPolicy.baseDelay - Delay before the first retry (ms)
+   * @param {Number} retryPolicy.maxDelay - Upper bound for any retry delay (ms)
+   * @param {Number} retryPolicy.multiplier - Growth factor between retries
+   * @param {Number} retryPolicy.jitter - Fraction of each delay that is randomized (0-1)
+   * @param {Function} retryPolicy.isRetryable - Optional (error) => Boolean override for error classification
+   */
+  registerHandler(type, handler, hooks = {}, retryPolicy = {}) {
+    this.handlers[type] = {
+      handler,
+      hooks,
+      retryPolicy: { ...this.defaultRetryPolicy, ...retryPolicy }
+    };
+  }
+
+  /**
+   * Get the retry policy for a job
+   */
+  getRetryPolicy(job) {
+    const registration = job.type ? this.handlers[job.type] : null;
+    return registration ? registration.retryPolicy : this.defaultRetryPolicy;
+  }
+
+  /**
+   * Decide whether an error is worth retrying.
+   * Rate limits, server errors, timeouts and network failures are retryable;
+   * validation, authorization and not-found errors are permanent.
+   * Errors may set `retryable` explicitly to override the classification.
+   */
+  isRetryableError(error) {
+    if (!error) return false;
+    if (typeof error.retryable === 'boolean') return error.retryable;
+
+    const status = error.status || error.statusCode || (error.response && error.response.status);
+    if (status) {
+      return RETRYABLE_STATUSES.includes(status) || status >= 500;
+    }
+
+    // fetch wraps network failures in a TypeError whose cause carries the code
+    if (this.hasRetryableCode(error)) return true;
+    if (PERMANENT_ERROR_NAMES.includes(error.name)) return false;
+
+    // Unknown errors are retried, as before classification existed
+    return true;
+  }
+
+  /**
+   * Whether an error, or any error in its cause chain, has a transient network error code
+   */
+  hasRetryableCode(error) {
+    for (let current = error, depth = 0; current && depth < 5; current = current.cause, depth++) {
+      const code = typeof current.code === 'string' ? current.code : null;
+      if (code && (RETRYABLE_CODES.includes(code) || RETRYABLE_CODE_PREFIXES.some(prefix => code.startsWith(prefix)))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Whether a failed job should be retried, using the job type's classifier if it has one
+   */
+  shouldRetry(job, error) {
+    const policy = this.getRetryPolicy(job);
+    return policy.isRetryable ? policy.isRetryable(error) : this.isRetryableError(error);
+  }
+
+  /**
+   * Whether a job that just failed with this error will be attempted again
+   */
+  willRetry(job, error) {
+    return !(error && error.cancelled) && job.attempts < job.maxAttempts && this.shouldRetry(job, error);
+  }
+
+  /**
+   * Delay before the next attempt: exponential backoff with jitter,
+   * never shorter than a Retry-After hint from the error
+   */
+  getRetryDelay(policy, attempt, error = {}) {
+    const exponential = Math.min(
+      policy.baseDelay * Math.pow(policy.multiplier, Math.max(attempt - 1, 0)),
+      policy.maxDelay
+    );
+    const jittered = exponential * (1 - policy.jitter * Math.random());
+
+    return Math.round(Math.max(jittered, error.retryAfter || 0));
+  }
+
   /**
    * Add a job to the queue
    * @param {String} jobId - Unique identifier for the job
-   * @param {Function} taskFn - Async function to execute
+   * @param {Function|String} taskFn - Async function to execute, or a registered job type
    * @param {Object} data - Data required by the task
-   * @param {Object} options - Job options like priority
-   * @returns {String} jobId for tracking
+   * @param {Object} options - Job options
+   * @param {Number} options.priority - Higher runs first, before fair-share ordering applies
+   * @param {String} options.ownerId - User the job runs for (used for fair share and concurrency caps)
+   * @param {String} options.tenantId - Organization the job runs for (defaults to the owner)
+   * @returns {Promise<String>} jobId for tracking
    */
-  enqueue(jobId, taskFn, data, options = {}) {
+  async enqueue(jobId, taskFn, data, options = {}) {
     if (!jobId) {
       jobId = `job-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
     }
 
     const priority = options.priority || 1; // Default priority
+    const type = typeof taskFn === 'string' ? taskFn : null;
+
+    if (type && !this.handlers[type]) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const retryPolicy = type ? this.handlers[type].retryPolicy : this.defaultRetryPolicy;
 
     // Create the job
     const job = {
       id: jobId,
-      taskFn,
+      type,
+      taskFn: type ? null : taskFn,
       data,
       priority,
       status: 'queued',
       createdAt: new Date(),
       attempts: 0,
-      maxAttempts: options.maxAttempts || 2,
-      lastError: null
+      maxAttempts: options.maxAttempts || retryPolicy.maxAttempts,
+      availableAt: null,
+      lastError: null,
+      attemptHistory: [],
+      ownerId: options.ownerId || null,
+      tenantId: options.tenantId || null
     };
 
     // Add to job status map
@@ -53,16 +216,39 @@ class RequestQueueService {
       updatedAt: new Date()
     });
 
-    // Insert based on priority (higher number = higher priority)
-    const insertIndex = this.queue.findIndex(item => item.priority < priority);
+    this.insertJob(job);
+
+    // Persist typed jobs so they survive a restart
+    if (type) {
+      try {
+        await jobStoreService.saveJob(this.serializeJob(job));
+      } catch (error) {
+        console.error(`Error persisting job ${jobId}, it will not survive a restart:`, error);
+      }
+    }
+
+    console.log(`Job ${jobId} added to queue. Queue length: ${this.queue.length}`);
+    return jobId;
+  }
+
+  /**
+   * Insert a job into the in-memory queue based on priority (higher number = higher priority)
+   */
+  insertJob(job) {
+    const insertIndex = this.queue.findIndex(item => item.priority < job.priority);
     if (insertIndex === -1) {
       this.queue.push(job);
     } else {
       this.queue.splice(insertIndex, 0, job);
     }
+  }
 
-    console.log(`Job ${jobId} added to queue. Queue length: ${this.queue.length}`);
-    return jobId;
+  /**
+   * Strip non-serializable fields from a job for storage
+   */
+  serializeJob(job) {
+    const { taskFn, ...serializable } = job;
+    return serializable;
   }
 
   /**
@@ -86,8 +272,8 @@ class RequestQueueService {
         };
       }
 
-      // Notify listeners
-      this.notifyJobUpdate(jobId, jobStatus);
+      // Notify listeners with the full status and this update's own metadata
+      this.notifyJobUpdate(jobId, jobStatus, metadata || {});
     }
   }
 
@@ -100,22 +286,60 @@ class RequestQueueService {
     return this.jobStatus.get(jobId) || null;
   }
 
+  /**
+   * Persist a job's state, logging rather than failing the job on storage errors
+   */
+  async persistJobUpdate(job, updates) {
+    if (!job.type) return;
+
+    try {
+      await jobStoreService.updateJob(job.id, updates);
+    } catch (error) {
+      console.error(`Error persisting state for job ${job.id}:`, error);
+    }
+  }
+
   /**
    * Process the next job in the queue
    */
   async processQueue() {
-    // If at max capacity or queue is empty, wait
-    if (this.activeJobs >= this.maxConcurrentJobs || this.queue.length === 0) {
+    // If paused, at max capacity or queue is empty, wait
+    if (this.paused || this.activeJobs >= this.maxConcurrentJobs || this.queue.length === 0) {
       // Schedule next check
       setTimeout(() => this.processQueue(), 1000);
       return;
     }
 
-    // Get the next job
-    const job = this.queue.shift();
+    // Get the next job by priority and fair share
+    const nextIndex = this.selectNextJobIndex();
+    if (nextIndex === -1) {
+      // Every queued job is backing off or belongs to a user at their concurrency cap
+      setTimeout(() => this.processQueue(), 1000);
+      return;
+    }
+
+    const [job] = this.queue.splice(nextIndex, 1);
     this.activeJobs++;
+    this.runningJobs.add(job.id);
+    this.recordDispatch(job);
+
+    let heartbeat = null;
 
     try {
+      // Persistent jobs must hold the lease before running
+      if (job.type) {
+        const acquired = await this.acquireJobLease(job);
+        if (!acquired) {
+          console.log(`Job ${job.id} is leased by another worker, skipping`);
+          return;
+        }
+
+        heartbeat = setInterval(() => {
+          jobStoreService.renewLease(job.id, this.workerId, this.leaseDuration)
+            .catch(error => console.error(`Error renewing lease for job ${job.id}:`, error));
+        }, this.leaseDuration / 3);
+      }
+
       // Update status
       job.status = 'processing';
       job.startedAt = new Date();
@@ -126,59 +350,767 @@ class RequestQueueService {
       // Process the job with a progress callback
       const progressCallback = (progress, metadata) => {
         this.updateJobProgress(job.id, progress, 'processing', metadata);
+        this.persistJobUpdate(job, { progress, progressMetadata: metadata || null });
       };
 
       // Execute the task
-      const result = await job.taskFn(job.data, progressCallback);
+      const taskFn = job.type ? this.handlers[job.type].handler : job.taskFn;
+      const result = await taskFn(job.data, progressCallback, job);
 
       // Update job status
       job.status = 'completed';
       job.completedAt = new Date();
+      this.recordDuration(job);
+      this.recordAttempt(job, 'completed');
       this.updateJobProgress(job.id, 100, 'completed', { result });
 
+      if (job.type) {
+        await this.releaseJob(job, {
+          status: 'completed',
+          progress: 100,
+          completedAt: job.completedAt,
+          result: result || null,
+          attemptHistory: job.attemptHistory
+        });
+      }
+
       console.log(`Job ${job.id} completed successfully`);
     } catch (error) {
       console.error(`Error processing job ${job.id}:`, error);
 
-      // Handle retry logic
-      if (job.attempts < job.maxAttempts) {
-        // Re-queue the job with increased priority to avoid starvation
+      // Cancelled jobs are never retried
+      if (error.cancelled || this.cancelRequests.has(job.id)) {
+        job.status = 'cancelled';
+        job.cancelledAt = new Date();
+        this.recordAttempt(job, 'cancelled');
+
+        const current = this.getJobStatus(job.id);
+        this.updateJobProgress(job.id, current ? current.progress : 0, 'cancelled', {
+          reason: error.message
+        });
+
+        await this.releaseJob(job, {
+          status: 'cancelled',
+          cancelledAt: job.cancelledAt,
+          attemptHistory: job.attemptHistory
+        });
+      } else if (this.willRetry(job, error)) {
+        this.recordAttempt(job, 'failed', error);
+
+        // Back off before the next attempt so rate limits and outages can clear
+        const delay = this.getRetryDelay(this.getRetryPolicy(job), job.attempts, error);
+        const availableAt = new Date(Date.now() + delay);
+
+        // Re-queue the job; fair-share ordering keeps it from starving others
         this.queue.unshift({
           ...job,
-          priority: job.priority + 1,
-          status: 'queued'
+          status: 'queued',
+          availableAt
         });
 
         this.updateJobProgress(job.id, 0, 'retrying', {
           error: error.message,
           attempts: job.attempts,
-          maxAttempts: job.maxAttempts
+          maxAttempts: job.maxAttempts,
+          retryAt: availableAt
         });
+
+        await this.releaseJob(job, {
+          status: 'retrying',
+          lastError: error.message,
+          availableAt,
+          attemptHistory: job.attemptHistory
+        });
+
+        const registration = job.type ? this.handlers[job.type] : null;
+        if (registration && registration.hooks.onRetrying) {
+          try {
+            await registration.hooks.onRetrying(job.data, job, { error, availableAt });
+          } catch (hookError) {
+            console.error(`Error in retry hook for job ${job.id}:`, hookError);
+          }
+        }
       } else {
-        // Job failed after max attempts
+        // Job failed after max attempts, or with an error retrying cannot fix
+        const permanent = job.attempts < job.maxAttempts;
         job.status = 'failed';
         job.failedAt = new Date();
         job.lastError = error.message;
+        this.recordAttempt(job, 'failed', error);
 
         this.updateJobProgress(job.id, 0, 'failed', {
           error: error.message,
           attempts: job.attempts,
-          maxAttempts: job.maxAttempts
+          maxAttempts: job.maxAttempts,
+          permanent
+        });
+
+        await this.releaseJob(job, {
+          status: 'failed',
+          failedAt: job.failedAt,
+          lastError: error.message,
+          availableAt: null,
+          attemptHistory: job.attemptHistory
         });
+
+        // Keep the full failure for inspection and replay
+        await this.deadLetterJob(job, error);
       }
     } finally {
+      if (heartbeat) {
+        clearInterval(heartbeat);
+      }
+
       // Decrement active jobs count
       this.activeJobs--;
+      this.runningJobs.delete(job.id);
+      this.cancelRequests.delete(job.id);
+      this.releaseOwnerSlot(job);
 
       // Continue processing queue
       setImmediate(() => this.processQueue());
     }
   }
 
+  /**
+   * Parse tenant weights from JSON, e.g. {"org-1": 2}
+   */
+  parseTenantWeights(value) {
+    if (!value) return {};
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.error('Invalid QUEUE_TENANT_WEIGHTS, using equal weights:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Fair-share key for the tenant a job belongs to
+   */
+  getTenantKey(job) {
+    return job.tenantId || job.ownerId || 'system';
+  }
+
+  /**
+   * Current stride counter for a fair-share key.
+   * Keys joining the queue start level with the least-served active key
+   * instead of at zero, so returning users do not jump ahead of everyone.
+   */
+  getPass(fairShare, key) {
+    if (!fairShare.has(key)) {
+      const level = key.split(':')[0];
+      const passes = [...fairShare.entries()]
+        .filter(([existing]) => existing.startsWith(`${level}:`))
+        .map(([, pass]) => pass);
+      fairShare.set(key, passes.length > 0 ? Math.min(...passes) : 0);
+    }
+    return fairShare.get(key);
+  }
+
+  /**
+   * Compare two queued jobs; negative if a should run before b
+   */
+  compareJobs(a, b, fairShare) {
+    if (a.priority !== b.priority) {
+      return b.priority - a.priority;
+    }
+
+    const tenantDiff = this.getPass(fairShare, `tenant:${this.getTenantKey(a)}`) -
+      this.getPass(fairShare, `tenant:${this.getTenantKey(b)}`);
+    if (tenantDiff !== 0) return tenantDiff;
+
+    return this.getPass(fairShare, `user:${a.ownerId || 'system'}`) -
+      this.getPass(fairShare, `user:${b.ownerId || 'system'}`);
+  }
+
+  /**
+   * Advance the stride counters for the tenant and user a job belongs to
+   */
+  advancePass(fairShare, job) {
+    const tenantKey = `tenant:${this.getTenantKey(job)}`;
+    const weight = this.tenantWeights[this.getTenantKey(job)] || 1;
+    fairShare.set(tenantKey, this.getPass(fairShare, tenantKey) + 1 / weight);
+
+    const userKey = `user:${job.ownerId || 'system'}`;
+    fairShare.set(userKey, this.getPass(fairShare, userKey) + 1);
+  }
+
+  /**
+   * Pick the index of the next job to run.
+   * Higher priority always wins. Within a priority, tenants take turns in
+   * proportion to their weight and users within a tenant take turns.
+   * Jobs backing off after a failure, and jobs whose owner is at the
+   * per-user concurrency cap, are skipped.
+   * @returns {Number} queue index, or -1 if no job may start
+   */
+  selectNextJobIndex() {
+    this.pruneFairShare();
+
+    const now = Date.now();
+    let bestIndex = -1;
+    this.queue.forEach((job, index) => {
+      // Jobs backing off after a failure wait until their retry time
+      if (job.availableAt && new Date(job.availableAt).getTime() > now) {
+        return;
+      }
+
+      const running = job.ownerId ? this.runningOwners.get(job.ownerId) : null;
+      if (running && running.count >= this.maxJobsPerUser) {
+        return;
+      }
+
+      if (bestIndex === -1 || this.compareJobs(job, this.queue[bestIndex], this.fairShare) < 0) {
+        bestIndex = index;
+      }
+    });
+
+    return bestIndex;
+  }
+
+  /**
+   * Drop stride counters for tenants and users with no queued or running jobs
+   */
+  pruneFairShare() {
+    const activeKeys = new Set();
+    this.queue.forEach(job => {
+      activeKeys.add(`tenant:${this.getTenantKey(job)}`);
+      activeKeys.add(`user:${job.ownerId || 'system'}`);
+    });
+    for (const [ownerId, running] of this.runningOwners.entries()) {
+      if (running.count > 0) {
+        running.tenantKeys.forEach(tenantKey => activeKeys.add(`tenant:${tenantKey}`));
+        activeKeys.add(`user:${ownerId}`);
+      }
+    }
+
+    for (const key of this.fairShare.keys()) {
+      if (!activeKeys.has(key)) {
+        this.fairShare.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Record that a job started, for fair share and per-user caps
+   */
+  recordDispatch(job) {
+    this.advancePass(this.fairShare, job);
+
+    if (job.ownerId) {
+      const running = this.runningOwners.get(job.ownerId) || { count: 0, tenantKeys: [] };
+      running.count++;
+      running.tenantKeys.push(this.getTenantKey(job));
+      this.runningOwners.set(job.ownerId, running);
+    }
+  }
+
+  /**
+   * Free the owner's concurrency slot once a job stops running
+   */
+  releaseOwnerSlot(job) {
+    if (!job.ownerId) return;
+
+    const running = this.runningOwners.get(job.ownerId);
+    if (!running) return;
+
+    running.count--;
+    running.tenantKeys.splice(running.tenantKeys.indexOf(this.getTenantKey(job)), 1);
+    if (running.count <= 0) {
+      this.runningOwners.delete(job.ownerId);
+    }
+  }
+
+  /**
+   * Update the rolling average duration for a job type
+   */
+  recordDuration(job) {
+    if (!job.startedAt) return;
+
+    const key = job.type || 'default';
+    const duration = job.completedAt - job.startedAt;
+    const stats = this.durationStats[key] || { count: 0, average: 0 };
+
+    // Weight recent jobs more heavily once there is some history
+    const count = Math.min(stats.count + 1, 20);
+    stats.average = stats.average + (duration - stats.average) / count;
+    stats.count = count;
+    this.durationStats[key] = stats;
+  }
+
+  /**
+   * Estimate when a queued job will start.
+   * Replays the scheduler over the current queue to find the job's turn.
+   * @returns {Object|null} position, jobs ahead and estimated start, or null if the job is not queued
+   */
+  getQueuePosition(jobId) {
+    const target = this.queue.find(job => job.id === jobId);
+    if (!target) return null;
+
+    // Simulate dispatch order without touching the live counters
+    this.pruneFairShare();
+    const fairShare = new Map(this.fairShare);
+    const remaining = [...this.queue];
+    let position = 0;
+
+    while (remaining.length > 0) {
+      let bestIndex = 0;
+      for (let i = 1; i < remaining.length; i++) {
+        if (this.compareJobs(remaining[i], remaining[bestIndex], fairShare) < 0) {
+          bestIndex = i;
+        }
+      }
+
+      const [next] = remaining.splice(bestIndex, 1);
+      position++;
+      if (next.id === jobId) break;
+      this.advancePass(fairShare, next);
+    }
+
+    const stats = this.durationStats[target.type || 'default'];
+    const averageDuration = stats ? stats.average : this.defaultJobDuration;
+    const slots = Math.max(this.maxConcurrentJobs, 1);
+    const waves = Math.floor((position - 1 + this.activeJobs) / slots);
+    const backoffMs = target.availableAt ? new Date(target.availableAt).getTime() - Date.now() : 0;
+    const estimatedWaitSeconds = Math.round(Math.max(waves * averageDuration, backoffMs, 0) / 1000);
+
+    return {
+      position,
+      jobsAhead: position - 1,
+      paused: this.paused,
+      estimatedWaitSeconds,
+      estimatedStartAt: new Date(Date.now() + estimatedWaitSeconds * 1000)
+    };
+  }
+
+  /**
+   * Append the outcome of the current attempt to the job's history
+   */
+  recordAttempt(job, outcome, error = null) {
+    job.attemptHistory = [
+      ...(job.attemptHistory || []),
+      {
+        attempt: job.attempts,
+        workerId: this.workerId,
+        startedAt: job.startedAt || null,
+        endedAt: new Date(),
+        outcome,
+        error: error ? { message: error.message, stack: error.stack || null } : null
+      }
+    ];
+  }
+
+  /**
+   * Move a job that exhausted its attempts to the dead-letter store.
+   * Only persistent (typed) jobs can be dead-lettered, since they are the only ones that can be replayed.
+   */
+  async deadLetterJob(job, error) {
+    if (!job.type) return;
+
+    try {
+      await jobStoreService.saveDeadLetter({
+        id: job.id,
+        type: job.type,
+        status: 'dead',
+        data: job.data,
+        priority: job.priority,
+        ownerId: job.ownerId || null,
+        tenantId: job.tenantId || null,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        attemptHistory: job.attemptHistory || [],
+        error: {
+          name: error.name,
+          message: error.message,
+          stack: error.stack || null
+        },
+        jobCreatedAt: job.createdAt,
+        createdAt: job.failedAt || new Date(),
+        replays: []
+      });
+    } catch (storeError) {
+      console.error(`Error dead-lettering job ${job.id}:`, storeError);
+    }
+  }
+
+  /**
+   * Re-enqueue a dead-lettered job as a new job.
+   * @param {String} jobId - Original job ID
+   * @param {Object} options - Replay options
+   * @param {Object} options.data - Replacement input data (defaults to the original input)
+   * @param {String} options.replayedBy - Who requested the replay
+   * @returns {Object} { jobId, replayOf } for the new job
+   */
+  async replayDeadLetter(jobId, options = {}) {
+    const entry = await jobStoreService.getDeadLetter(jobId);
+    if (!entry) {
+      throw new Error('Dead-letter job not found');
+    }
+
+    const registration = this.handlers[entry.type];
+    if (!registration) {
+      throw new Error(`No handler registered for job type: ${entry.type}`);
+    }
+
+    const data = options.data || entry.data;
+    const replayId = `${entry.id}-replay-${Date.now()}`;
+
+    await this.enqueue(replayId, entry.type, data, {
+      priority: entry.priority,
+      maxAttempts: entry.maxAttempts,
+      ownerId: entry.ownerId,
+      tenantId: entry.tenantId
+    });
+
+    await jobStoreService.updateDeadLetter(entry.id, {
+      status: 'replayed',
+      replays: [
+        ...(entry.replays || []),
+        {
+          jobId: replayId,
+          replayedAt: new Date(),
+          replayedBy: options.replayedBy || null,
+          dataEdited: !!options.data
+        }
+      ]
+    });
+
+    if (registration.hooks.onReplayed) {
+      try {
+        await registration.hooks.onReplayed(data, { id: replayId, type: entry.type, data });
+      } catch (error) {
+        console.error(`Error in replay hook for job ${replayId}:`, error);
+      }
+    }
+
+    return { jobId: replayId, replayOf: entry.id };
+  }
+
+  /**
+   * Take the processing lease for a persistent job
+   * @returns {Boolean} true if this worker may run the job
+   */
+  async acquireJobLease(job) {
+    try {
+      return await jobStoreService.acquireLease(job.id, this.workerId, this.leaseDuration, {
+        status: 'processing',
+        startedAt: new Date(),
+        attempts: job.attempts + 1
+      });
+    } catch (error) {
+      // If storage is unavailable, keep running the job in memory
+      console.error(`Error acquiring lease for job ${job.id}, running without lease:`, error);
+      return true;
+    }
+  }
+
+  /**
+   * Release the lease on a persistent job and record its state
+   */
+  async releaseJob(job, updates) {
+    if (!job.type) return;
+
+    try {
+      await jobStoreService.releaseLease(job.id, this.workerId, updates);
+    } catch (error) {
+      console.error(`Error releasing lease for job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Start recovering persisted jobs now and on a regular interval
+   */
+  startRecovery(intervalMs = 60 * 1000) {
+    if (this.recoveryInterval) return;
+
+    this.recoveryInterval = setInterval(() => {
+      this.recoverJobs().catch(error => console.error('Error recovering jobs:', error));
+    }, intervalMs);
+
+    return this.recoverJobs();
+  }
+
+  /**
+   * Re-queue persisted jobs that are not being processed by any live worker.
+   * Covers jobs that were queued when the process stopped and jobs whose
+   * worker died mid-run (their lease has expired).
+   * @returns {Object} counts of recovered and failed jobs
+   */
+  async recoverJobs() {
+    const summary = { recovered: 0, failed: 0 };
+
+    let jobs;
+    try {
+      jobs = await jobStoreService.findRecoverableJobs();
+    } catch (error) {
+      console.error('Error loading persisted jobs:', error);
+      return summary;
+    }
+
+    for (const storedJob of jobs) {
+      // Skip jobs this process already knows about
+      if (this.runningJobs.has(storedJob.id) || this.queue.some(job => job.id === storedJob.id)) {
+        continue;
+      }
+
+      const registration = this.handlers[storedJob.type];
+      const interrupted = storedJob.status === 'processing';
+      const attemptsExhausted = interrupted && storedJob.attempts >= storedJob.maxAttempts;
+
+      if (!registration || attemptsExhausted) {
+        const reason = !registration
+          ? `No handler registered for job type: ${storedJob.type}`
+          : 'Job was interrupted and has no attempts remaining';
+
+        await this.failRecoveredJob(storedJob, registration, reason);
+        summary.failed++;
+        continue;
+      }
+
+      const job = {
+        ...storedJob,
+        taskFn: null,
+        status: 'queued',
+        recovered: true,
+        leaseOwner: null,
+        leaseExpiresAt: null
+      };
+
+      this.jobStatus.set(job.id, {
+        status: 'queued',
+        progress: storedJob.progress || 0,
+        createdAt: new Date(storedJob.createdAt),
+        updatedAt: new Date(),
+        metadata: { recovered: true }
+      });
+
+      this.insertJob(job);
+      summary.recovered++;
+
+      if (registration.hooks.onRecovered) {
+        try {
+          await registration.hooks.onRecovered(job.data, job);
+        } catch (error) {
+          console.error(`Error in recovery hook for job ${job.id}:`, error);
+        }
+      }
+    }
+
+    if (summary.recovered > 0 || summary.failed > 0) {
+      console.log(`Job recovery: ${summary.recovered} re-queued, ${summary.failed} marked failed`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Mark a persisted job as failed during recovery and notify its handler
+   */
+  async failRecoveredJob(storedJob, registration, reason) {
+    try {
+      await jobStoreService.updateJob(storedJob.id, {
+        status: 'failed',
+        failedAt: new Date(),
+        lastError: reason,
+        leaseOwner: null,
+        leaseExpiresAt: null
+      });
+    } catch (error) {
+      console.error(`Error marking job ${storedJob.id} as failed:`, error);
+    }
+
+    this.jobStatus.set(storedJob.id, {
+      status: 'failed',
+      progress: 0,
+      createdAt: new Date(storedJob.createdAt),
+      updatedAt: new Date(),
+      metadata: { error: reason, attempts: storedJob.attempts, maxAttempts: storedJob.maxAttempts }
+    });
+
+    await this.deadLetterJob({ ...storedJob, failedAt: new Date() }, new Error(reason));
+
+    if (registration && registration.hooks.onFailed) {
+      try {
+        await registration.hooks.onFailed(storedJob.data, new Error(reason));
+      } catch (error) {
+        console.error(`Error in failure hook for job ${storedJob.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Stop starting new jobs; jobs already running are allowed to finish
+   */
+  pause() {
+    this.paused = true;
+    console.log('Job queue paused');
+  }
+
+  /**
+   * Resume starting queued jobs
+   */
+  resume() {
+    this.paused = false;
+    console.log('Job queue resumed');
+  }
+
+  /**
+   * Cancel a job.
+   * Queued jobs are removed immediately; running jobs are flagged and stop
+   * at the next point where their handler calls throwIfCancelled.
+   * @param {String} jobId - Job identifier
+   * @param {String} reason - Reason recorded on the job
+   * @returns {Object|null} { jobId, status: 'cancelled' | 'cancelling' }, or null if there is nothing to cancel
+   */
+  async cancelJob(jobId, reason = 'Cancelled by user') {
+    const queuedIndex = this.queue.findIndex(job => job.id === jobId);
+
+    if (queuedIndex >= 0) {
+      const [job] = this.queue.splice(queuedIndex, 1);
+      const current = this.getJobStatus(jobId);
+
+      this.updateJobProgress(jobId, current ? current.progress : 0, 'cancelled', { reason });
+      await this.persistJobUpdate(job, {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        lastError: reason
+      });
+      await this.runCancelledHook(job);
+
+      return { jobId, status: 'cancelled' };
+    }
+
+    if (this.runningJobs.has(jobId)) {
+      this.cancelRequests.add(jobId);
+
+      const current = this.getJobStatus(jobId);
+      this.updateJobProgress(jobId, current ? current.progress : 0, 'processing', {
+        cancelRequested: true,
+        reason
+      });
+
+      // Record the request so it is visible to other workers and admin tools
+      try {
+        await jobStoreService.updateJob(jobId, { cancelRequested: true });
+      } catch (error) {
+        console.error(`Error persisting cancellation for job ${jobId}:`, error);
+      }
+
+      return { jobId, status: 'cancelling' };
+    }
+
+    // The job may be held by another worker, or only exist in storage
+    let storedJob = null;
+    try {
+      storedJob = await jobStoreService.getJob(jobId);
+    } catch (error) {
+      console.error(`Error loading job ${jobId} for cancellation:`, error);
+    }
+
+    if (!storedJob || !['queued', 'retrying', 'processing'].includes(storedJob.status)) {
+      return null;
+    }
+
+    const leaseActive = storedJob.status === 'processing' &&
+      storedJob.leaseExpiresAt &&
+      new Date(storedJob.leaseExpiresAt) > new Date();
+
+    if (leaseActive) {
+      await jobStoreService.updateJob(jobId, { cancelRequested: true });
+      return { jobId, status: 'cancelling' };
+    }
+
+    await jobStoreService.updateJob(jobId, {
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      lastError: reason,
+      leaseOwner: null,
+      leaseExpiresAt: null
+    });
+    await this.runCancelledHook(storedJob);
+
+    return { jobId, status: 'cancelled' };
+  }
+
+  /**
+   * Let the job type react to a cancellation that happened before its handler ran.
+   * Running jobs are not included: their handler stops at throwIfCancelled instead.
+   */
+  async runCancelledHook(job) {
+    const registration = job.type ? this.handlers[job.type] : null;
+    if (!registration || !registration.hooks.onCancelled) {
+      return;
+    }
+
+    try {
+      await registration.hooks.onCancelled(job.data, job);
+    } catch (error) {
+      console.error(`Error in cancellation hook for job ${job.id}:`, error);
+    }
+  }
+
+  /**
+   * Check whether a job has been asked to stop, in this process or by another worker
+   */
+  async isCancellationRequested(jobId) {
+    if (this.cancelRequests.has(jobId)) return true;
+
+    try {
+      const storedJob = await jobStoreService.getJob(jobId);
+      return !!(storedJob && (storedJob.cancelRequested || storedJob.status === 'cancelled'));
+    } catch (error) {
+      console.error(`Error checking cancellation for job ${jobId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Throw if a job has been cancelled. Handlers call this between units of work.
+   */
+  async throwIfCancelled(jobId) {
+    if (await this.isCancellationRequested(jobId)) {
+      const error = new Error('Job was cancelled');
+      error.cancelled = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Change the priority of a queued job (higher number = higher priority)
+   * @returns {Object|null} { jobId, priority }, or null if the job is not waiting in the queue
+   */
+  async setJobPriority(jobId, priority) {
+    const queuedIndex = this.queue.findIndex(job => job.id === jobId);
+
+    if (queuedIndex >= 0) {
+      const [job] = this.queue.splice(queuedIndex, 1);
+      job.priority = priority;
+      this.insertJob(job);
+      await this.persistJobUpdate(job, { priority });
+
+      return { jobId, priority, position: this.getQueuePosition(jobId).position };
+    }
+
+    // Jobs waiting in another worker's queue are re-ordered there on recovery
+    try {
+      const storedJob = await jobStoreService.getJob(jobId);
+      if (storedJob && ['queued', 'retrying'].includes(storedJob.status)) {
+        await jobStoreService.updateJob(jobId, { priority });
+        return { jobId, priority, position: null };
+      }
+    } catch (error) {
+      console.error(`Error updating priority for job ${jobId}:`, error);
+    }
+
+    return null;
+  }
+
   /**
    * Subscribe to job updates
    * @param {String} jobId - Job identifier
-   * @param {Function} callback - Function to call when job status changes
+   * @param {Function} callback - Called with (status, update) when job status changes;
+   *   update holds only the metadata passed with that change
    */
   subscribeToJobUpdates(jobId, callback) {
     if (!this.listeners[jobId]) {
@@ -206,12 +1138,13 @@ class RequestQueueService {
    * Notify all job listeners
    * @param {String} jobId - Job identifier
    * @param {Object} status - Job status
+   * @param {Object} update - Metadata sent with this update
    */
-  notifyJobUpdate(jobId, status) {
+  notifyJobUpdate(jobId, status, update = {}) {
     if (this.listeners[jobId]) {
       this.listeners[jobId].forEach(callback => {
         try {
-          callback(status);
+          callback(status, update);
         } catch (error) {
           console.error(`Error in job listener for ${jobId}:`, error);
         }
@@ -229,16 +1162,20 @@ class RequestQueueService {
     // Cleanup job status map
     for (const [jobId, status] of this.jobStatus.entries()) {
       if (
-        (status.status === 'completed' || status.status === 'failed') &&
+        ['completed', 'failed', 'cancelled'].includes(status.status) &&
         now - status.updatedAt > maxAge
       ) {
         this.jobStatus.delete(jobId);
         delete this.listeners[jobId];
       }
     }
+
+    // Cleanup persisted job records
+    jobStoreService.deleteFinishedJobs(maxAge)
+      .catch(error => console.error('Error cleaning up persisted jobs:', error));
   }
 }
 
 // Export a singleton instance
 const queueService = new RequestQueueService();
-module.exports = queueService;
\ No newline at end of file
+module.exports = queueService;
@@ -0,0 +1,184 @@
+// services/scheduleService.js
+
+const enhancedReportService = require('./enhancedReportService');
+const { parseCronExpression, getNextRun, getUpcomingRuns } = require('../utils/cronExpression');
+
+/**
+ * Recurring report regeneration.
+ * Each report can carry a cron schedule; due schedules enqueue a full
+ * regeneration, and the previous content is kept as a report version.
+ */
+class ScheduleService {
+  constructor() {
+    this.checkInterval = 60 * 1000; // 1 minute
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Get a report's schedule and its upcoming runs
+   * @param {Number} count - Number of upcoming runs to list
+   */
+  async getSchedule(reportId, userId, count = 5) {
+    const report = await enhancedReportService.getReportById(reportId, userId);
+    const schedule = report.schedule || null;
+
+    return {
+      reportId: report._id,
+      schedule,
+      upcomingRuns: schedule && schedule.enabled ? getUpcomingRuns(schedule.cron, count) : []
+    };
+  }
+
+  /**
+   * Create or update a report's schedule
+   * @param {Object} settings - Schedule settings
+   * @param {String} settings.cron - Five-field cron expression (UTC) or alias such as @monthly
+   * @param {Boolean} settings.enabled - Whether the schedule is active
+   */
+  async setSchedule(reportId, userId, { cron, enabled = true }) {
+    const report = await enhancedReportService.getReportById(reportId, userId);
+
+    // Throws a descriptive error for malformed expressions
+    parseCronExpression(cron);
+
+    const nextRunAt = getNextRun(cron);
+    if (!nextRunAt) {
+      throw new Error('Invalid cron expression: it never runs');
+    }
+
+    const existing = report.schedule || {};
+    await enhancedReportService.updateReport(reportId, userId, {
+      schedule: {
+        cron: cron.trim(),
+        timezone: 'UTC',
+        enabled,
+        nextRunAt: enabled ? nextRunAt : null,
+        lastRunAt: existing.lastRunAt || null,
+        lastJobId: existing.lastJobId || null,
+        lastResult: existing.lastResult || null,
+        createdAt: existing.createdAt || new Date(),
+        updatedAt: new Date()
+      }
+    });
+
+    return this.getSchedule(reportId, userId);
+  }
+
+  /**
+   * Remove a report's schedule
+   */
+  async deleteSchedule(reportId, userId) {
+    await enhancedReportService.updateReport(reportId, userId, { schedule: null });
+    return { reportId, schedule: null, upcomingRuns: [] };
+  }
+
+  /**
+   * Start checking for due schedules
+   */
+  start(intervalMs = this.checkInterval) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runDueSchedules().catch(error => console.error('Error running scheduled reports:', error));
+    }, intervalMs);
+  }
+
+  /**
+   * Stop checking for due schedules
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Enqueue regeneration for every report whose schedule is due.
+   * Each run is claimed by moving nextRunAt forward first, so several
+   * server instances never trigger the same run twice.
+   * @returns {Object} counts of triggered and skipped runs
+   */
+  async runDueSchedules(now = new Date()) {
+    const summary = { triggered: 0, skipped: 0 };
+
+    // Don't overlap checks if one takes longer than the interval
+    if (this.checking) return summary;
+    this.checking = true;
+
+    try {
+      const collection = await enhancedReportService.ensureInitialized();
+      const dueReports = await collection.find({
+        'schedule.enabled': true,
+        'schedule.nextRunAt': { $lte: now }
+      }).toArray();
+
+      for (const report of dueReports) {
+        const claimed = await collection.updateOne(
+          { _id: report._id, 'schedule.nextRunAt': report.schedule.nextRunAt },
+          {
+            $set: {
+              'schedule.nextRunAt': getNextRun(report.schedule.cron, now),
+              'schedule.lastRunAt': now
+            }
+          }
+        );
+
+        if (claimed.matchedCount === 0) {
+          continue;
+        }
+
+        const result = await this.triggerRun(report);
+        await collection.updateOne(
+          { _id: report._id },
+          { $set: { 'schedule.lastResult': result.status, 'schedule.lastJobId': result.jobId || report.schedule.lastJobId || null } }
+        );
+
+        if (result.status === 'queued') {
+          summary.triggered++;
+        } else {
+          summary.skipped++;
+        }
+      }
+    } finally {
+      this.checking = false;
+    }
+
+    if (summary.triggered > 0 || summary.skipped > 0) {
+      console.log(`Scheduled reports: ${summary.triggered} triggered, ${summary.skipped} skipped`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Enqueue one scheduled regeneration
+   * @returns {Object} { status, jobId }
+   */
+  async triggerRun(report) {
+    // Never stack a scheduled run on top of a generation whose job is still queued or running
+    if (await enhancedReportService.getActiveGenerationJob(report)) {
+      return { status: 'skipped: generation in progress' };
+    }
+
+    try {
+      const input = report.generationInput || {};
+      const job = await enhancedReportService.generateFullReport(
+        report._id.toString(),
+        report.userId,
+        input.companyData || { name: report.companyName },
+        input.templateType || report.templateType || 'standard',
+        { trigger: 'schedule', organizationId: input.organizationId }
+      );
+
+      return { status: 'queued', jobId: job.jobId };
+    } catch (error) {
+      console.error(`Error triggering scheduled run for report ${report._id}:`, error);
+      return { status: `failed: ${error.message}` };
+    }
+  }
+}
+
+// Export a singleton instance
+module.exports = new ScheduleService();
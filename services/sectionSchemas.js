@@ -0,0 +1,108 @@
+// services/sectionSchemas.js
+// JSON schemas for structured section output. Every section returns its prose
+// as markdown in `content` next to fields the application can use directly.
+
+// Bump when a schema changes so stored sections can be told apart
+const SCHEMA_VERSION = '1.0.0';
+
+const RISK_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const RECOMMENDATION_RATINGS = ['strong_buy', 'buy', 'hold', 'sell', 'strong_sell'];
+
+const contentSchema = {
+  type: 'string',
+  minLength: 50,
+  description: 'The full section text in markdown'
+};
+
+const keyMetricsSchema = {
+  type: 'array',
+  maxItems: 12,
+  description: 'Figures cited in the text; only use numbers supported by the company data',
+  items: {
+    type: 'object',
+    required: ['name', 'value'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      value: { type: ['number', 'string'] },
+      unit: { type: ['string', 'null'], description: 'e.g. USD, %, employees' },
+      period: { type: ['string', 'null'], description: 'e.g. FY2024, TTM' }
+    }
+  }
+};
+
+const risksSchema = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['title', 'severity'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      severity: { type: 'string', enum: RISK_SEVERITIES },
+      likelihood: { type: ['string', 'null'], enum: [...RISK_SEVERITIES, null] },
+      description: { type: ['string', 'null'] },
+      mitigation: { type: ['string', 'null'] }
+    }
+  }
+};
+
+const recommendationSchema = {
+  type: 'object',
+  required: ['rating', 'rationale'],
+  properties: {
+    rating: { type: 'string', enum: RECOMMENDATION_RATINGS },
+    targetValuation: { type: ['number', 'null'], minimum: 0, description: 'Target enterprise value' },
+    currency: { type: ['string', 'null'] },
+    horizonMonths: { type: ['integer', 'null'], minimum: 1 },
+    rationale: { type: 'string', minLength: 1 }
+  }
+};
+
+const sectionSchema = (extraProperties = {}, extraRequired = []) => ({
+  type: 'object',
+  required: ['content', 'keyMetrics', ...extraRequired],
+  properties: {
+    content: contentSchema,
+    keyMetrics: keyMetricsSchema,
+    ...extraProperties
+  }
+});
+
+const SECTION_SCHEMAS = {
+  executiveSummary: sectionSchema({ recommendation: recommendationSchema }, ['recommendation']),
+  companyOverview: sectionSchema(),
+  marketAnalysis: sectionSchema(),
+  financialAnalysis: sectionSchema(),
+  financialProjections: sectionSchema(),
+  riskAssessment: sectionSchema({ risks: risksSchema }, ['risks']),
+  investmentRecommendation: sectionSchema(
+    { recommendation: recommendationSchema, risks: risksSchema },
+    ['recommendation']
+  ),
+  competitiveAnalysis: sectionSchema(),
+  managementAnalysis: sectionSchema(),
+  valuationAnalysis: sectionSchema({ recommendation: recommendationSchema })
+};
+
+/**
+ * Schema for a section type, or null if the section has no structured form
+ */
+const getSectionSchema = (sectionType) => SECTION_SCHEMAS[sectionType] || null;
+
+/**
+ * Instructions appended to a section prompt in structured mode
+ */
+const buildStructuredInstructions = (schema) => [
+  'Respond with a single JSON object and nothing else (no code fences or commentary).',
+  'Put the complete section text, formatted as markdown, in the "content" field.',
+  'The JSON object must match this JSON Schema:',
+  JSON.stringify(schema, null, 2)
+].join('\n');
+
+module.exports = {
+  SCHEMA_VERSION,
+  RISK_SEVERITIES,
+  RECOMMENDATION_RATINGS,
+  getSectionSchema,
+  buildStructuredInstructions
+};
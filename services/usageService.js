@@ -0,0 +1,372 @@
+// services/usageService.js
+
+const { getCollection } = require('../config/db');
+
+// USD per million tokens. Model names are matched by longest prefix so
+// dated versions (e.g. gpt-4-turbo-2024-04-09) use their family's price.
+const DEFAULT_MODEL_PRICING = {
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 }
+};
+
+// Providers whose calls cost nothing per token
+const FREE_PROVIDERS = ['mock', 'local'];
+
+const BUDGET_SCOPES = ['user', 'organization'];
+const BUDGET_ACTIONS = ['block', 'downgrade'];
+
+// Parse a number from an environment variable, or null when unset
+const parseLimit = (value) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Records the tokens and cost of every LLM call in the `usage` collection,
+ * rolls usage up per report, user and organization, and enforces monthly budgets.
+ */
+class UsageService {
+  constructor() {
+    this.loadConfig();
+  }
+
+  /**
+   * Read pricing and default budgets from the environment
+   */
+  loadConfig() {
+    let pricingOverrides = {};
+    try {
+      pricingOverrides = JSON.parse(process.env.LLM_MODEL_PRICING || '{}');
+    } catch (error) {
+      console.error('Invalid LLM_MODEL_PRICING, expected a JSON object:', error.message);
+    }
+
+    this.pricing = { ...DEFAULT_MODEL_PRICING, ...pricingOverrides };
+
+    const action = BUDGET_ACTIONS.includes(process.env.BUDGET_EXCEEDED_ACTION)
+      ? process.env.BUDGET_EXCEEDED_ACTION
+      : 'block';
+
+    // Applied to every user/organization without a budget of its own
+    this.defaultBudgets = {
+      user: {
+        monthlyCostLimit: parseLimit(process.env.USER_MONTHLY_BUDGET_USD),
+        monthlyTokenLimit: parseLimit(process.env.USER_MONTHLY_TOKEN_BUDGET),
+        action
+      },
+      organization: {
+        monthlyCostLimit: parseLimit(process.env.ORG_MONTHLY_BUDGET_USD),
+        monthlyTokenLimit: parseLimit(process.env.ORG_MONTHLY_TOKEN_BUDGET),
+        action
+      }
+    };
+
+    // Provider to switch to when a budget says downgrade; otherwise the provider's fallback model is used
+    this.downgradeProvider = process.env.BUDGET_DOWNGRADE_PROVIDER || null;
+  }
+
+  /**
+   * Price per million tokens for a model
+   */
+  getModelPricing(model = '') {
+    const match = Object.keys(this.pricing)
+      .filter(prefix => model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? this.pricing[match] : null;
+  }
+
+  /**
+   * Cost in USD of a single call
+   * @param {String} provider - Provider name
+   * @param {String} model - Model that served the call
+   * @param {Number} promptTokens - Input tokens
+   * @param {Number} completionTokens - Output tokens
+   */
+  calculateCost(provider, model, promptTokens, completionTokens) {
+    if (FREE_PROVIDERS.includes(provider)) {
+      return 0;
+    }
+
+    const pricing = this.getModelPricing(model);
+    if (!pricing) {
+      return 0;
+    }
+
+    const cost = (promptTokens * pricing.input + completionTokens * pricing.output) / 1000000;
+    return Math.round(cost * 1000000) / 1000000;
+  }
+
+  /**
+   * Record one LLM call. Never throws: usage tracking must not fail generation.
+   * @param {Object} call - { provider, model, usage }
+   * @param {Object} context - { reportId, userId, organizationId, sectionType, operation }
+   */
+  async recordUsage(call, context = {}) {
+    try {
+      const usage = call.usage || {};
+      const promptTokens = usage.prompt_tokens || 0;
+      const completionTokens = usage.completion_tokens || 0;
+      const tokensUsed = usage.total_tokens || promptTokens + completionTokens;
+
+      const entry = {
+        date: new Date(),
+        reportId: context.reportId ? String(context.reportId) : null,
+        userId: context.userId ? String(context.userId) : null,
+        organizationId: context.organizationId ? String(context.organizationId) : null,
+        sectionType: context.sectionType || null,
+        operation: context.operation || 'other',
+        provider: call.provider || null,
+        model: call.model || null,
+        promptTokens,
+        completionTokens,
+        tokensUsed,
+        cost: this.calculateCost(call.provider, call.model, promptTokens, completionTokens)
+      };
+
+      const collection = await getCollection('usage');
+      await collection.insertOne(entry);
+
+      return entry;
+    } catch (error) {
+      console.error('Error recording LLM usage:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Start of the current calendar month (UTC)
+   */
+  getMonthStart(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+
+  /**
+   * Total tokens and cost matching a filter
+   */
+  async getTotals(match) {
+    const collection = await getCollection('usage');
+    const [totals] = await collection.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          calls: { $sum: 1 },
+          promptTokens: { $sum: '$promptTokens' },
+          completionTokens: { $sum: '$completionTokens' },
+          tokensUsed: { $sum: '$tokensUsed' },
+          cost: { $sum: '$cost' }
+        }
+      }
+    ]).toArray();
+
+    return {
+      calls: totals?.calls || 0,
+      promptTokens: totals?.promptTokens || 0,
+      completionTokens: totals?.completionTokens || 0,
+      tokensUsed: totals?.tokensUsed || 0,
+      cost: Math.round((totals?.cost || 0) * 1000000) / 1000000
+    };
+  }
+
+  /**
+   * Usage this month for a user or organization
+   * @param {String} scope - 'user' or 'organization'
+   */
+  async getMonthlyUsage(scope, scopeId, now = new Date()) {
+    const field = scope === 'organization' ? 'organizationId' : 'userId';
+    return this.getTotals({
+      [field]: String(scopeId),
+      date: { $gte: this.getMonthStart(now) }
+    });
+  }
+
+  /**
+   * Cost breakdown for a report, by section and by model
+   */
+  async getReportCost(reportId) {
+    const collection = await getCollection('usage');
+    const match = { reportId: String(reportId) };
+
+    const groupBy = async (field) => {
+      const rows = await collection.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: `$${field}`,
+            calls: { $sum: 1 },
+            promptTokens: { $sum: '$promptTokens' },
+            completionTokens: { $sum: '$completionTokens' },
+            tokensUsed: { $sum: '$tokensUsed' },
+            cost: { $sum: '$cost' }
+          }
+        },
+        { $sort: { cost: -1 } }
+      ]).toArray();
+
+      return rows.map(({ _id, ...totals }) => ({ [field]: _id, ...totals }));
+    };
+
+    return {
+      reportId: String(reportId),
+      currency: 'USD',
+      totals: await this.getTotals(match),
+      bySection: await groupBy('sectionType'),
+      byModel: await groupBy('model')
+    };
+  }
+
+  /**
+   * Monthly usage grouped by user or organization, most expensive first
+   * @param {String} groupBy - 'user' or 'organization'
+   * @param {String} month - YYYY-MM (defaults to the current month)
+   */
+  async getUsageRollup(groupBy = 'user', month) {
+    const field = groupBy === 'organization' ? 'organizationId' : 'userId';
+    const start = month ? new Date(`${month}-01T00:00:00Z`) : this.getMonthStart();
+    if (isNaN(start.getTime())) {
+      throw new Error('Invalid month, expected YYYY-MM');
+    }
+    const end = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+
+    const collection = await getCollection('usage');
+    const rows = await collection.aggregate([
+      { $match: { date: { $gte: start, $lt: end }, [field]: { $ne: null } } },
+      {
+        $group: {
+          _id: `$${field}`,
+          calls: { $sum: 1 },
+          tokensUsed: { $sum: '$tokensUsed' },
+          cost: { $sum: '$cost' }
+        }
+      },
+      { $sort: { cost: -1 } }
+    ]).toArray();
+
+    return {
+      month: start.toISOString().substring(0, 7),
+      groupBy,
+      currency: 'USD',
+      rows: rows.map(({ _id, ...totals }) => ({ [field]: _id, ...totals }))
+    };
+  }
+
+  /**
+   * Budget for a user or organization: a stored budget, else the configured default
+   */
+  async getBudget(scope, scopeId) {
+    const collection = await getCollection('usageBudgets');
+    const stored = await collection.findOne({ scope, scopeId: String(scopeId) });
+
+    if (stored) {
+      return { ...stored, source: 'custom' };
+    }
+
+    return { scope, scopeId: String(scopeId), ...this.defaultBudgets[scope], source: 'default' };
+  }
+
+  /**
+   * Create or replace a budget
+   * @param {Object} budget - { monthlyCostLimit, monthlyTokenLimit, action }
+   */
+  async setBudget(scope, scopeId, { monthlyCostLimit = null, monthlyTokenLimit = null, action = 'block' }) {
+    if (!BUDGET_SCOPES.includes(scope)) {
+      throw new Error(`Invalid budget scope: ${scope}`);
+    }
+    if (!BUDGET_ACTIONS.includes(action)) {
+      throw new Error(`Invalid budget action: ${action}`);
+    }
+
+    const collection = await getCollection('usageBudgets');
+    await collection.updateOne(
+      { scope, scopeId: String(scopeId) },
+      {
+        $set: { monthlyCostLimit, monthlyTokenLimit, action, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+
+    return this.getBudgetStatus(scope, scopeId);
+  }
+
+  /**
+   * Remove a custom budget so the default applies again
+   */
+  async deleteBudget(scope, scopeId) {
+    const collection = await getCollection('usageBudgets');
+    await collection.deleteOne({ scope, scopeId: String(scopeId) });
+    return this.getBudgetStatus(scope, scopeId);
+  }
+
+  /**
+   * A budget together with this month's usage against it
+   */
+  async getBudgetStatus(scope, scopeId, now = new Date()) {
+    const budget = await this.getBudget(scope, scopeId);
+    const usage = await this.getMonthlyUsage(scope, scopeId, now);
+
+    const exceeded =
+      (budget.monthlyCostLimit !== null && budget.monthlyCostLimit !== undefined && usage.cost >= budget.monthlyCostLimit) ||
+      (budget.monthlyTokenLimit !== null && budget.monthlyTokenLimit !== undefined && usage.tokensUsed >= budget.monthlyTokenLimit);
+
+    return {
+      scope,
+      scopeId: String(scopeId),
+      monthlyCostLimit: budget.monthlyCostLimit ?? null,
+      monthlyTokenLimit: budget.monthlyTokenLimit ?? null,
+      action: budget.action || 'block',
+      source: budget.source,
+      usage,
+      exceeded
+    };
+  }
+
+  /**
+   * Decide whether a user (and their organization) may start another LLM call
+   * @returns {Object} { action: 'allow' | 'downgrade' | 'block', exceeded: [budget statuses], downgradeProvider }
+   */
+  async checkBudget(userId, organizationId) {
+    const checks = [];
+    if (userId) checks.push(this.getBudgetStatus('user', userId));
+    if (organizationId) checks.push(this.getBudgetStatus('organization', organizationId));
+
+    const exceeded = (await Promise.all(checks)).filter(status => status.exceeded);
+
+    let action = 'allow';
+    if (exceeded.some(status => status.action === 'block')) {
+      action = 'block';
+    } else if (exceeded.length > 0) {
+      action = 'downgrade';
+    }
+
+    return {
+      action,
+      exceeded,
+      downgradeProvider: action === 'downgrade' ? this.downgradeProvider : null
+    };
+  }
+
+  /**
+   * Error thrown when a budget blocks generation
+   */
+  createBudgetExceededError(exceeded) {
+    const scopes = exceeded.map(status => status.scope).join(' and ');
+    const error = new Error(`Monthly LLM budget exceeded for ${scopes}`);
+    error.name = 'BudgetExceededError';
+    error.status = 402;
+    error.retryable = false;
+    error.budgets = exceeded;
+    return error;
+  }
+}
+
+// Export a singleton instance
+module.exports = new UsageService();
@@ -1,5 +1,26 @@
+jest.mock('../../config/db', () => ({
+  getCollection: jest.fn(async () => {
+    throw new Error('MongoDB is not available in this test');
+  })
+}));
+
+jest.mock('../../services/queueService', () => ({
+  registerHandler: jest.fn(),
+  enqueue: jest.fn(async () => ({})),
+  getJobStatus: jest.fn(),
+  subscribeToJobUpdates: jest.fn(),
+  throwIfCancelled: jest.fn(async () => {}),
+  isRetryableError: jest.fn(() => true),
+  cancelJob: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
 const reportController = require('../../controllers/reportController');
 const reportService = require('../../services/reportService');
+const enhancedReportService = require('../../services/enhancedReportService');
+const queueService = require('../../services/queueService');
+const authService = require('../../services/authService');
+const { authenticate } = require('../../middleware/auth');
 
 jest.mock('../../services/reportService');
 
@@ -18,5 +39,63 @@ describe('ReportController', () => {
     });
   });
 
+  describe('generateReport', () => {
+    beforeEach(() => {
+      // Sign and verify real tokens instead of the global mock
+      const actualJwt = jest.requireActual('jsonwebtoken');
+      jwt.sign.mockImplementation(actualJwt.sign);
+      jwt.verify.mockImplementation(actualJwt.verify);
+
+      jest.spyOn(enhancedReportService, 'getReportById').mockResolvedValue({ _id: 'report-1', sections: [] });
+      jest.spyOn(enhancedReportService, 'snapshotReportVersion').mockResolvedValue(null);
+      jest.spyOn(enhancedReportService, 'updateReport').mockResolvedValue({});
+    });
+
+    it('should queue the job for the organization in the signed token', async () => {
+      const token = authService.generateToken({ _id: 'user-1', email: 'analyst@example.com', organizationId: 'org-1' });
+      req = {
+        headers: { authorization: `Bearer ${token}` },
+        params: { id: 'report-1' },
+        body: { companyData: { name: 'Acme' } }
+      };
+
+      await new Promise(resolve => authenticate(req, res, resolve));
+      await reportController.generateReport(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(202);
+      expect(queueService.enqueue).toHaveBeenCalledWith(
+        expect.any(String),
+        'generateFullReport',
+        expect.objectContaining({ reportId: 'report-1', userId: 'user-1' }),
+        { ownerId: 'user-1', tenantId: 'org-1' }
+      );
+      expect(enhancedReportService.updateReport).toHaveBeenCalledWith('report-1', 'user-1', expect.objectContaining({
+        generationInput: expect.objectContaining({ organizationId: 'org-1' })
+      }));
+    });
+
+    it('should return 404 for a report the user cannot see', async () => {
+      enhancedReportService.getReportById.mockRejectedValue(new Error('Report not found'));
+      req.params = { id: 'missing-report' };
+      req.body = { companyData: { name: 'Acme' } };
+
+      await reportController.generateReport(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Report not found' });
+      expect(queueService.enqueue).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when resuming a report the user cannot see', async () => {
+      enhancedReportService.updateReport.mockRejectedValue(new Error('Report not found or not authorized'));
+      req.params = { id: 'missing-report' };
+      req.body = { companyData: { name: 'Acme' }, resume: true };
+
+      await reportController.generateReport(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
   // More tests...
 });
@@ -124,6 +124,16 @@ describe('AuthService', () => {
         expect.any(Object)
       );
     });
+
+    it('should include the user\'s organization in the token', () => {
+      authService.generateToken({ _id: '60d21b4667d0d8992e610c85', email: 'test@example.com', organizationId: 'org-1' });
+
+      expect(jwt.sign).toHaveBeenCalledWith(
+        expect.objectContaining({ organizationId: 'org-1' }),
+        expect.any(String),
+        expect.any(Object)
+      );
+    });
   });
 
   describe('verifyToken', () => {
@@ -0,0 +1,131 @@
+// tests/services/batchService.test.js
+jest.mock('../../config/db');
+jest.mock('../../services/enhancedReportService', () => ({
+  createReport: jest.fn(),
+  generateFullReport: jest.fn(),
+  ensureInitialized: jest.fn()
+}));
+
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../../config/db');
+const enhancedReportService = require('../../services/enhancedReportService');
+const batchService = require('../../services/batchService');
+
+describe('BatchService', () => {
+  let batchCollection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    batchCollection = {
+      insertOne: jest.fn().mockResolvedValue({ insertedId: new ObjectId() }),
+      findOne: jest.fn()
+    };
+    getCollection.mockResolvedValue(batchCollection);
+
+    let count = 0;
+    enhancedReportService.createReport.mockImplementation(async () => ({ _id: new ObjectId(), status: 'draft' }));
+    enhancedReportService.generateFullReport.mockImplementation(async () => ({ jobId: `job-${++count}`, status: 'queued' }));
+  });
+
+  describe('parseInput', () => {
+    it('should accept CSV text, a companies list or a csv field', () => {
+      expect(batchService.parseInput('name\nAcme')).toEqual([{ name: 'Acme' }]);
+      expect(batchService.parseInput({ companies: [{ name: 'Acme' }] })).toEqual([{ name: 'Acme' }]);
+      expect(batchService.parseInput({ csv: 'name\nAcme' })).toEqual([{ name: 'Acme' }]);
+      expect(() => batchService.parseInput({})).toThrow('Batch input must be CSV text or a list of companies');
+    });
+  });
+
+  describe('createBatch', () => {
+    it('should queue valid rows and report errors for invalid ones', async () => {
+      const rows = batchService.parseInput(
+        'name,description,foundingYear,industry\n' +
+        'Acme,Industrial widgets for everyone,2015,Manufacturing\n' +
+        'Globex,short,,\n' +
+        'Initech,Enterprise software consulting,soon,Software\n'
+      );
+
+      const batch = await batchService.createBatch('user-1', rows, { templateType: 'investor' });
+
+      expect(batch.totalRows).toBe(3);
+      expect(batch.reportsCreated).toBe(1);
+      expect(batch.invalidRows).toBe(2);
+
+      expect(batch.rows[0]).toMatchObject({ row: 1, companyName: 'Acme', status: 'queued', jobId: 'job-1' });
+      expect(batch.rows[1].errors).toContain('description must be at least 10 characters');
+      expect(batch.rows[2].errors).toContain('foundingYear must be a number');
+
+      // CSV values are coerced and empty cells dropped before validation
+      expect(enhancedReportService.createReport).toHaveBeenCalledWith('user-1', expect.objectContaining({
+        name: 'Acme',
+        foundingYear: 2015,
+        templateType: 'investor'
+      }));
+      expect(enhancedReportService.generateFullReport).toHaveBeenCalledWith(
+        batch.rows[0].reportId, 'user-1', expect.any(Object), 'investor', { organizationId: undefined }
+      );
+      expect(batchCollection.insertOne).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-1', totalRows: 3 }));
+    });
+
+    it('should record rows that fail to be created', async () => {
+      enhancedReportService.createReport.mockRejectedValueOnce(new Error('Database unavailable'));
+
+      const batch = await batchService.createBatch('user-1', [
+        { name: 'Acme', description: 'Industrial widgets for everyone' }
+      ]);
+
+      expect(batch.rows[0]).toMatchObject({ status: 'failed', errors: ['Database unavailable'] });
+    });
+
+    it('should reject empty and oversized batches', async () => {
+      await expect(batchService.createBatch('user-1', [])).rejects.toThrow('Batch must contain at least one company');
+
+      const rows = Array.from({ length: batchService.maxRows + 1 }, (_, i) => ({ name: `Company ${i}` }));
+      await expect(batchService.createBatch('user-1', rows)).rejects.toThrow('Batch cannot contain more than');
+      expect(enhancedReportService.createReport).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getBatch', () => {
+    it('should combine live report status into aggregate progress', async () => {
+      const batchId = new ObjectId();
+      const firstId = new ObjectId();
+      const secondId = new ObjectId();
+
+      batchCollection.findOne.mockResolvedValue({
+        _id: batchId,
+        userId: 'user-1',
+        totalRows: 3,
+        rows: [
+          { row: 1, companyName: 'Acme', status: 'queued', reportId: firstId.toString(), errors: [] },
+          { row: 2, companyName: 'Globex', status: 'queued', reportId: secondId.toString(), errors: [] },
+          { row: 3, companyName: null, status: 'invalid', errors: ['name is required'] }
+        ]
+      });
+
+      const reportsCollection = {
+        find: jest.fn().mockReturnValue({
+          toArray: jest.fn().mockResolvedValue([
+            { _id: firstId, status: 'completed', generationProgress: 90 },
+            { _id: secondId, status: 'generating', generationProgress: 40 }
+          ])
+        })
+      };
+      enhancedReportService.ensureInitialized.mockResolvedValue(reportsCollection);
+
+      const batch = await batchService.getBatch(batchId.toString(), 'user-1');
+
+      expect(batch.progress).toBe(70);
+      expect(batch.statusCounts).toEqual({ completed: 1, generating: 1, invalid: 1 });
+      expect(batch.rows[1]).toMatchObject({ status: 'generating', progress: 40 });
+    });
+
+    it('should throw for unknown or malformed batch IDs', async () => {
+      batchCollection.findOne.mockResolvedValue(null);
+
+      await expect(batchService.getBatch(new ObjectId().toString(), 'user-1')).rejects.toThrow('Batch not found');
+      await expect(batchService.getBatch('not-an-id', 'user-1')).rejects.toThrow('Batch not found');
+    });
+  });
+});
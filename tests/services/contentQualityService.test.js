@@ -0,0 +1,133 @@
+// tests/services/contentQualityService.test.js
+jest.mock('../../services/openaiService', () => ({
+  generateContent: jest.fn()
+}));
+
+const openaiService = require('../../services/openaiService');
+const contentQualityService = require('../../services/contentQualityService');
+
+const words = (count) => Array.from({ length: count }, () => 'analysis').join(' ');
+
+const goodSummary = `## Company Snapshot
+Acme was founded in 2012 and is headquartered in Austin with 180 employees.
+
+## Investment Thesis
+Revenue grew 35% to $24 million while gross margin reached 72%.
+
+## Financial Overview
+Cash of $18 million covers 30 months of burn.
+
+## Risks
+Customer concentration is the main risk.
+
+## Outlook
+Recommendation: Buy, based on a 12-month outlook of continued growth.
+
+${words(150)}`;
+
+describe('ContentQualityService', () => {
+  describe('evaluateWithRubric', () => {
+    it('should pass a section that meets its rubric', () => {
+      const evaluation = contentQualityService.evaluateWithRubric(goodSummary, 'executiveSummary');
+
+      expect(evaluation).toMatchObject({ passed: true, score: 10, rubricVersion: '1.0.0', issues: [] });
+      expect(evaluation.checks.map(check => check.id)).toEqual(['subsections', 'figures', 'recommendation', 'length']);
+    });
+
+    it('should report missing subsections, figures and recommendation', () => {
+      const evaluation = contentQualityService.evaluateWithRubric(
+        'Acme has a strong team and a promising product. Risks are manageable.',
+        'executiveSummary'
+      );
+
+      expect(evaluation.passed).toBe(false);
+      expect(evaluation.score).toBeLessThan(3);
+      expect(evaluation.issues).toEqual([
+        'Missing subsections: Company snapshot, Investment thesis, Financial overview, Outlook',
+        'Cites 0 figures; at least 3 expected',
+        'No explicit recommendation',
+        expect.stringMatching(/^12 words; at least 200 expected$/)
+      ]);
+      expect(evaluation.suggestions[2]).toMatch(/Recommendation: Buy/);
+    });
+
+    it('should not count years or list numbering as figures', () => {
+      const evaluation = contentQualityService.evaluateWithRubric(
+        '1. Founded in 2015\n2. Expanded in 2019\n3. Revenue of $4 million, up 20%',
+        'unknownSection'
+      );
+
+      expect(evaluation.checks.find(check => check.id === 'figures')).toMatchObject({ passed: true, score: 1 });
+    });
+
+    it('should score every section type with a rubric of its own', () => {
+      ['companyOverview', 'marketAnalysis', 'financialAnalysis', 'financialProjections', 'riskAssessment',
+        'investmentRecommendation', 'competitiveAnalysis', 'managementAnalysis', 'valuationAnalysis'
+      ].forEach(sectionType => {
+        const evaluation = contentQualityService.evaluateWithRubric('Short text.', sectionType);
+        expect(evaluation.checks[0].id).toBe('subsections');
+        expect(evaluation.passed).toBe(false);
+      });
+    });
+  });
+
+  describe('evaluateAndImprove', () => {
+    it('should improve failing content until it passes', async () => {
+      openaiService.generateContent.mockResolvedValue({ content: goodSummary });
+
+      const result = await contentQualityService.evaluateAndImprove('Acme is promising.', 'executiveSummary', {
+        provider: 'mock',
+        usageContext: { reportId: 'report-1' }
+      });
+
+      expect(result).toMatchObject({ content: goodSummary, iterations: 1, improved: true });
+      expect(result.evaluation.passed).toBe(true);
+      expect(openaiService.generateContent).toHaveBeenCalledWith(expect.stringContaining('No explicit recommendation'),
+        expect.objectContaining({
+          provider: 'mock',
+          usageContext: { reportId: 'report-1', sectionType: 'executiveSummary', operation: 'contentImprovement' }
+        }));
+    });
+
+    it('should stop when a revision does not raise the score and keep the best version', async () => {
+      openaiService.generateContent.mockResolvedValue({ content: 'Worse.' });
+
+      const result = await contentQualityService.evaluateAndImprove('Acme is promising and growing 10%.', 'executiveSummary', {
+        maxIterations: 3
+      });
+
+      expect(openaiService.generateContent).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({ content: 'Acme is promising and growing 10%.', iterations: 1, improved: false });
+    });
+
+    it('should let the caller stop or adjust each round and report its usage', async () => {
+      openaiService.generateContent.mockResolvedValue({ content: 'Acme is promising and growing 10%.', usage: { total_tokens: 25 }, model: 'gpt-3.5-turbo' });
+      const beforeRound = jest.fn()
+        .mockResolvedValueOnce({ downgrade: true })
+        .mockResolvedValueOnce(false);
+
+      const result = await contentQualityService.evaluateAndImprove('Acme is promising.', 'executiveSummary', {
+        maxIterations: 3,
+        beforeRound
+      });
+
+      expect(beforeRound).toHaveBeenCalledTimes(2);
+      expect(openaiService.generateContent).toHaveBeenCalledTimes(1);
+      expect(openaiService.generateContent).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ downgrade: true }));
+      expect(result).toMatchObject({
+        iterations: 1,
+        stoppedEarly: true,
+        rounds: [{ tokensUsed: 25, model: 'gpt-3.5-turbo', provider: null }]
+      });
+    });
+
+    it('should only evaluate when no iterations are allowed', async () => {
+      const result = await contentQualityService.evaluateAndImprove('Acme is promising.', 'executiveSummary', {
+        maxIterations: 0
+      });
+
+      expect(openaiService.generateContent).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ iterations: 0, improved: false, evaluation: { passed: false } });
+    });
+  });
+});
@@ -0,0 +1,237 @@
+// tests/services/dataConnectorService.test.js
+const axios = require('axios');
+const dataConnectorService = require('../../services/dataConnectorService');
+const dataService = require('../../services/dataService');
+const FixtureConnector = require('../../services/dataConnectors/fixtureConnector');
+const HttpConnector = require('../../services/dataConnectors/httpConnector');
+
+jest.mock('axios');
+
+const registry = new FixtureConnector({
+  label: 'Company registry',
+  fixtures: {
+    'acme.com': { incorporated: 2011, address: { city: 'Detroit, MI' }, headcount: 95 }
+  }
+});
+
+const vendor = new FixtureConnector({
+  label: 'Financial data vendor',
+  fixtures: {
+    Acme: { financials: { revenue: 30000000, totalFunding: 15000000 }, employees: 110 }
+  }
+});
+
+describe('DataConnectorService', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    delete process.env.DATA_CONNECTORS;
+    delete process.env.DATA_SOURCE_PRECEDENCE;
+    dataConnectorService.loadConfig();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    dataConnectorService.loadConfig();
+  });
+
+  const registerFixtures = () => {
+    dataConnectorService.registerConnector('registry', registry, {
+      fields: { foundingYear: 'incorporated', headquarters: 'address.city', employeeCount: 'headcount' },
+      confidence: 95
+    });
+    dataConnectorService.registerConnector('vendor', vendor, {
+      fields: { revenue: 'financials.revenue', funding: 'financials.totalFunding', employeeCount: 'employees' },
+      confidence: 85
+    });
+  };
+
+  describe('enrich', () => {
+    it('should return the data unchanged without connectors', async () => {
+      const rawData = { name: 'Acme' };
+
+      const result = await dataConnectorService.enrich(rawData);
+
+      expect(result).toEqual({ data: rawData, fieldSources: {}, sources: {} });
+    });
+
+    it('should merge mapped fields and keep user data first by default', async () => {
+      registerFixtures();
+
+      const result = await dataConnectorService.enrich({ name: 'Acme', website: 'https://www.acme.com', revenue: '$24M' });
+
+      expect(result.data).toMatchObject({
+        revenue: '$24M',
+        foundingYear: 2011,
+        headquarters: 'Detroit, MI',
+        employeeCount: 95,
+        funding: 15000000
+      });
+      expect(result.fieldSources).toEqual({
+        foundingYear: 'registry',
+        headquarters: 'registry',
+        employeeCount: 'registry',
+        funding: 'vendor'
+      });
+      expect(result.sources.vendor).toMatchObject({
+        status: 'ok',
+        label: 'Financial data vendor',
+        fields: ['revenue', 'funding', 'employeeCount'],
+        cached: false
+      });
+    });
+
+    it('should follow configured precedence per field', async () => {
+      process.env.DATA_SOURCE_PRECEDENCE = JSON.stringify({
+        default: ['user', 'registry', 'vendor'],
+        revenue: ['vendor', 'user'],
+        employeeCount: ['vendor', 'registry']
+      });
+      dataConnectorService.loadConfig();
+      registerFixtures();
+
+      const result = await dataConnectorService.enrich({ name: 'Acme', website: 'acme.com', revenue: '$24M', employeeCount: 60 });
+
+      expect(result.data.revenue).toBe(30000000);
+      expect(result.data.employeeCount).toBe(110);
+      expect(result.fieldSources).toMatchObject({ revenue: 'vendor', employeeCount: 'vendor' });
+    });
+
+    it('should keep the user\'s value when no source in a list without user has one', async () => {
+      process.env.DATA_SOURCE_PRECEDENCE = JSON.stringify({ default: ['user', 'registry', 'vendor'], headquarters: ['vendor'] });
+      dataConnectorService.loadConfig();
+      registerFixtures();
+
+      const result = await dataConnectorService.enrich({ name: 'Acme', website: 'acme.com', headquarters: 'Ann Arbor, MI' });
+
+      expect(result.data.headquarters).toBe('Ann Arbor, MI');
+      expect(result.fieldSources.headquarters).toBeUndefined();
+    });
+
+    it('should cache lookups per connector and company', async () => {
+      registerFixtures();
+      const fetchSpy = jest.spyOn(vendor, 'fetch');
+
+      await dataConnectorService.enrich({ name: 'Acme' });
+      const second = await dataConnectorService.enrich({ name: 'Acme' });
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+      expect(second.sources.vendor).toMatchObject({ status: 'ok', cached: true });
+    });
+
+    it('should skip connectors over their rate limit', async () => {
+      dataConnectorService.registerConnector('vendor', vendor, {
+        fields: { revenue: 'financials.revenue' },
+        rateLimit: { requests: 1, intervalMs: 60000 },
+        cacheTtlMs: 0
+      });
+
+      await dataConnectorService.enrich({ name: 'Acme' });
+      const second = await dataConnectorService.enrich({ name: 'Acme' });
+
+      expect(second.sources.vendor.status).toBe('rate_limited');
+      expect(second.data.revenue).toBeUndefined();
+    });
+
+    it('should carry on when a connector fails', async () => {
+      registerFixtures();
+      jest.spyOn(registry, 'fetch').mockRejectedValue(new Error('Service unavailable'));
+
+      const result = await dataConnectorService.enrich({ name: 'Acme', website: 'acme.com' });
+
+      expect(result.sources.registry).toMatchObject({ status: 'error', error: 'Service unavailable' });
+      expect(result.data.employeeCount).toBe(110);
+    });
+  });
+
+  describe('loadConfig', () => {
+    it('should build connectors from DATA_CONNECTORS', async () => {
+      process.env.DATA_CONNECTORS = JSON.stringify({
+        registry: {
+          type: 'fixture',
+          label: 'Company registry',
+          fixtures: { acme: { founded: 2011 } },
+          fields: { foundingYear: 'founded', unknownField: 'x' }
+        },
+        crm: { type: 'ftp' }
+      });
+
+      dataConnectorService.loadConfig();
+
+      expect(dataConnectorService.getConnectorInfo('registry')).toEqual({
+        name: 'registry',
+        label: 'Company registry',
+        confidence: 80
+      });
+      expect(dataConnectorService.getConnectorInfo('crm')).toBeNull();
+      expect((await dataConnectorService.enrich({ name: 'Acme' })).data.foundingYear).toBe(2011);
+    });
+  });
+
+  describe('HttpConnector', () => {
+    it('should request the filled path and read the record', async () => {
+      const client = {
+        get: jest.fn().mockResolvedValue({ data: { results: [{ name: 'Acme', employees: 95 }] } }),
+        interceptors: { response: { use: jest.fn() } }
+      };
+      axios.create.mockReturnValue(client);
+
+      const connector = new HttpConnector({
+        baseURL: 'https://registry.example.com',
+        path: '/companies',
+        params: { q: '{name}' },
+        apiKey: 'secret',
+        recordPath: 'results.0'
+      });
+
+      await expect(connector.fetch({ name: 'Acme Inc', domain: null })).resolves.toEqual({ name: 'Acme', employees: 95 });
+      expect(client.get).toHaveBeenCalledWith('/companies', expect.objectContaining({ params: { q: 'Acme Inc' } }));
+      expect(axios.create).toHaveBeenCalledWith(expect.objectContaining({
+        headers: expect.objectContaining({ Authorization: 'Bearer secret' })
+      }));
+    });
+
+    it('should not call the API without the values its path needs', async () => {
+      const connector = new HttpConnector({ baseURL: 'https://crm.example.com', path: '/accounts/{domain}' });
+
+      await expect(connector.fetch({ name: 'Acme', domain: null })).resolves.toBeNull();
+      expect(axios.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DataService integration', () => {
+    it('should attribute connector data and score its confidence', async () => {
+      registerFixtures();
+
+      const data = await dataService.normalizeCompanyData({
+        name: 'Acme',
+        website: 'acme.com',
+        description: 'Industrial robotics',
+        industry: 'manufacturing'
+      });
+
+      expect(data.company).toMatchObject({ foundingYear: 2011, headquarters: 'Detroit, MI', employees: 95 });
+      expect(data.financials.revenue).toMatchObject({ value: 30000000 });
+
+      const { provenance, confidence } = data._metadata;
+      expect(provenance['company.foundingYear']).toEqual({
+        source: 'external_source',
+        basis: 'Company registry',
+        connector: 'registry',
+        confidence: 95
+      });
+      expect(provenance['financials.revenue']).toMatchObject({ source: 'external_source', connector: 'vendor' });
+      expect(provenance['company.industry']).toEqual({ source: 'user_provided' });
+
+      expect(confidence.fields).toMatchObject({
+        'company.foundingYear': 95,
+        'financials.revenue': 85,
+        'company.industry': 100,
+        'financials.cashPosition': 0
+      });
+      expect(data._metadata.externalSources.registry.status).toBe('ok');
+    });
+  });
+});
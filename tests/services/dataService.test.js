@@ -0,0 +1,190 @@
+// tests/services/dataService.test.js
+const dataService = require('../../services/dataService');
+
+describe('DataService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('normalizeCompanyData', () => {
+    it('should mark provided fields as user provided', async () => {
+      const data = await dataService.normalizeCompanyData({
+        name: 'Acme Inc.',
+        description: 'Industrial robotics for mid-size factories',
+        industry: 'manufacturing',
+        foundingYear: 2012,
+        headquarters: 'Detroit, MI',
+        employeeCount: 80,
+        revenue: '$24M',
+        funding: 12000000
+      });
+
+      expect(data.company).toMatchObject({ name: 'Acme', foundingYear: 2012, employees: 80, industry: 'Manufacturing' });
+      expect(data.financials.revenue).toMatchObject({ value: 24000000, currency: 'USD' });
+
+      const { provenance } = data._metadata;
+      ['company.name', 'company.foundingYear', 'company.headquarters', 'company.employees',
+        'company.industry', 'financials.revenue', 'financials.funding'].forEach(field => {
+        expect(provenance[field]).toEqual({ source: 'user_provided' });
+      });
+    });
+
+    it('should give every field a provenance', async () => {
+      const data = await dataService.normalizeCompanyData({ name: 'Acme', description: 'Cloud software platform' });
+
+      ['company', 'financials', 'market', 'risk'].forEach(group => {
+        Object.keys(data[group]).forEach(field => {
+          expect(data._metadata.provenance[`${group}.${field}`]).toEqual(expect.objectContaining({
+            source: expect.stringMatching(/^(user_provided|derived|industry_estimate|external_source|unavailable)$/)
+          }));
+        });
+      });
+    });
+
+    it('should leave facts that cannot be estimated unavailable instead of inventing them', async () => {
+      const data = await dataService.normalizeCompanyData({ name: 'Acme', description: 'Cloud software platform' });
+
+      expect(data.company).toMatchObject({ foundingYear: 'N/A', headquarters: 'N/A', website: 'N/A', status: 'N/A' });
+      expect(data.financials.funding).toBe('N/A');
+      expect(data.financials.cashPosition).toBe('N/A');
+      expect(data.market.competitors).toEqual([]);
+      expect(data._metadata.provenance['financials.funding']).toEqual({ source: 'unavailable' });
+      expect(data._metadata.provenance['market.competitors']).toEqual({ source: 'unavailable' });
+    });
+
+    it('should derive and label estimates deterministically', async () => {
+      const rawData = { name: 'Acme', description: 'Cloud software platform', foundingYear: 2010 };
+
+      const first = await dataService.normalizeCompanyData(rawData);
+      const second = await dataService.normalizeCompanyData(rawData);
+
+      expect(second.company).toEqual(first.company);
+      expect(second.financials).toEqual(first.financials);
+
+      expect(first.company.industry).toBe('Technology');
+      expect(first.company.employees).toBe(260);
+      expect(first.financials.revenue).toEqual({
+        value: 104000000,
+        currency: 'USD',
+        display: '$104.0M (estimate)',
+        estimated: true
+      });
+      expect(first.financials.growth).toEqual({ rate: 15, period: 'annual', estimated: true });
+
+      const { provenance } = first._metadata;
+      expect(provenance['company.industry']).toEqual({ source: 'derived', basis: 'Keywords in the company description' });
+      expect(provenance['company.employees']).toEqual({
+        source: 'industry_estimate',
+        basis: 'Typical headcount (Technology industry benchmark)'
+      });
+      expect(provenance['financials.revenue'].source).toBe('industry_estimate');
+      expect(provenance['financials.revenue'].basis).toMatch(/260 typical headcount × \$400K revenue per employee/);
+    });
+
+    it('should derive growth from revenue history', async () => {
+      const data = await dataService.normalizeCompanyData({
+        name: 'Acme',
+        description: 'Retail marketplace',
+        revenueHistory: [{ year: 2022, value: 10000000 }, { year: 2024, value: 14400000 }]
+      });
+
+      expect(data.financials.growth).toMatchObject({ rate: 20, period: 'CAGR' });
+      expect(data._metadata.provenance['financials.growth']).toEqual({
+        source: 'derived',
+        basis: 'CAGR of revenue history over 2 years'
+      });
+    });
+
+    it('should weigh confidence by provenance', async () => {
+      const provided = await dataService.normalizeCompanyData({
+        name: 'Acme',
+        description: 'Cloud software platform',
+        revenue: '$24M',
+        growthRate: 30,
+        funding: 5000000,
+        profitability: 'Break-even',
+        cashPosition: '$3M'
+      });
+      const estimated = await dataService.normalizeCompanyData({ name: 'Acme', description: 'Cloud software platform' });
+
+      expect(provided._metadata.confidence.financials).toBe(100);
+      expect(estimated._metadata.confidence.financials).toBeLessThan(50);
+    });
+
+    it('should take financials from uploaded statements over loose fields', async () => {
+      const financialStatements = {
+        currency: 'USD',
+        periods: [
+          { label: 'FY2022', year: 2022, incomeStatement: { revenue: 10000000 }, balanceSheet: {}, cashFlow: {} },
+          {
+            label: 'FY2023',
+            year: 2023,
+            incomeStatement: { revenue: 12100000, netIncome: -1210000 },
+            balanceSheet: { cash: 3000000 },
+            cashFlow: {}
+          }
+        ]
+      };
+
+      const data = await dataService.normalizeCompanyData({
+        name: 'Acme',
+        description: 'Cloud software platform',
+        revenue: '$5M',
+        growthRate: 40,
+        financialStatements
+      });
+
+      expect(data.financials).toMatchObject({
+        revenue: { value: 12100000, display: '$12.1M (FY2023)' },
+        growth: { rate: 21, period: 'CAGR' },
+        profitability: '-10.0% net margin (FY2023)',
+        cashPosition: '$3.0M (FY2023)'
+      });
+      expect(data.financialStatements).toEqual(financialStatements);
+      expect(data.financialRatios.latest.ratios).toContainEqual(expect.objectContaining({ key: 'netMargin', value: -10 }));
+
+      const { provenance } = data._metadata;
+      expect(provenance['financials.revenue']).toEqual({ source: 'user_provided', basis: 'Uploaded financial statements' });
+      expect(provenance['financials.growth'].basis).toBe('CAGR of revenue history over 1 years in the uploaded financial statements');
+      expect(provenance['financials.profitability']).toEqual({
+        source: 'derived',
+        basis: 'Net income / revenue in the uploaded financial statements (FY2023)'
+      });
+    });
+
+    it('should project from the normalized revenue under the given assumptions', async () => {
+      const data = await dataService.normalizeCompanyData({
+        name: 'Acme',
+        description: 'Cloud software platform',
+        revenue: '$24M',
+        projectionAssumptions: { years: 3, revenueGrowth: 10 }
+      });
+
+      expect(data.projections.baseline).toMatchObject({ revenue: 24000000, estimated: false });
+      expect(data.projections.scenarios.base.years.map(row => row.revenue)).toEqual([26400000, 29040000, 31944000]);
+      expect(data.projections.assumptionSources.revenueGrowth).toBe('user');
+    });
+  });
+
+  describe('summarizeProvenance', () => {
+    it('should group fields by provenance', () => {
+      const summary = dataService.summarizeProvenance({
+        'financials.revenue': { source: 'industry_estimate', basis: 'Benchmark' },
+        'company.name': { source: 'user_provided' },
+        'company.foundingYear': { source: 'unavailable' },
+        'risk.rating': { source: 'derived', basis: 'Scored' }
+      });
+
+      expect(summary.sourced.map(item => item.field)).toEqual(['company.name']);
+      expect(summary.derived).toEqual([{ field: 'risk.rating', source: 'derived', label: 'Derived', basis: 'Scored' }]);
+      expect(summary.estimated).toEqual([
+        { field: 'financials.revenue', source: 'industry_estimate', label: 'Industry estimate', basis: 'Benchmark' }
+      ]);
+      expect(summary.unavailable.map(item => item.field)).toEqual(['company.foundingYear']);
+    });
+
+    it('should return null without provenance', () => {
+      expect(dataService.summarizeProvenance(undefined)).toBeNull();
+    });
+  });
+});
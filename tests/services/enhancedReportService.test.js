@@ -0,0 +1,734 @@
+// tests/services/enhancedReportService.test.js
+jest.mock('../../config/db', () => ({
+  getCollection: jest.fn(async () => {
+    throw new Error('MongoDB is not available in this test');
+  })
+}));
+
+jest.mock('../../services/queueService', () => ({
+  registerHandler: jest.fn(),
+  enqueue: jest.fn(),
+  getJobStatus: jest.fn(),
+  getQueuePosition: jest.fn(),
+  subscribeToJobUpdates: jest.fn(),
+  throwIfCancelled: jest.fn(async () => {}),
+  isRetryableError: jest.fn(() => true),
+  willRetry: jest.fn(() => false),
+  cancelJob: jest.fn()
+}));
+
+jest.mock('../../services/dataService', () => ({
+  normalizeCompanyData: jest.fn(async (data) => ({ ...data, normalized: true }))
+}));
+
+jest.mock('../../services/openaiService', () => ({
+  generateReportSection: jest.fn(),
+  generateContent: jest.fn()
+}));
+
+jest.mock('../../services/usageService', () => ({
+  checkBudget: jest.fn(async () => ({ action: 'allow', exceeded: [], downgradeProvider: null })),
+  createBudgetExceededError: jest.fn(() => {
+    const error = new Error('Monthly LLM budget exceeded for user');
+    error.name = 'BudgetExceededError';
+    error.retryable = false;
+    return error;
+  })
+}));
+
+const enhancedReportService = require('../../services/enhancedReportService');
+const dataService = require('../../services/dataService');
+const queueService = require('../../services/queueService');
+const openaiService = require('../../services/openaiService');
+const usageService = require('../../services/usageService');
+const jobStoreService = require('../../services/jobStoreService');
+const projectionService = require('../../services/projectionService');
+const { computeFinancialRatios } = require('../../utils/financialRatios');
+
+// The generation job's hooks are registered once, when the service is loaded
+const [, , generationJobHooks] = queueService.registerHandler.mock.calls[0];
+
+describe('EnhancedReportService', () => {
+  describe('processReportGeneration', () => {
+    let report;
+    let progressCallback;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+
+      report = {
+        _id: 'report-1',
+        userId: 'user-1',
+        status: 'queued',
+        generationJobId: 'job-1',
+        customization: { enabledSections: ['executiveSummary', 'marketAnalysis', 'riskAssessment'] },
+        sections: []
+      };
+      progressCallback = jest.fn();
+
+      // Apply $set-style updates (including dotted checkpoint keys) to the in-memory report
+      jest.spyOn(enhancedReportService, 'updateReport').mockImplementation(async (reportId, userId, updates) => {
+        Object.entries(updates).forEach(([key, value]) => {
+          const parts = key.split('.');
+          let target = report;
+          parts.slice(0, -1).forEach(part => {
+            target[part] = target[part] || {};
+            target = target[part];
+          });
+          target[parts[parts.length - 1]] = value;
+        });
+        return report;
+      });
+      jest.spyOn(enhancedReportService, 'getReportById').mockImplementation(async () => report);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const data = {
+      reportId: 'report-1',
+      userId: 'user-1',
+      companyData: { name: 'Test Company' },
+      templateType: 'standard'
+    };
+
+    function mockSectionGeneration(failingSections = []) {
+      return jest.spyOn(enhancedReportService, 'generateReportSection')
+        .mockImplementation(async (reportId, userId, sectionType) => {
+          if (failingSections.includes(sectionType)) {
+            throw new Error(`${sectionType} failed`);
+          }
+          const section = { id: `section-${sectionType}`, type: sectionType };
+          report.sections = [...report.sections.filter(s => s.type !== sectionType), section];
+          return section;
+        });
+    }
+
+    it('should not mark the report failed while the queue will retry it', async () => {
+      mockSectionGeneration(['marketAnalysis']);
+      queueService.willRetry.mockReturnValueOnce(true);
+
+      await expect(enhancedReportService.processReportGeneration(data, progressCallback, { id: 'job-1' }))
+        .rejects.toThrow('marketAnalysis');
+
+      expect(report.status).toBe('generating');
+      expect(progressCallback).not.toHaveBeenCalledWith(100, expect.anything());
+
+      const nextAttemptAt = new Date(Date.now() + 60000);
+      await generationJobHooks.onRetrying(data, { id: 'job-1' }, { error: new Error('marketAnalysis failed'), availableAt: nextAttemptAt });
+
+      expect(report).toMatchObject({ status: 'queued', generationJobId: 'job-1', nextAttemptAt });
+    });
+
+    it('should checkpoint failed sections and only regenerate them on retry', async () => {
+      const generateSection = mockSectionGeneration(['marketAnalysis']);
+
+      await expect(enhancedReportService.processReportGeneration(data, progressCallback, { id: 'job-1' }))
+        .rejects.toThrow('marketAnalysis');
+
+      expect(report.status).toBe('failed');
+      expect(report.generationState.sections.executiveSummary.status).toBe('completed');
+      expect(report.generationState.sections.marketAnalysis).toMatchObject({
+        status: 'failed',
+        error: 'marketAnalysis failed',
+        attempts: 1
+      });
+
+      generateSection.mockClear();
+      mockSectionGeneration();
+
+      await enhancedReportService.processReportGeneration(data, progressCallback, { id: 'job-1' });
+
+      expect(enhancedReportService.generateReportSection).toHaveBeenCalledTimes(1);
+      expect(enhancedReportService.generateReportSection)
+        .toHaveBeenCalledWith('report-1', 'user-1', 'marketAnalysis', expect.any(Object));
+      expect(dataService.normalizeCompanyData).toHaveBeenCalledTimes(1);
+      expect(report.status).toBe('completed');
+      expect(report.generationState.sections.marketAnalysis.attempts).toBe(2);
+    });
+
+    it('should stop between sections and mark the report cancelled', async () => {
+      mockSectionGeneration();
+      queueService.throwIfCancelled
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(Object.assign(new Error('Job was cancelled'), { cancelled: true }));
+
+      await expect(enhancedReportService.processReportGeneration(data, progressCallback, { id: 'job-1' }))
+        .rejects.toMatchObject({ cancelled: true });
+
+      expect(enhancedReportService.generateReportSection).toHaveBeenCalledTimes(1);
+      expect(report.status).toBe('cancelled');
+      expect(report.generationState.sections.executiveSummary.status).toBe('completed');
+    });
+
+    it('should let a running job be cancelled after its first section is written', async () => {
+      queueService.getJobStatus.mockReturnValue({ status: 'processing', progress: 40 });
+      queueService.cancelJob.mockResolvedValue({ jobId: 'job-1', status: 'cancelling' });
+      openaiService.generateReportSection.mockResolvedValue({
+        content: 'Section text',
+        metadata: { tokensUsed: 10 }
+      });
+
+      let statusWhenCancelled;
+      let cancelResult;
+      queueService.throwIfCancelled
+        .mockResolvedValueOnce()
+        .mockImplementationOnce(async () => {
+          statusWhenCancelled = report.status;
+          cancelResult = await enhancedReportService.cancelGeneration('report-1', 'user-1');
+          throw Object.assign(new Error('Job was cancelled'), { cancelled: true });
+        });
+
+      await expect(enhancedReportService.processReportGeneration(data, progressCallback, { id: 'job-1' }))
+        .rejects.toMatchObject({ cancelled: true });
+
+      expect(statusWhenCancelled).toBe('generating');
+      expect(cancelResult).toEqual({ reportId: 'report-1', jobId: 'job-1', status: 'cancelling' });
+      expect(queueService.cancelJob).toHaveBeenCalledWith('job-1', 'Cancelled by user');
+      expect(openaiService.generateReportSection).toHaveBeenCalledTimes(1);
+      expect(report.sections.map(s => s.type)).toEqual(['executiveSummary']);
+      expect(report.status).toBe('cancelled');
+    });
+
+    it('should regenerate every section for a new job unless resuming', async () => {
+      mockSectionGeneration();
+      await enhancedReportService.processReportGeneration(data, progressCallback, { id: 'job-1' });
+
+      enhancedReportService.generateReportSection.mockClear();
+      await enhancedReportService.processReportGeneration(data, progressCallback, { id: 'job-2' });
+      expect(enhancedReportService.generateReportSection).toHaveBeenCalledTimes(3);
+
+      enhancedReportService.generateReportSection.mockClear();
+      await enhancedReportService.processReportGeneration({ ...data, resume: true }, progressCallback, { id: 'job-3' });
+      expect(enhancedReportService.generateReportSection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('withReportInputs', () => {
+    it('should only use the financial statements and assumptions stored on the report', () => {
+      const stored = { currency: 'USD', periods: [], validation: { valid: true } };
+      const companyData = {
+        name: 'Acme',
+        financialStatements: { periods: [{ label: 'FY2023' }] },
+        projectionAssumptions: { taxRate: 'low' }
+      };
+
+      expect(enhancedReportService.withReportInputs(companyData, { financialStatements: stored }))
+        .toEqual({ name: 'Acme', financialStatements: stored });
+      expect(enhancedReportService.withReportInputs(companyData, {})).toEqual({ name: 'Acme' });
+    });
+  });
+
+  describe('cancelled generation jobs', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should mark the report cancelled when its queued job is cancelled, e.g. by an administrator', async () => {
+      jest.spyOn(enhancedReportService, 'getReportById')
+        .mockResolvedValue({ _id: 'report-1', status: 'queued', generationJobId: 'job-1', sections: [] });
+      const updateReport = jest.spyOn(enhancedReportService, 'updateReport').mockResolvedValue({});
+
+      await generationJobHooks.onCancelled({ reportId: 'report-1', userId: 'user-1' }, { id: 'job-1' });
+
+      expect(updateReport).toHaveBeenCalledWith('report-1', 'user-1', { status: 'cancelled', generationError: null });
+    });
+
+    it('should leave reports that have moved on to a newer job', async () => {
+      jest.spyOn(enhancedReportService, 'getReportById')
+        .mockResolvedValue({ _id: 'report-1', status: 'queued', generationJobId: 'job-2', sections: [] });
+      const updateReport = jest.spyOn(enhancedReportService, 'updateReport').mockResolvedValue({});
+
+      await generationJobHooks.onCancelled({ reportId: 'report-1', userId: 'user-1' }, { id: 'job-1' });
+
+      expect(updateReport).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reconcileReportStatuses', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should settle reports whose job finished or disappeared, whatever their status', async () => {
+      const reports = [
+        { _id: 'running', userId: 'user-1', status: 'in_progress', generationJobId: 'job-running' },
+        { _id: 'done', userId: 'user-1', status: 'in_progress', generationJobId: 'job-done' },
+        { _id: 'lost', userId: 'user-1', status: 'generating', generationJobId: 'job-lost' }
+      ];
+      const collection = {
+        find: jest.fn(() => ({ toArray: async () => reports })),
+        updateOne: jest.fn(async () => ({ matchedCount: 1 }))
+      };
+      jest.spyOn(enhancedReportService, 'ensureInitialized').mockResolvedValue(collection);
+      queueService.getJobStatus.mockImplementation(jobId =>
+        jobId === 'job-running' ? { status: 'processing' } : null
+      );
+      jest.spyOn(jobStoreService, 'getJob').mockImplementation(async jobId =>
+        jobId === 'job-done' ? { id: jobId, status: 'completed' } : null
+      );
+
+      const summary = await enhancedReportService.reconcileReportStatuses();
+
+      expect(collection.find).toHaveBeenCalledWith({
+        $or: [
+          { status: { $in: ['queued', 'generating'] } },
+          { generationJobId: { $ne: null }, status: { $nin: ['completed', 'failed', 'cancelled'] } }
+        ]
+      });
+      expect(summary).toEqual({ checked: 3, updated: 2 });
+      expect(collection.updateOne).toHaveBeenCalledWith(
+        { _id: 'done' },
+        { $set: expect.objectContaining({ status: 'completed', generationProgress: 100 }) }
+      );
+      expect(collection.updateOne).toHaveBeenCalledWith(
+        { _id: 'lost' },
+        { $set: expect.objectContaining({ status: 'failed' }) }
+      );
+    });
+  });
+
+  describe('summarizeSectionProgress', () => {
+    it('should group sections by checkpoint status', () => {
+      const summary = enhancedReportService.summarizeSectionProgress({
+        generationState: {
+          sectionTypes: ['executiveSummary', 'marketAnalysis', 'riskAssessment'],
+          sections: {
+            executiveSummary: { status: 'completed', sectionId: 's1' },
+            marketAnalysis: { status: 'failed', error: 'timeout', attempts: 2 },
+            riskAssessment: { status: 'pending' }
+          }
+        }
+      });
+
+      expect(summary.total).toBe(3);
+      expect(summary.completed.map(s => s.type)).toEqual(['executiveSummary']);
+      expect(summary.failed).toEqual([
+        expect.objectContaining({ type: 'marketAnalysis', error: 'timeout', attempts: 2 })
+      ]);
+      expect(summary.pending).toEqual([{ type: 'riskAssessment' }]);
+    });
+  });
+
+  describe('checkGenerationStatus', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      queueService.getJobStatus.mockReset();
+      queueService.getQueuePosition.mockReset();
+    });
+
+    it('should give the queue position of a job waiting to be retried, whatever the report status', async () => {
+      jest.spyOn(enhancedReportService, 'getReportById')
+        .mockResolvedValue({ _id: 'report-1', status: 'generating', generationJobId: 'job-1', sections: [] });
+      queueService.getJobStatus.mockReturnValue({ status: 'retrying', progress: 0, metadata: {} });
+      const queue = { position: 2, jobsAhead: 1, paused: false, estimatedWaitSeconds: 60 };
+      queueService.getQueuePosition.mockReturnValue(queue);
+
+      const status = await enhancedReportService.checkGenerationStatus('report-1', 'user-1');
+
+      expect(queueService.getQueuePosition).toHaveBeenCalledWith('job-1');
+      expect(status).toMatchObject({ status: 'generating', active: true, queue });
+    });
+
+    it('should give no queue position once the job is running', async () => {
+      jest.spyOn(enhancedReportService, 'getReportById')
+        .mockResolvedValue({ _id: 'report-1', status: 'queued', generationJobId: 'job-1', sections: [] });
+      queueService.getJobStatus.mockReturnValue({ status: 'processing', progress: 20, metadata: {} });
+
+      const status = await enhancedReportService.checkGenerationStatus('report-1', 'user-1');
+
+      expect(queueService.getQueuePosition).not.toHaveBeenCalled();
+      expect(status.queue).toBeNull();
+    });
+  });
+
+  describe('subscribeToGenerationEvents', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should translate job updates into generation events', async () => {
+      jest.spyOn(enhancedReportService, 'checkGenerationStatus')
+        .mockResolvedValue({ reportId: 'report-1', jobId: 'job-1', status: 'in_progress', active: true, progress: 10 });
+
+      let listener;
+      const unsubscribe = jest.fn();
+      queueService.subscribeToJobUpdates.mockImplementation((jobId, callback) => {
+        listener = callback;
+        return unsubscribe;
+      });
+
+      const events = [];
+      const result = await enhancedReportService.subscribeToGenerationEvents(
+        'report-1',
+        'user-1',
+        (event, payload) => events.push({ event, payload })
+      );
+
+      listener(
+        { status: 'processing', progress: 40, metadata: {} },
+        { message: 'Market Analysis generated', sectionType: 'marketAnalysis', sectionStatus: 'completed' }
+      );
+      listener(
+        { status: 'retrying', progress: 0, metadata: {} },
+        { error: 'timeout', attempts: 1, maxAttempts: 2 }
+      );
+      listener({ status: 'completed', progress: 100, metadata: {} }, {});
+
+      expect(result).toBe(unsubscribe);
+      expect(queueService.subscribeToJobUpdates).toHaveBeenCalledWith('job-1', expect.any(Function));
+      expect(events.map(e => e.event)).toEqual(['status', 'section', 'progress', 'retry', 'completed']);
+      expect(events[1].payload).toMatchObject({
+        sectionType: 'marketAnalysis',
+        title: 'Market Analysis',
+        sectionStatus: 'completed'
+      });
+      expect(events[3].payload).toMatchObject({ error: 'timeout', attempts: 1, maxAttempts: 2 });
+    });
+
+    it('should only send the current status when no generation is running', async () => {
+      // A report left 'generating' by a job that has since finished
+      jest.spyOn(enhancedReportService, 'checkGenerationStatus')
+        .mockResolvedValue({ reportId: 'report-1', jobId: 'job-1', status: 'generating', active: false, progress: 100 });
+
+      const onEvent = jest.fn();
+      const result = await enhancedReportService.subscribeToGenerationEvents('report-1', 'user-1', onEvent);
+
+      expect(result).toBeNull();
+      expect(queueService.subscribeToJobUpdates).not.toHaveBeenCalled();
+      expect(onEvent).toHaveBeenCalledTimes(1);
+      expect(onEvent).toHaveBeenCalledWith('status', expect.objectContaining({ active: false }));
+    });
+
+    it('should report a generation as active from its job, not the report status', async () => {
+      jest.spyOn(enhancedReportService, 'getReportById').mockResolvedValue({
+        _id: 'report-1',
+        status: 'in_progress',
+        generationJobId: 'job-1',
+        sections: [{ id: 's1', type: 'executiveSummary' }]
+      });
+      queueService.getJobStatus.mockReturnValue(null);
+      const getJob = jest.spyOn(jobStoreService, 'getJob').mockResolvedValue({ id: 'job-1', status: 'processing' });
+
+      const status = await enhancedReportService.checkGenerationStatus('report-1', 'user-1');
+
+      expect(getJob).toHaveBeenCalledWith('job-1');
+      expect(status).toMatchObject({ status: 'in_progress', active: true, completedSections: 1 });
+
+      getJob.mockResolvedValue({ id: 'job-1', status: 'completed' });
+      expect((await enhancedReportService.checkGenerationStatus('report-1', 'user-1')).active).toBe(false);
+    });
+  });
+
+  describe('generateReportSection budgets', () => {
+    let report;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+
+      report = {
+        _id: 'report-1',
+        userId: 'user-1',
+        status: 'in_progress',
+        generationInput: { organizationId: 'org-1' },
+        sections: []
+      };
+      jest.spyOn(enhancedReportService, 'getReportById').mockImplementation(async () => report);
+      jest.spyOn(enhancedReportService, 'updateReport').mockImplementation(async () => report);
+      openaiService.generateReportSection.mockResolvedValue({
+        content: 'Section text',
+        metadata: { tokensUsed: 10 }
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should attribute the call to the report, user and organization', async () => {
+      await enhancedReportService.generateReportSection('report-1', 'user-1', 'marketAnalysis', {});
+
+      expect(usageService.checkBudget).toHaveBeenCalledWith('user-1', 'org-1');
+      expect(openaiService.generateReportSection).toHaveBeenCalledWith(
+        'marketAnalysis', {}, {},
+        expect.objectContaining({ reportId: 'report-1', userId: 'user-1', organizationId: 'org-1', downgrade: false })
+      );
+    });
+
+    it('should use a cheaper model when the budget says downgrade', async () => {
+      usageService.checkBudget.mockResolvedValueOnce({ action: 'downgrade', exceeded: [{}], downgradeProvider: 'local' });
+
+      await enhancedReportService.generateReportSection('report-1', 'user-1', 'marketAnalysis', {});
+
+      expect(openaiService.generateReportSection).toHaveBeenCalledWith(
+        'marketAnalysis', {}, {},
+        expect.objectContaining({ downgrade: true, provider: 'local' })
+      );
+    });
+
+    it('should not call the LLM when the budget blocks generation', async () => {
+      usageService.checkBudget.mockResolvedValueOnce({ action: 'block', exceeded: [{ scope: 'user' }] });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(enhancedReportService.generateReportSection('report-1', 'user-1', 'marketAnalysis', {}))
+        .rejects.toMatchObject({ name: 'BudgetExceededError', retryable: false });
+      expect(openaiService.generateReportSection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('structured sections', () => {
+    let report;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+
+      report = { _id: 'report-1', userId: 'user-1', status: 'in_progress', sections: [], customization: {} };
+      jest.spyOn(enhancedReportService, 'getReportById').mockImplementation(async () => report);
+      jest.spyOn(enhancedReportService, 'updateReport').mockImplementation(async () => report);
+      openaiService.generateReportSection.mockResolvedValue({
+        content: 'Risk text',
+        structured: {
+          keyMetrics: [{ name: 'Customer Concentration', value: 40, unit: '%' }],
+          risks: [{ title: 'Key customer loss', severity: 'critical', mitigation: 'Diversify' }]
+        },
+        metadata: { tokensUsed: 10 }
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should pass the report analysis style to generation', async () => {
+      report.customization.analysisStyle = 'conservative';
+
+      await enhancedReportService.generateReportSection('report-1', 'user-1', 'riskAssessment', {});
+
+      expect(openaiService.generateReportSection.mock.calls[0][3]).toMatchObject({ style: 'conservative' });
+    });
+
+    it('should follow the report setting unless the request overrides it', async () => {
+      report.customization.structuredOutput = true;
+
+      await enhancedReportService.generateReportSection('report-1', 'user-1', 'riskAssessment', {});
+      await enhancedReportService.generateReportSection('report-1', 'user-1', 'riskAssessment', {}, { structured: false });
+
+      expect(openaiService.generateReportSection.mock.calls[0][3]).toMatchObject({ structured: true });
+      expect(openaiService.generateReportSection.mock.calls[1][3]).toMatchObject({ structured: false });
+    });
+
+    it('should store structured fields and chart what the model wrote', async () => {
+      const section = await enhancedReportService.generateReportSection('report-1', 'user-1', 'riskAssessment', {
+        risk: { factors: [{ factor: 'Input risk', severity: 'Low' }] }
+      });
+
+      expect(section.structured.risks).toHaveLength(1);
+      expect(section.data.charts.riskFactors.data).toEqual([
+        { name: 'Key customer loss', value: 90, description: 'Diversify', severity: 'critical' }
+      ]);
+      expect(section.data.metrics).toContainEqual(expect.objectContaining({
+        name: 'Customer Concentration', value: '40%', type: 'percentage'
+      }));
+    });
+
+    it('should keep ratios computed from statements over the model figures', () => {
+      const data = enhancedReportService.extractFinancialVisualizationData({
+        financials: { growth: { rate: 21, period: 'CAGR' } },
+        financialRatios: computeFinancialRatios({
+          periods: [
+            { label: 'FY2022', incomeStatement: { revenue: 10000000, netIncome: 500000 } },
+            { label: 'FY2023', incomeStatement: { revenue: 12500000, netIncome: 1250000 } }
+          ]
+        })
+      });
+      const merged = enhancedReportService.mergeStructuredVisualizationData(data, {
+        keyMetrics: [{ name: 'Net Margin', value: 12, unit: '%' }]
+      });
+
+      expect(merged.metrics.find(metric => metric.name === 'Revenue growth')).toMatchObject({ value: '25.0%' });
+      expect(merged.metrics.filter(metric => metric.name.toLowerCase() === 'net margin')).toEqual([{
+        name: 'Net margin',
+        value: '10.0%',
+        type: 'percentage',
+        description: 'FY2023; +5.0 pts vs FY2022',
+        computed: true
+      }]);
+    });
+
+    it('should chart and keep the projection model output', () => {
+      const projections = projectionService.project({ financials: { revenue: { value: 10000000 } } }, {
+        years: 2,
+        revenueGrowth: 10,
+        ebitdaMargin: 20
+      });
+      const data = enhancedReportService.mergeStructuredVisualizationData(
+        enhancedReportService.extractFinancialProjectionsVisualizationData({ projections }),
+        { keyMetrics: [{ name: '2-Year CAGR', value: 35, unit: '%' }] }
+      );
+
+      expect(data.projection).toBe(projections);
+      expect(data.charts.revenueProjection.data.map(point => point.value)).toEqual([10000000, 11000000, 12100000]);
+      expect(data.charts.revenueScenarios.data.map(point => point.name)).toEqual(['Downside', 'Base', 'Upside']);
+      expect(data.metrics.filter(metric => metric.name === '2-Year CAGR')).toEqual([
+        expect.objectContaining({ value: '10%', computed: true })
+      ]);
+      expect(data.metrics).toContainEqual(expect.objectContaining({ name: 'Year 2 Revenue', value: '$12.1M' }));
+    });
+
+    it('should show no projections without a model', () => {
+      expect(enhancedReportService.extractFinancialProjectionsVisualizationData({})).toEqual({ metrics: [], charts: {} });
+    });
+
+    it('should only chart the competitive figures that were reported', () => {
+      const data = enhancedReportService.extractCompetitiveVisualizationData({
+        company: { name: 'Acme' },
+        market: {
+          competitors: [
+            { name: 'Globex', marketShare: 30, pricingScore: 70, qualityScore: 60 },
+            { name: 'Initech' }
+          ]
+        }
+      });
+
+      expect(data.charts.marketShare.data).toEqual([{ name: 'Globex', value: 30 }]);
+      expect(data.charts.positioningMatrix.data).toEqual([{ name: 'Globex', x: 70, y: 60 }]);
+      expect(data.metrics).toEqual([expect.objectContaining({ name: 'Named Competitors', value: 2 })]);
+
+      const unreported = enhancedReportService.extractCompetitiveVisualizationData({
+        market: { competitors: [{ name: 'Initech' }] }
+      });
+      expect(unreported.charts).toEqual({});
+    });
+  });
+
+  describe('section quality', () => {
+    let report;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+
+      report = { _id: 'report-1', userId: 'user-1', status: 'in_progress', sections: [], customization: {} };
+      jest.spyOn(enhancedReportService, 'getReportById').mockImplementation(async () => report);
+      jest.spyOn(enhancedReportService, 'updateReport').mockImplementation(async () => report);
+      openaiService.generateReportSection.mockResolvedValue({
+        content: 'Operational risk is high.',
+        metadata: { tokensUsed: 10, provider: 'mock' }
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should store the rubric score and issues without revising by default', async () => {
+      const section = await enhancedReportService.generateReportSection('report-1', 'user-1', 'riskAssessment', {});
+
+      expect(openaiService.generateContent).not.toHaveBeenCalled();
+      expect(section.content).toBe('Operational risk is high.');
+      expect(section.quality).toMatchObject({
+        passed: false,
+        rubricVersion: '1.0.0',
+        iterations: 0,
+        improved: false,
+        issues: expect.arrayContaining(['Cites 0 figures; at least 1 expected'])
+      });
+      expect(section.quality.score).toBeLessThan(7);
+    });
+
+    it('should revise failing sections when the report opts in', async () => {
+      report.customization.qualityLoop = true;
+      openaiService.generateContent.mockResolvedValue({ content: 'Operational risk is high; 3 of 40 customers drive 60% of revenue.' });
+
+      const section = await enhancedReportService.generateReportSection('report-1', 'user-1', 'riskAssessment', {});
+
+      expect(openaiService.generateContent).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+        provider: 'mock',
+        usageContext: expect.objectContaining({ reportId: 'report-1', userId: 'user-1', operation: 'contentImprovement' })
+      }));
+      expect(section.content).toMatch(/60% of revenue/);
+      expect(section.quality).toMatchObject({ improved: true, iterations: expect.any(Number) });
+    });
+
+    it('should check the budget before each revision and record its tokens and model', async () => {
+      report.customization.qualityLoop = true;
+      usageService.checkBudget
+        .mockResolvedValueOnce({ action: 'allow', exceeded: [], downgradeProvider: null })
+        .mockResolvedValueOnce({ action: 'downgrade', exceeded: [], downgradeProvider: null })
+        .mockResolvedValueOnce({ action: 'block', exceeded: ['user'], downgradeProvider: null });
+      openaiService.generateContent.mockResolvedValueOnce({
+        content: 'Operational risk is high for 3 reasons.',
+        usage: { total_tokens: 40 },
+        model: 'gpt-3.5-turbo',
+        provider: 'mock'
+      });
+
+      const section = await enhancedReportService.generateReportSection('report-1', 'user-1', 'riskAssessment', {});
+
+      expect(usageService.checkBudget).toHaveBeenCalledTimes(3);
+      expect(openaiService.generateContent).toHaveBeenCalledTimes(1);
+      expect(openaiService.generateContent).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ downgrade: true }));
+      expect(section.quality).toMatchObject({ iterations: 1, stoppedReason: 'budget' });
+      expect(section.metadata).toMatchObject({
+        tokensUsed: 10,
+        totalTokensUsed: 50,
+        qualityImprovement: { rounds: 1, applied: true, tokensUsed: 40, models: ['gpt-3.5-turbo'], providers: ['mock'] }
+      });
+    });
+
+    it('should lint the section against the company data and template headings', async () => {
+      openaiService.generateReportSection.mockResolvedValue({
+        content: '## Risks\nRevenue of $40M depends on [Company Name].',
+        promptTemplate: 'Include:\n1. Key risks\n2. Mitigation strategies',
+        metadata: { tokensUsed: 10, provider: 'mock' }
+      });
+
+      const section = await enhancedReportService.generateReportSection('report-1', 'user-1', 'riskAssessment', {
+        financials: { revenue: { value: 24000000, currency: 'USD', display: '$24.0M' } }
+      });
+
+      expect(section.lint.annotations.map(item => item.rule)).toEqual(['data-mismatch', 'placeholder', 'missing-heading']);
+      expect(section.lint.counts).toEqual({ error: 2, warning: 1, info: 0 });
+      expect(section.lint.requiredHeadings).toEqual(['Key risks', 'Mitigation strategies']);
+    });
+  });
+
+  describe('addReportFeedback', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should record the prompt version and experiment arm of the rated section', async () => {
+      const report = {
+        _id: 'report-1',
+        userId: 'user-1',
+        sections: [{
+          id: 'section-1',
+          type: 'executiveSummary',
+          metadata: {
+            promptVersionId: '2.1.0',
+            promptVariant: 'standard',
+            promptTemplateId: 'tpl-1',
+            experiment: { experimentId: 'exp-1', arm: 'B' }
+          }
+        }]
+      };
+      const collection = { updateOne: jest.fn(async () => ({ matchedCount: 1 })) };
+      jest.spyOn(enhancedReportService, 'getReportById').mockResolvedValue(report);
+      jest.spyOn(enhancedReportService, 'ensureInitialized').mockResolvedValue(collection);
+
+      await enhancedReportService.addReportFeedback('60d21b4667d0d8992e610c86', 'user-1', { rating: 4, sectionId: 'section-1' });
+      await enhancedReportService.addReportFeedback('60d21b4667d0d8992e610c86', 'user-1', { rating: 3 });
+
+      expect(collection.updateOne.mock.calls[0][1].$push.feedback.prompt).toEqual({
+        sectionType: 'executiveSummary',
+        promptVersionId: '2.1.0',
+        promptVariant: 'standard',
+        promptTemplateId: 'tpl-1',
+        experimentId: 'exp-1',
+        arm: 'B'
+      });
+      expect(collection.updateOne.mock.calls[1][1].$push.feedback.prompt).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,165 @@
+// tests/services/experimentService.test.js
+jest.mock('../../config/db');
+
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../../config/db');
+const experimentService = require('../../services/experimentService');
+const promptTemplateService = require('../../services/promptTemplateService');
+
+describe('ExperimentService', () => {
+  const treatmentId = new ObjectId();
+  const treatment = {
+    _id: treatmentId,
+    sectionType: 'executiveSummary',
+    variant: 'standard',
+    version: '2.1.0',
+    status: 'draft',
+    systemPrompt: 'You are a concise analyst.',
+    template: 'Summarize {companyName}:\n{companyData}'
+  };
+  let experiments;
+  let reports;
+
+  beforeEach(() => {
+    experiments = {
+      docs: [],
+      find: jest.fn(query => ({
+        toArray: async () => experiments.docs.filter(doc => !query.status || doc.status === query.status)
+      })),
+      findOne: jest.fn(async query => experiments.docs.find(doc =>
+        (query._id ? doc._id.equals(query._id) : doc.sectionType === query.sectionType && doc.status === query.status)) || null),
+      insertOne: jest.fn(async doc => {
+        const _id = new ObjectId();
+        experiments.docs.push({ ...doc, _id });
+        return { insertedId: _id };
+      }),
+      updateOne: jest.fn(async (query, { $set }) => {
+        Object.assign(experiments.docs.find(doc => doc._id.equals(query._id)), $set);
+      })
+    };
+    reports = { find: jest.fn(() => ({ toArray: async () => [] })) };
+    getCollection.mockImplementation(async name => (name === 'reports' ? reports : experiments));
+
+    jest.spyOn(promptTemplateService, 'getTemplate').mockImplementation(async id => {
+      if (String(id) !== treatmentId.toString()) {
+        throw promptTemplateService.createTemplateError('Prompt template not found', 404);
+      }
+      return treatment;
+    });
+  });
+
+  afterEach(() => {
+    experimentService.running = [];
+    jest.restoreAllMocks();
+  });
+
+  const start = () => experimentService.createExperiment({
+    name: 'Shorter summary',
+    sectionType: 'executiveSummary',
+    variant: 'standard',
+    arms: [{}, { templateId: treatmentId.toString() }]
+  }, 'admin-1');
+
+  describe('createExperiment', () => {
+    it('should start an experiment and load its arm templates', async () => {
+      const experiment = await start();
+
+      expect(experiment.arms).toEqual([
+        { id: 'A', templateId: null, version: null, weight: 1 },
+        { id: 'B', templateId: treatmentId.toString(), version: '2.1.0', weight: 1 }
+      ]);
+      expect(experimentService.running[0].arms[1].template).toMatchObject({ version: '2.1.0', templateId: treatmentId.toString() });
+    });
+
+    it('should reject invalid arms and a second experiment on the same template', async () => {
+      await expect(experimentService.createExperiment({ name: 'One arm', sectionType: 'executiveSummary', arms: [{}] }, 'admin-1'))
+        .rejects.toMatchObject({ name: 'ExperimentError', status: 400 });
+      await expect(experimentService.createExperiment({
+        name: 'Wrong section',
+        sectionType: 'marketAnalysis',
+        arms: [{}, { templateId: treatmentId.toString() }]
+      }, 'admin-1')).rejects.toMatchObject({ status: 400 });
+
+      await start();
+      await expect(start()).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('assign', () => {
+    it('should keep a report in one arm and split reports by weight', async () => {
+      await start();
+
+      const arms = Array.from({ length: 400 }, (_, index) =>
+        experimentService.assign('executiveSummary', 'standard', `report-${index}`).arm);
+
+      expect(experimentService.assign('executiveSummary', 'standard', 'report-7').arm).toBe(arms[7]);
+      expect(arms.filter(arm => arm === 'B').length).toBeGreaterThan(150);
+      expect(arms.filter(arm => arm === 'B').length).toBeLessThan(250);
+    });
+
+    it('should only assign the experiment section and variant', async () => {
+      await start();
+
+      expect(experimentService.assign('executiveSummary', 'technology', 'report-1')).toBeNull();
+      expect(experimentService.assign('marketAnalysis', 'builtin', 'report-1')).toBeNull();
+      expect(experimentService.assign('executiveSummary', 'standard', 'report-1'))
+        .toMatchObject({ experimentId: expect.any(String), arm: expect.stringMatching(/^[AB]$/) });
+    });
+  });
+
+  describe('getResults', () => {
+    it('should compare ratings, quality and cost per arm', async () => {
+      const experiment = await start();
+      const experimentId = experiment._id.toString();
+      const section = (arm, score, tokens) => ({
+        type: 'executiveSummary',
+        quality: { score },
+        metadata: {
+          provider: 'openai',
+          model: 'gpt-4-turbo',
+          tokensUsed: tokens,
+          promptTokens: tokens / 2,
+          completionTokens: tokens / 2,
+          experiment: { experimentId, arm }
+        }
+      });
+      const rating = (arm, value) => ({ rating: value, prompt: { experimentId, arm } });
+
+      reports.find.mockReturnValue({
+        toArray: async () => [
+          { sections: [section('A', 6, 1000)], feedback: [rating('A', 2), rating('A', 3), rating('A', 2)] },
+          { sections: [section('A', 7, 1200)], feedback: [rating('A', 3)] },
+          { sections: [section('B', 9, 800)], feedback: [rating('B', 5), rating('B', 4), rating('B', 5)] },
+          { sections: [section('B', 8, 900)], feedback: [rating('B', 5), { rating: 1 }] }
+        ]
+      });
+
+      const results = await experimentService.getResults(experimentId);
+
+      expect(results.arms.map(arm => [arm.id, arm.sections, arm.ratings.count, arm.ratings.mean]))
+        .toEqual([['A', 2, 4, 2.5], ['B', 2, 4, 4.75]]);
+      expect(results.arms[1].cost.mean).toBeCloseTo(0.017, 6);
+      expect(results.comparisons).toHaveLength(1);
+      expect(results.comparisons[0]).toMatchObject({
+        arm: 'B',
+        against: 'A',
+        ratings: { difference: 2.25, significant: true },
+        quality: { difference: 2 }
+      });
+    });
+  });
+
+  describe('stopExperiment', () => {
+    it('should stop the experiment and publish the promoted arm', async () => {
+      const experiment = await start();
+      const publish = jest.spyOn(promptTemplateService, 'publishTemplate').mockResolvedValue({});
+
+      const stopped = await experimentService.stopExperiment(experiment._id.toString(), 'admin-1', 'B');
+
+      expect(publish).toHaveBeenCalledWith(treatmentId.toString(), 'admin-1');
+      expect(stopped).toMatchObject({ status: 'stopped', promotedArm: 'B' });
+      expect(experimentService.running).toEqual([]);
+      expect(experimentService.assign('executiveSummary', 'standard', 'report-1')).toBeNull();
+    });
+  });
+});
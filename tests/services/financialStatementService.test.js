@@ -0,0 +1,149 @@
+// tests/services/financialStatementService.test.js
+const financialStatementService = require('../../services/financialStatementService');
+
+const statementsCsv = [
+  'Acme Inc. (USD in thousands)',
+  'Income Statement,FY2022,FY2023',
+  'Revenue,"10,000","12,500"',
+  'Cost of revenue,(4000),(5000)',
+  'Gross profit,6000,7500',
+  'Net income (loss),800,"1,250"',
+  'Employee perks,1,2',
+  '',
+  'Balance Sheet',
+  'Cash and cash equivalents,2000,3000',
+  'Total assets,20000,25000',
+  'Total liabilities,12000,14000',
+  "Total shareholders' equity,8000,11000",
+  '',
+  'Cash Flow Statement,FY2022,FY2023',
+  'Net cash provided by operating activities,1500,2000',
+  'Capital expenditures,(500),(600)',
+  'Free cash flow,1000,-'
+].join('\n');
+
+describe('FinancialStatementService', () => {
+  describe('parse', () => {
+    it('should parse a multi-statement CSV into periods', () => {
+      const statements = financialStatementService.parse(statementsCsv, { fileName: 'acme.csv' });
+
+      expect(statements.currency).toBe('USD');
+      expect(statements.periods.map(period => period.label)).toEqual(['FY2022', 'FY2023']);
+      expect(statements.periods[1]).toMatchObject({
+        year: 2023,
+        incomeStatement: { revenue: 12500000, costOfRevenue: -5000000, grossProfit: 7500000, netIncome: 1250000 },
+        balanceSheet: { cash: 3000000, totalAssets: 25000000, totalLiabilities: 14000000, totalEquity: 11000000 },
+        cashFlow: { operatingCashFlow: 2000000, capitalExpenditures: -600000 }
+      });
+      expect(statements.periods[1].cashFlow.freeCashFlow).toBeUndefined();
+      expect(statements.source).toMatchObject({ fileName: 'acme.csv', format: 'csv' });
+      expect(statements.validation).toEqual({
+        valid: true,
+        errors: [],
+        warnings: ['Unrecognized line items were ignored: Employee perks']
+      });
+    });
+
+    it('should reject a balance sheet that does not balance', () => {
+      const statements = financialStatementService.parse(statementsCsv.replace('8000,11000', '8000,10000'));
+
+      expect(statements.validation.valid).toBe(false);
+      expect(statements.validation.errors).toEqual([
+        'FY2023: balance sheet does not balance; total assets $25.0M but liabilities + equity $24.0M'
+      ]);
+    });
+
+    it('should check subtotals and warn when the balance sheet cannot be checked', () => {
+      const statements = financialStatementService.parse([
+        'Line item,2023',
+        'Revenue,100',
+        'COGS,40',
+        'Gross profit,70',
+        'Total assets,500'
+      ].join('\n'));
+
+      expect(statements.validation.valid).toBe(true);
+      expect(statements.validation.warnings).toEqual([
+        '2023: cannot check that the balance sheet balances without total assets, total liabilities and total equity',
+        '2023: gross profit $70 is not revenue less cost of revenue'
+      ]);
+    });
+
+    it('should fail without period columns', () => {
+      const statements = financialStatementService.parse('Revenue,100\nNet income,10');
+
+      expect(statements.validation.valid).toBe(false);
+      expect(statements.validation.errors[0]).toMatch(/^No reporting periods found/);
+    });
+
+    it('should reject uploads that are neither CSV nor XLSX', () => {
+      expect(() => financialStatementService.parse({ companies: [] })).toThrow(expect.objectContaining({
+        name: 'FinancialStatementError',
+        status: 400
+      }));
+    });
+  });
+
+  describe('parseSheets', () => {
+    it('should take the statement from the worksheet name and honour currency and unit options', () => {
+      const statements = financialStatementService.parseSheets([
+        { name: 'P&L', rows: [['', 'FY2023', 'LTM'], ['Net sales', '12', '13']] },
+        { name: 'Balance sheet', rows: [['', 'FY2023'], ['Cash', '4']] }
+      ], { currency: 'EUR', unit: 1000000 });
+
+      expect(statements.currency).toBe('EUR');
+      expect(statements.periods).toEqual([
+        expect.objectContaining({ label: 'FY2023', incomeStatement: { revenue: 12000000 }, balanceSheet: { cash: 4000000 } }),
+        expect.objectContaining({ label: 'LTM', year: null, incomeStatement: { revenue: 13000000 } })
+      ]);
+    });
+
+    it('should read Excel date headers in XLSX files only', () => {
+      const rows = [['Line item', '45291'], ['Revenue', '100']];
+
+      expect(financialStatementService.parseSheets([{ name: null, rows }], { format: 'xlsx' }).periods[0])
+        .toMatchObject({ label: '2023-12-31', year: 2023, endDate: '2023-12-31' });
+      expect(financialStatementService.parseSheets([{ name: null, rows }], { format: 'csv' }).periods).toEqual([]);
+    });
+  });
+
+  describe('toCompanyInputs', () => {
+    it('should derive company data inputs from the latest period', () => {
+      const statements = financialStatementService.parse(statementsCsv);
+
+      expect(financialStatementService.toCompanyInputs(statements)).toEqual({
+        period: 'FY2023',
+        fields: {
+          revenue: { value: 12500000, currency: 'USD', display: '$12.5M (FY2023)' },
+          profitability: '10.0% net margin (FY2023)',
+          revenueHistory: [{ year: 2022, value: 10000000 }, { year: 2023, value: 12500000 }],
+          cashPosition: '$3.0M (FY2023)'
+        }
+      });
+    });
+
+    it('should return null without statements', () => {
+      expect(financialStatementService.toCompanyInputs(undefined)).toBeNull();
+    });
+  });
+
+  describe('formatForPrompt', () => {
+    it('should render a table per statement', () => {
+      const table = financialStatementService.formatForPrompt(financialStatementService.parse(statementsCsv));
+
+      expect(table).toContain('Line item | FY2022 | FY2023');
+      expect(table).toContain('Income statement\nrevenue | $10.0M | $12.5M');
+      expect(table).toContain('freeCashFlow | $1.0M | –');
+    });
+
+    it('should leave out statements a period does not have', () => {
+      const table = financialStatementService.formatForPrompt({
+        currency: 'USD',
+        periods: [{ label: 'FY2023', incomeStatement: { revenue: 12500000 } }]
+      });
+
+      expect(table).toContain('revenue | $12.5M');
+      expect(table).not.toContain('Balance sheet');
+    });
+  });
+});
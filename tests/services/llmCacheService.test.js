@@ -0,0 +1,158 @@
+// tests/services/llmCacheService.test.js
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const llmCacheService = require('../../services/llmCacheService');
+
+const request = (prompt, overrides = {}) => ({
+  prompt,
+  systemPrompt: 'You are an analyst.',
+  model: 'gpt-4-turbo',
+  temperature: 0.3,
+  maxTokens: 1000,
+  ...overrides
+});
+
+const response = (content) => ({
+  content,
+  usage: { total_tokens: 10 },
+  model: 'gpt-4-turbo',
+  provider: 'openai'
+});
+
+describe('LLMCacheService', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.LLM_CACHE_BACKEND = 'memory';
+    llmCacheService.loadConfig();
+    llmCacheService.backend = null;
+    llmCacheService.resetMetrics();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    llmCacheService.loadConfig();
+    llmCacheService.backend = null;
+  });
+
+  describe('buildKey', () => {
+    it('should hash the full prompt so shared prefixes do not collide', () => {
+      const prefix = 'Generate a comprehensive executive summary for an underwriting report on '.repeat(3);
+
+      const acme = llmCacheService.buildKey('openai', request(`${prefix} Acme`));
+      const globex = llmCacheService.buildKey('openai', request(`${prefix} Globex`));
+
+      expect(acme).toMatch(/^[0-9a-f]{64}$/);
+      expect(acme).not.toBe(globex);
+      expect(llmCacheService.buildKey('openai', request(`${prefix} Acme`))).toBe(acme);
+    });
+
+    it('should include the provider, model and parameters', () => {
+      const key = llmCacheService.buildKey('openai', request('Prompt'));
+
+      expect(llmCacheService.buildKey('anthropic', request('Prompt'))).not.toBe(key);
+      expect(llmCacheService.buildKey('openai', request('Prompt', { model: 'gpt-4o' }))).not.toBe(key);
+      expect(llmCacheService.buildKey('openai', request('Prompt', { temperature: 0.7 }))).not.toBe(key);
+      expect(llmCacheService.buildKey('openai', request('Prompt', { responseFormat: 'json' }))).not.toBe(key);
+    });
+  });
+
+  it('should count hits and misses', async () => {
+    const key = llmCacheService.buildKey('openai', request('Prompt'));
+
+    expect(await llmCacheService.get(key)).toBeNull();
+    await llmCacheService.set(key, response('Cached text'));
+    expect(await llmCacheService.get(key)).toMatchObject({ content: 'Cached text' });
+
+    const stats = await llmCacheService.getStats();
+    expect(stats).toMatchObject({ backend: 'memory', hits: 1, misses: 1, writes: 1, entries: 1, hitRate: 0.5 });
+    expect(stats.sizeBytes).toBeGreaterThan(0);
+  });
+
+  it('should not return expired entries', async () => {
+    llmCacheService.ttl = -1;
+    const key = llmCacheService.buildKey('openai', request('Prompt'));
+
+    await llmCacheService.set(key, response('Stale'));
+
+    expect(await llmCacheService.get(key)).toBeNull();
+    expect(await llmCacheService.purgeExpired()).toBe(1);
+  });
+
+  it('should evict the least recently used entries beyond the size limits', async () => {
+    llmCacheService.maxEntries = 2;
+    const keys = ['a', 'b', 'c'].map(prompt => llmCacheService.buildKey('openai', request(prompt)));
+
+    await llmCacheService.set(keys[0], response('A'));
+    await llmCacheService.set(keys[1], response('B'));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await llmCacheService.get(keys[0]);
+    await llmCacheService.set(keys[2], response('C'));
+
+    expect(await llmCacheService.get(keys[1])).toBeNull();
+    expect(await llmCacheService.get(keys[0])).not.toBeNull();
+    expect(llmCacheService.metrics.evictions).toBe(1);
+
+    llmCacheService.maxBytes = 1;
+    await llmCacheService.set(keys[1], response('B'));
+    expect((await llmCacheService.getStats()).entries).toBe(0);
+  });
+
+  it('should purge by report and by template version', async () => {
+    const summary = llmCacheService.buildKey('openai', request('Summary'));
+    const market = llmCacheService.buildKey('openai', request('Market'));
+
+    await llmCacheService.set(summary, response('S'), { reportId: 'r1', sectionType: 'executiveSummary', templateVersion: '2.0.0' });
+    await llmCacheService.set(market, response('M'), { reportId: 'r1', sectionType: 'marketAnalysis', templateVersion: '1.0.0' });
+    // A hit from another report tags the shared entry with it too
+    await llmCacheService.get(summary, { reportId: 'r2' });
+
+    expect(await llmCacheService.purge({ templateVersion: '1.0.0' })).toBe(1);
+    expect(await llmCacheService.purge({ reportId: 'r2' })).toBe(1);
+    expect((await llmCacheService.getStats()).entries).toBe(0);
+  });
+
+  it('should keep entries on disk with the file backend', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+    process.env.LLM_CACHE_BACKEND = 'file';
+    process.env.LLM_CACHE_DIR = dir;
+    llmCacheService.loadConfig();
+    const key = llmCacheService.buildKey('openai', request('Prompt'));
+
+    await llmCacheService.set(key, response('Durable'));
+    await llmCacheService.flush();
+    llmCacheService.backend = null;
+
+    expect(await llmCacheService.get(key)).toMatchObject({ content: 'Durable' });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should batch file writes until the next flush', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+    process.env.LLM_CACHE_BACKEND = 'file';
+    process.env.LLM_CACHE_DIR = dir;
+    llmCacheService.loadConfig();
+    const cacheFile = path.join(dir, 'llm-cache.json');
+    const key = llmCacheService.buildKey('openai', request('Prompt'));
+
+    await llmCacheService.set(key, response('Batched'));
+    await llmCacheService.get(key);
+    expect(fs.existsSync(cacheFile)).toBe(false);
+
+    await llmCacheService.flush();
+    const stored = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+    expect(stored[key]).toMatchObject({ hits: 1, response: { content: 'Batched' } });
+    expect(fs.readdirSync(dir)).toEqual(['llm-cache.json']);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should treat storage failures as misses', async () => {
+    llmCacheService.backend = { get: jest.fn().mockRejectedValue(new Error('disk full')) };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await llmCacheService.get('key')).toBeNull();
+    expect(llmCacheService.metrics.errors).toBe(1);
+    console.error.mockRestore();
+  });
+});
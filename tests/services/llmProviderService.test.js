@@ -0,0 +1,458 @@
+// tests/services/llmProviderService.test.js
+const axios = require('axios');
+const { PassThrough } = require('stream');
+const llmProviderService = require('../../services/llmProviderService');
+const openaiService = require('../../services/openaiService');
+const llmCacheService = require('../../services/llmCacheService');
+const experimentService = require('../../services/experimentService');
+const AzureOpenAIProvider = require('../../services/llmProviders/azureOpenAIProvider');
+const AnthropicProvider = require('../../services/llmProviders/anthropicProvider');
+const MockProvider = require('../../services/llmProviders/mockProvider');
+const OpenAIProvider = require('../../services/llmProviders/openaiProvider');
+const { countTokens, countChatTokens } = require('../../utils/tokenizer');
+
+jest.mock('axios');
+jest.mock('../../services/usageService', () => ({
+  recordUsage: jest.fn(async () => null)
+}));
+
+const mockHttpClient = (data) => ({
+  post: jest.fn().mockResolvedValue({ data }),
+  interceptors: { response: { use: jest.fn() } }
+});
+
+// A response body that delivers Server-Sent Events in awkwardly split chunks
+const eventStream = (events) => {
+  const body = events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+  const stream = new PassThrough();
+  setImmediate(() => {
+    for (let i = 0; i < body.length; i += 7) {
+      stream.write(body.slice(i, i + 7));
+    }
+    stream.end();
+  });
+  return stream;
+};
+
+describe('LLMProviderService', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(async () => {
+    process.env = { ...originalEnv };
+    llmProviderService.loadConfig();
+    await llmCacheService.clear();
+  });
+
+  describe('resolveProviderName', () => {
+    beforeEach(() => {
+      process.env.LLM_PROVIDER = 'openai';
+      process.env.LLM_SECTION_PROVIDERS = JSON.stringify({ riskAssessment: 'anthropic' });
+      process.env.LLM_CLIENT_PROVIDERS = JSON.stringify({ 'org-1': 'local' });
+      llmProviderService.loadConfig();
+    });
+
+    it('should route by section type, falling back to the default provider', () => {
+      expect(llmProviderService.resolveProviderName('riskAssessment')).toBe('anthropic');
+      expect(llmProviderService.resolveProviderName('marketAnalysis')).toBe('openai');
+    });
+
+    it('should route a client to its provider regardless of section', () => {
+      expect(llmProviderService.resolveProviderName('riskAssessment', { organizationId: 'org-1' })).toBe('local');
+      expect(llmProviderService.resolveProviderName('riskAssessment', { userId: 'user-9' })).toBe('anthropic');
+    });
+
+    it('should prefer an explicit provider', () => {
+      expect(llmProviderService.resolveProviderName('riskAssessment', { provider: 'mock', organizationId: 'org-1' })).toBe('mock');
+    });
+
+    it('should ignore malformed routing configuration', () => {
+      process.env.LLM_SECTION_PROVIDERS = 'not json';
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      llmProviderService.loadConfig();
+
+      expect(llmProviderService.resolveProviderName('riskAssessment')).toBe('openai');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getProvider', () => {
+    it('should reject unknown providers', () => {
+      expect(() => llmProviderService.getProvider('unknown')).toThrow('Unknown LLM provider: unknown');
+    });
+
+    it('should configure the local provider from the environment', () => {
+      process.env.LOCAL_LLM_BASE_URL = 'http://llm.internal:11434/v1';
+      process.env.LOCAL_LLM_MODEL = 'llama3';
+      llmProviderService.loadConfig();
+
+      const provider = llmProviderService.getProvider('local');
+      expect(provider.name).toBe('local');
+      expect(provider.baseURL).toBe('http://llm.internal:11434/v1');
+      expect(provider.models.primary).toBe('llama3');
+    });
+  });
+
+  describe('providers', () => {
+    it('should produce deterministic output from the mock provider', async () => {
+      const provider = new MockProvider();
+      const request = { prompt: 'Summarize Acme\nMore detail', systemPrompt: 'Analyst', maxTokens: 500 };
+
+      const first = await provider.complete(request);
+      const second = await provider.complete(request);
+
+      expect(first).toEqual(second);
+      expect(first.content).toContain('Summarize Acme');
+      expect(first.usage.total_tokens).toBe(first.usage.prompt_tokens + first.usage.completion_tokens);
+    });
+
+    it('should address Azure deployments by URL', async () => {
+      const client = mockHttpClient({ choices: [{ message: { content: 'Azure text' } }], usage: { total_tokens: 10 } });
+      axios.create.mockReturnValue(client);
+
+      const provider = new AzureOpenAIProvider({
+        endpoint: 'https://acme.openai.azure.com/',
+        apiKey: 'key',
+        models: { primary: 'gpt4-deployment' }
+      });
+      const result = await provider.complete({ prompt: 'Hi', systemPrompt: 'Sys', model: 'gpt4-deployment', maxTokens: 50 });
+
+      expect(axios.create).toHaveBeenCalledWith(expect.objectContaining({
+        baseURL: 'https://acme.openai.azure.com/openai/deployments',
+        headers: expect.objectContaining({ 'api-key': 'key' })
+      }));
+      expect(client.post).toHaveBeenCalledWith(
+        '/gpt4-deployment/chat/completions',
+        expect.not.objectContaining({ model: expect.anything() }),
+        expect.objectContaining({ params: { 'api-version': '2024-02-01' } })
+      );
+      expect(result).toMatchObject({ content: 'Azure text', model: 'gpt4-deployment' });
+    });
+
+    it('should map the Anthropic Messages API to the common response shape', async () => {
+      const client = mockHttpClient({
+        content: [{ type: 'text', text: 'Part one. ' }, { type: 'text', text: 'Part two.' }],
+        usage: { input_tokens: 30, output_tokens: 12 },
+        model: 'claude-3-5-sonnet-latest'
+      });
+      axios.create.mockReturnValue(client);
+
+      const provider = new AnthropicProvider({ apiKey: 'key' });
+      const result = await provider.complete({
+        prompt: 'Analyze',
+        systemPrompt: 'You are an analyst.',
+        model: 'claude-3-5-sonnet-latest',
+        maxTokens: 100,
+        temperature: 0.2
+      });
+
+      expect(client.post).toHaveBeenCalledWith('/messages', expect.objectContaining({
+        system: 'You are an analyst.',
+        messages: [{ role: 'user', content: 'Analyze' }],
+        max_tokens: 100
+      }), expect.anything());
+      expect(result).toEqual({
+        content: 'Part one. Part two.',
+        usage: { prompt_tokens: 30, completion_tokens: 12, total_tokens: 42 },
+        model: 'claude-3-5-sonnet-latest'
+      });
+    });
+  });
+
+  describe('streaming', () => {
+    it('should stream OpenAI chat completion deltas', async () => {
+      const client = mockHttpClient(eventStream([
+        { model: 'gpt-4-turbo', choices: [{ delta: { role: 'assistant' } }] },
+        { choices: [{ delta: { content: 'Revenue grew ' } }] },
+        { choices: [{ delta: { content: '12%.' } }] },
+        { choices: [], usage: { prompt_tokens: 20, completion_tokens: 4, total_tokens: 24 } },
+        '[DONE]'
+      ]));
+      axios.create.mockReturnValue(client);
+
+      const tokens = [];
+      const provider = new OpenAIProvider({ apiKey: 'key' });
+      const result = await provider.stream(
+        { prompt: 'Hi', systemPrompt: 'Sys', model: 'gpt-4-turbo', maxTokens: 50 },
+        { onToken: text => tokens.push(text) }
+      );
+
+      expect(client.post).toHaveBeenCalledWith(
+        '/chat/completions',
+        expect.objectContaining({ stream: true, stream_options: { include_usage: true } }),
+        expect.objectContaining({ responseType: 'stream' })
+      );
+      expect(tokens).toEqual(['Revenue grew ', '12%.']);
+      expect(result).toEqual({
+        content: 'Revenue grew 12%.',
+        usage: { prompt_tokens: 20, completion_tokens: 4, total_tokens: 24 },
+        model: 'gpt-4-turbo'
+      });
+    });
+
+    it('should count tokens with the model tokenizer when a stream reports no usage', async () => {
+      const client = mockHttpClient(eventStream([
+        { model: 'gpt-4o', choices: [{ delta: { content: 'Revenue grew ' } }] },
+        { choices: [{ delta: { content: '12% to $14.2M.' } }] },
+        '[DONE]'
+      ]));
+      axios.create.mockReturnValue(client);
+
+      const provider = new OpenAIProvider({ apiKey: 'key', streamUsage: false });
+      const request = { prompt: 'Summarise the revenue trend.', systemPrompt: 'You are an analyst.', model: 'gpt-4o', maxTokens: 50 };
+      const result = await provider.stream(request);
+
+      const promptTokens = countChatTokens(request.systemPrompt, request.prompt, 'gpt-4o');
+      const completionTokens = countTokens('Revenue grew 12% to $14.2M.', 'gpt-4o');
+      expect(result.usage).toEqual({
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      });
+    });
+
+    it('should stream Anthropic text deltas and usage', async () => {
+      const client = mockHttpClient(eventStream([
+        { type: 'message_start', message: { model: 'claude-3-5-sonnet-latest', usage: { input_tokens: 15 } } },
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Strong ' } },
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: 'margins.' } },
+        { type: 'message_delta', usage: { output_tokens: 3 } },
+        { type: 'message_stop' }
+      ]));
+      axios.create.mockReturnValue(client);
+
+      const tokens = [];
+      const provider = new AnthropicProvider({ apiKey: 'key' });
+      const result = await provider.stream(
+        { prompt: 'Hi', systemPrompt: 'Sys', model: 'claude-3-5-sonnet-latest', maxTokens: 50 },
+        { onToken: text => tokens.push(text) }
+      );
+
+      expect(tokens).toEqual(['Strong ', 'margins.']);
+      expect(result.usage).toEqual({ prompt_tokens: 15, completion_tokens: 3, total_tokens: 18 });
+    });
+
+    it('should stream a section through openaiService and stop when aborted', async () => {
+      const controller = new AbortController();
+      const tokens = [];
+
+      await expect(openaiService.generateReportSection('companyOverview', { company: { name: 'Acme' } }, {}, {
+        provider: 'mock',
+        stream: true,
+        signal: controller.signal,
+        onToken: (text) => {
+          tokens.push(text);
+          if (tokens.length === 3) controller.abort();
+        }
+      })).rejects.toMatchObject({ name: 'AbortError', aborted: true });
+
+      expect(tokens).toHaveLength(3);
+    });
+
+    it('should return the same result streamed as not streamed', async () => {
+      const tokens = [];
+      const streamed = await openaiService.generateContent('Prompt text', {
+        provider: 'mock',
+        stream: true,
+        skipCache: true,
+        onToken: text => tokens.push(text)
+      });
+      const complete = await openaiService.generateContent('Prompt text', { provider: 'mock', skipCache: true });
+
+      expect(tokens.join('')).toBe(streamed.content);
+      expect(streamed.content).toBe(complete.content);
+    });
+  });
+
+  describe('openaiService integration', () => {
+    it('should generate sections with the routed provider and record it', async () => {
+      process.env.LLM_SECTION_PROVIDERS = JSON.stringify({ executiveSummary: 'mock' });
+      llmProviderService.loadConfig();
+
+      const section = await openaiService.generateReportSection('executiveSummary', {
+        company: { name: 'Acme' }
+      });
+
+      expect(section.content).toContain('Generate a');
+      expect(section.metadata).toMatchObject({ provider: 'mock', model: 'mock-model' });
+      expect(section.metadata.tokensUsed).toBeGreaterThan(0);
+    });
+
+    it('should pack company data to fit a small context window', async () => {
+      const provider = new MockProvider({ name: 'small', contextWindow: 2500 });
+      jest.spyOn(provider, 'complete');
+      llmProviderService.registerProvider('small', provider);
+      const companyData = {
+        company: { name: 'Acme', description: 'Industrial robotics', industry: 'Manufacturing' },
+        market: { trends: Array.from({ length: 300 }, (_, i) => `Automation trend number ${i} in factories`) },
+        _metadata: { notes: 'x '.repeat(2000) }
+      };
+
+      const section = await openaiService.generateReportSection('executiveSummary', companyData, {}, { provider: 'small' });
+
+      const { prompt } = provider.complete.mock.calls[0][0];
+      expect(prompt).toContain('Acme');
+      expect(prompt).not.toContain('Automation trend number 299');
+      expect(section.metadata.contextPacking.droppedFields).toContain('_metadata');
+    });
+
+    it('should reject sections whose completion cannot fit the context window', async () => {
+      llmProviderService.registerProvider('tiny', new MockProvider({ name: 'tiny', contextWindow: 500 }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(openaiService.generateReportSection('executiveSummary', { company: { name: 'Acme' } }, {}, { provider: 'tiny' }))
+        .rejects.toThrow('cannot fit');
+      console.error.mockRestore();
+    });
+
+    it('should retry with the provider fallback model when the primary is overloaded', async () => {
+      const provider = {
+        name: 'flaky',
+        label: 'Flaky',
+        models: { primary: 'big', fallback: 'small' },
+        complete: jest.fn()
+          .mockRejectedValueOnce({ response: { status: 503, data: { error: { message: 'Model is overloaded' } } } })
+          .mockResolvedValueOnce({ content: 'ok', usage: { total_tokens: 3 }, model: 'small' })
+      };
+      llmProviderService.registerProvider('flaky', provider);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await openaiService.generateContent('Prompt', { provider: 'flaky' });
+
+      expect(provider.complete).toHaveBeenCalledTimes(2);
+      expect(provider.complete.mock.calls[1][0].model).toBe('small');
+      expect(result).toMatchObject({ content: 'ok', provider: 'flaky' });
+      console.warn.mockRestore();
+    });
+
+    it('should return prose and structured fields in structured mode', async () => {
+      const provider = new MockProvider({ name: 'structured' });
+      jest.spyOn(provider, 'complete');
+      llmProviderService.registerProvider('structured', provider);
+
+      const section = await openaiService.generateReportSection('riskAssessment', {
+        company: { name: 'Acme' }
+      }, {}, { provider: 'structured', structured: true });
+
+      expect(provider.complete.mock.calls[0][0]).toMatchObject({ responseFormat: 'json' });
+      expect(provider.complete.mock.calls[0][0].prompt).toContain('must match this JSON Schema');
+      expect(section.content).toContain('## Generated content');
+      expect(section.structured.risks[0]).toMatchObject({ severity: 'low' });
+      expect(section.metadata.structuredOutput).toMatchObject({ schemaVersion: '1.0.0', attempts: 1 });
+    });
+
+    it('should ask the model to repair output that does not match the schema', async () => {
+      const valid = { content: 'A'.repeat(60), keyMetrics: [{ name: 'Revenue', value: 12, unit: 'USD m' }] };
+      const provider = {
+        name: 'sloppy',
+        label: 'Sloppy',
+        models: { primary: 'm', fallback: null },
+        complete: jest.fn()
+          .mockResolvedValueOnce({ content: '{"content": "too short"}', usage: { total_tokens: 10 }, model: 'm' })
+          .mockResolvedValueOnce({ content: JSON.stringify(valid), usage: { total_tokens: 20 }, model: 'm' })
+      };
+      llmProviderService.registerProvider('sloppy', provider);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const section = await openaiService.generateReportSection('marketAnalysis', {
+        company: { name: 'Acme' }
+      }, {}, { provider: 'sloppy', structured: true });
+
+      const repairPrompt = provider.complete.mock.calls[1][0].prompt;
+      expect(repairPrompt).toMatch(/^Your previous response did not match/);
+      expect(repairPrompt).toContain('$.keyMetrics is required');
+      expect(section.structured).toEqual({ keyMetrics: valid.keyMetrics });
+      expect(section.metadata).toMatchObject({ tokensUsed: 30, structuredOutput: { attempts: 2 } });
+      console.warn.mockRestore();
+    });
+
+    it('should fail without caching when repairs run out', async () => {
+      const provider = {
+        name: 'broken-json',
+        label: 'Broken JSON',
+        models: { primary: 'm', fallback: null },
+        complete: jest.fn().mockResolvedValue({ content: 'not json', usage: { total_tokens: 5 }, model: 'm' })
+      };
+      llmProviderService.registerProvider('broken-json', provider);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(openaiService.generateReportSection('marketAnalysis', {}, {}, { provider: 'broken-json', structured: true }))
+        .rejects.toMatchObject({ name: 'StructuredOutputError', retryable: true });
+      expect(provider.complete).toHaveBeenCalledTimes(openaiService.structuredRepairAttempts + 1);
+      expect((await llmCacheService.getStats()).entries).toBe(0);
+      console.warn.mockRestore();
+      console.error.mockRestore();
+    });
+
+    it('should cache sections per company even when prompts share a long prefix', async () => {
+      const provider = new MockProvider({ name: 'cached' });
+      jest.spyOn(provider, 'complete');
+      llmProviderService.registerProvider('cached', provider);
+      const generate = (name) => openaiService.generateReportSection('executiveSummary', {
+        company: { name, description: 'x'.repeat(300) }
+      }, {}, { provider: 'cached', reportId: `report-${name}` });
+
+      const acme = await generate('Acme');
+      const globex = await generate('Globex');
+      await generate('Acme');
+
+      expect(provider.complete).toHaveBeenCalledTimes(2);
+      expect(globex.content).not.toBe(acme.content);
+      expect(await llmCacheService.purge({ reportId: 'report-Globex' })).toBe(1);
+    });
+
+    it('should pick the template variant for the company and record it', async () => {
+      const provider = new MockProvider({ name: 'templated' });
+      jest.spyOn(provider, 'complete');
+      llmProviderService.registerProvider('templated', provider);
+      const companyData = { company: { name: 'Acme', industry: 'Software', foundingYear: 2005, employees: 300 } };
+
+      const summary = await openaiService.generateReportSection('executiveSummary', companyData, {}, { provider: 'templated' });
+      const conservative = await openaiService.generateReportSection('executiveSummary', {
+        company: { ...companyData.company, industry: 'Retail' }
+      }, {}, { provider: 'templated', style: 'conservative' });
+      const market = await openaiService.generateReportSection('marketAnalysis', companyData, {}, { provider: 'templated' });
+
+      expect(provider.complete.mock.calls[0][0].prompt).toMatch(/^Generate a technology-focused executive summary/);
+      expect(summary.metadata).toMatchObject({ promptVariant: 'technology', promptVersionId: '1.0.0', companyStage: 'established' });
+      expect(conservative.metadata).toMatchObject({ promptVariant: 'conservative', promptStyle: 'conservative' });
+      expect(market.metadata).toMatchObject({ promptVariant: 'builtin' });
+    });
+
+    it('should use the template of the experiment arm a report is assigned to', async () => {
+      const provider = new MockProvider({ name: 'experiment' });
+      jest.spyOn(provider, 'complete');
+      llmProviderService.registerProvider('experiment', provider);
+      jest.spyOn(experimentService, 'assign').mockReturnValue({
+        experimentId: 'exp-1',
+        arm: 'B',
+        template: { version: '2.1.0', templateId: 'tpl-1', systemPrompt: 'Be brief.', template: 'Briefly summarize {companyName}.' }
+      });
+
+      const section = await openaiService.generateReportSection('executiveSummary', {
+        company: { name: 'Acme', industry: 'Retail', foundingYear: 2005, employees: 300 }
+      }, {}, { provider: 'experiment', reportId: 'report-1' });
+
+      expect(experimentService.assign).toHaveBeenCalledWith('executiveSummary', 'standard', 'report-1');
+      expect(provider.complete.mock.calls[0][0]).toMatchObject({ systemPrompt: 'Be brief.', prompt: 'Briefly summarize Acme.' });
+      expect(section.metadata).toMatchObject({
+        promptVariant: 'standard',
+        promptVersionId: '2.1.0',
+        promptTemplateId: 'tpl-1',
+        experiment: { experimentId: 'exp-1', arm: 'B' }
+      });
+    });
+
+    it('should label errors with the provider name', async () => {
+      llmProviderService.registerProvider('broken', {
+        name: 'broken',
+        label: 'Broken LLM',
+        models: { primary: 'm', fallback: null },
+        complete: jest.fn().mockRejectedValue({ response: { status: 401, data: { error: { message: 'Invalid key' } } } })
+      });
+
+      await expect(openaiService.generateContent('Prompt', { provider: 'broken' }))
+        .rejects.toThrow('Broken LLM API Error: Invalid key');
+    });
+  });
+});
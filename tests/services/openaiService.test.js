@@ -1,6 +1,9 @@
 // tests/services/openaiService.test.js
 const axios = require('axios');
 const openaiService = require('../../services/openaiService');
+const projectionService = require('../../services/projectionService');
+const { computeFinancialRatios } = require('../../utils/financialRatios');
+const { countTokens } = require('../../utils/tokenizer');
 
 jest.mock('axios');
 
@@ -133,6 +136,151 @@ describe('OpenAIService', () => {
     });
   });
 
+  describe('data provenance', () => {
+    const companyData = {
+      company: { name: 'Acme', employees: 260 },
+      financials: { funding: 'N/A' },
+      _metadata: {
+        provenance: {
+          'company.name': { source: 'user_provided' },
+          'company.employees': { source: 'industry_estimate', basis: 'Typical headcount (Technology industry benchmark)' },
+          'company.foundingYear': { source: 'unavailable' },
+          'financials.funding': { source: 'unavailable' }
+        }
+      }
+    };
+
+    it('should list estimated and unavailable fields for the model', () => {
+      const note = openaiService.buildProvenanceNote(companyData);
+
+      expect(note).toContain('- company.employees: Typical headcount (Technology industry benchmark)');
+      expect(note).toContain('do not state or invent values for: company.foundingYear, financials.funding');
+      expect(note).not.toContain('company.name');
+    });
+
+    it('should label estimated template values', () => {
+      const variables = openaiService.getTemplateVariables(companyData);
+
+      expect(variables.employeeCount).toBe('260 (industry estimate)');
+      expect(variables.fundingStatus).toBe('funding not disclosed');
+    });
+
+    it('should add no note for data without provenance', () => {
+      expect(openaiService.buildProvenanceNote({ company: { name: 'Acme' } })).toBe('');
+    });
+  });
+
+  describe('financial statements', () => {
+    const companyData = {
+      company: { name: 'Acme' },
+      financialStatements: {
+        currency: 'USD',
+        periods: [{ label: 'FY2023', year: 2023, incomeStatement: { revenue: 12500000 }, balanceSheet: {}, cashFlow: {} }]
+      }
+    };
+
+    it('should give the statements to the financial sections as a table', () => {
+      const note = openaiService.buildStatementsNote(companyData, 'financialAnalysis');
+
+      expect(note).toContain('Line item | FY2023');
+      expect(note).toContain('revenue | $12.5M');
+    });
+
+    it('should leave them out of other sections', () => {
+      expect(openaiService.buildStatementsNote(companyData, 'marketAnalysis')).toBe('');
+      expect(openaiService.buildStatementsNote({ company: { name: 'Acme' } }, 'financialAnalysis')).toBe('');
+    });
+
+    it('should give the computed ratios to the sections that discuss them', () => {
+      const withRatios = {
+        ...companyData,
+        financialRatios: computeFinancialRatios({
+          periods: [{ label: 'FY2023', incomeStatement: { revenue: 12500000, netIncome: 1250000 }, balanceSheet: {}, cashFlow: {} }]
+        })
+      };
+
+      expect(openaiService.buildRatiosNote(withRatios, 'riskAssessment')).toContain('Net margin | 10.0%');
+      expect(openaiService.buildRatiosNote(withRatios, 'marketAnalysis')).toBe('');
+    });
+
+    it('should give the projection model to the projections section only', () => {
+      const withProjections = {
+        ...companyData,
+        projections: projectionService.project({ financials: { revenue: { value: 12500000 } } }, { years: 2 })
+      };
+
+      expect(openaiService.buildProjectionNote(withProjections, 'financialProjections')).toContain('Base case |');
+      expect(openaiService.buildProjectionNote(withProjections, 'financialAnalysis')).toBe('');
+    });
+  });
+
+  describe('prompt notes', () => {
+    const companyData = { company: { name: 'Acme', industry: 'Software' } };
+
+    beforeEach(() => {
+      jest.spyOn(openaiService, 'generateContent').mockResolvedValue({
+        content: 'Financial analysis',
+        usage: { total_tokens: 100 },
+        model: 'gpt-4-turbo'
+      });
+    });
+
+    it('should cut oversized notes down to their own cap', async () => {
+      jest.spyOn(openaiService, 'buildStatementsNote')
+        .mockReturnValue(`\n\nFinancial statements:\n${'revenue | $12.5M | $14.0M | $15.5M\n'.repeat(2000)}`);
+
+      await openaiService.generateReportSection('financialAnalysis', companyData);
+
+      const prompt = openaiService.generateContent.mock.calls[0][0];
+      const notes = prompt.slice(prompt.indexOf('\n\nFinancial statements:'));
+      expect(notes).toContain('[Note truncated to fit the prompt]');
+      expect(countTokens(notes, 'gpt-4-turbo')).toBeLessThanOrEqual(openaiService.maxNoteTokens);
+      expect(countTokens(prompt, 'gpt-4-turbo')).toBeLessThanOrEqual(openaiService.maxPromptTokens);
+    });
+
+    it('should fail clearly when the template alone does not fit', async () => {
+      jest.spyOn(openaiService, 'getPromptTemplateForSection').mockReturnValue({
+        version: '1.0.0',
+        variant: 'builtin',
+        template: `Analyse {companyName}. ${'Cover every detail. '.repeat(2000)}`,
+        systemPrompt: 'You are a financial analyst.'
+      });
+
+      await expect(openaiService.generateReportSection('financialAnalysis', companyData))
+        .rejects.toMatchObject({ name: 'PromptBudgetError', retryable: false });
+      expect(openaiService.generateContent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('template variants', () => {
+    beforeEach(() => {
+      jest.spyOn(openaiService, 'generateContent').mockResolvedValue({
+        content: 'Executive summary',
+        usage: { total_tokens: 100 },
+        model: 'gpt-4-turbo'
+      });
+    });
+
+    it('should record the style of the template used, not only the one requested', async () => {
+      const established = { company: { name: 'Acme', foundingYear: 2001, employees: 400 } };
+
+      const styled = await openaiService.generateReportSection(
+        'executiveSummary', { ...established, company: { ...established.company, industry: 'Retail' } }, {}, { style: 'conservative' }
+      );
+      expect(styled.metadata).toMatchObject({ promptVariant: 'conservative', promptStyle: 'conservative' });
+      expect(styled.metadata.requestedPromptStyle).toBeUndefined();
+
+      const overridden = await openaiService.generateReportSection(
+        'executiveSummary', { ...established, company: { ...established.company, industry: 'Software' } }, {}, { style: 'conservative' }
+      );
+      expect(overridden.metadata).toMatchObject({
+        promptVariant: 'technology',
+        promptStyle: 'standard',
+        requestedPromptStyle: 'conservative'
+      });
+    });
+  });
+
   describe('generateReportSection', () => {
     it('should generate a report section with proper templating', async () => {
       const sectionType = 'executiveSummary';
@@ -173,7 +321,10 @@ describe('OpenAIService', () => {
       });
 
       // Verify internal function calls
-      expect(openaiService.getPromptTemplateForSection).toHaveBeenCalledWith(sectionType);
+      expect(openaiService.getPromptTemplateForSection).toHaveBeenCalledWith(
+        sectionType,
+        expect.objectContaining({ stage: 'established' })
+      );
       expect(openaiService.fillPromptTemplate).toHaveBeenCalled();
       expect(openaiService.generateContent).toHaveBeenCalledWith(
         'Generate an executive summary for Test Company',
@@ -0,0 +1,133 @@
+// tests/services/projectionService.test.js
+const projectionService = require('../../services/projectionService');
+const { computeFinancialRatios } = require('../../utils/financialRatios');
+
+const financialStatements = {
+  currency: 'USD',
+  periods: [
+    { label: 'FY2022', year: 2022, incomeStatement: { revenue: 10000000, ebitda: 1500000 }, balanceSheet: {}, cashFlow: {} },
+    {
+      label: 'FY2023',
+      year: 2023,
+      incomeStatement: { revenue: 12500000, ebitda: 2000000, depreciationAmortization: 500000 },
+      balanceSheet: { accountsReceivable: 1500000, accountsPayable: -500000 },
+      cashFlow: { capitalExpenditures: -625000 }
+    }
+  ]
+};
+
+const companyData = {
+  financials: { revenue: { value: 12500000, currency: 'USD' } },
+  financialStatements,
+  financialRatios: computeFinancialRatios(financialStatements)
+};
+
+describe('ProjectionService', () => {
+  describe('project', () => {
+    it('should default assumptions from the statements', () => {
+      const projection = projectionService.project(companyData);
+
+      expect(projection.baseline).toMatchObject({ revenue: 12500000, year: 2023, period: 'FY2023', source: 'financial_statements' });
+      expect(projection.assumptions).toMatchObject({
+        years: 5,
+        revenueGrowth: [25, 20, 15, 10, 5],
+        ebitdaMargin: [16.8, 17.6, 18.4, 19.2, 20],
+        capexPercent: 5,
+        workingCapitalPercent: 8,
+        depreciationPercent: 4,
+        taxRate: 25
+      });
+      expect(projection.assumptionSources).toMatchObject({
+        revenueGrowth: 'financial_statements',
+        capexPercent: 'financial_statements',
+        taxRate: 'default'
+      });
+    });
+
+    it('should run each year down to free cash flow', () => {
+      const { scenarios } = projectionService.project(companyData, { years: 1, revenueGrowth: 20, ebitdaMargin: 20 });
+
+      expect(scenarios.base.years).toEqual([{
+        year: 2024,
+        revenue: 15000000,
+        revenueGrowth: 20,
+        ebitda: 3000000,
+        ebitdaMargin: 20,
+        depreciation: 600000,
+        operatingIncome: 2400000,
+        tax: 600000,
+        capex: 750000,
+        workingCapitalChange: 200000,
+        freeCashFlow: 1450000
+      }]);
+      expect(scenarios.base.summary).toMatchObject({ finalRevenue: 15000000, revenueCagr: 20, cumulativeFreeCashFlow: 1450000 });
+    });
+
+    it('should shift growth and phase in margins for the scenarios', () => {
+      const { assumptions, assumptionSources, scenarios } = projectionService.project(companyData, {
+        years: 2,
+        ebitdaMargin: [10, 12],
+        scenarios: { downside: { revenueGrowth: -10 } }
+      });
+
+      expect(assumptions.revenueGrowth).toEqual([25, 5]);
+      expect(assumptionSources).toMatchObject({ years: 'user', ebitdaMargin: 'user', revenueGrowth: 'financial_statements', scenarios: 'user' });
+      expect(scenarios.upside.years.map(row => [row.revenueGrowth, row.ebitdaMargin])).toEqual([[30, 11.5], [10, 15]]);
+      expect(scenarios.downside.years.map(row => [row.revenueGrowth, row.ebitdaMargin])).toEqual([[15, 8.5], [-5, 9]]);
+      expect(scenarios.downside.summary.finalRevenue).toBeLessThan(scenarios.base.summary.finalRevenue);
+    });
+
+    it('should start from estimated revenue without statements, and not at all without revenue', () => {
+      const projection = projectionService.project({ financials: { revenue: { value: 1000000, estimated: true }, growth: { rate: 30 } } });
+
+      expect(projection.baseline).toMatchObject({ source: 'company_data', estimated: true });
+      expect(projection.assumptions.revenueGrowth[0]).toBe(30);
+      expect(projection.assumptionSources.ebitdaMargin).toBe('default');
+      expect(projectionService.project({ financials: { revenue: 'N/A' } })).toBeNull();
+    });
+  });
+
+  describe('validateAssumptions', () => {
+    it('should keep valid assumptions', () => {
+      expect(projectionService.validateAssumptions({
+        years: 3,
+        revenueGrowth: [30, 20, 10],
+        taxRate: 21,
+        scenarios: { upside: { ebitdaMargin: 5 } }
+      })).toEqual({ years: 3, revenueGrowth: [30, 20, 10], taxRate: 21, scenarios: { upside: { ebitdaMargin: 5 } } });
+    });
+
+    it('should list every invalid assumption', () => {
+      expect(() => projectionService.validateAssumptions({
+        years: 2.5,
+        capexPercent: [5],
+        ebitdaMargin: ['high'],
+        growth: 10,
+        scenarios: { bull: {} }
+      })).toThrow(expect.objectContaining({
+        name: 'ProjectionError',
+        status: 400,
+        details: [
+          'years must be a whole number',
+          'capexPercent must be a number',
+          'ebitdaMargin must be a number or a list of numbers, one per year',
+          'growth is not a projection assumption',
+          'scenarios.bull is not a scenario; use upside or downside'
+        ]
+      }));
+    });
+  });
+
+  describe('formatForPrompt', () => {
+    it('should list the assumptions and every scenario', () => {
+      const text = projectionService.formatForPrompt(projectionService.project(companyData, { taxRate: 21 }));
+
+      expect(text).toMatch(/^Projection model output\./);
+      expect(text).toContain('Baseline revenue: $12.5M (FY2023)');
+      expect(text).toContain('- Tax rate: 21% (set by the analyst)');
+      expect(text).toContain('Base case | 2024 | 2025 | 2026 | 2027 | 2028');
+      expect(text).toContain('Downside case');
+      expect(projectionService.formatForPrompt(null)).toBe('');
+    });
+  });
+});
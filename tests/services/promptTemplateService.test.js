@@ -0,0 +1,198 @@
+// tests/services/promptTemplateService.test.js
+jest.mock('../../config/db');
+
+const { ObjectId } = require('mongodb');
+const { getCollection } = require('../../config/db');
+const promptTemplateService = require('../../services/promptTemplateService');
+const openaiService = require('../../services/openaiService');
+
+// In-memory stand-in for the promptTemplates collection (equality queries only)
+const createCollection = () => {
+  const docs = [];
+  const matches = (doc, query) => Object.entries(query).every(([key, value]) =>
+    (key === '_id' ? doc._id.equals(value) : doc[key] === value));
+  const copy = (doc) => doc && { ...doc };
+
+  return {
+    docs,
+    find: jest.fn(query => ({ toArray: async () => docs.filter(doc => matches(doc, query)).map(copy) })),
+    findOne: jest.fn(async query => copy(docs.find(doc => matches(doc, query)))),
+    insertOne: jest.fn(async doc => {
+      const _id = new ObjectId();
+      docs.push({ ...doc, _id });
+      return { insertedId: _id };
+    }),
+    updateOne: jest.fn(async (query, { $set }) => {
+      const doc = docs.find(candidate => matches(candidate, query));
+      if (doc) Object.assign(doc, $set);
+    }),
+    updateMany: jest.fn(async (query, { $set }) => {
+      docs.filter(doc => matches(doc, query)).forEach(doc => Object.assign(doc, $set));
+    }),
+    deleteOne: jest.fn(async query => {
+      const index = docs.findIndex(doc => matches(doc, query));
+      if (index !== -1) docs.splice(index, 1);
+    })
+  };
+};
+
+describe('PromptTemplateService', () => {
+  describe('getTemplateForSection', () => {
+    it('should map normalized industries to their variants', () => {
+      expect(promptTemplateService.getTemplateForSection('executiveSummary', { industry: 'Software' }))
+        .toMatchObject({ variant: 'technology', version: '1.0.0' });
+      expect(promptTemplateService.getTemplateForSection('executiveSummary', { industry: 'Healthcare' }))
+        .toMatchObject({ variant: 'healthcare' });
+    });
+
+    it('should prefer industry, then stage, then style, then standard', () => {
+      const pick = (options) => promptTemplateService.getTemplateForSection('executiveSummary', options).variant;
+
+      expect(pick({ industry: 'Technology', specialization: 'earlyStage', style: 'conservative' })).toBe('technology');
+      expect(pick({ industry: 'Retail', specialization: 'earlyStage', style: 'conservative' })).toBe('earlyStage');
+      expect(pick({ industry: 'Retail', style: 'conservative' })).toBe('conservative');
+      expect(pick({ industry: 'Retail' })).toBe('standard');
+    });
+
+    it('should say which option chose the variant', () => {
+      expect(promptTemplateService.getTemplateForSection('executiveSummary', { industry: 'Software', style: 'conservative' }))
+        .toMatchObject({ variant: 'technology', variantSource: 'industry' });
+      expect(promptTemplateService.getTemplateForSection('executiveSummary', { style: 'conservative' }))
+        .toMatchObject({ variant: 'conservative', variantSource: 'style' });
+      expect(promptTemplateService.getVariantPrecedence()).toEqual(['industry', 'specialization', 'style', 'standard']);
+    });
+
+    it('should report which sections have templates', () => {
+      expect(promptTemplateService.hasTemplatesForSection('executiveSummary')).toBe(true);
+      expect(promptTemplateService.hasTemplatesForSection('marketAnalysis')).toBe(false);
+    });
+  });
+
+  describe('determineCompanyStage', () => {
+    const currentYear = new Date().getFullYear();
+
+    it('should treat young, small or seed/Series A companies as early stage', () => {
+      expect(promptTemplateService.determineCompanyStage({ company: { foundingYear: currentYear - 2, employees: 200 } }))
+        .toBe('earlyStage');
+      expect(promptTemplateService.determineCompanyStage({ company: { foundingYear: 2005, employees: 12 } }))
+        .toBe('earlyStage');
+      expect(promptTemplateService.determineCompanyStage({
+        company: { foundingYear: 2005, employees: 200 },
+        financials: { funding: { latestRound: 'Series A' } }
+      })).toBe('earlyStage');
+    });
+
+    it('should treat other companies as established', () => {
+      expect(promptTemplateService.determineCompanyStage({
+        company: { foundingYear: 2005, employees: 200 },
+        financials: { funding: { latestRound: 'Series C' } }
+      })).toBe('established');
+      expect(promptTemplateService.determineCompanyStage({ company: { foundingYear: 'N/A', employees: 'N/A' } }))
+        .toBe('established');
+    });
+  });
+
+  describe('stored templates', () => {
+    const draft = {
+      sectionType: 'executiveSummary',
+      variant: 'standard',
+      systemPrompt: 'You are a careful analyst.',
+      template: 'Summarize {companyName} ({industry}) using:\n{companyData}'
+    };
+    let collection;
+
+    beforeEach(() => {
+      collection = createCollection();
+      getCollection.mockResolvedValue(collection);
+    });
+
+    afterEach(() => {
+      promptTemplateService.publishedTemplates = {};
+    });
+
+    it('should accept only placeholders fillPromptTemplate supplies', () => {
+      expect(Object.keys(promptTemplateService.getTemplateVariables()).sort())
+        .toEqual(Object.keys(openaiService.getTemplateVariables({})).sort());
+
+      const errors = promptTemplateService.validateTemplate({
+        ...draft,
+        version: '1.0.0',
+        systemPrompt: 'You analyze {industry} companies.',
+        template: 'Summarize {companyName} for {audience}.'
+      });
+
+      expect(errors).toEqual([
+        expect.stringContaining('unknown placeholders: {audience}'),
+        'System prompt cannot use placeholders: {industry}'
+      ]);
+      expect(promptTemplateService.validateTemplate({ ...draft, sectionType: 'poetry', version: 'v2' })).toEqual([
+        'Unknown section type: poetry',
+        'Version must be a semantic version such as 1.2.0'
+      ]);
+    });
+
+    it('should version drafts after the latest stored or built-in version', async () => {
+      const first = await promptTemplateService.createDraft(draft, 'admin-1');
+      expect(first).toMatchObject({ version: '2.0.1', status: 'draft', createdBy: 'admin-1' });
+
+      await expect(promptTemplateService.createDraft({ ...draft, version: '2.0.1' }, 'admin-1'))
+        .rejects.toMatchObject({ name: 'PromptTemplateError', status: 409 });
+      await expect(promptTemplateService.createDraft({ ...draft, version: '3.0.0', template: 'Hi {who}' }, 'admin-1'))
+        .rejects.toMatchObject({ status: 400, validationErrors: [expect.stringContaining('{who}')] });
+    });
+
+    it('should publish drafts, retire the previous version and lock published templates', async () => {
+      const first = await promptTemplateService.createDraft(draft, 'admin-1');
+      await promptTemplateService.publishTemplate(first._id.toString(), 'admin-1');
+
+      expect(promptTemplateService.getTemplateForSection('executiveSummary', { industry: 'Retail' }))
+        .toMatchObject({ variant: 'standard', version: '2.0.1', templateId: first._id.toString() });
+
+      const second = await promptTemplateService.createDraft({ ...draft, version: '2.1.0' }, 'admin-1');
+      await promptTemplateService.publishTemplate(second._id.toString(), 'admin-2');
+
+      expect(collection.docs.map(doc => [doc.version, doc.status])).toEqual([['2.0.1', 'retired'], ['2.1.0', 'published']]);
+      expect(promptTemplateService.getTemplateForSection('executiveSummary', {}).version).toBe('2.1.0');
+
+      await expect(promptTemplateService.updateDraft(second._id.toString(), { template: 'New {companyData}' }, 'admin-1'))
+        .rejects.toMatchObject({ status: 409 });
+      await expect(promptTemplateService.deleteDraft(first._id.toString()))
+        .rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should roll back to the previous version and then to the built-in template', async () => {
+      const first = await promptTemplateService.createDraft(draft, 'admin-1');
+      await promptTemplateService.publishTemplate(first._id.toString(), 'admin-1');
+      const second = await promptTemplateService.createDraft(draft, 'admin-1');
+      await promptTemplateService.publishTemplate(second._id.toString(), 'admin-1');
+
+      const rollback = await promptTemplateService.rollbackTemplate('executiveSummary', 'standard', 'admin-1');
+      expect(rollback).toMatchObject({ retired: '2.0.2', published: { version: '2.0.1' }, source: 'database' });
+      expect(promptTemplateService.getTemplateForSection('executiveSummary', {}).version).toBe('2.0.1');
+
+      const toBuiltin = await promptTemplateService.rollbackTemplate('executiveSummary', 'standard', 'admin-1');
+      expect(toBuiltin).toMatchObject({ retired: '2.0.1', published: { version: '2.0.0' }, source: 'builtin' });
+      expect(promptTemplateService.getTemplateForSection('executiveSummary', {}))
+        .toMatchObject({ version: '2.0.0', variant: 'standard' });
+      expect(promptTemplateService.getTemplateForSection('executiveSummary', {}).templateId).toBeUndefined();
+
+      await expect(promptTemplateService.rollbackTemplate('executiveSummary', 'standard', 'admin-1'))
+        .rejects.toMatchObject({ status: 404 });
+    });
+
+    it('should add variants for sections without built-in templates', async () => {
+      const market = await promptTemplateService.createDraft({
+        ...draft,
+        sectionType: 'marketAnalysis',
+        template: 'Analyze the market for {companyName}:\n{companyData}'
+      }, 'admin-1');
+      expect(market.version).toBe('1.0.1');
+
+      await promptTemplateService.publishTemplate(market._id.toString(), 'admin-1');
+
+      expect(promptTemplateService.hasTemplatesForSection('marketAnalysis')).toBe(true);
+      expect(openaiService.getPromptTemplateForSection('marketAnalysis', {}))
+        .toMatchObject({ variant: 'standard', version: '1.0.1' });
+    });
+  });
+});
@@ -0,0 +1,454 @@
+// tests/services/queueService.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Use the file-backed job store in a temporary directory
+const jobStoreDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-test-'));
+process.env.JOB_STORE_BACKEND = 'file';
+process.env.JOB_STORE_DIR = jobStoreDir;
+
+jest.mock('../../config/db', () => ({
+  getCollection: jest.fn(async () => {
+    throw new Error('MongoDB is not available in this test');
+  })
+}));
+
+const jobStoreService = require('../../services/jobStoreService');
+const queueService = require('../../services/queueService');
+
+describe('QueueService persistence', () => {
+  beforeEach(async () => {
+    // Pause the worker loop so jobs stay in the queue while we inspect them
+    queueService.maxConcurrentJobs = 0;
+    queueService.queue = [];
+    queueService.jobStatus.clear();
+    queueService.handlers = {};
+    queueService.fairShare.clear();
+    queueService.runningOwners.clear();
+    queueService.tenantWeights = {};
+
+    const backend = await jobStoreService.getBackend();
+    backend.jobs = new Map();
+    await backend.persist();
+
+    const deadLetterBackend = await jobStoreService.getDeadLetterBackend();
+    deadLetterBackend.jobs = new Map();
+    await deadLetterBackend.persist();
+  });
+
+  // Run the next queued job to completion
+  async function runNextJob() {
+    queueService.maxConcurrentJobs = 1;
+    const run = queueService.processQueue();
+    queueService.maxConcurrentJobs = 0;
+    await run;
+  }
+
+  afterAll(() => {
+    fs.rmSync(jobStoreDir, { recursive: true, force: true });
+  });
+
+  describe('enqueue', () => {
+    it('should persist jobs enqueued with a registered type', async () => {
+      queueService.registerHandler('testJob', jest.fn());
+
+      await queueService.enqueue('job-1', 'testJob', { reportId: 'r1' });
+
+      const stored = await jobStoreService.getJob('job-1');
+      expect(stored).toMatchObject({
+        id: 'job-1',
+        type: 'testJob',
+        status: 'queued',
+        data: { reportId: 'r1' }
+      });
+      expect(stored.taskFn).toBeUndefined();
+    });
+
+    it('should reject unknown job types', async () => {
+      await expect(queueService.enqueue('job-2', 'unknownJob', {}))
+        .rejects.toThrow('No handler registered for job type: unknownJob');
+    });
+  });
+
+  describe('acquireLease', () => {
+    it('should not grant a lease held by another live worker', async () => {
+      await jobStoreService.saveJob({ id: 'job-3', type: 'testJob', status: 'queued', createdAt: new Date() });
+
+      expect(await jobStoreService.acquireLease('job-3', 'worker-a', 60000)).toBe(true);
+      expect(await jobStoreService.acquireLease('job-3', 'worker-b', 60000)).toBe(false);
+    });
+
+    it('should grant a lease once the previous one has expired', async () => {
+      await jobStoreService.saveJob({ id: 'job-4', type: 'testJob', status: 'queued', createdAt: new Date() });
+
+      expect(await jobStoreService.acquireLease('job-4', 'worker-a', -1000)).toBe(true);
+      expect(await jobStoreService.acquireLease('job-4', 'worker-b', 60000)).toBe(true);
+    });
+  });
+
+  describe('recoverJobs', () => {
+    it('should re-queue orphaned jobs and call the recovery hook', async () => {
+      const onRecovered = jest.fn();
+      queueService.registerHandler('testJob', jest.fn(), { onRecovered });
+
+      await jobStoreService.saveJob({
+        id: 'job-5',
+        type: 'testJob',
+        status: 'processing',
+        data: { reportId: 'r5' },
+        priority: 1,
+        attempts: 1,
+        maxAttempts: 2,
+        createdAt: new Date(),
+        leaseOwner: 'dead-worker',
+        leaseExpiresAt: new Date(Date.now() - 1000)
+      });
+
+      const summary = await queueService.recoverJobs();
+
+      expect(summary).toEqual({ recovered: 1, failed: 0 });
+      expect(queueService.queue.map(job => job.id)).toEqual(['job-5']);
+      expect(queueService.getJobStatus('job-5').status).toBe('queued');
+      expect(onRecovered).toHaveBeenCalledWith({ reportId: 'r5' }, expect.objectContaining({ id: 'job-5' }));
+    });
+
+    it('should leave jobs with a live lease alone', async () => {
+      queueService.registerHandler('testJob', jest.fn());
+
+      await jobStoreService.saveJob({
+        id: 'job-6',
+        type: 'testJob',
+        status: 'processing',
+        attempts: 1,
+        maxAttempts: 2,
+        createdAt: new Date(),
+        leaseOwner: 'other-worker',
+        leaseExpiresAt: new Date(Date.now() + 60000)
+      });
+
+      const summary = await queueService.recoverJobs();
+
+      expect(summary).toEqual({ recovered: 0, failed: 0 });
+      expect(queueService.queue).toHaveLength(0);
+    });
+
+    it('should fail interrupted jobs with no attempts remaining', async () => {
+      const onFailed = jest.fn();
+      queueService.registerHandler('testJob', jest.fn(), { onFailed });
+
+      await jobStoreService.saveJob({
+        id: 'job-7',
+        type: 'testJob',
+        status: 'processing',
+        data: { reportId: 'r7' },
+        attempts: 2,
+        maxAttempts: 2,
+        createdAt: new Date(),
+        leaseOwner: 'dead-worker',
+        leaseExpiresAt: new Date(Date.now() - 1000)
+      });
+
+      const summary = await queueService.recoverJobs();
+
+      expect(summary).toEqual({ recovered: 0, failed: 1 });
+      expect((await jobStoreService.getJob('job-7')).status).toBe('failed');
+      expect(onFailed).toHaveBeenCalledWith({ reportId: 'r7' }, expect.any(Error));
+    });
+  });
+
+  describe('job controls', () => {
+    it('should cancel a queued job without running it', async () => {
+      const handler = jest.fn();
+      queueService.registerHandler('testJob', handler);
+      await queueService.enqueue('job-8', 'testJob', { reportId: 'r8' });
+
+      const result = await queueService.cancelJob('job-8');
+
+      expect(result).toEqual({ jobId: 'job-8', status: 'cancelled' });
+      expect(queueService.queue).toHaveLength(0);
+      expect(queueService.getJobStatus('job-8').status).toBe('cancelled');
+      expect((await jobStoreService.getJob('job-8')).status).toBe('cancelled');
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should let the job type react when a queued job is cancelled', async () => {
+      const onCancelled = jest.fn();
+      queueService.registerHandler('testJob', jest.fn(), { onCancelled });
+      await queueService.enqueue('job-8b', 'testJob', { reportId: 'r8b' });
+
+      await queueService.cancelJob('job-8b', 'Cancelled by administrator');
+
+      expect(onCancelled).toHaveBeenCalledWith({ reportId: 'r8b' }, expect.objectContaining({ id: 'job-8b' }));
+    });
+
+    it('should flag running jobs so their handler stops', async () => {
+      queueService.runningJobs.add('job-9');
+
+      const result = await queueService.cancelJob('job-9');
+
+      expect(result).toEqual({ jobId: 'job-9', status: 'cancelling' });
+      await expect(queueService.throwIfCancelled('job-9')).rejects.toMatchObject({ cancelled: true });
+
+      queueService.runningJobs.delete('job-9');
+      queueService.cancelRequests.clear();
+    });
+
+    it('should return null when there is nothing to cancel', async () => {
+      expect(await queueService.cancelJob('missing-job')).toBeNull();
+    });
+
+    it('should re-order queued jobs when their priority changes', async () => {
+      queueService.registerHandler('testJob', jest.fn());
+      await queueService.enqueue('job-10', 'testJob', {}, { priority: 2 });
+      await queueService.enqueue('job-11', 'testJob', {}, { priority: 1 });
+
+      const result = await queueService.setJobPriority('job-11', 5);
+
+      expect(result).toEqual({ jobId: 'job-11', priority: 5, position: 1 });
+      expect(queueService.queue.map(job => job.id)).toEqual(['job-11', 'job-10']);
+      expect((await jobStoreService.getJob('job-11')).priority).toBe(5);
+    });
+
+    it('should not start jobs while paused', async () => {
+      const handler = jest.fn();
+      queueService.registerHandler('testJob', handler);
+      await queueService.enqueue('job-12', 'testJob', {});
+
+      queueService.maxConcurrentJobs = 3;
+      queueService.pause();
+      await queueService.processQueue();
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(queueService.queue).toHaveLength(1);
+
+      queueService.resume();
+      queueService.maxConcurrentJobs = 0;
+    });
+  });
+
+  describe('fair scheduling', () => {
+    async function enqueueFor(jobId, ownerId, tenantId) {
+      await queueService.enqueue(jobId, 'testJob', {}, { ownerId, tenantId });
+    }
+
+    // Dispatch order without running the handlers
+    function drainOrder() {
+      const order = [];
+      while (queueService.queue.length > 0) {
+        const index = queueService.selectNextJobIndex();
+        const [job] = queueService.queue.splice(index, 1);
+        queueService.advancePass(queueService.fairShare, job);
+        order.push(job.id);
+      }
+      return order;
+    }
+
+    beforeEach(() => {
+      queueService.registerHandler('testJob', jest.fn());
+    });
+
+    it('should alternate between users instead of running one backlog first', async () => {
+      await enqueueFor('a1', 'user-a');
+      await enqueueFor('a2', 'user-a');
+      await enqueueFor('a3', 'user-a');
+      await enqueueFor('b1', 'user-b');
+      await enqueueFor('b2', 'user-b');
+
+      expect(drainOrder()).toEqual(['a1', 'b1', 'a2', 'b2', 'a3']);
+    });
+
+    it('should share capacity by organization and honor tenant weights', async () => {
+      queueService.tenantWeights = { 'org-1': 2 };
+
+      await enqueueFor('o1-a', 'user-a', 'org-1');
+      await enqueueFor('o1-b', 'user-b', 'org-1');
+      await enqueueFor('o1-c', 'user-c', 'org-1');
+      await enqueueFor('o1-d', 'user-d', 'org-1');
+      await enqueueFor('o2-a', 'user-e', 'org-2');
+      await enqueueFor('o2-b', 'user-e', 'org-2');
+
+      expect(drainOrder()).toEqual(['o1-a', 'o2-a', 'o1-b', 'o1-c', 'o2-b', 'o1-d']);
+    });
+
+    it('should skip users at their concurrency cap', async () => {
+      await enqueueFor('a1', 'user-a');
+      await enqueueFor('b1', 'user-b');
+      queueService.runningOwners.set('user-a', { count: 1, tenantKeys: ['user-a'] });
+
+      expect(queueService.queue[queueService.selectNextJobIndex()].id).toBe('b1');
+
+      queueService.queue = queueService.queue.filter(job => job.id !== 'b1');
+      expect(queueService.selectNextJobIndex()).toBe(-1);
+    });
+
+    it('should report queue position and an estimated start', async () => {
+      queueService.durationStats = { testJob: { count: 1, average: 60000 } };
+      queueService.maxConcurrentJobs = 1;
+
+      await enqueueFor('a1', 'user-a');
+      await enqueueFor('a2', 'user-a');
+      await enqueueFor('b1', 'user-b');
+
+      const position = queueService.getQueuePosition('b1');
+
+      expect(position).toMatchObject({ position: 2, jobsAhead: 1, estimatedWaitSeconds: 60 });
+      expect(queueService.getQueuePosition('missing-job')).toBeNull();
+
+      queueService.maxConcurrentJobs = 0;
+      queueService.durationStats = {};
+    });
+  });
+
+  describe('dead-letter queue', () => {
+    it('should dead-letter jobs that exhaust their attempts', async () => {
+      queueService.registerHandler('testJob', jest.fn(async () => {
+        throw new Error('Upstream unavailable');
+      }));
+      await queueService.enqueue('job-13', 'testJob', { reportId: 'r13' }, { maxAttempts: 1, ownerId: 'user-a' });
+
+      await runNextJob();
+
+      const entry = await jobStoreService.getDeadLetter('job-13');
+      expect(entry).toMatchObject({
+        id: 'job-13',
+        type: 'testJob',
+        status: 'dead',
+        data: { reportId: 'r13' },
+        ownerId: 'user-a',
+        attempts: 1
+      });
+      expect(entry.error.message).toBe('Upstream unavailable');
+      expect(entry.error.stack).toContain('Upstream unavailable');
+      expect(entry.attemptHistory).toEqual([
+        expect.objectContaining({ attempt: 1, outcome: 'failed' })
+      ]);
+    });
+
+    it('should replay a dead-lettered job with edited input', async () => {
+      const onReplayed = jest.fn();
+      queueService.registerHandler('testJob', jest.fn(), { onReplayed });
+
+      await jobStoreService.saveDeadLetter({
+        id: 'job-14',
+        type: 'testJob',
+        status: 'dead',
+        data: { reportId: 'r14', companyData: { name: 'Old' } },
+        priority: 1,
+        maxAttempts: 2,
+        createdAt: new Date(),
+        replays: []
+      });
+
+      const result = await queueService.replayDeadLetter('job-14', {
+        data: { reportId: 'r14', companyData: { name: 'New' } },
+        replayedBy: 'admin-1'
+      });
+
+      expect(result.replayOf).toBe('job-14');
+      expect(queueService.queue.map(job => job.id)).toEqual([result.jobId]);
+      expect(queueService.queue[0].data.companyData.name).toBe('New');
+      expect(onReplayed).toHaveBeenCalledWith(
+        expect.objectContaining({ reportId: 'r14' }),
+        expect.objectContaining({ id: result.jobId })
+      );
+
+      const entry = await jobStoreService.getDeadLetter('job-14');
+      expect(entry.status).toBe('replayed');
+      expect(entry.replays).toEqual([
+        expect.objectContaining({ jobId: result.jobId, replayedBy: 'admin-1', dataEdited: true })
+      ]);
+    });
+
+    it('should reject replaying unknown jobs', async () => {
+      await expect(queueService.replayDeadLetter('missing-job'))
+        .rejects.toThrow('Dead-letter job not found');
+    });
+  });
+
+  describe('retry policy', () => {
+    it('should classify transient and permanent errors', () => {
+      const withStatus = status => Object.assign(new Error('HTTP error'), { status });
+
+      expect(queueService.isRetryableError(withStatus(429))).toBe(true);
+      expect(queueService.isRetryableError(withStatus(503))).toBe(true);
+      expect(queueService.isRetryableError(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }))).toBe(true);
+      expect(queueService.isRetryableError(withStatus(400))).toBe(false);
+      expect(queueService.isRetryableError(withStatus(401))).toBe(false);
+      expect(queueService.isRetryableError(Object.assign(new Error('gone'), { retryable: false }))).toBe(false);
+    });
+
+    it('should retry network failures that fetch reports as a TypeError', () => {
+      const fetchFailed = (cause) => Object.assign(new TypeError('fetch failed'), { cause });
+
+      expect(queueService.isRetryableError(fetchFailed(Object.assign(new Error('other side closed'), { code: 'UND_ERR_SOCKET' })))).toBe(true);
+      expect(queueService.isRetryableError(fetchFailed(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })))).toBe(true);
+      expect(queueService.isRetryableError(new TypeError("Cannot read properties of undefined (reading 'sections')"))).toBe(false);
+    });
+
+    it('should back off exponentially within the policy bounds', () => {
+      const policy = { baseDelay: 1000, maxDelay: 5000, multiplier: 2, jitter: 0.5 };
+
+      expect(queueService.getRetryDelay(policy, 1)).toBeGreaterThanOrEqual(500);
+      expect(queueService.getRetryDelay(policy, 1)).toBeLessThanOrEqual(1000);
+      expect(queueService.getRetryDelay(policy, 3)).toBeGreaterThanOrEqual(2000);
+      expect(queueService.getRetryDelay(policy, 3)).toBeLessThanOrEqual(4000);
+      expect(queueService.getRetryDelay(policy, 10)).toBeLessThanOrEqual(5000);
+      expect(queueService.getRetryDelay(policy, 1, { retryAfter: 30000 })).toBe(30000);
+    });
+
+    it('should delay retries of transient failures', async () => {
+      queueService.registerHandler('testJob', jest.fn(async () => {
+        throw Object.assign(new Error('Rate limited'), { status: 429 });
+      }), {}, { maxAttempts: 3, baseDelay: 60000, jitter: 0 });
+      await queueService.enqueue('job-15', 'testJob', {});
+
+      await runNextJob();
+
+      const [retry] = queueService.queue;
+      expect(retry.id).toBe('job-15');
+      expect(retry.availableAt.getTime()).toBeGreaterThan(Date.now() + 50000);
+      expect(queueService.getJobStatus('job-15').status).toBe('retrying');
+      expect(queueService.selectNextJobIndex()).toBe(-1);
+    });
+
+    it('should tell the job type when a failed job will be retried', async () => {
+      const onRetrying = jest.fn();
+      const handler = jest.fn(async (data, progressCallback, job) => {
+        const error = Object.assign(new Error('Rate limited'), { status: 429 });
+        expect(queueService.willRetry(job, error)).toBe(true);
+        throw error;
+      });
+      queueService.registerHandler('testJob', handler, { onRetrying }, { maxAttempts: 2, baseDelay: 60000, jitter: 0 });
+      await queueService.enqueue('job-15b', 'testJob', { reportId: 'r15b' });
+
+      await runNextJob();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(onRetrying).toHaveBeenCalledWith(
+        { reportId: 'r15b' },
+        expect.objectContaining({ id: 'job-15b' }),
+        { error: expect.objectContaining({ message: 'Rate limited' }), availableAt: queueService.queue[0].availableAt }
+      );
+      expect(queueService.willRetry({ type: 'testJob', attempts: 2, maxAttempts: 2 }, new Error('Rate limited'))).toBe(false);
+    });
+
+    it('should fail permanent errors without retrying', async () => {
+      const handler = jest.fn(async () => {
+        throw Object.assign(new Error('Invalid input'), { status: 400 });
+      });
+      queueService.registerHandler('testJob', handler, {}, { maxAttempts: 3 });
+      await queueService.enqueue('job-16', 'testJob', {});
+
+      await runNextJob();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(queueService.queue).toHaveLength(0);
+      expect(queueService.getJobStatus('job-16')).toMatchObject({
+        status: 'failed',
+        metadata: expect.objectContaining({ permanent: true })
+      });
+      expect((await jobStoreService.getDeadLetter('job-16')).status).toBe('dead');
+    });
+  });
+});
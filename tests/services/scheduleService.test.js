@@ -0,0 +1,119 @@
+// tests/services/scheduleService.test.js
+jest.mock('../../services/enhancedReportService', () => ({
+  getReportById: jest.fn(),
+  updateReport: jest.fn(),
+  ensureInitialized: jest.fn(),
+  generateFullReport: jest.fn(),
+  getActiveGenerationJob: jest.fn()
+}));
+
+const enhancedReportService = require('../../services/enhancedReportService');
+const scheduleService = require('../../services/scheduleService');
+
+describe('ScheduleService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('setSchedule', () => {
+    it('should store a validated schedule with its next run', async () => {
+      const report = { _id: 'report-1', userId: 'user-1', status: 'completed' };
+      enhancedReportService.getReportById.mockResolvedValue(report);
+      enhancedReportService.updateReport.mockImplementation(async (id, userId, updates) => {
+        Object.assign(report, updates);
+        return report;
+      });
+
+      const result = await scheduleService.setSchedule('report-1', 'user-1', { cron: '@monthly' });
+
+      expect(report.schedule).toMatchObject({ cron: '@monthly', enabled: true, timezone: 'UTC' });
+      expect(report.schedule.nextRunAt).toBeInstanceOf(Date);
+      expect(result.upcomingRuns).toHaveLength(5);
+    });
+
+    it('should reject invalid cron expressions', async () => {
+      enhancedReportService.getReportById.mockResolvedValue({ _id: 'report-1' });
+
+      await expect(scheduleService.setSchedule('report-1', 'user-1', { cron: 'every month' }))
+        .rejects.toThrow('Invalid cron expression');
+      expect(enhancedReportService.updateReport).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runDueSchedules', () => {
+    let collection;
+    const now = new Date('2026-11-01T00:00:30Z');
+
+    const dueReport = (id, overrides = {}) => ({
+      _id: id,
+      userId: 'user-1',
+      companyName: 'Acme',
+      status: 'completed',
+      templateType: 'standard',
+      generationInput: { companyData: { name: 'Acme', industry: 'Software' }, templateType: 'standard' },
+      schedule: { cron: '@monthly', enabled: true, nextRunAt: new Date('2026-11-01T00:00:00Z') },
+      ...overrides
+    });
+
+    beforeEach(() => {
+      collection = {
+        find: jest.fn(),
+        updateOne: jest.fn(async () => ({ matchedCount: 1 }))
+      };
+      enhancedReportService.ensureInitialized.mockResolvedValue(collection);
+      enhancedReportService.generateFullReport.mockResolvedValue({ jobId: 'job-1', status: 'queued' });
+      enhancedReportService.getActiveGenerationJob.mockResolvedValue(null);
+    });
+
+    it('should enqueue due reports with their last generation input', async () => {
+      collection.find.mockReturnValue({ toArray: async () => [dueReport('report-1')] });
+
+      const summary = await scheduleService.runDueSchedules(now);
+
+      expect(summary).toEqual({ triggered: 1, skipped: 0 });
+      expect(enhancedReportService.generateFullReport).toHaveBeenCalledWith(
+        'report-1',
+        'user-1',
+        { name: 'Acme', industry: 'Software' },
+        'standard',
+        expect.objectContaining({ trigger: 'schedule' })
+      );
+      expect(collection.updateOne).toHaveBeenCalledWith(
+        { _id: 'report-1', 'schedule.nextRunAt': new Date('2026-11-01T00:00:00Z') },
+        { $set: { 'schedule.nextRunAt': new Date('2026-12-01T00:00:00Z'), 'schedule.lastRunAt': now } }
+      );
+    });
+
+    it('should not trigger runs claimed by another instance', async () => {
+      collection.find.mockReturnValue({ toArray: async () => [dueReport('report-1')] });
+      collection.updateOne.mockResolvedValueOnce({ matchedCount: 0 });
+
+      const summary = await scheduleService.runDueSchedules(now);
+
+      expect(summary).toEqual({ triggered: 0, skipped: 0 });
+      expect(enhancedReportService.generateFullReport).not.toHaveBeenCalled();
+    });
+
+    it('should skip reports whose generation job is still running', async () => {
+      const report = dueReport('report-1', { status: 'in_progress', generationJobId: 'job-0' });
+      collection.find.mockReturnValue({ toArray: async () => [report] });
+      enhancedReportService.getActiveGenerationJob.mockResolvedValue({ jobId: 'job-0', status: 'processing' });
+
+      const summary = await scheduleService.runDueSchedules(now);
+
+      expect(summary).toEqual({ triggered: 0, skipped: 1 });
+      expect(enhancedReportService.getActiveGenerationJob).toHaveBeenCalledWith(report);
+      expect(enhancedReportService.generateFullReport).not.toHaveBeenCalled();
+    });
+
+    it('should run reports left generating by a job that has finished', async () => {
+      collection.find.mockReturnValue({
+        toArray: async () => [dueReport('report-1', { status: 'generating', generationJobId: 'job-0' })]
+      });
+
+      const summary = await scheduleService.runDueSchedules(now);
+
+      expect(summary).toEqual({ triggered: 1, skipped: 0 });
+    });
+  });
+});
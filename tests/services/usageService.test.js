@@ -0,0 +1,140 @@
+// tests/services/usageService.test.js
+jest.mock('../../config/db');
+
+const { getCollection } = require('../../config/db');
+const usageService = require('../../services/usageService');
+
+describe('UsageService', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    usageService.loadConfig();
+    jest.restoreAllMocks();
+  });
+
+  describe('calculateCost', () => {
+    it('should price calls by the longest matching model prefix', () => {
+      // gpt-4-turbo-2024-04-09 must use gpt-4-turbo pricing, not gpt-4
+      expect(usageService.calculateCost('openai', 'gpt-4-turbo-2024-04-09', 1000, 500)).toBeCloseTo(0.025);
+      expect(usageService.calculateCost('openai', 'gpt-4', 1000, 500)).toBeCloseTo(0.06);
+      expect(usageService.calculateCost('anthropic', 'claude-3-5-sonnet-latest', 2000, 1000)).toBeCloseTo(0.021);
+    });
+
+    it('should treat mock, local and unknown models as free', () => {
+      expect(usageService.calculateCost('local', 'gpt-4-turbo', 1000, 1000)).toBe(0);
+      expect(usageService.calculateCost('mock', 'mock-model', 1000, 1000)).toBe(0);
+      expect(usageService.calculateCost('openai', 'some-new-model', 1000, 1000)).toBe(0);
+    });
+
+    it('should apply pricing overrides from the environment', () => {
+      process.env.LLM_MODEL_PRICING = JSON.stringify({ 'some-new-model': { input: 1, output: 2 } });
+      usageService.loadConfig();
+
+      expect(usageService.calculateCost('openai', 'some-new-model', 1000000, 1000000)).toBe(3);
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('should store tokens, cost and attribution for a call', async () => {
+      const collection = { insertOne: jest.fn().mockResolvedValue({}) };
+      getCollection.mockResolvedValue(collection);
+
+      const entry = await usageService.recordUsage(
+        { provider: 'openai', model: 'gpt-3.5-turbo', usage: { prompt_tokens: 1000, completion_tokens: 1000, total_tokens: 2000 } },
+        { reportId: 'report-1', userId: 'user-1', organizationId: 'org-1', sectionType: 'marketAnalysis', operation: 'section' }
+      );
+
+      expect(getCollection).toHaveBeenCalledWith('usage');
+      expect(collection.insertOne).toHaveBeenCalledWith(entry);
+      expect(entry).toMatchObject({
+        reportId: 'report-1',
+        userId: 'user-1',
+        organizationId: 'org-1',
+        sectionType: 'marketAnalysis',
+        promptTokens: 1000,
+        completionTokens: 1000,
+        tokensUsed: 2000,
+        cost: 0.002
+      });
+      expect(entry.date).toBeInstanceOf(Date);
+    });
+
+    it('should not throw when usage cannot be stored', async () => {
+      getCollection.mockRejectedValue(new Error('Database unavailable'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(usageService.recordUsage({ usage: {} })).resolves.toBeNull();
+    });
+  });
+
+  describe('budgets', () => {
+    const mockBudgets = (budgets, usage) => {
+      jest.spyOn(usageService, 'getBudget').mockImplementation(async (scope, scopeId) => ({
+        scope, scopeId, source: 'custom', ...budgets[scope]
+      }));
+      jest.spyOn(usageService, 'getMonthlyUsage').mockImplementation(async (scope) => usage[scope]);
+    };
+
+    it('should allow calls within budget', async () => {
+      mockBudgets(
+        { user: { monthlyCostLimit: 10, action: 'block' }, organization: { monthlyTokenLimit: 100000, action: 'block' } },
+        { user: { cost: 2, tokensUsed: 5000 }, organization: { cost: 20, tokensUsed: 50000 } }
+      );
+
+      const result = await usageService.checkBudget('user-1', 'org-1');
+
+      expect(result.action).toBe('allow');
+      expect(result.exceeded).toEqual([]);
+    });
+
+    it('should downgrade when a downgrade budget is exceeded', async () => {
+      process.env.BUDGET_DOWNGRADE_PROVIDER = 'local';
+      usageService.loadConfig();
+      mockBudgets(
+        { user: { monthlyCostLimit: 10, action: 'downgrade' }, organization: {} },
+        { user: { cost: 12, tokensUsed: 5000 }, organization: { cost: 12, tokensUsed: 5000 } }
+      );
+
+      const result = await usageService.checkBudget('user-1', 'org-1');
+
+      expect(result.action).toBe('downgrade');
+      expect(result.downgradeProvider).toBe('local');
+      expect(result.exceeded).toHaveLength(1);
+    });
+
+    it('should block when any exceeded budget blocks', async () => {
+      mockBudgets(
+        { user: { monthlyCostLimit: 10, action: 'downgrade' }, organization: { monthlyTokenLimit: 1000, action: 'block' } },
+        { user: { cost: 12, tokensUsed: 5000 }, organization: { cost: 12, tokensUsed: 5000 } }
+      );
+
+      const result = await usageService.checkBudget('user-1', 'org-1');
+      const error = usageService.createBudgetExceededError(result.exceeded);
+
+      expect(result.action).toBe('block');
+      expect(error).toMatchObject({
+        name: 'BudgetExceededError',
+        status: 402,
+        retryable: false,
+        message: 'Monthly LLM budget exceeded for user and organization'
+      });
+    });
+
+    it('should fall back to the configured default budget', async () => {
+      process.env.USER_MONTHLY_BUDGET_USD = '25';
+      process.env.BUDGET_EXCEEDED_ACTION = 'downgrade';
+      usageService.loadConfig();
+      getCollection.mockResolvedValue({ findOne: jest.fn().mockResolvedValue(null) });
+
+      const budget = await usageService.getBudget('user', 'user-1');
+
+      expect(budget).toMatchObject({ monthlyCostLimit: 25, monthlyTokenLimit: null, action: 'downgrade', source: 'default' });
+    });
+
+    it('should reject invalid budget settings', async () => {
+      await expect(usageService.setBudget('team', 'x', {})).rejects.toThrow('Invalid budget scope: team');
+      await expect(usageService.setBudget('user', 'x', { action: 'warn' })).rejects.toThrow('Invalid budget action: warn');
+    });
+  });
+});
@@ -3,6 +3,9 @@ const dotenv = require('dotenv');
 const { MongoClient, ObjectId } = require('mongodb');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 
+// Keep cached LLM responses in memory so tests never share them through disk or MongoDB
+process.env.LLM_CACHE_BACKEND = process.env.LLM_CACHE_BACKEND || 'memory';
+
 // Mock the Replit Database
 jest.mock('@replit/database', () => {
   const mockData = {};
@@ -0,0 +1,123 @@
+// tests/utils/contentLinter.test.js
+const { lintContent, extractRequiredHeadings, parseAmount } = require('../../utils/contentLinter');
+
+const companyData = {
+  company: { name: 'Acme', foundingYear: 2016, employees: 120 },
+  financials: {
+    revenue: { value: 24000000, currency: 'USD', display: '$24.0M' },
+    funding: { total: 12000000, rounds: 2, display: '$12.0M' }
+  }
+};
+
+const rulesOf = (result) => result.annotations.map(item => item.rule);
+
+describe('Content linter', () => {
+  it('should flag placeholders with their position', () => {
+    const content = 'Founded by [Founder Name]. Headquarters: N/A. Margin of XX% on {revenue}.';
+
+    const result = lintContent(content);
+
+    expect(result.annotations.map(item => item.excerpt)).toEqual(['[Founder Name]', 'N/A', 'XX%', '{revenue}']);
+    result.annotations.forEach(item => {
+      expect(item).toMatchObject({ rule: 'placeholder', severity: 'error' });
+      expect(content.slice(item.start, item.end)).toBe(item.excerpt);
+    });
+    expect(result.counts).toEqual({ error: 4, warning: 0, info: 0 });
+  });
+
+  it('should not treat markdown links or footnotes as placeholders', () => {
+    const result = lintContent('See the [annual filing](https://example.com) and note [1].');
+
+    expect(result.annotations).toEqual([]);
+  });
+
+  it('should flag hedging and superlatives without supporting figures', () => {
+    const result = lintContent('Acme offers a world-class platform. It might expand. It has best-in-class retention of 98%.');
+
+    expect(result.annotations).toEqual([
+      expect.objectContaining({ rule: 'superlative', severity: 'warning', excerpt: 'world-class' }),
+      expect.objectContaining({ rule: 'hedging', severity: 'info', excerpt: 'might' })
+    ]);
+  });
+
+  it('should flag figures that contradict the company data', () => {
+    const content = 'Acme was founded in 2014 and has 125 employees. Revenue of $31.5M grew 40%. ' +
+      'The company has raised a total of $12.5M.';
+
+    const result = lintContent(content, { companyData });
+
+    expect(result.annotations).toEqual([
+      expect.objectContaining({
+        rule: 'data-mismatch',
+        excerpt: '2014',
+        message: 'Founding year of 2014 differs from the company data (2016)'
+      }),
+      expect.objectContaining({
+        rule: 'data-mismatch',
+        excerpt: '$31.5M',
+        message: 'Revenue of $31.5M differs from the company data ($24.0M)'
+      })
+    ]);
+  });
+
+  it('should not compare projected or market revenue with current revenue', () => {
+    const content = 'Revenue is projected to reach $80M by 2029. The addressable market generates revenue of $4B. ' +
+      'Acme reported $24M in revenue last year.';
+
+    expect(lintContent(content, { companyData }).annotations).toEqual([]);
+  });
+
+  it('should skip figures the company data does not have', () => {
+    const result = lintContent('Revenue of $31.5M.', { companyData: { financials: { revenue: 'N/A' } } });
+
+    expect(result.annotations).toEqual([]);
+  });
+
+  it('should extract the headings a template asks for', () => {
+    const template = `Create an analysis for {companyName}. Include:
+1. Company snapshot: founded {foundingYear}, headquartered in {headquarters}.
+2. Investment thesis in 2-3 concise paragraphs.
+3. Competitive advantage assessment for {companyName}:
+   - Unique selling propositions
+4. Risk-adjusted investment recommendation.
+Use the following data:
+{companyData}`;
+
+    expect(extractRequiredHeadings(template)).toEqual([
+      'Company snapshot',
+      'Investment thesis',
+      'Competitive advantage assessment',
+      'Risk-adjusted investment recommendation'
+    ]);
+  });
+
+  it('should flag template headings missing from the section', () => {
+    const content = '## Company Snapshot\nAcme makes robots.\n\n**Recommendation:** Buy.';
+
+    const result = lintContent(content, {
+      requiredHeadings: ['Company snapshot', 'Investment thesis', 'Risk-adjusted investment recommendation']
+    });
+
+    expect(result.annotations).toEqual([{
+      rule: 'missing-heading',
+      severity: 'warning',
+      message: 'Missing section required by the template: "Investment thesis"',
+      start: null,
+      end: null,
+      excerpt: null
+    }]);
+  });
+
+  it('should flag sections over the word limit for their type', () => {
+    const content = 'word '.repeat(900);
+
+    expect(rulesOf(lintContent(content, { sectionType: 'executiveSummary' }))).toEqual(['too-long']);
+    expect(rulesOf(lintContent(content, { sectionType: 'marketAnalysis' }))).toEqual([]);
+  });
+
+  it('should parse currency amounts', () => {
+    expect(parseAmount('$24.5M')).toBe(24500000);
+    expect(parseAmount('€1.2 billion')).toBe(1200000000);
+    expect(parseAmount('$350,000')).toBe(350000);
+  });
+});
@@ -0,0 +1,74 @@
+// tests/utils/contextPacker.test.js
+const { packCompanyData, getFieldPriority, summarizeValue } = require('../../utils/contextPacker');
+
+// One token per character keeps budgets easy to reason about
+const countTokens = text => text.length;
+
+const companyData = {
+  company: {
+    name: 'Acme',
+    description: 'Industrial robotics for mid-size factories',
+    industry: 'Manufacturing',
+    website: 'https://acme.example.com'
+  },
+  financials: { revenue: 12000000, growth: 0.35 },
+  market: { trends: ['Automation', 'Reshoring', 'Labor shortages', 'Edge AI', 'Predictive maintenance'] },
+  _metadata: { source: 'user', normalizedAt: '2026-01-01T00:00:00.000Z' }
+};
+
+describe('Context packer', () => {
+  it('should leave data that fits unchanged', () => {
+    const packed = packCompanyData(companyData, { budget: 10000, countTokens });
+
+    expect(packed.json).toBe(JSON.stringify(companyData, null, 2));
+    expect(packed).toMatchObject({ fits: true, summarized: [], dropped: [] });
+  });
+
+  it('should compact the JSON before removing anything', () => {
+    const compact = JSON.stringify(companyData);
+
+    const packed = packCompanyData(companyData, { budget: compact.length, countTokens });
+
+    expect(packed.json).toBe(compact);
+    expect(packed.dropped).toEqual([]);
+  });
+
+  it('should drop the least important fields first', () => {
+    const budget = JSON.stringify(companyData).length - 20;
+
+    const packed = packCompanyData(companyData, { budget, countTokens });
+    const data = JSON.parse(packed.json);
+
+    expect(packed.fits).toBe(true);
+    expect(packed.dropped).toEqual(['_metadata']);
+    expect(data.financials).toEqual(companyData.financials);
+  });
+
+  it('should never drop essential fields', () => {
+    const packed = packCompanyData(companyData, { budget: 10, countTokens });
+    const data = JSON.parse(packed.json);
+
+    expect(packed.fits).toBe(false);
+    expect(data.company).toMatchObject({ name: 'Acme', industry: 'Manufacturing' });
+    expect(packed.dropped).toEqual(expect.arrayContaining(['financials.revenue', 'market.trends', 'company.website']));
+  });
+
+  it('should keep fields the section needs longer', () => {
+    expect(getFieldPriority('market.trends', 'marketAnalysis'))
+      .toBeGreaterThan(getFieldPriority('market.trends', 'executiveSummary'));
+    expect(getFieldPriority('market.size', 'marketAnalysis'))
+      .toBeGreaterThan(getFieldPriority('financials.revenue', 'marketAnalysis'));
+    expect(getFieldPriority('financials.revenue', 'financialAnalysis'))
+      .toBeGreaterThan(getFieldPriority('market.trends', 'financialAnalysis'));
+    expect(getFieldPriority('company.name', 'marketAnalysis')).toBe(100);
+  });
+
+  it('should summarize long lists and text', () => {
+    expect(summarizeValue(['a', 'b', 'c', 'd', 'e'])).toEqual(['a', 'b', 'c', '(2 more omitted)']);
+
+    const text = 'First sentence about the company. '.repeat(10);
+    const summary = summarizeValue(text);
+    expect(summary.length).toBeLessThanOrEqual(201);
+    expect(summary.endsWith('.…')).toBe(true);
+  });
+});
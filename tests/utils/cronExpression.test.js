@@ -0,0 +1,52 @@
+const { parseCronExpression, getNextRun, getUpcomingRuns } = require('../../utils/cronExpression');
+
+describe('Cron Expression Utilities', () => {
+  describe('parseCronExpression', () => {
+    it('should expand ranges, lists and steps', () => {
+      const parsed = parseCronExpression('0-30/10 9 1,15 * 1-5');
+
+      expect([...parsed.minute]).toEqual([0, 10, 20, 30]);
+      expect([...parsed.hour]).toEqual([9]);
+      expect([...parsed.dayOfMonth]).toEqual([1, 15]);
+      expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(() => parseCronExpression('* * *')).toThrow('Invalid cron expression');
+      expect(() => parseCronExpression('61 * * * *')).toThrow('Invalid minute field');
+      expect(() => parseCronExpression('')).toThrow('Invalid cron expression');
+    });
+  });
+
+  describe('getNextRun', () => {
+    it('should find the next monthly run', () => {
+      const next = getNextRun('@monthly', new Date('2026-10-19T12:00:00Z'));
+      expect(next.toISOString()).toBe('2026-11-01T00:00:00.000Z');
+    });
+
+    it('should return null for dates that never occur', () => {
+      expect(getNextRun('0 0 31 2 *', new Date('2026-01-01T00:00:00Z'))).toBeNull();
+    });
+  });
+
+  describe('getUpcomingRuns', () => {
+    it('should list quarterly runs', () => {
+      const runs = getUpcomingRuns('@quarterly', 3, new Date('2026-10-19T00:00:00Z'));
+
+      expect(runs.map(run => run.toISOString())).toEqual([
+        '2027-01-01T00:00:00.000Z',
+        '2027-04-01T00:00:00.000Z',
+        '2027-07-01T00:00:00.000Z'
+      ]);
+    });
+
+    it('should skip weekends for weekday schedules', () => {
+      const runs = getUpcomingRuns('30 9 * * 1-5', 2, new Date('2026-10-23T10:00:00Z'));
+
+      expect(runs.map(run => run.toISOString())).toEqual([
+        '2026-10-26T09:30:00.000Z',
+        '2026-10-27T09:30:00.000Z'
+      ]);
+    });
+  });
+});
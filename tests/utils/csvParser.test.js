@@ -0,0 +1,36 @@
+// tests/utils/csvParser.test.js
+const { parseCsv, parseCsvRows } = require('../../utils/csvParser');
+
+describe('CSV parser', () => {
+  it('should parse rows into objects keyed by header', () => {
+    const rows = parseCsv('name,industry\nAcme,Software\nGlobex,Energy\n');
+
+    expect(rows).toEqual([
+      { name: 'Acme', industry: 'Software' },
+      { name: 'Globex', industry: 'Energy' }
+    ]);
+  });
+
+  it('should handle quoted fields, escaped quotes and CRLF line endings', () => {
+    const rows = parseCsvRows('"Acme, Inc.","Said ""hello""\nthere"\r\nb,c');
+
+    expect(rows).toEqual([
+      ['Acme, Inc.', 'Said "hello"\nthere'],
+      ['b', 'c']
+    ]);
+  });
+
+  it('should strip a byte order mark and skip blank lines', () => {
+    const rows = parseCsv('\uFEFFname,description\n\nAcme,Widgets\n  \n');
+
+    expect(rows).toEqual([{ name: 'Acme', description: 'Widgets' }]);
+  });
+
+  it('should fill missing trailing values with empty strings', () => {
+    expect(parseCsv('name,industry\nAcme')).toEqual([{ name: 'Acme', industry: '' }]);
+  });
+
+  it('should reject unterminated quotes', () => {
+    expect(() => parseCsv('name\n"Acme')).toThrow('Invalid CSV: unterminated quoted field');
+  });
+});
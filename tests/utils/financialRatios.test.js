@@ -0,0 +1,110 @@
+// tests/utils/financialRatios.test.js
+const { computeFinancialRatios, formatRatiosForPrompt } = require('../../utils/financialRatios');
+
+const statements = {
+  currency: 'USD',
+  periods: [
+    {
+      label: 'FY2022',
+      year: 2022,
+      incomeStatement: {
+        revenue: 10000000, costOfRevenue: -4000000, operatingIncome: 1000000,
+        depreciationAmortization: 500000, interestExpense: -200000, netIncome: 600000
+      },
+      balanceSheet: { cash: 2000000, accountsReceivable: 1000000, currentAssets: 4000000, currentLiabilities: 2000000, totalDebt: 3000000 },
+      cashFlow: { operatingCashFlow: 800000, capitalExpenditures: -1000000, debtRepayments: -300000 }
+    },
+    {
+      label: 'FY2023',
+      year: 2023,
+      incomeStatement: {
+        revenue: 12500000, costOfRevenue: -5000000, operatingIncome: 1500000,
+        depreciationAmortization: 500000, interestExpense: -250000, netIncome: 1000000
+      },
+      balanceSheet: { cash: 3000000, accountsReceivable: 1200000, currentAssets: 5000000, currentLiabilities: 2500000, totalDebt: 4000000 },
+      cashFlow: { operatingCashFlow: -600000, capitalExpenditures: -600000, debtRepayments: -500000 }
+    }
+  ]
+};
+
+const latestValues = (ratios) => Object.fromEntries(ratios.latest.ratios.map(ratio => [ratio.key, ratio.value]));
+
+describe('financialRatios', () => {
+  it('should compute ratios for the latest period', () => {
+    const ratios = computeFinancialRatios(statements);
+
+    expect(ratios.latest).toMatchObject({ period: 'FY2023', previousPeriod: 'FY2022' });
+    expect(latestValues(ratios)).toEqual({
+      revenueGrowth: 25,
+      grossMargin: 60,
+      ebitda: 2000000,
+      ebitdaMargin: 16,
+      operatingMargin: 12,
+      netMargin: 8,
+      debtToEbitda: 2,
+      interestCoverage: 6,
+      currentRatio: 2,
+      quickRatio: 1.68,
+      dscr: 2.67,
+      burnRate: 100000,
+      runway: 30
+    });
+  });
+
+  it('should give changes from the previous period', () => {
+    const { latest } = computeFinancialRatios(statements);
+    const byKey = Object.fromEntries(latest.ratios.map(ratio => [ratio.key, ratio]));
+
+    expect(byKey.ebitdaMargin).toMatchObject({ display: '16.0%', previous: 15, delta: 1, deltaDisplay: '+1.0 pts' });
+    expect(byKey.dscr).toMatchObject({ display: '2.67x', delta: -0.33, deltaDisplay: '-0.33x' });
+    expect(byKey.runway).toMatchObject({ display: '30.0 months', deltaDisplay: '-90.0 months' });
+    expect(byKey.ebitda.note).toBe('Operating income + depreciation and amortization');
+  });
+
+  it('should explain ratios that are not meaningful and leave missing inputs empty', () => {
+    const { latest } = computeFinancialRatios({
+      periods: [{
+        label: 'FY2023',
+        incomeStatement: { revenue: 1000000, ebitda: -200000 },
+        balanceSheet: { totalDebt: 500000, cash: 800000 },
+        cashFlow: { freeCashFlow: 120000 }
+      }]
+    });
+    const byKey = Object.fromEntries(latest.ratios.map(ratio => [ratio.key, ratio]));
+
+    expect(byKey.ebitda).toMatchObject({ value: -200000, note: 'Reported' });
+    expect(byKey.debtToEbitda).toMatchObject({ value: null, display: 'Not meaningful: EBITDA is not positive' });
+    expect(byKey.burnRate).toMatchObject({ value: 0, note: 'Cash-flow positive' });
+    expect(byKey.runway).toMatchObject({ value: null, display: 'Not burning cash' });
+    expect(byKey.dscr).toMatchObject({ value: null, display: 'n/a', note: null });
+    expect(byKey.revenueGrowth.value).toBeNull();
+  });
+
+  it('should annualize quarters and compare them with the previous quarter', () => {
+    const quarter = (label, revenue, ebitda) => ({
+      label,
+      incomeStatement: { revenue, ebitda },
+      balanceSheet: { totalDebt: 4000000 },
+      cashFlow: { operatingCashFlow: -300000 }
+    });
+    const ratios = computeFinancialRatios({ periods: [quarter('Q1 2024', 2000000, 400000), quarter('Q2 2024', 2500000, 500000)] });
+
+    expect(latestValues(ratios)).toMatchObject({ revenueGrowth: 25, debtToEbitda: 2, burnRate: 100000 });
+    expect(ratios.periods.map(period => period.months)).toEqual([3, 3]);
+  });
+
+  it('should return null without periods', () => {
+    expect(computeFinancialRatios(undefined)).toBeNull();
+    expect(computeFinancialRatios({ periods: [] })).toBeNull();
+  });
+
+  it('should render a table for prompts', () => {
+    const table = formatRatiosForPrompt(computeFinancialRatios(statements));
+
+    expect(table).toMatch(/^Financial ratios computed from the statements\. Quote these figures as given/);
+    expect(table).toContain('Ratio | FY2022 | FY2023');
+    expect(table).toContain('EBITDA margin | 15.0% | 16.0%');
+    expect(table).toContain('Debt / EBITDA | 2.00x | 2.00x');
+    expect(formatRatiosForPrompt(null)).toBe('');
+  });
+});
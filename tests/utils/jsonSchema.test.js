@@ -0,0 +1,48 @@
+// tests/utils/jsonSchema.test.js
+const { validateSchema, parseJsonResponse, exampleFromSchema } = require('../../utils/jsonSchema');
+const { getSectionSchema } = require('../../services/sectionSchemas');
+
+describe('JSON schema validation', () => {
+  const schema = {
+    type: 'object',
+    required: ['name', 'severity'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      severity: { type: 'string', enum: ['low', 'high'] },
+      score: { type: ['number', 'null'], minimum: 0, maximum: 100 },
+      tags: { type: 'array', maxItems: 2, items: { type: 'string' } }
+    }
+  };
+
+  it('should accept valid values', () => {
+    expect(validateSchema(schema, { name: 'Churn', severity: 'high', score: null, tags: ['a'] })).toEqual([]);
+  });
+
+  it('should report each problem with its path', () => {
+    const errors = validateSchema(schema, { severity: 'extreme', score: 120, tags: ['a', 2, 'c'] });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      '$.name is required',
+      '$.severity must be one of "low", "high"',
+      '$.score must be at most 100',
+      '$.tags must have at most 2 items',
+      '$.tags[1] must be string'
+    ]));
+  });
+
+  it('should parse JSON wrapped in a code fence or text', () => {
+    expect(parseJsonResponse('```json\n{"a": 1}\n```').value).toEqual({ a: 1 });
+    expect(parseJsonResponse('Here you go: {"a": {"b": 2}} Thanks').value).toEqual({ a: { b: 2 } });
+    expect(parseJsonResponse('No JSON here').error).toBe('Response does not contain a JSON object');
+    expect(parseJsonResponse('{"a": 1,}').error).toMatch(/^Response is not valid JSON/);
+  });
+
+  it('should build examples that satisfy the section schemas', () => {
+    ['executiveSummary', 'riskAssessment', 'investmentRecommendation'].forEach(sectionType => {
+      const sectionSchema = getSectionSchema(sectionType);
+      const example = { ...exampleFromSchema(sectionSchema), content: 'x'.repeat(60) };
+
+      expect(validateSchema(sectionSchema, example)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+// tests/utils/statistics.test.js
+const { summarize, incompleteBeta, tTestPValue, welchTTest } = require('../../utils/statistics');
+
+describe('statistics', () => {
+  it('should summarize a sample', () => {
+    expect(summarize([2, 4, 4, 4, 5, 5, 7, 9])).toEqual({ count: 8, mean: 5, stdDev: expect.closeTo(2.138, 3) });
+    expect(summarize([3])).toEqual({ count: 1, mean: 3, stdDev: null });
+    expect(summarize([])).toEqual({ count: 0, mean: null, stdDev: null });
+  });
+
+  it('should compute the regularized incomplete beta function', () => {
+    expect(incompleteBeta(0.5, 2, 3)).toBeCloseTo(0.6875, 6);
+    expect(incompleteBeta(0, 2, 3)).toBe(0);
+    expect(incompleteBeta(1, 2, 3)).toBe(1);
+  });
+
+  it('should give two-sided p-values for t statistics', () => {
+    expect(tTestPValue(2.228, 10)).toBeCloseTo(0.05, 3);
+    expect(tTestPValue(1.96, 100000)).toBeCloseTo(0.05, 3);
+    expect(tTestPValue(0, 5)).toBeCloseTo(1, 6);
+  });
+
+  it("should run Welch's t-test", () => {
+    const result = welchTTest([1, 2, 3, 4, 5], [3, 4, 5, 6, 7]);
+
+    expect(result.difference).toBe(2);
+    expect(result.t).toBeCloseTo(2, 6);
+    expect(result.degreesOfFreedom).toBeCloseTo(8, 6);
+    expect(result.pValue).toBeCloseTo(0.0805, 4);
+  });
+
+  it('should handle samples too small or without variance', () => {
+    expect(welchTTest([1], [2, 3])).toBeNull();
+    expect(welchTTest([4, 4], [4, 4]).pValue).toBe(1);
+    expect(welchTTest([4, 4], [5, 5]).pValue).toBe(0);
+  });
+});
@@ -0,0 +1,60 @@
+// tests/utils/tokenizer.test.js
+const {
+  countTokens,
+  countChatTokens,
+  truncateToTokens,
+  getContextWindow,
+  getEncodingName
+} = require('../../utils/tokenizer');
+
+describe('Tokenizer', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should count tokens with the model encoding', () => {
+    expect(countTokens('', 'gpt-4')).toBe(0);
+    expect(countTokens('hello world', 'gpt-4')).toBe(2);
+    expect(getEncodingName('gpt-4-turbo')).toBe('cl100k_base');
+    expect(getEncodingName('gpt-4o-mini')).toBe('o200k_base');
+    expect(getEncodingName('some-local-model')).toBe('cl100k_base');
+  });
+
+  it('should overestimate models without a published tokenizer', () => {
+    const text = 'The company reported strong revenue growth across all regions.';
+
+    expect(countTokens(text, 'claude-3-5-sonnet-latest')).toBeGreaterThan(countTokens(text, 'gpt-4'));
+  });
+
+  it('should include chat message framing', () => {
+    expect(countChatTokens('system', 'prompt', 'gpt-4'))
+      .toBe(countTokens('system', 'gpt-4') + countTokens('prompt', 'gpt-4') + 9);
+  });
+
+  it('should truncate text to a token limit', () => {
+    const text = 'word '.repeat(100);
+
+    const truncated = truncateToTokens(text, 10, 'gpt-4');
+
+    expect(countTokens(truncated, 'gpt-4')).toBeLessThanOrEqual(10);
+    expect(text.startsWith(truncated)).toBe(true);
+    expect(truncateToTokens('short', 10, 'gpt-4')).toBe('short');
+  });
+
+  it('should look up context windows by longest model prefix', () => {
+    expect(getContextWindow('gpt-4')).toBe(8192);
+    expect(getContextWindow('gpt-4-turbo-2024-04-09')).toBe(128000);
+    expect(getContextWindow('claude-3-5-sonnet-latest')).toBe(200000);
+    expect(getContextWindow('unknown-model')).toBe(8192);
+  });
+
+  it('should let the environment override context windows', () => {
+    process.env.LLM_CONTEXT_WINDOWS = JSON.stringify({ 'unknown-model': 32000, 'gpt-4': 4096 });
+
+    expect(getContextWindow('unknown-model')).toBe(32000);
+    expect(getContextWindow('gpt-4-0613')).toBe(4096);
+    expect(getContextWindow('gpt-4-turbo')).toBe(128000);
+  });
+});
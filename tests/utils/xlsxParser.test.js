@@ -0,0 +1,145 @@
+// tests/utils/xlsxParser.test.js
+const zlib = require('zlib');
+const { isXlsx, parseXlsx } = require('../../utils/xlsxParser');
+
+// Build a zip archive; CRCs are left at zero since the reader does not check them.
+// declaredSizes overrides the uncompressed size recorded for a file, as a forged archive could.
+const buildZip = (files, declaredSizes = {}) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBuffer = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = zlib.deflateRawSync(raw);
+    const size = declaredSizes[name] ?? raw.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const workbook = buildZip({
+  'xl/workbook.xml': '<workbook><sheets>' +
+    '<sheet name="Income Statement" sheetId="1" r:id="rId1"/>' +
+    '<sheet name="Balance &amp; Cash" sheetId="2" r:id="rId2"/>' +
+    '</sheets></workbook>',
+  'xl/_rels/workbook.xml.rels': '<Relationships>' +
+    '<Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="worksheet" Target="/xl/worksheets/sheet2.xml"/>' +
+    '</Relationships>',
+  'xl/sharedStrings.xml': '<sst><si><t>Line item</t></si><si><r><t>Reve</t></r><r><t xml:space="preserve">nue</t></r></si>' +
+    '<si><t>FY2023</t></si></sst>',
+  'xl/worksheets/sheet1.xml': '<worksheet><sheetData>' +
+    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>2</v></c></row>' +
+    '<row r="2"><c r="A2" t="s"><v>1</v></c><c r="B2" s="1"/><c r="C2"><f>SUM(D2:E2)</f><v>1250.5</v></c></row>' +
+    '<row r="3"><c r="A3" t="inlineStr"><is><t>Net &lt;loss&gt;</t></is></c><c r="C3" t="b"><v>1</v></c></row>' +
+    '</sheetData></worksheet>',
+  'xl/worksheets/sheet2.xml': '<worksheet><sheetData><row r="1"/></sheetData></worksheet>'
+});
+
+describe('XLSX parser', () => {
+  it('should read every worksheet in workbook order', () => {
+    const sheets = parseXlsx(workbook);
+
+    expect(sheets.map(sheet => sheet.name)).toEqual(['Income Statement', 'Balance & Cash']);
+    expect(sheets[0].rows).toEqual([
+      ['Line item', '', 'FY2023'],
+      ['Revenue', '', '1250.5'],
+      ['Net <loss>', '', 'TRUE']
+    ]);
+    expect(sheets[1].rows).toEqual([]);
+  });
+
+  it('should recognise zip content', () => {
+    expect(isXlsx(workbook)).toBe(true);
+    expect(isXlsx(Buffer.from('Line item,FY2023'))).toBe(false);
+  });
+
+  it('should reject files that are not workbooks', () => {
+    expect(() => parseXlsx(Buffer.from('not a workbook'))).toThrow('Invalid XLSX: not a zip archive');
+    expect(() => parseXlsx(buildZip({ 'readme.txt': 'hello' }))).toThrow('Invalid XLSX: workbook not found');
+  });
+
+  describe('size limits', () => {
+    const sheetXml = '<worksheet><sheetData>' +
+      '<row r="1"><c r="A1" t="inlineStr"><is><t>Revenue</t></is></c><c r="B1"><v>100</v></c></row>' +
+      '</sheetData></worksheet>';
+    const files = {
+      'xl/workbook.xml': '<workbook><sheets><sheet name="Income" sheetId="1" r:id="rId1"/></sheets></workbook>',
+      'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>'
+    };
+    const limits = { maxEntrySize: 64 * 1024, maxTotalSize: 128 * 1024 };
+    const bomb = ' '.repeat(256 * 1024);
+
+    it('should reject a file whose recorded size is over the limit without extracting it', () => {
+      const archive = buildZip({ ...files, 'xl/worksheets/sheet1.xml': `${sheetXml}${bomb}` });
+
+      expect(() => parseXlsx(archive, limits)).toThrow('Invalid XLSX: xl/worksheets/sheet1.xml is too large');
+    });
+
+    it('should stop extracting at the limit when the recorded size is forged', () => {
+      const archive = buildZip(
+        { ...files, 'xl/worksheets/sheet1.xml': `${sheetXml}${bomb}` },
+        { 'xl/worksheets/sheet1.xml': 100 }
+      );
+
+      expect(() => parseXlsx(archive, limits)).toThrow('Invalid XLSX: xl/worksheets/sheet1.xml is too large');
+    });
+
+    it('should cap the total extracted across files', () => {
+      const archive = buildZip({
+        'xl/workbook.xml': '<workbook><sheets>' +
+          '<sheet name="One" sheetId="1" r:id="rId1"/><sheet name="Two" sheetId="2" r:id="rId2"/><sheet name="Three" sheetId="3" r:id="rId3"/>' +
+          '</sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': '<Relationships>' +
+          '<Relationship Id="rId1" Target="worksheets/sheet1.xml"/>' +
+          '<Relationship Id="rId2" Target="worksheets/sheet2.xml"/>' +
+          '<Relationship Id="rId3" Target="worksheets/sheet3.xml"/>' +
+          '</Relationships>',
+        'xl/worksheets/sheet1.xml': `${sheetXml}${' '.repeat(60 * 1024)}`,
+        'xl/worksheets/sheet2.xml': `${sheetXml}${' '.repeat(60 * 1024)}`,
+        'xl/worksheets/sheet3.xml': `${sheetXml}${' '.repeat(60 * 1024)}`
+      });
+
+      expect(() => parseXlsx(archive, limits)).toThrow('Invalid XLSX: xl/worksheets/sheet3.xml is too large');
+    });
+
+    it('should not extract files the parser does not read', () => {
+      const archive = buildZip({
+        ...files,
+        'xl/worksheets/sheet1.xml': sheetXml,
+        'xl/media/image1.png': bomb
+      });
+
+      expect(parseXlsx(archive, limits)).toEqual([{ name: 'Income', rows: [['Revenue', '100']] }]);
+    });
+  });
+});
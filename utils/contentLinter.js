@@ -0,0 +1,331 @@
+// utils/contentLinter.js
+// Rule-based checks of generated section text that need no model call:
+// placeholders, hedging, unsupported superlatives, figures that contradict the
+// company data, headings the prompt template asked for and overly long sections.
+// Each finding is an annotation with the character range it applies to, or a
+// null range when it concerns the whole section.
+
+// Bump when a rule changes so stored results can be told apart
+const LINT_RULES_VERSION = '1.0.0';
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Word limits per section type
+const DEFAULT_MAX_WORDS = 1500;
+const MAX_WORDS = {
+  executiveSummary: 800,
+  investmentRecommendation: 1000
+};
+
+// Relative difference above which a figure contradicts the company data
+const FIGURE_TOLERANCE = {
+  revenue: 0.1,
+  funding: 0.1,
+  employees: 0.2
+};
+
+const PLACEHOLDER_PATTERNS = [
+  { pattern: /\bN\/A\b/g, message: 'Placeholder "N/A" instead of a value' },
+  // [Company Name], [Insert date]; not markdown links or numeric footnotes
+  { pattern: /\[(?=[^\]\n]*[A-Za-z])[^\]\n]{1,40}\](?!\()/g, message: 'Bracketed placeholder left in the text' },
+  { pattern: /\{[A-Za-z][A-Za-z0-9_]*\}/g, message: 'Unfilled template placeholder' },
+  { pattern: /\b(?:TBD|TBC|TODO)\b/g, message: 'Placeholder left in the text' },
+  { pattern: /lorem ipsum/gi, message: 'Filler text left in the text' },
+  { pattern: /\$X+(?:\.X+)?\s?[MBK]?(?![A-Za-z])|\bX+%/g, message: 'Placeholder figure left in the text' }
+];
+
+const HEDGING_PATTERN = new RegExp('\\b(?:' + [
+  'might',
+  'could potentially',
+  'may potentially',
+  'possibly',
+  'perhaps',
+  'arguably',
+  'somewhat',
+  'to some extent',
+  'it (?:seems|appears) that',
+  'it is (?:possible|conceivable) that'
+].join('|') + ')\\b', 'gi');
+
+const SUPERLATIVE_PATTERN = new RegExp('\\b(?:' + [
+  'best[- ]in[- ]class',
+  'world[- ]class',
+  'industry[- ]leading',
+  'market[- ]leading',
+  'unparalleled',
+  'unmatched',
+  'unrivall?ed',
+  'unprecedented',
+  'revolutionary',
+  'game[- ]chang(?:ing|er)',
+  'cutting[- ]edge',
+  'guaranteed',
+  'the (?:best|leading|largest|fastest[- ]growing)'
+].join('|') + ')\\b', 'gi');
+
+// A currency amount such as $24M, $1.2 billion or €350,000
+const AMOUNT = '[$€£]\\s?\\d[\\d,]*(?:\\.\\d+)?(?:\\s?(?:billion|million|thousand|bn|mm|[BMK])\\b)?';
+
+// Sentences about forecasts, markets or parts of the business, whose revenue
+// figures are not the company's annual revenue
+const OTHER_REVENUE_CONTEXT = new RegExp('\\b(?:' + [
+  'project\\w*', 'forecast\\w*', 'expect\\w*', 'target\\w*', 'will', 'would', 'could', 'potential\\w*',
+  'by (?:fy)?\\s?20\\d\\d', 'next', 'market\\w*', 'addressable', 'tam', 'sam', 'arr',
+  'per (?:month|customer|employee|user)', 'monthly', 'quarter\\w*', 'segment\\w*'
+].join('|') + ')\\b', 'i');
+
+const FIGURE_RULES = [
+  {
+    field: 'revenue',
+    label: 'Revenue',
+    patterns: [
+      new RegExp(`\\brevenues?\\b[^.$€£\\n]{0,40}?(${AMOUNT})`, 'gi'),
+      new RegExp(`(${AMOUNT})\\s+(?:in|of)\\s+(?:annual\\s+)?revenues?\\b`, 'gi')
+    ],
+    parse: (text) => parseAmount(text),
+    skipSentence: (sentence) => OTHER_REVENUE_CONTEXT.test(sentence),
+    getExpected: (data) => toAmount(data?.financials?.revenue),
+    format: formatAmount
+  },
+  {
+    field: 'funding',
+    label: 'Total funding',
+    patterns: [
+      new RegExp(`\\b(?:total funding(?: of)?|raised a total of)\\s+(?:approximately\\s+|about\\s+|over\\s+)?(${AMOUNT})`, 'gi'),
+      new RegExp(`\\braised\\s+(?:approximately\\s+|about\\s+|over\\s+)?(${AMOUNT})(?=[^.\\n]*\\bto date\\b)`, 'gi'),
+      new RegExp(`(${AMOUNT})\\s+in\\s+total\\s+funding\\b`, 'gi')
+    ],
+    parse: (text) => parseAmount(text),
+    getExpected: (data) => toAmount(data?.financials?.funding),
+    format: formatAmount
+  },
+  {
+    field: 'employees',
+    label: 'Headcount',
+    patterns: [/\b(\d[\d,]*)\+?\s+(?:full-time\s+)?(?:employees|staff)\b/gi],
+    parse: (text) => parseFloat(text.replace(/,/g, '')),
+    getExpected: (data) => toCount(data?.company?.employees),
+    format: (value) => Math.round(value).toLocaleString('en-US')
+  },
+  {
+    field: 'foundingYear',
+    label: 'Founding year',
+    patterns: [/\b(?:founded|established|incorporated)\s+in\s+(\d{4})\b/gi],
+    parse: (text) => parseInt(text, 10),
+    getExpected: (data) => toCount(data?.company?.foundingYear),
+    format: (value) => String(value),
+    exact: true
+  }
+];
+
+/**
+ * Parse a currency amount like "$24.5M" or "€1.2 billion" into a number
+ */
+function parseAmount(text) {
+  const match = String(text).match(/(\d[\d,]*(?:\.\d+)?)\s?(billion|million|thousand|bn|mm|[BMK])?\b/i);
+  if (!match) return null;
+
+  const multipliers = { billion: 1e9, bn: 1e9, b: 1e9, million: 1e6, mm: 1e6, m: 1e6, thousand: 1e3, k: 1e3 };
+  const value = parseFloat(match[1].replace(/,/g, ''));
+  return value * (match[2] ? multipliers[match[2].toLowerCase()] : 1);
+}
+
+function formatAmount(value) {
+  if (value >= 1e9) return `$${(value / 1e9).toFixed(1)}B`;
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(1)}M`;
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+// Normalized financial fields are numbers, { value | total, display } objects or 'N/A'
+function toAmount(value) {
+  if (typeof value === 'number') return value;
+  if (value && typeof value === 'object') {
+    return toAmount(value.value ?? value.total);
+  }
+  if (typeof value === 'string' && /\d/.test(value)) {
+    return parseAmount(value);
+  }
+  return null;
+}
+
+function toCount(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^\s*\d[\d,]*\s*$/.test(value)) {
+    return parseInt(value.replace(/,/g, ''), 10);
+  }
+  return null;
+}
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+// The sentence around a position; periods inside figures like $2.5M don't end a sentence
+const getSentence = (content, index) => {
+  const start = content.slice(0, index).search(/(?:[.!?]\s+|\n)[^.!?\n]*$/);
+  const end = content.slice(index).search(/[.!?](?=\s|$)|\n/);
+  return content.slice(start === -1 ? 0 : start + 1, end === -1 ? content.length : index + end + 1);
+};
+
+const annotation = (rule, severity, message, start = null, end = null, excerpt = null) =>
+  ({ rule, severity, message, start, end, excerpt });
+
+const matchAll = (content, pattern) => Array.from(content.matchAll(new RegExp(pattern.source, pattern.flags)));
+
+function checkPlaceholders(content) {
+  return PLACEHOLDER_PATTERNS.flatMap(({ pattern, message }) =>
+    matchAll(content, pattern).map(match =>
+      annotation('placeholder', 'error', message, match.index, match.index + match[0].length, match[0])));
+}
+
+function checkHedging(content) {
+  return matchAll(content, HEDGING_PATTERN).map(match =>
+    annotation('hedging', 'info', `Hedging language: "${match[0]}"`,
+      match.index, match.index + match[0].length, match[0]));
+}
+
+// Superlatives count as supported when their sentence cites a figure
+function checkSuperlatives(content) {
+  return matchAll(content, SUPERLATIVE_PATTERN)
+    .filter(match => !/\d/.test(getSentence(content, match.index)))
+    .map(match =>
+      annotation('superlative', 'warning', `Superlative "${match[0]}" without a supporting figure`,
+        match.index, match.index + match[0].length, match[0]));
+}
+
+function checkFigures(content, companyData) {
+  if (!companyData) return [];
+
+  const annotations = [];
+  FIGURE_RULES.forEach(rule => {
+    const expected = rule.getExpected(companyData);
+    if (!expected) return;
+
+    const seen = new Set();
+    rule.patterns.forEach(pattern => {
+      matchAll(content, pattern).forEach(match => {
+        const figure = match[1];
+        const start = match.index + match[0].indexOf(figure);
+        if (seen.has(start)) return;
+        seen.add(start);
+
+        if (rule.skipSentence && rule.skipSentence(getSentence(content, start))) return;
+
+        const value = rule.parse(figure);
+        if (value === null || Number.isNaN(value)) return;
+
+        const contradicts = rule.exact
+          ? value !== expected
+          : Math.abs(value - expected) / expected > FIGURE_TOLERANCE[rule.field];
+        if (contradicts) {
+          annotations.push(annotation('data-mismatch', 'error',
+            `${rule.label} of ${figure} differs from the company data (${rule.format(expected)})`,
+            start, start + figure.length, figure));
+        }
+      });
+    });
+  });
+
+  return annotations;
+}
+
+/**
+ * Headings a prompt template asks for: the top-level numbered items,
+ * cut down to their name ("3. Threat analysis:" -> "Threat analysis")
+ */
+function extractRequiredHeadings(template) {
+  if (!template) return [];
+
+  return Array.from(template.matchAll(/^\d+\.\s+(.+)$/gm))
+    .map(match => match[1]
+      .replace(/\{[^}]+\}/g, '')
+      .split(/[(:,;]|\s(?:with|in|for|that|covering|including|based on)\s/)[0]
+      .replace(/[.\s]+$/, '')
+      .trim())
+    .filter(heading => heading.length > 2);
+}
+
+// Words too generic to tell sections apart
+const STOP_WORDS = new Set([
+  'and', 'the', 'for', 'with', 'from', 'into', 'their', 'key', 'main', 'detailed',
+  'summary', 'analysis', 'overview', 'assessment', 'current', 'future'
+]);
+
+// Significant words, shortened so "risks" matches "risk" and "competitive" matches "competitors"
+const headingWords = (text) => (text.toLowerCase().match(/[a-z]+/g) || [])
+  .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+  .map(word => word.slice(0, 5));
+
+// Markdown headings, bold lead-ins, numbered items and short lines ending in a colon
+const HEADING_LINE = /^\s*(?:#{1,6}\s+.+|\*\*[^*\n]+\*\*|\d+[.)]\s+.+|[A-Z][^.!?\n]{0,80}:\s*$)/gm;
+
+/**
+ * A heading is present when a heading-like line in the content (or, in content
+ * without any, the text itself) shares a significant word with it. Models
+ * reword headings, so this errs towards present.
+ */
+function hasHeading(heading, headingLines) {
+  const words = headingWords(heading);
+  if (words.length === 0) return true;
+
+  return headingLines.some(line => {
+    const lineWords = new Set(headingWords(line));
+    return words.some(word => lineWords.has(word));
+  });
+}
+
+function checkHeadings(content, requiredHeadings) {
+  if (!requiredHeadings || requiredHeadings.length === 0) return [];
+
+  const lines = content.match(HEADING_LINE) || [];
+  const headingLines = lines.length > 0 ? lines : [content];
+
+  return requiredHeadings
+    .filter(heading => !hasHeading(heading, headingLines))
+    .map(heading => annotation('missing-heading', 'warning', `Missing section required by the template: "${heading}"`));
+}
+
+function checkLength(content, sectionType) {
+  const maxWords = MAX_WORDS[sectionType] || DEFAULT_MAX_WORDS;
+  const words = countWords(content);
+
+  return words > maxWords
+    ? [annotation('too-long', 'warning', `Section is ${words} words long; keep it under ${maxWords}`)]
+    : [];
+}
+
+/**
+ * Lint a generated section
+ * @param {string} content - Section text
+ * @param {Object} options - { sectionType, companyData (normalized), template (prompt template text) or requiredHeadings }
+ * @returns {Object} { rulesVersion, annotations, counts, requiredHeadings }; annotations are
+ * { rule, severity, message, start, end, excerpt } sorted by position, section-wide ones last
+ */
+function lintContent(content, { sectionType, companyData, template, requiredHeadings } = {}) {
+  const text = typeof content === 'string' ? content : '';
+  const headings = requiredHeadings || extractRequiredHeadings(template);
+
+  const annotations = [
+    ...checkPlaceholders(text),
+    ...checkFigures(text, companyData),
+    ...checkSuperlatives(text),
+    ...checkHedging(text),
+    ...checkHeadings(text, headings),
+    ...checkLength(text, sectionType)
+  ].sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity));
+
+  const counts = Object.fromEntries(SEVERITIES.map(severity =>
+    [severity, annotations.filter(item => item.severity === severity).length]));
+
+  return {
+    rulesVersion: LINT_RULES_VERSION,
+    annotations,
+    counts,
+    requiredHeadings: headings
+  };
+}
+
+module.exports = {
+  LINT_RULES_VERSION,
+  lintContent,
+  extractRequiredHeadings,
+  parseAmount
+};
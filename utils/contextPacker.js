@@ -0,0 +1,187 @@
+// utils/contextPacker.js
+// Fits normalized company data into a token budget by summarizing, then dropping,
+// the least important fields first.
+
+// Base importance of normalized company data fields (higher is kept longer).
+// Fields at ESSENTIAL_PRIORITY or above are never dropped.
+const ESSENTIAL_PRIORITY = 100;
+
+const FIELD_PRIORITIES = {
+  'company.name': 100,
+  'company.description': 100,
+  'company.industry': 100,
+  'company.foundingYear': 70,
+  'company.headquarters': 70,
+  'company.employees': 70,
+  'company.status': 40,
+  'company.website': 30,
+  'financials.revenue': 80,
+  'financials.growth': 80,
+  'financials.profitability': 75,
+  'financials.funding': 70,
+  'financials.cashPosition': 40,
+  'market.size': 60,
+  'market.growth': 60,
+  'market.competitors': 50,
+  'market.trends': 40,
+  'risk.rating': 60,
+  'risk.factors': 50,
+  '_metadata': 10
+};
+
+// Fields not listed above
+const DEFAULT_PRIORITY = 20;
+
+// Sections that need a group of fields more than others do
+const SECTION_BOOSTS = {
+  financialAnalysis: { financials: 30 },
+  financialProjections: { financials: 30 },
+  valuationAnalysis: { financials: 30, market: 10 },
+  marketAnalysis: { market: 30 },
+  competitiveAnalysis: { market: 30 },
+  riskAssessment: { risk: 30 },
+  investmentRecommendation: { financials: 10, risk: 10 }
+};
+
+// Limits applied when a field is summarized
+const SUMMARY_MAX_ITEMS = 3;
+const SUMMARY_MAX_CHARS = 200;
+
+const getPath = (data, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const setPath = (data, path, value) => {
+  const keys = path.split('.');
+  const parent = keys.slice(0, -1).reduce((target, key) => target[key], data);
+  if (value === undefined) {
+    delete parent[keys[keys.length - 1]];
+  } else {
+    parent[keys[keys.length - 1]] = value;
+  }
+};
+
+/**
+ * Priority of a field for a section
+ */
+const getFieldPriority = (path, sectionType) => {
+  const base = FIELD_PRIORITIES[path] ?? FIELD_PRIORITIES[path.split('.')[0]] ?? DEFAULT_PRIORITY;
+  if (base >= ESSENTIAL_PRIORITY) return base;
+
+  const boosts = SECTION_BOOSTS[sectionType] || {};
+  return base + (boosts[path.split('.')[0]] || 0);
+};
+
+/**
+ * List packable fields: second-level fields of objects (company.name) and top-level scalars
+ */
+const listFields = (data) => {
+  const fields = [];
+  Object.entries(data || {}).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) && key !== '_metadata') {
+      Object.keys(value).forEach(child => fields.push(`${key}.${child}`));
+    } else {
+      fields.push(key);
+    }
+  });
+  return fields;
+};
+
+/**
+ * Shorten a value: long strings are cut at a sentence or word boundary,
+ * long lists keep their first items, and objects are summarized field by field
+ */
+const summarizeValue = (value) => {
+  if (typeof value === 'string') {
+    if (value.length <= SUMMARY_MAX_CHARS) return value;
+
+    const cut = value.substring(0, SUMMARY_MAX_CHARS);
+    const sentenceEnd = cut.lastIndexOf('. ');
+    const wordEnd = cut.lastIndexOf(' ');
+    const end = sentenceEnd > SUMMARY_MAX_CHARS / 2 ? sentenceEnd + 1 : (wordEnd > 0 ? wordEnd : SUMMARY_MAX_CHARS);
+    return `${cut.substring(0, end)}…`;
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, SUMMARY_MAX_ITEMS).map(summarizeValue);
+    if (value.length > SUMMARY_MAX_ITEMS) {
+      items.push(`(${value.length - SUMMARY_MAX_ITEMS} more omitted)`);
+    }
+    return items;
+  }
+
+  if (value && typeof value === 'object') {
+    const summary = {};
+    Object.entries(value).forEach(([key, child]) => {
+      summary[key] = summarizeValue(child);
+    });
+    return summary;
+  }
+
+  return value;
+};
+
+/**
+ * Pack company data into a token budget.
+ *
+ * Reductions are applied one at a time until the JSON fits: compact JSON first
+ * (lossless), then field by field from the lowest priority up, summarize the
+ * field and drop it if that was not enough. Essential fields (name, description,
+ * industry) are summarized but never dropped.
+ *
+ * @param {Object} companyData - Normalized company data
+ * @param {Object} options - Packing options
+ * @param {Number} options.budget - Maximum tokens for the serialized data
+ * @param {Function} options.countTokens - Counts the tokens in a string
+ * @param {String} options.sectionType - Section being generated, to favour relevant fields
+ * @returns {Object} { json, tokens, fits, summarized: [paths], dropped: [paths] }
+ */
+const packCompanyData = (companyData, { budget, countTokens, sectionType }) => {
+  const result = { summarized: [], dropped: [] };
+
+  // Unchanged data in the readable format used before packing existed
+  let json = JSON.stringify(companyData, null, 2) || '{}';
+  let tokens = countTokens(json);
+  if (tokens <= budget) {
+    return { ...result, json, tokens, fits: true };
+  }
+
+  const data = JSON.parse(JSON.stringify(companyData || {}));
+  const measure = () => {
+    json = JSON.stringify(data);
+    tokens = countTokens(json);
+    return tokens <= budget;
+  };
+
+  if (measure()) {
+    return { ...result, json, tokens, fits: true };
+  }
+
+  const fields = listFields(data)
+    .map(path => ({ path, priority: getFieldPriority(path, sectionType) }))
+    .sort((a, b) => a.priority - b.priority);
+
+  // Least important first: summarize the field, and drop it if that is not enough
+  for (const { path, priority } of fields) {
+    const value = getPath(data, path);
+    const summary = summarizeValue(value);
+    if (JSON.stringify(summary) !== JSON.stringify(value)) {
+      setPath(data, path, summary);
+      result.summarized.push(path);
+      if (measure()) return { ...result, json, tokens, fits: true };
+    }
+
+    if (priority < ESSENTIAL_PRIORITY) {
+      setPath(data, path, undefined);
+      result.dropped.push(path);
+      if (measure()) return { ...result, json, tokens, fits: true };
+    }
+  }
+
+  // Only essential fields are left and they still do not fit
+  return { ...result, json, tokens, fits: false };
+};
+
+module.exports = {
+  packCompanyData,
+  getFieldPriority,
+  summarizeValue
+};
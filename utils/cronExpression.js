@@ -0,0 +1,187 @@
+// utils/cronExpression.js
+// Minimal five-field cron expression support (minute hour day-of-month month day-of-week).
+// All times are evaluated in UTC.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// Common shorthands, including a quarterly schedule for portfolio monitoring
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@quarterly': '0 0 1 1,4,7,10 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *'
+};
+
+// Never search further ahead than this for the next run
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse one cron field (e.g. "*", "1,15", "1-5" or a stepped range like "0-30/10") into a set of values
+ */
+const parseField = (value, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${name} field: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = min;
+      end = max;
+    } else if (rangePart.includes('-')) {
+      [start, end] = rangePart.split('-').map(Number);
+    } else {
+      start = Number(rangePart);
+      end = stepPart === undefined ? start : max;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name} field: ${part}`);
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {String} expression - Five-field cron expression or alias such as @monthly
+ * @returns {Object} Parsed schedule
+ */
+const parseCronExpression = (expression) => {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Invalid cron expression: expression is required');
+  }
+
+  const normalized = ALIASES[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression: expected ${FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const parsed = {};
+  try {
+    FIELDS.forEach((field, index) => {
+      parsed[field.name] = parseField(parts[index], field);
+    });
+  } catch (error) {
+    throw new Error(`Invalid cron expression: ${error.message}`);
+  }
+
+  // Treat 7 as Sunday
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.add(0);
+    parsed.dayOfWeek.delete(7);
+  }
+
+  // Standard cron: when both day fields are restricted, either may match
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+
+  return parsed;
+};
+
+/**
+ * Check whether a parsed schedule runs on a given UTC day
+ */
+const matchesDay = (parsed, date) => {
+  const domMatch = parsed.dayOfMonth.has(date.getUTCDate());
+  const dowMatch = parsed.dayOfWeek.has(date.getUTCDay());
+
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+};
+
+/**
+ * Find the next run strictly after a date
+ * @param {String|Object} expression - Cron expression or a parsed schedule
+ * @param {Date} after - Start searching after this time
+ * @returns {Date|null} Next run time, or null if none within the search window
+ */
+const getNextRun = (expression, after = new Date()) => {
+  const parsed = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+
+  // Start at the next whole minute
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = new Date(after.getTime());
+  limit.setUTCFullYear(limit.getUTCFullYear() + MAX_SEARCH_YEARS);
+
+  while (date <= limit) {
+    if (!parsed.month.has(date.getUTCMonth() + 1)) {
+      // Jump to the first day of the next month
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!matchesDay(parsed, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!parsed.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!parsed.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return date;
+  }
+
+  return null;
+};
+
+/**
+ * List upcoming runs
+ * @param {String} expression - Cron expression
+ * @param {Number} count - Number of runs to return
+ * @param {Date} after - Start searching after this time
+ * @returns {Array<Date>} Upcoming run times
+ */
+const getUpcomingRuns = (expression, count = 5, after = new Date()) => {
+  const parsed = parseCronExpression(expression);
+  const runs = [];
+
+  let next = getNextRun(parsed, after);
+  while (next && runs.length < count) {
+    runs.push(next);
+    next = getNextRun(parsed, next);
+  }
+
+  return runs;
+};
+
+module.exports = {
+  parseCronExpression,
+  getNextRun,
+  getUpcomingRuns
+};
@@ -0,0 +1,90 @@
+// utils/csvParser.js
+// Small RFC 4180 CSV parser: quoted fields, escaped quotes ("") and CRLF line endings.
+
+/**
+ * Split CSV text into rows of raw field values
+ * @param {String} text - CSV content
+ * @returns {Array<Array<String>>} Rows of fields
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const content = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Invalid CSV: unterminated quoted field');
+  }
+
+  // Last line without a trailing newline
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {String} text - CSV content; the first row holds column names
+ * @returns {Array<Object>} One object per data row, keyed by column name
+ */
+const parseCsv = (text) => {
+  const rows = parseCsvRows(text || '');
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headers = rows[0].map(header => header.trim());
+
+  return rows.slice(1).map(values => {
+    const record = {};
+    headers.forEach((header, index) => {
+      if (header) {
+        record[header] = values[index] !== undefined ? values[index].trim() : '';
+      }
+    });
+    return record;
+  });
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRows
+};
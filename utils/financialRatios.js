@@ -0,0 +1,334 @@
+// utils/financialRatios.js
+// Deterministic financial ratios from canonical financial statements (see
+// financialStatementService). Ratios are computed here and handed to prompts
+// and metric cards as figures, so the model never has to work them out.
+
+const RATIOS_VERSION = '1.0';
+
+// Months covered by a period, from its label
+const periodMonths = (period) => {
+  if (/^q[1-4]\b|\bq[1-4]$/i.test(period.label)) return 3;
+  if (/^h[12]\b|\bh[12]$/i.test(period.label)) return 6;
+  return 12;
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Costs may be reported as negative numbers
+const cost = (value) => (isNumber(value) ? Math.abs(value) : undefined);
+
+const ratio = (numerator, denominator) => (isNumber(numerator) && isNumber(denominator) && denominator !== 0
+  ? numerator / denominator
+  : null);
+
+const percent = (value) => (value === null ? null : value * 100);
+
+const round = (value, digits) => (value === null ? null : parseFloat(value.toFixed(digits)));
+
+const formatCurrency = (value, currency = 'USD') => {
+  const symbols = { USD: '$', EUR: '€', GBP: '£', JPY: '¥' };
+  const prefix = symbols[currency] || `${currency} `;
+  const abs = Math.abs(value);
+  const sign = value < 0 ? '-' : '';
+
+  if (abs >= 1000000000) return `${sign}${prefix}${(abs / 1000000000).toFixed(1)}B`;
+  if (abs >= 1000000) return `${sign}${prefix}${(abs / 1000000).toFixed(1)}M`;
+  if (abs >= 1000) return `${sign}${prefix}${(abs / 1000).toFixed(1)}K`;
+  return `${sign}${prefix}${Math.round(abs)}`;
+};
+
+/**
+ * EBITDA as reported, else operating income + D&A, else net income + interest + tax + D&A
+ * @returns {Object} { value, basis }
+ */
+const computeEbitda = ({ incomeStatement: income = {} }) => {
+  if (isNumber(income.ebitda)) {
+    return { value: income.ebitda, basis: 'Reported' };
+  }
+
+  const da = cost(income.depreciationAmortization);
+  if (isNumber(income.operatingIncome) && da !== undefined) {
+    return { value: income.operatingIncome + da, basis: 'Operating income + depreciation and amortization' };
+  }
+
+  if (isNumber(income.netIncome) && da !== undefined && income.interestExpense !== undefined && income.incomeTax !== undefined) {
+    return {
+      value: income.netIncome + cost(income.interestExpense) + cost(income.incomeTax) + da,
+      basis: 'Net income + interest + tax + depreciation and amortization'
+    };
+  }
+
+  return { value: null, basis: null };
+};
+
+// Free cash flow as reported, else operating cash flow less capital expenditures
+const computeFreeCashFlow = ({ cashFlow = {} }) => {
+  if (isNumber(cashFlow.freeCashFlow)) return cashFlow.freeCashFlow;
+  if (isNumber(cashFlow.operatingCashFlow)) {
+    return cashFlow.operatingCashFlow - (cost(cashFlow.capitalExpenditures) || 0);
+  }
+  return null;
+};
+
+// Each ratio: key, label, unit (percent, multiple, currency or months) and a
+// compute(period, context) returning { value, note }, or { value: null, reason }
+// when the ratio is not meaningful. Percentages are 0-100.
+const RATIO_DEFINITIONS = [
+  {
+    key: 'revenueGrowth',
+    label: 'Revenue growth',
+    unit: 'percent',
+    compute: (period, { previous }) => {
+      const current = period.incomeStatement?.revenue;
+      const prior = previous?.incomeStatement?.revenue;
+      const growth = ratio(isNumber(current) && isNumber(prior) ? current - prior : null, prior && Math.abs(prior));
+      return { value: percent(growth), note: growth === null ? null : `vs ${previous.label}` };
+    }
+  },
+  {
+    key: 'grossMargin',
+    label: 'Gross margin',
+    unit: 'percent',
+    compute: ({ incomeStatement: income = {} }) => {
+      const grossProfit = isNumber(income.grossProfit)
+        ? income.grossProfit
+        : (isNumber(income.revenue) && income.costOfRevenue !== undefined ? income.revenue - cost(income.costOfRevenue) : null);
+      return { value: percent(ratio(grossProfit, income.revenue)) };
+    }
+  },
+  {
+    key: 'ebitda',
+    label: 'EBITDA',
+    unit: 'currency',
+    compute: (period, { ebitda }) => ({ value: ebitda.value, note: ebitda.basis })
+  },
+  {
+    key: 'ebitdaMargin',
+    label: 'EBITDA margin',
+    unit: 'percent',
+    compute: (period, { ebitda }) => ({ value: percent(ratio(ebitda.value, period.incomeStatement?.revenue)) })
+  },
+  {
+    key: 'operatingMargin',
+    label: 'Operating margin',
+    unit: 'percent',
+    compute: ({ incomeStatement: income = {} }) => ({ value: percent(ratio(income.operatingIncome, income.revenue)) })
+  },
+  {
+    key: 'netMargin',
+    label: 'Net margin',
+    unit: 'percent',
+    compute: ({ incomeStatement: income = {} }) => ({ value: percent(ratio(income.netIncome, income.revenue)) })
+  },
+  {
+    key: 'debtToEbitda',
+    label: 'Debt / EBITDA',
+    unit: 'multiple',
+    compute: ({ balanceSheet: balance = {} }, { ebitda, annualize }) => {
+      if (!isNumber(balance.totalDebt) || !isNumber(ebitda.value)) return { value: null };
+      if (ebitda.value <= 0) return { value: null, reason: 'Not meaningful: EBITDA is not positive' };
+      return { value: balance.totalDebt / (ebitda.value * annualize) };
+    }
+  },
+  {
+    key: 'interestCoverage',
+    label: 'Interest coverage',
+    unit: 'multiple',
+    compute: ({ incomeStatement: income = {} }) => ({
+      value: ratio(income.operatingIncome, cost(income.interestExpense)),
+      note: 'Operating income / interest expense'
+    })
+  },
+  {
+    key: 'currentRatio',
+    label: 'Current ratio',
+    unit: 'multiple',
+    compute: ({ balanceSheet: balance = {} }) => ({ value: ratio(balance.currentAssets, balance.currentLiabilities) })
+  },
+  {
+    key: 'quickRatio',
+    label: 'Quick ratio',
+    unit: 'multiple',
+    compute: ({ balanceSheet: balance = {} }) => {
+      if (isNumber(balance.cash) && isNumber(balance.accountsReceivable)) {
+        return { value: ratio(balance.cash + balance.accountsReceivable, balance.currentLiabilities), note: '(Cash + receivables) / current liabilities' };
+      }
+      if (isNumber(balance.currentAssets) && isNumber(balance.inventory)) {
+        return { value: ratio(balance.currentAssets - balance.inventory, balance.currentLiabilities), note: '(Current assets - inventory) / current liabilities' };
+      }
+      return { value: null };
+    }
+  },
+  {
+    key: 'dscr',
+    label: 'DSCR',
+    unit: 'multiple',
+    compute: ({ incomeStatement: income = {}, cashFlow = {} }, { ebitda }) => {
+      const interest = cost(income.interestExpense);
+      const principal = cost(cashFlow.debtRepayments);
+      if (interest === undefined || principal === undefined) return { value: null };
+      return { value: ratio(ebitda.value, interest + principal), note: 'EBITDA / (interest + principal repayments)' };
+    }
+  },
+  {
+    key: 'burnRate',
+    label: 'Monthly burn',
+    unit: 'currency',
+    compute: (period, { freeCashFlow, months }) => {
+      if (freeCashFlow === null) return { value: null };
+      if (freeCashFlow >= 0) return { value: 0, note: 'Cash-flow positive' };
+      return { value: -freeCashFlow / months, note: 'Negative free cash flow per month' };
+    }
+  },
+  {
+    key: 'runway',
+    label: 'Cash runway',
+    unit: 'months',
+    compute: ({ balanceSheet: balance = {} }, { freeCashFlow, months }) => {
+      if (freeCashFlow === null || !isNumber(balance.cash)) return { value: null };
+      if (freeCashFlow >= 0) return { value: null, reason: 'Not burning cash' };
+      return { value: balance.cash / (-freeCashFlow / months), note: 'Cash / monthly burn' };
+    }
+  }
+];
+
+const DIGITS = { percent: 1, multiple: 2, currency: 0, months: 1 };
+
+/**
+ * Format a ratio value for display
+ * @param {Number} value - Ratio value
+ * @param {String} unit - percent, multiple, currency or months
+ * @param {String} currency - Currency code for currency values
+ */
+const formatRatioValue = (value, unit, currency = 'USD') => {
+  if (value === null || value === undefined) return 'n/a';
+
+  switch (unit) {
+    case 'percent':
+      return `${value.toFixed(1)}%`;
+    case 'multiple':
+      return `${value.toFixed(2)}x`;
+    case 'currency':
+      return formatCurrency(value, currency);
+    case 'months':
+      return `${value.toFixed(1)} months`;
+    default:
+      return String(value);
+  }
+};
+
+const formatDelta = (delta, unit, currency) => {
+  if (delta === null) return null;
+
+  const sign = delta > 0 ? '+' : (delta < 0 ? '-' : '±');
+  const abs = Math.abs(delta);
+  switch (unit) {
+    case 'percent':
+      return `${sign}${abs.toFixed(1)} pts`;
+    case 'multiple':
+      return `${sign}${abs.toFixed(2)}x`;
+    case 'currency':
+      return `${sign}${formatCurrency(abs, currency)}`;
+    default:
+      return `${sign}${abs.toFixed(1)} months`;
+  }
+};
+
+/**
+ * Compute ratios for every period of the statements, with changes from the
+ * previous period of the same length (annual against annual, quarter against quarter)
+ * @param {Object} statements - Canonical financial statements
+ * @returns {Object|null} { version, currency, periods: [{ label, year, months,
+ * ratios: { key: { value, display, previous, delta, deltaDisplay, note } } }],
+ * latest: { period, previousPeriod, ratios: [{ key, label, unit, ... }] } }; null without periods
+ */
+const computeFinancialRatios = (statements) => {
+  const periods = statements?.periods;
+  if (!Array.isArray(periods) || periods.length === 0) {
+    return null;
+  }
+
+  const currency = statements.currency || 'USD';
+  const results = [];
+
+  periods.forEach((period, index) => {
+    const months = periodMonths(period);
+    const previous = [...periods.slice(0, index)].reverse().find(candidate => periodMonths(candidate) === months) || null;
+    const previousResult = previous ? results[periods.indexOf(previous)] : null;
+    const context = {
+      previous,
+      months,
+      annualize: 12 / months,
+      ebitda: computeEbitda(period),
+      freeCashFlow: computeFreeCashFlow(period)
+    };
+
+    const ratios = {};
+    RATIO_DEFINITIONS.forEach(definition => {
+      const { value, note = null, reason = null } = definition.compute(period, context);
+      const rounded = isNumber(value) ? round(value, DIGITS[definition.unit]) : null;
+      const prior = previousResult?.ratios[definition.key]?.value ?? null;
+      const delta = rounded !== null && prior !== null ? round(rounded - prior, DIGITS[definition.unit]) : null;
+
+      ratios[definition.key] = {
+        value: rounded,
+        display: rounded === null && reason ? reason : formatRatioValue(rounded, definition.unit, currency),
+        previous: prior,
+        delta,
+        deltaDisplay: formatDelta(delta, definition.unit, currency),
+        note: rounded === null ? reason : note
+      };
+    });
+
+    results.push({ label: period.label, year: period.year ?? null, months, previousPeriod: previous?.label || null, ratios });
+  });
+
+  // The latest period with an income statement, like the company data inputs
+  const latestIndex = periods.reduce((found, period, index) =>
+    (Object.keys(period.incomeStatement || {}).length > 0 ? index : found), periods.length - 1);
+  const latest = results[latestIndex];
+
+  return {
+    version: RATIOS_VERSION,
+    currency,
+    periods: results,
+    latest: {
+      period: latest.label,
+      previousPeriod: latest.previousPeriod,
+      ratios: RATIO_DEFINITIONS.map(({ key, label, unit }) => ({ key, label, unit, ...latest.ratios[key] }))
+    }
+  };
+};
+
+/**
+ * Ratios as a table for section prompts
+ * @param {Object} financialRatios - Result of computeFinancialRatios
+ */
+const formatRatiosForPrompt = (financialRatios) => {
+  const periods = (financialRatios?.periods || []).slice(-3);
+  if (periods.length === 0) return '';
+
+  const rows = RATIO_DEFINITIONS
+    .filter(({ key }) => periods.some(period => period.ratios[key].value !== null || period.ratios[key].note))
+    .map(({ key, label }) => {
+      const values = periods.map(period => period.ratios[key].display);
+      const note = periods[periods.length - 1].ratios[key].note;
+      return `${label} | ${values.join(' | ')}${note ? ` (${note})` : ''}`;
+    });
+
+  if (rows.length === 0) return '';
+
+  return [
+    'Financial ratios computed from the statements. Quote these figures as given; do not recalculate them or compute other ratios:',
+    `Ratio | ${periods.map(period => period.label).join(' | ')}`,
+    ...rows
+  ].join('\n');
+};
+
+module.exports = {
+  RATIOS_VERSION,
+  RATIO_DEFINITIONS,
+  computeFinancialRatios,
+  formatRatiosForPrompt,
+  formatRatioValue
+};
@@ -0,0 +1,142 @@
+// utils/jsonSchema.js
+// Minimal JSON Schema validation for model output. Supports the keywords the
+// section schemas use: type, properties, required, additionalProperties,
+// items, enum, minimum, maximum, minLength, minItems and maxItems.
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema (subset)
+ * @param {*} value - Value to check
+ * @param {String} path - Location of the value, used in error messages
+ * @returns {Array} Error messages, empty when the value is valid
+ */
+const validateSchema = (schema, value, path = '$') => {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} must be ${types.join(' or ')}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} must be at least ${schema.minLength} characters`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = schema.properties?.[key];
+      if (childSchema) {
+        errors.push(...validateSchema(childSchema, child, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Parse the JSON object in a model response. Models sometimes wrap JSON in a
+ * markdown code fence or add a sentence around it, so the outermost object is used.
+ * @returns {Object} { value, error }
+ */
+const parseJsonResponse = (text) => {
+  const source = String(text || '').trim();
+  const fenced = source.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1] : source;
+
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    return { value: null, error: 'Response does not contain a JSON object' };
+  }
+
+  try {
+    return { value: JSON.parse(body.substring(start, end + 1)), error: null };
+  } catch (error) {
+    return { value: null, error: `Response is not valid JSON: ${error.message}` };
+  }
+};
+
+/**
+ * Build the smallest value that satisfies a schema, e.g. for offline providers
+ */
+const exampleFromSchema = (schema, label = 'value') => {
+  if (schema.enum) return schema.enum[0];
+
+  const type = Array.isArray(schema.type) ? schema.type.find(option => option !== 'null') : schema.type;
+  switch (type) {
+    case 'object': {
+      const example = {};
+      (schema.required || []).forEach(key => {
+        example[key] = exampleFromSchema(schema.properties?.[key] || {}, key);
+      });
+      return example;
+    }
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => exampleFromSchema(schema.items || {}, label));
+    case 'number':
+    case 'integer':
+      return schema.minimum !== undefined ? schema.minimum : 0;
+    case 'boolean':
+      return false;
+    case 'null':
+      return null;
+    default:
+      return `Example ${label}`;
+  }
+};
+
+module.exports = {
+  validateSchema,
+  parseJsonResponse,
+  exampleFromSchema
+};
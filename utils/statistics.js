@@ -0,0 +1,128 @@
+// utils/statistics.js
+// Summary statistics and significance tests for comparing samples, e.g.
+// feedback ratings of two prompt template versions.
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Sample variance (n - 1)
+const variance = (values) => {
+  if (values.length < 2) return null;
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+};
+
+/**
+ * Count, mean and standard deviation of a sample
+ */
+const summarize = (values) => {
+  const sampleVariance = variance(values);
+  return {
+    count: values.length,
+    mean: mean(values),
+    stdDev: sampleVariance === null ? null : Math.sqrt(sampleVariance)
+  };
+};
+
+const logGamma = (x) => {
+  // Lanczos approximation
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const series = coefficients.reduce((sum, coefficient) => sum + coefficient / ++y, 1.000000000190015);
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+};
+
+// Continued fraction for the incomplete beta function
+const betaContinuedFraction = (a, b, x) => {
+  const MAX_ITERATIONS = 200;
+  const EPSILON = 3e-14;
+  const TINY = 1e-300;
+
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    result *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+
+  return result;
+};
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+};
+
+/**
+ * Two-sided p-value of a t statistic with the given degrees of freedom
+ */
+const tTestPValue = (t, degreesOfFreedom) => incompleteBeta(
+  degreesOfFreedom / (degreesOfFreedom + t * t),
+  degreesOfFreedom / 2,
+  0.5
+);
+
+/**
+ * Welch's t-test for a difference in means between two samples with
+ * possibly unequal variances
+ * @returns {Object} { difference (b - a), t, degreesOfFreedom, pValue }, or null with fewer than two values in a sample
+ */
+const welchTTest = (a, b) => {
+  if (a.length < 2 || b.length < 2) return null;
+
+  const difference = mean(b) - mean(a);
+  const errorA = variance(a) / a.length;
+  const errorB = variance(b) / b.length;
+  const standardError = Math.sqrt(errorA + errorB);
+
+  // Identical constant samples: no evidence either way; constant but different samples: certain
+  if (standardError === 0) {
+    return { difference, t: null, degreesOfFreedom: null, pValue: difference === 0 ? 1 : 0 };
+  }
+
+  const t = difference / standardError;
+  const degreesOfFreedom = (errorA + errorB) ** 2 /
+    (errorA ** 2 / (a.length - 1) + errorB ** 2 / (b.length - 1));
+
+  return { difference, t, degreesOfFreedom, pValue: tTestPValue(t, degreesOfFreedom) };
+};
+
+module.exports = {
+  mean,
+  variance,
+  summarize,
+  incompleteBeta,
+  tTestPValue,
+  welchTTest
+};
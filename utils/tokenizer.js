@@ -0,0 +1,133 @@
+// utils/tokenizer.js
+// Token counting and context window sizes per model, using the OpenAI BPE encodings.
+
+const { Tiktoken } = require('js-tiktoken/lite');
+
+// Encoding ranks are large, so each is loaded on first use
+const ENCODING_RANKS = {
+  cl100k_base: () => require('js-tiktoken/ranks/cl100k_base'),
+  o200k_base: () => require('js-tiktoken/ranks/o200k_base')
+};
+
+// Model name prefix to encoding; the first match wins
+const MODEL_ENCODINGS = [
+  ['gpt-4o', 'o200k_base'],
+  ['gpt-4.1', 'o200k_base'],
+  ['o1', 'o200k_base'],
+  ['o3', 'o200k_base'],
+  ['gpt-4', 'cl100k_base'],
+  ['gpt-3.5', 'cl100k_base']
+];
+
+// Anthropic does not publish its tokenizer. cl100k_base undercounts Claude
+// models, so counts are scaled up to stay on the safe side of the window.
+const APPROXIMATION_FACTORS = [
+  ['claude', 1.2]
+];
+
+// Context window sizes in tokens, matched by model name prefix (longest first)
+const DEFAULT_CONTEXT_WINDOWS = {
+  'gpt-4o': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-4-turbo': 128000,
+  'gpt-4-32k': 32768,
+  'gpt-4': 8192,
+  'gpt-3.5-turbo': 16385,
+  'o1': 200000,
+  'o3': 200000,
+  'claude': 200000
+};
+
+// Used for models we know nothing about, e.g. self-hosted ones without configuration
+const FALLBACK_CONTEXT_WINDOW = 8192;
+
+// Tokens added by the chat format around each message and the reply
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+const encoders = {};
+
+const matchPrefix = (table, model = '') => {
+  const entry = table.find(([prefix]) => model.startsWith(prefix));
+  return entry ? entry[1] : null;
+};
+
+/**
+ * Get the encoding name used to count tokens for a model
+ */
+const getEncodingName = (model) => matchPrefix(MODEL_ENCODINGS, model) || 'cl100k_base';
+
+const getEncoder = (model) => {
+  const name = getEncodingName(model);
+  if (!encoders[name]) {
+    encoders[name] = new Tiktoken(ENCODING_RANKS[name]());
+  }
+  return encoders[name];
+};
+
+const getApproximationFactor = (model) => matchPrefix(APPROXIMATION_FACTORS, model) || 1;
+
+/**
+ * Count the tokens in a piece of text for a model
+ * @param {String} text - Text to count
+ * @param {String} model - Model name, e.g. gpt-4-turbo
+ * @returns {Number} Token count
+ */
+const countTokens = (text, model) => {
+  if (!text) return 0;
+  const count = getEncoder(model).encode(text).length;
+  return Math.ceil(count * getApproximationFactor(model));
+};
+
+/**
+ * Count the tokens of a system + user chat request, including message framing
+ */
+const countChatTokens = (systemPrompt, prompt, model) => {
+  return countTokens(systemPrompt, model) +
+    countTokens(prompt, model) +
+    TOKENS_PER_MESSAGE * 2 +
+    TOKENS_PER_REPLY;
+};
+
+/**
+ * Cut text down to at most maxTokens tokens
+ * @returns {String} The text, shortened on a token boundary if needed
+ */
+const truncateToTokens = (text, maxTokens, model) => {
+  if (!text || maxTokens <= 0) return '';
+
+  const encoder = getEncoder(model);
+  const limit = Math.floor(maxTokens / getApproximationFactor(model));
+  const tokens = encoder.encode(text);
+
+  if (tokens.length <= limit) return text;
+  return encoder.decode(tokens.slice(0, limit));
+};
+
+/**
+ * Get a model's context window in tokens.
+ * LLM_CONTEXT_WINDOWS (JSON map of model prefix to size) overrides the defaults.
+ */
+const getContextWindow = (model = '') => {
+  let overrides = {};
+  try {
+    overrides = JSON.parse(process.env.LLM_CONTEXT_WINDOWS || '{}');
+  } catch (error) {
+    console.error('Invalid LLM_CONTEXT_WINDOWS, expected a JSON object:', error.message);
+  }
+
+  const windows = { ...DEFAULT_CONTEXT_WINDOWS, ...overrides };
+  const match = Object.keys(windows)
+    .filter(prefix => model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? windows[match] : FALLBACK_CONTEXT_WINDOW;
+};
+
+module.exports = {
+  countTokens,
+  countChatTokens,
+  truncateToTokens,
+  getContextWindow,
+  getEncodingName
+};
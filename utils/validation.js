@@ -29,6 +29,8 @@ const validateBody = (schema) => {
 // Since we don't have Joi installed (based on package.json), we'll create a simple validation schema
 const createSchema = (schema) => {
   return {
+    // Field rules, so callers can coerce untyped input (e.g. CSV) before validating
+    fields: schema.fields || {},
     validate: (data) => {
       const errors = [];
       const validated = { ...data };
@@ -120,6 +122,19 @@ const validationSchemas = {
           transform: (value) => typeof value === 'string' ? parseInt(value, 10) : value
         }
       }
+    }),
+    schedule: () => createSchema({
+      required: ['cron'],
+      fields: {
+        cron: {
+          type: 'string',
+          minLength: 1,
+          maxLength: 100
+        },
+        enabled: {
+          type: 'boolean'
+        }
+      }
     })
   },
   // Other validation schemas remain unchanged
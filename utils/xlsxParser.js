@@ -0,0 +1,246 @@
+// utils/xlsxParser.js
+// Minimal XLSX reader: cell values of every worksheet, as rows of strings like parseCsvRows.
+// Formulas give their cached values and styling is ignored; dates are Excel serial numbers.
+
+const zlib = require('zlib');
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    return String.fromCodePoint(entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10));
+  }
+  return XML_ENTITIES[entity] ?? match;
+});
+
+const getAttribute = (attributes, name) => {
+  const match = new RegExp(`(?:^|\\s)${name}="([^"]*)"`).exec(attributes);
+  return match ? decodeXml(match[1]) : null;
+};
+
+// Concatenated text of the <t> elements in a string item, skipping phonetic hints
+const readText = (xml) => {
+  const visible = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  const parts = [];
+  const pattern = /<t\b[^>]*>([\s\S]*?)<\/t>/g;
+  let match;
+  while ((match = pattern.exec(visible)) !== null) {
+    parts.push(decodeXml(match[1]));
+  }
+  return parts.join('');
+};
+
+// Uncompressed size limits, so a small deflate bomb cannot exhaust memory
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+const MAX_TOTAL_SIZE = 100 * 1024 * 1024;
+
+/**
+ * Index the files of a zip archive without extracting them
+ * @param {Buffer} buffer - Archive content
+ * @returns {Map<String, Object>} File name to { method, compressedSize, size, dataStart }
+ */
+const readZipDirectory = (buffer) => {
+  // The end of central directory record sits before an optional comment of up to 64KB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === ZIP_END_OF_DIRECTORY) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Invalid XLSX: not a zip archive');
+  }
+
+  const files = new Map();
+  const entries = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < entries; i++) {
+    if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+      throw new Error('Invalid XLSX: corrupt zip directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER) {
+      throw new Error('Invalid XLSX: corrupt zip entry');
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+
+    files.set(name, { method, compressedSize, size, dataStart });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+};
+
+/**
+ * Open a zip archive for reading single files on demand.
+ * Files are only extracted when read, and every read counts towards the total size limit.
+ * @param {Buffer} buffer - Archive content
+ * @param {Object} limits - { maxEntrySize, maxTotalSize } in bytes of uncompressed content
+ * @returns {Function} (name) => uncompressed content as a Buffer, or null if the file is missing
+ */
+const openZip = (buffer, limits = {}) => {
+  const maxEntrySize = limits.maxEntrySize || MAX_ENTRY_SIZE;
+  const maxTotalSize = limits.maxTotalSize || MAX_TOTAL_SIZE;
+  const files = readZipDirectory(buffer);
+  let totalSize = 0;
+
+  return (name) => {
+    const entry = files.get(name);
+    if (!entry || ![0, 8].includes(entry.method)) {
+      return null;
+    }
+
+    // Sizes in the directory can be forged, so the inflated output is capped as well
+    const remaining = maxTotalSize - totalSize;
+    if (entry.size > maxEntrySize || entry.size > remaining) {
+      throw new Error(`Invalid XLSX: ${name} is too large`);
+    }
+
+    const data = buffer.subarray(entry.dataStart, entry.dataStart + entry.compressedSize);
+    let content = data;
+    if (entry.method === 8) {
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.min(maxEntrySize, remaining) });
+      } catch (error) {
+        throw new Error(error.code === 'ERR_BUFFER_TOO_LARGE'
+          ? `Invalid XLSX: ${name} is too large`
+          : `Invalid XLSX: ${name} could not be extracted`);
+      }
+    }
+
+    if (content.length > Math.min(maxEntrySize, remaining)) {
+      throw new Error(`Invalid XLSX: ${name} is too large`);
+    }
+    totalSize += content.length;
+
+    return content;
+  };
+};
+
+// Zero-based column index of a cell reference such as 'AB12'
+const columnIndex = (reference) => {
+  const letters = /^[A-Z]+/i.exec(reference || '');
+  if (!letters) return null;
+  return letters[0].toUpperCase().split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const readSheetRows = (xml, sharedStrings) => {
+  const rows = [];
+  const rowPattern = /<row\b[^>]*>([\s\S]*?)<\/row>/g;
+  const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+  let rowMatch;
+
+  while ((rowMatch = rowPattern.exec(xml)) !== null) {
+    const row = [];
+    let cellMatch;
+
+    while ((cellMatch = cellPattern.exec(rowMatch[1])) !== null) {
+      const [, attributes, body = ''] = cellMatch;
+      const type = getAttribute(attributes, 't');
+      const index = columnIndex(getAttribute(attributes, 'r')) ?? row.length;
+      const raw = /<v>([\s\S]*?)<\/v>/.exec(body);
+
+      let value = '';
+      if (type === 'inlineStr') {
+        value = readText(body);
+      } else if (raw) {
+        const text = decodeXml(raw[1]);
+        if (type === 's') {
+          value = sharedStrings[parseInt(text, 10)] ?? '';
+        } else if (type === 'b') {
+          value = text === '1' ? 'TRUE' : 'FALSE';
+        } else {
+          value = text;
+        }
+      }
+
+      while (row.length < index) row.push('');
+      row[index] = value;
+    }
+
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Check whether content looks like an XLSX (zip) file
+ * @param {Buffer} buffer - File content
+ */
+const isXlsx = (buffer) => Buffer.isBuffer(buffer) && buffer.length > 4 && buffer.readUInt32LE(0) === ZIP_LOCAL_HEADER;
+
+/**
+ * Parse an XLSX workbook. Only the workbook, its relationships, the shared strings
+ * and the worksheets are extracted; anything larger than the size limits is rejected.
+ * @param {Buffer} buffer - File content
+ * @param {Object} limits - Optional { maxEntrySize, maxTotalSize } in uncompressed bytes
+ * @returns {Array<Object>} Worksheets in workbook order: { name, rows }, rows being arrays of strings
+ */
+const parseXlsx = (buffer, limits = {}) => {
+  if (!isXlsx(buffer)) {
+    throw new Error('Invalid XLSX: not a zip archive');
+  }
+
+  const readZipFile = openZip(buffer, limits);
+  const readFile = (name) => {
+    const content = readZipFile(name);
+    return content ? content.toString('utf8') : null;
+  };
+
+  const workbook = readFile('xl/workbook.xml');
+  if (!workbook) {
+    throw new Error('Invalid XLSX: workbook not found');
+  }
+
+  const sharedStrings = [];
+  const stringsXml = readFile('xl/sharedStrings.xml') || '';
+  const itemPattern = /<si\b[^>]*>([\s\S]*?)<\/si>/g;
+  let item;
+  while ((item = itemPattern.exec(stringsXml)) !== null) {
+    sharedStrings.push(readText(item[1]));
+  }
+
+  const targets = {};
+  const relsXml = readFile('xl/_rels/workbook.xml.rels') || '';
+  const relPattern = /<Relationship\b([^>]*?)\/?>/g;
+  let rel;
+  while ((rel = relPattern.exec(relsXml)) !== null) {
+    const target = getAttribute(rel[1], 'Target') || '';
+    targets[getAttribute(rel[1], 'Id')] = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+
+  const sheets = [];
+  const sheetPattern = /<sheet\b([^>]*?)\/?>/g;
+  let sheet;
+  while ((sheet = sheetPattern.exec(workbook)) !== null) {
+    const xml = readFile(targets[getAttribute(sheet[1], 'r:id')]);
+    if (xml) {
+      sheets.push({ name: getAttribute(sheet[1], 'name') || `Sheet${sheets.length + 1}`, rows: readSheetRows(xml, sharedStrings) });
+    }
+  }
+
+  return sheets;
+};
+
+module.exports = {
+  isXlsx,
+  parseXlsx
+};